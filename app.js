@@ -2,12 +2,21 @@ import express from 'express';
 import helmet from 'helmet';
 
 import expensesRouter from './controllers/expense.js';
+import attachmentsRouter from './controllers/attachment.js';
 import adminRouter from './controllers/admin.js';
 import categoriesRouter from './controllers/category.js';
 import authRouter from './controllers/auth.js';
+import twoFactorRouter from './controllers/twoFactor.js';
+import apiTokensRouter from './controllers/apiToken.js';
+import sessionsRouter from './controllers/session.js';
 import publicRouter from './controllers/public.js';
-import { sessionMiddleware, requireAdmin } from './middleware/auth.js';
+import budgetsRouter from './controllers/budget.js';
+import recurringRouter from './controllers/recurring.js';
+import ledgersRouter from './controllers/ledger.js';
+import { sessionMiddleware, apiScope, requireAdmin } from './middleware/auth.js';
 import { errorHandler, unknownEndpoint } from './middleware/error.js';
+import { requestId } from './middleware/requestId.js';
+import { MERGE_PATCH_TYPE } from './utils/mergePatch.js';
 
 const createApp = () => {
   const app = express();
@@ -18,8 +27,11 @@ const createApp = () => {
   // https://expressjs.com/en/guide/behind-proxies.html
   app.set("trust proxy", 1);
 
-  // Middleware to parse JSON from request bodies.
-  app.use(express.json());
+  // Tag every request with an ID, which the audit log records
+  app.use(requestId);
+
+  // Middleware to parse JSON from request bodies, including PATCH merge patches
+  app.use(express.json({ type: ["application/json", MERGE_PATCH_TYPE] }));
 
   // Security middleware
   app.use(helmet());
@@ -27,11 +39,18 @@ const createApp = () => {
   // Session middleware
   app.use(sessionMiddleware());
 
+  app.use("/api/auth/2fa", twoFactorRouter);
+  app.use("/api/auth/tokens", apiTokensRouter);
+  app.use("/api/auth/sessions", sessionsRouter);
   app.use("/api/auth", authRouter);
   app.use("/api/public", publicRouter);
+  app.use("/api/expenses/:id/attachments", attachmentsRouter);
   app.use("/api/expenses", expensesRouter);
   app.use("/api/categories", categoriesRouter);
-  app.use("/api/admin", requireAdmin, adminRouter);
+  app.use("/api/budgets", budgetsRouter);
+  app.use("/api/recurring-expenses", recurringRouter);
+  app.use("/api/ledgers", ledgersRouter);
+  app.use("/api/admin", apiScope("admin"), requireAdmin, adminRouter);
 
   // Important that this is at the end so that it only handles requests that did not match previous routes
   app.use(unknownEndpoint);
@@ -2,48 +2,198 @@ import { Router } from 'express';
 import User from '../models/user.js';
 import Expense from '../models/expense.js';
 import Category from '../models/category.js';
+import Budget from '../models/budget.js';
+import RecurringExpense from '../models/recurringExpense.js';
+import ExchangeRate from '../models/exchangeRate.js';
+import AuditEvent from '../models/auditEvent.js';
 import { requireAdmin } from '../middleware/auth.js';
-import { validate } from '../middleware/validateRequest.js';
-import { expenseSchema, expenseIdParam, categorySchema, categoryIdParam, adminExpenseSchema, adminCategorySchema } from '../utils/validators.js';
+import { validate, validateBody, mergePatchBody } from '../middleware/validateRequest.js';
+import { expenseSchema, expenseIdParam, categorySchema, categoryIdParam, adminExpenseSchema, adminCategorySchema, paginationQuery, adminExpenseFilterQuery, expenseExportQuery, exchangeRateImportSchema, exchangeRateQuery, objectIdParam, sessionIdParam, adminUserSchema, adminUserUpdateSchema, auditEventQuery, expensePatchSchema, expenseFieldDependencies } from '../utils/validators.js';
 import { HttpError, NOT_FOUND, BAD_REQUEST } from '../utils/HttpError.js';
+import { AUDIT_PAGINATION, EXPENSE_PAGINATION, USER_PAGINATION, paginate, parsePageParams } from '../utils/pagination.js';
+import { buildExpenseFilter, appliedExpenseFilters } from '../utils/expenseFilters.js';
+import { DEFAULT_CURRENCY, REFERENCE_CURRENCY } from '../utils/currency.js';
+import { baseAmountStages, withBaseAmounts } from '../utils/exchange.js';
+import { sendExpenseExport } from '../utils/expenseExport.js';
+import { categoryFilter, categoryLineStages, resolveExpenseCategories } from '../utils/splits.js';
+import { resolveExpenseSharing } from '../utils/settleUp.js';
+import { clearLoginFailures } from '../utils/loginThrottle.js';
+import { describeSession, destroyUserSession, destroyUserSessions, listUserSessions } from '../utils/sessions.js';
+import { assertKeepsAdmin, deleteUserAccount } from '../utils/accounts.js';
+import { sendPasswordResetEmail } from '../utils/passwordReset.js';
+import { reverifyEmail } from '../utils/verification.js';
+import { auditSnapshot, recordAudit } from '../utils/audit.js';
+import { inTrash } from '../utils/softDelete.js';
+import { restoreCategory, restoreExpense } from '../utils/trash.js';
+import { recordRevision } from '../utils/revisions.js';
+import { applyMergePatch, schemaForPatch } from '../utils/mergePatch.js';
+import { aliasExpensePatch, expenseBody } from '../utils/expensePatch.js';
+import { assertUpdated, etagOf, ifMatchFilter } from '../utils/etag.js';
 
 const adminRouter = Router();
 
-adminRouter.get('/users', async (_req, res) => {
-  const users = await User.find().select('-passwordHash').exec();
-  res.json(users);
+adminRouter.get('/users', validate(paginationQuery(USER_PAGINATION)), async (req, res) => {
+  const page = parsePageParams(req.query, USER_PAGINATION);
+  const { data: users, pageInfo } = await paginate(User.find().select('-passwordHash'), page);
+  res.json({ users, pageInfo });
+});
+
+// Create a user directly, e.g. another admin. The address counts as verified.
+adminRouter.post('/users', validate(adminUserSchema), async (req, res) => {
+  const { email, password, name, role } = req.body;
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser) throw new HttpError(BAD_REQUEST, 'Email already exists');
+
+  const passwordHash = await User.hashPassword(password);
+  const user = await User.create({ email, name, passwordHash, role });
+  await recordAudit(req, { action: 'user.create', target: { type: 'user', id: user._id }, after: user });
+  res.status(201).json({ user });
+});
+
+// Change a user's name, email or role
+adminRouter.put('/users/:id', validate(objectIdParam('id')), validate(adminUserUpdateSchema), async (req, res) => {
+  const { name, email, role } = req.body;
+  const user = await User.findById(req.params.id);
+  if (!user) throw new HttpError(NOT_FOUND, 'User not found');
+  const before = auditSnapshot(user);
+
+  if (role !== undefined && role !== 'admin') await assertKeepsAdmin(user);
+  // A new address has to be verified again, as when users change it themselves
+  const emailChanged = email !== undefined && email !== user.email;
+  if (emailChanged) {
+    const existingUser = await User.findOne({ email, _id: { $ne: user._id } });
+    if (existingUser) throw new HttpError(BAD_REQUEST, 'Email already exists');
+    user.email = email;
+    user.emailVerified = false;
+  }
+  if (name !== undefined) user.name = name;
+  if (role !== undefined) user.role = role;
+
+  await user.save();
+  if (emailChanged) await reverifyEmail(user);
+  await recordAudit(req, { action: 'user.update', target: { type: 'user', id: user._id }, before, after: user });
+  res.json({ user });
+});
+
+// Suspend an account: it is logged out everywhere, and its sessions and API tokens stop working
+adminRouter.post('/users/:id/suspend', validate(objectIdParam('id')), async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) throw new HttpError(NOT_FOUND, 'User not found');
+  if (user._id.equals(req.user._id)) throw new HttpError(BAD_REQUEST, "You can't suspend your own account");
+  await assertKeepsAdmin(user);
+
+  const before = auditSnapshot(user);
+  user.suspended = true;
+  await user.save();
+  await destroyUserSessions(user._id);
+  await recordAudit(req, { action: 'user.suspend', target: { type: 'user', id: user._id }, before, after: user });
+  res.json({ message: 'User suspended', user });
+});
+
+adminRouter.post('/users/:id/reactivate', validate(objectIdParam('id')), async (req, res) => {
+  const before = await User.findByIdAndUpdate(req.params.id, { suspended: false });
+  if (!before) throw new HttpError(NOT_FOUND, 'User not found');
+  const user = await User.findById(before._id);
+
+  await recordAudit(req, { action: 'user.reactivate', target: { type: 'user', id: user._id }, before, after: user });
+  res.json({ message: 'User reactivated', user });
+});
+
+// Force a password reset: the current password stops working, the user is logged out
+// everywhere and gets an email with a reset link
+adminRouter.post('/users/:id/reset-password', validate(objectIdParam('id')), async (req, res) => {
+  const before = await User.findByIdAndUpdate(req.params.id, { passwordResetRequired: true });
+  if (!before) throw new HttpError(NOT_FOUND, 'User not found');
+  const user = await User.findById(before._id);
+
+  await destroyUserSessions(user._id, req.sessionID);
+  await sendPasswordResetEmail(user);
+  await recordAudit(req, { action: 'user.require_password_reset', target: { type: 'user', id: user._id }, before, after: user });
+  res.json({ message: 'Password reset required', user });
+});
+
+// Delete a user with the same cascade as deleting your own account
+adminRouter.delete('/users/:id', validate(objectIdParam('id')), async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) throw new HttpError(NOT_FOUND, 'User not found');
+  if (user._id.equals(req.user._id)) throw new HttpError(BAD_REQUEST, 'Delete your own account from your profile');
+  await assertKeepsAdmin(user);
+
+  await deleteUserAccount(user._id);
+  await recordAudit(req, { action: 'user.delete', target: { type: 'user', id: user._id }, before: user });
+  res.json({ message: 'User deleted' });
+});
+
+// Lift a login lockout early, e.g. after confirming with the user that it wasn't an attack.
+// Lockouts of IP addresses still apply.
+adminRouter.post('/users/:id/unlock', validate(objectIdParam('id')), async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) throw new HttpError(NOT_FOUND, 'User not found');
+
+  await clearLoginFailures(user.email);
+  await recordAudit(req, { action: 'user.unlock', target: { type: 'user', id: user._id } });
+  res.json({ message: 'Account unlocked', user });
+});
+
+// A user's sessions, and logging them out everywhere (e.g. after an account takeover)
+adminRouter.get('/users/:id/sessions', validate(objectIdParam('id')), async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) throw new HttpError(NOT_FOUND, 'User not found');
+
+  const sessions = await listUserSessions(user._id);
+  res.json({ sessions: sessions.map((stored) => describeSession(stored, req.sessionID)) });
+});
+
+adminRouter.delete('/users/:id/sessions', validate(objectIdParam('id')), async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) throw new HttpError(NOT_FOUND, 'User not found');
+
+  // The admin's own session stays, even when revoking their own
+  const revoked = await destroyUserSessions(user._id, req.sessionID);
+  await recordAudit(req, { action: 'session.revoke_all', target: { type: 'user', id: user._id }, details: { revoked } });
+  res.json({ message: 'Sessions revoked', revoked });
+});
+
+adminRouter.delete('/users/:id/sessions/:sessionId', validate(objectIdParam('id')), validate(sessionIdParam('sessionId')), async (req, res) => {
+  const revoked = await destroyUserSession(req.params.id, req.params.sessionId);
+  if (!revoked) throw new HttpError(NOT_FOUND, 'Session not found');
+  await recordAudit(req, { action: 'session.revoke', target: { type: 'session', id: req.params.sessionId }, details: { user: req.params.id } });
+
+  res.json({ message: 'Session revoked' });
 });
 
 // Expenses
-adminRouter.get('/expenses', async (req, res) => {
-  const filter = {};
-  if (req.query.categoryId) filter.category = req.query.categoryId;
-  const expenses = await Expense.find(filter).populate('user category').sort({ date: -1 }).exec();
-  res.json(expenses);
+adminRouter.get('/expenses', validate(adminExpenseFilterQuery), validate(paginationQuery(EXPENSE_PAGINATION)), async (req, res) => {
+  const filter = buildExpenseFilter(req.query);
+  const page = parsePageParams(req.query, EXPENSE_PAGINATION);
+  const { data: expenses, pageInfo } = await paginate(Expense.find(filter).populate('user category'), page);
+  res.json({ expenses, pageInfo });
 });
 
 // Create expense for any user (admin only)
 adminRouter.post('/expenses', validate(adminExpenseSchema), async (req, res) => {
-  const { userId, categoryId, amount, currency, date, note, description } = req.body;
+  const { userId, amount, currency, date, note, description } = req.body;
   
   // Validate user exists
   const user = await User.findById(userId).exec();
   if (!user) throw new HttpError(NOT_FOUND, 'User not found');
   
-  // Validate category exists
-  const category = await Category.findById(categoryId).exec();
-  if (!category) throw new HttpError(NOT_FOUND, 'Category not found');
+  // Validate category (or split categories) exist
+  const { category, splits } = await resolveExpenseCategories(req.body, req.user);
 
   const expense = await Expense.create({
     user: user._id,
-    category: category._id,
+    category,
+    splits,
     amount: Number(amount),
-    currency: currency || 'EUR',
+    currency: currency || DEFAULT_CURRENCY,
     date: date ? new Date(date) : new Date(),
     note: note || description,
     description: description || note,
   });
 
+  await recordAudit(req, { action: 'expense.create', target: { type: 'expense', id: expense._id }, after: expense });
   const populatedExpense = await Expense.findById(expense._id).populate('user category').exec();
   
   res.status(201).json({
@@ -52,13 +202,11 @@ adminRouter.post('/expenses', validate(adminExpenseSchema), async (req, res) =>
   });
 });
 
-// Update any expense (admin only)
-adminRouter.put('/expenses/:id', validate(expenseIdParam), validate(adminExpenseSchema), async (req, res) => {
-  const { userId, categoryId, amount, currency, date, note, description } = req.body;
-  
-  // Find the expense
-  const expense = await Expense.findById(req.params.id).exec();
-  if (!expense) throw new HttpError(NOT_FOUND, 'Could not find expense');
+// Replace an expense's fields with those of body, a PUT body that may also move it to
+// another user (userId), and record the change. With If-Match, the expense must be unchanged.
+const updateExpense = async (req, expense, body) => {
+  const { userId, amount, currency, date, note, description } = body;
+  const filter = ifMatchFilter(req, expense);
 
   // Validate user if provided
   if (userId) {
@@ -66,16 +214,18 @@ adminRouter.put('/expenses/:id', validate(expenseIdParam), validate(adminExpense
     if (!user) throw new HttpError(NOT_FOUND, 'User not found');
   }
 
-  // Validate category
-  const category = await Category.findById(categoryId).exec();
-  if (!category) throw new HttpError(NOT_FOUND, 'Category not found');
+  // Validate category (or split categories)
+  const { category, splits } = await resolveExpenseCategories(body, req.user);
+  const sharing = await resolveExpenseSharing(body, { ledgerId: expense.ledger, payer: userId || expense.user });
 
   // Update the expense
-  const updatedExpense = await Expense.findByIdAndUpdate(
-    req.params.id,
+  const updatedExpense = assertUpdated(await Expense.findOneAndUpdate(
+    filter,
     {
       user: userId || expense.user,
-      category: category._id,
+      category,
+      splits,
+      sharing,
       amount: Number(amount),
       currency: currency || expense.currency,
       date: date ? new Date(date) : expense.date,
@@ -83,26 +233,81 @@ adminRouter.put('/expenses/:id', validate(expenseIdParam), validate(adminExpense
       description: description !== undefined ? description : (note !== undefined ? note : expense.description),
     },
     { new: true, runValidators: true }
-  ).populate('user category').exec();
+  ).populate('user category').exec());
+  await recordRevision({ before: expense, after: updatedExpense, editor: req.user });
+  await recordAudit(req, { action: 'expense.update', target: { type: 'expense', id: expense._id }, before: expense, after: updatedExpense });
+  return updatedExpense;
+};
+
+// Find the expense in the route, or throw 404
+const findExpense = async (req) => {
+  const expense = await Expense.findById(req.params.id).exec();
+  if (!expense) throw new HttpError(NOT_FOUND, 'Could not find expense');
+  return expense;
+};
 
-  res.status(200).json({
+// Update any expense (admin only)
+adminRouter.put('/expenses/:id', validate(expenseIdParam), validate(adminExpenseSchema), async (req, res) => {
+  const expense = await findExpense(req);
+  const updatedExpense = await updateExpense(req, expense, req.body);
+
+  res.set('ETag', etagOf(updatedExpense)).status(200).json({
     message: 'Expense updated successfully',
     expense: updatedExpense
   });
 });
 
-// Delete any expense (admin only)
+// Patch any expense with a JSON merge patch (see PATCH /api/expenses/:id), userId included
+adminRouter.patch('/expenses/:id', validate(expenseIdParam), mergePatchBody, validate(expensePatchSchema), async (req, res) => {
+  const expense = await findExpense(req);
+
+  const patch = aliasExpensePatch(req.body);
+  const body = applyMergePatch({ ...expenseBody(expense), userId: expense.user.toString() }, patch);
+  const [error] = await validateBody(schemaForPatch(adminExpenseSchema, patch, expenseFieldDependencies), body);
+  if (error) throw new HttpError(BAD_REQUEST, error);
+
+  // Removed fields go back to their defaults
+  const updatedExpense = await updateExpense(req, expense, {
+    ...body,
+    currency: body.currency || DEFAULT_CURRENCY,
+    note: body.note ?? null,
+    description: body.description ?? null,
+  });
+
+  res.set('ETag', etagOf(updatedExpense)).status(200).json({
+    message: 'Expense updated successfully',
+    expense: updatedExpense
+  });
+});
+
+// Delete any expense (admin only). It goes to the trash like any other deleted expense.
 adminRouter.delete('/expenses/:id', validate(expenseIdParam), async (req, res) => {
   const expense = await Expense.findById(req.params.id).exec();
   if (!expense) throw new HttpError(NOT_FOUND, 'Could not find expense');
 
-  await Expense.findByIdAndDelete(req.params.id).exec();
+  const before = auditSnapshot(expense);
+  await expense.moveToTrash(req.user);
+  await recordAudit(req, { action: 'expense.delete', target: { type: 'expense', id: expense._id }, before, after: expense });
   res.status(200).json({ 
     message: 'Expense deleted successfully (admin)',
     deletedExpenseId: req.params.id 
   });
 });
 
+// Restore any deleted expense
+adminRouter.post('/expenses/:id/restore', validate(expenseIdParam), async (req, res) => {
+  const expense = await Expense.findOne(inTrash({ _id: req.params.id })).exec();
+  if (!expense) throw new HttpError(NOT_FOUND, 'Could not find deleted expense');
+
+  const before = auditSnapshot(expense);
+  await restoreExpense(expense);
+  await recordAudit(req, { action: 'expense.restore', target: { type: 'expense', id: expense._id }, before, after: expense });
+  res.status(200).json({
+    message: 'Expense restored successfully',
+    expense: await expense.populate('user category')
+  });
+});
+
 // Get all categories
 adminRouter.get('/categories', async (_req, res) => {
   const cats = await Category.find().populate('user', 'name email').sort({ name: 1 }).exec();
@@ -111,7 +316,7 @@ adminRouter.get('/categories', async (_req, res) => {
 
 // Create new category
 adminRouter.post('/categories', validate(adminCategorySchema), async (req, res) => {
-  const { name, userId } = req.body;
+  const { name, userId, visibility } = req.body;
   
   let categoryOwner;
   if (userId) {
@@ -124,7 +329,7 @@ adminRouter.post('/categories', validate(adminCategorySchema), async (req, res)
   }
 
   // Check if category already exists for this user
-  const existingCategory = await Category.findOne({ name, user: categoryOwner }).exec();
+  const existingCategory = await Category.findOne(Category.sameName(name, { user: categoryOwner, ledger: null })).exec();
   if (existingCategory) {
     throw new HttpError(BAD_REQUEST, 'Category already exists for this user');
   }
@@ -132,8 +337,10 @@ adminRouter.post('/categories', validate(adminCategorySchema), async (req, res)
   const category = await Category.create({
     name,
     user: categoryOwner,
+    visibility,
   });
 
+  await recordAudit(req, { action: 'category.create', target: { type: 'category', id: category._id }, after: category });
   const populatedCategory = await Category.findById(category._id).populate('user', 'name email').exec();
 
   res.status(201).json({
@@ -142,13 +349,10 @@ adminRouter.post('/categories', validate(adminCategorySchema), async (req, res)
   });
 });
 
-// Update category
-adminRouter.put('/categories/:id', validate(categoryIdParam), validate(adminCategorySchema), async (req, res) => {
-  const { name, userId } = req.body;
-  
-  // Find the category
-  const category = await Category.findById(req.params.id).exec();
-  if (!category) throw new HttpError(NOT_FOUND, 'Category not found');
+// Change a category's name, owner (userId) and visibility to those in body and record the
+// change. With If-Match, the category must be unchanged.
+const updateCategory = async (req, category, { name, userId, visibility }) => {
+  const filter = ifMatchFilter(req, category);
 
   // Validate user if provided
   let newOwner = category.user;
@@ -158,55 +362,156 @@ adminRouter.put('/categories/:id', validate(categoryIdParam), validate(adminCate
     newOwner = user._id;
   }
 
-  // Check for duplicate name with new owner
+  // Check for duplicate name with new owner (or in the same ledger)
   if (name !== category.name || newOwner.toString() !== category.user.toString()) {
-    const existingCategory = await Category.findOne({ 
-      name: name || category.name, 
-      user: newOwner,
+    const existingCategory = await Category.findOne({
+      ...Category.sameName(name || category.name, { user: newOwner, ledger: category.ledger }),
       _id: { $ne: category._id }
     }).exec();
-    
+
     if (existingCategory) {
-      throw new HttpError(BAD_REQUEST, 'Category already exists for this user');
+      throw new HttpError(BAD_REQUEST, category.ledger ? 'Category already exists in this ledger' : 'Category already exists for this user');
     }
   }
 
-  const updatedCategory = await Category.findByIdAndUpdate(
-    req.params.id,
+  const updatedCategory = assertUpdated(await Category.findOneAndUpdate(
+    filter,
     {
       name: name || category.name,
       user: newOwner,
+      visibility: visibility || category.visibility,
     },
     { new: true, runValidators: true }
-  ).populate('user', 'name email').exec();
+  ).populate('user', 'name email').exec());
+  await recordAudit(req, { action: 'category.update', target: { type: 'category', id: category._id }, before: category, after: updatedCategory });
+  return updatedCategory;
+};
 
-  res.status(200).json({
+// Find the category in the route, or throw 404
+const findCategory = async (req) => {
+  const category = await Category.findById(req.params.id).exec();
+  if (!category) throw new HttpError(NOT_FOUND, 'Category not found');
+  return category;
+};
+
+// Update category
+adminRouter.put('/categories/:id', validate(categoryIdParam), validate(adminCategorySchema), async (req, res) => {
+  const category = await findCategory(req);
+  const updatedCategory = await updateCategory(req, category, req.body);
+
+  res.set('ETag', etagOf(updatedCategory)).status(200).json({
     message: 'Category updated successfully',
     category: updatedCategory
   });
 });
 
-// Delete category
+// Patch a category with a JSON merge patch of name, userId and visibility
+adminRouter.patch('/categories/:id', validate(categoryIdParam), mergePatchBody, async (req, res) => {
+  const category = await findCategory(req);
+
+  const current = { name: category.name, userId: category.user.toString(), visibility: category.visibility };
+  const body = applyMergePatch(current, req.body);
+  const [error] = await validateBody(schemaForPatch(adminCategorySchema, req.body), body);
+  if (error) throw new HttpError(BAD_REQUEST, error);
+
+  const updatedCategory = await updateCategory(req, category, body);
+
+  res.set('ETag', etagOf(updatedCategory)).status(200).json({
+    message: 'Category updated successfully',
+    category: updatedCategory
+  });
+});
+
+// Delete category (to the trash; its budgets are deleted straight away)
 adminRouter.delete('/categories/:id', validate(categoryIdParam), async (req, res) => {
   const category = await Category.findById(req.params.id).exec();
   if (!category) throw new HttpError(NOT_FOUND, 'Category not found');
 
-  // Check if category has expenses
-  const expenseCount = await Expense.countDocuments({ category: category._id }).exec();
+  // Check if category has expenses (including splits filed under it)
+  const expenseCount = await Expense.countDocuments(categoryFilter([category._id])).exec();
   if (expenseCount > 0) {
     throw new HttpError(BAD_REQUEST, `Cannot delete category: ${expenseCount} expense(s) are assigned to this category`);
   }
 
-  await Category.findByIdAndDelete(req.params.id).exec();
+  // Recurring expenses would keep creating expenses in a deleted category
+  const recurringCount = await RecurringExpense.countDocuments({ category: category._id }).exec();
+  if (recurringCount > 0) {
+    throw new HttpError(BAD_REQUEST, `Cannot delete category: ${recurringCount} recurring expense(s) use this category`);
+  }
+
+  const before = auditSnapshot(category);
+  await category.moveToTrash(req.user);
+  await Budget.deleteMany({ category: category._id }).exec();
+  await recordAudit(req, { action: 'category.delete', target: { type: 'category', id: category._id }, before, after: category });
   res.status(200).json({ 
     message: 'Category deleted successfully',
     deletedCategoryId: req.params.id 
   });
 });
 
+// Restore any deleted category
+adminRouter.post('/categories/:id/restore', validate(categoryIdParam), async (req, res) => {
+  const category = await Category.findOne(inTrash({ _id: req.params.id })).exec();
+  if (!category) throw new HttpError(NOT_FOUND, 'Could not find deleted category');
+
+  const before = auditSnapshot(category);
+  await restoreCategory(category);
+  await recordAudit(req, { action: 'category.restore', target: { type: 'category', id: category._id }, before, after: category });
+  res.status(200).json({
+    message: 'Category restored successfully',
+    category: await category.populate('user', 'name email')
+  });
+});
+
+// Exchange rates
+adminRouter.get('/exchange-rates', validate(exchangeRateQuery), async (req, res) => {
+  const filter = {};
+  if (req.query.currency) filter.currency = req.query.currency.toUpperCase();
+  if (req.query.from || req.query.to) {
+    filter.date = {};
+    if (req.query.from) filter.date.$gte = new Date(req.query.from);
+    if (req.query.to) filter.date.$lte = new Date(req.query.to);
+  }
+
+  const rates = await ExchangeRate.find(filter).sort({ date: -1, currency: 1 }).exec();
+  res.json({
+    referenceCurrency: REFERENCE_CURRENCY,
+    rates
+  });
+});
+
+// Import dated rates, quoted as units of currency per one reference currency.
+// Existing rates for the same currency and date are replaced.
+adminRouter.post('/exchange-rates', validate(exchangeRateImportSchema), async (req, res) => {
+  const operations = req.body.rates.map(({ currency, date, rate }) => ({
+    updateOne: {
+      filter: { currency: currency.toUpperCase(), date: new Date(date) },
+      update: { $set: { rate: Number(rate) } },
+      upsert: true,
+    },
+  }));
+
+  const result = await ExchangeRate.bulkWrite(operations);
+  await recordAudit(req, {
+    action: 'exchange_rate.import',
+    target: { type: 'exchange_rate', id: null },
+    details: { rates: req.body.rates.length, inserted: result.upsertedCount, updated: result.modifiedCount },
+  });
+
+  res.status(201).json({
+    message: 'Exchange rates imported successfully',
+    referenceCurrency: REFERENCE_CURRENCY,
+    inserted: result.upsertedCount,
+    updated: result.modifiedCount
+  });
+});
+
 // Admin Dashboard
 adminRouter.get('/dashboard', async (req, res) => {
   try {
+    // Amounts are converted into the admin's base currency
+    const baseCurrency = req.user.baseCurrency || DEFAULT_CURRENCY;
+
     // Basic counts
     const totalUsers = await User.countDocuments().exec();
     const totalExpenses = await Expense.countDocuments().exec();
@@ -217,8 +522,13 @@ adminRouter.get('/dashboard', async (req, res) => {
       {
         $lookup: {
           from: 'expenses',
-          localField: '_id',
-          foreignField: 'user',
+          let: { userId: '$_id' },
+          pipeline: [
+            // $lookup bypasses the soft-delete hooks, so leave out trashed expenses here
+            { $match: { $expr: { $eq: ['$user', '$$userId'] }, deletedAt: null } },
+            ...baseAmountStages(baseCurrency),
+            { $project: { baseAmount: 1 } }
+          ],
           as: 'expenses'
         }
       },
@@ -229,7 +539,7 @@ adminRouter.get('/dashboard', async (req, res) => {
           role: 1,
           createdAt: 1,
           expenseCount: { $size: '$expenses' },
-          totalSpent: { $sum: '$expenses.amount' }
+          totalSpent: { $sum: '$expenses.baseAmount' }
         }
       },
       {
@@ -237,14 +547,16 @@ adminRouter.get('/dashboard', async (req, res) => {
       }
     ]).exec();
 
-    // Expense statistics by category
+    // Expense statistics by category, with each split counted under its own category
     const categoryStats = await Expense.aggregate([
+      ...categoryLineStages(),
+      ...baseAmountStages(baseCurrency),
       {
         $group: {
           _id: '$category',
-          totalAmount: { $sum: '$amount' },
+          totalAmount: { $sum: '$baseAmount' },
           expenseCount: { $sum: 1 },
-          avgAmount: { $avg: '$amount' }
+          avgAmount: { $avg: '$baseAmount' }
         }
       },
       {
@@ -281,15 +593,16 @@ adminRouter.get('/dashboard', async (req, res) => {
           date: { $gte: sixMonthsAgo }
         }
       },
+      ...baseAmountStages(baseCurrency),
       {
         $group: {
           _id: {
             year: { $year: '$date' },
             month: { $month: '$date' }
           },
-          totalAmount: { $sum: '$amount' },
+          totalAmount: { $sum: '$baseAmount' },
           expenseCount: { $sum: 1 },
-          avgAmount: { $avg: '$amount' }
+          avgAmount: { $avg: '$baseAmount' }
         }
       },
       {
@@ -316,12 +629,15 @@ adminRouter.get('/dashboard', async (req, res) => {
     ]).exec();
 
     // last 10 expenses
-    const recentExpenses = await Expense.find()
-      .populate('user', 'name email')
-      .populate('category', 'name')
-      .sort({ createdAt: -1 })
-      .limit(10)
-      .exec();
+    const recentExpenses = await withBaseAmounts(
+      await Expense.find()
+        .populate('user', 'name email')
+        .populate('category', 'name')
+        .sort({ createdAt: -1 })
+        .limit(10)
+        .exec(),
+      baseCurrency
+    );
 
     // System overview
     const systemStats = {
@@ -329,11 +645,14 @@ adminRouter.get('/dashboard', async (req, res) => {
       totalExpenses,
       totalCategories,
       totalValue: await Expense.aggregate([
-        { $group: { _id: null, total: { $sum: '$amount' } } }
+        ...baseAmountStages(baseCurrency),
+        { $group: { _id: null, total: { $sum: '$baseAmount' } } }
       ]).then(result => result[0]?.total || 0),
       avgExpenseValue: await Expense.aggregate([
-        { $group: { _id: null, avg: { $avg: '$amount' } } }
-      ]).then(result => Math.round((result[0]?.avg || 0) * 100) / 100)
+        ...baseAmountStages(baseCurrency),
+        { $group: { _id: null, avg: { $avg: '$baseAmount' } } }
+      ]).then(result => Math.round((result[0]?.avg || 0) * 100) / 100),
+      currency: baseCurrency
     };
 
     // Enhanced Summary Section
@@ -392,6 +711,7 @@ adminRouter.get('/dashboard', async (req, res) => {
 
     res.json({
       dashboard: {
+        currency: baseCurrency,
         summary, 
         systemStats,
         userStats: userStats.slice(0, 10), 
@@ -410,35 +730,73 @@ adminRouter.get('/dashboard', async (req, res) => {
   }
 });
 
+// Download every expense matching the report filters (?format=csv|jsonl|ofx, default csv)
+adminRouter.get('/report/export', validate(adminExpenseFilterQuery), validate(expenseExportQuery), async (req, res) => {
+  await sendExpenseExport(res, {
+    filter: buildExpenseFilter(req.query),
+    format: req.query.format || 'csv',
+    filename: `expense-report-${new Date().toISOString().slice(0, 10)}`,
+    withUser: true,
+    accountId: 'all-users',
+    defaultCurrency: req.user.baseCurrency || DEFAULT_CURRENCY,
+  });
+});
+
 // Detailed financial report
-adminRouter.get('/report', async (req, res) => {
+adminRouter.get('/report', validate(adminExpenseFilterQuery), validate(paginationQuery(EXPENSE_PAGINATION)), async (req, res) => {
   try {
-    const { userId, categoryId } = req.query;
-    
-    // Build filter
-    const filter = {};
-    if (userId) filter.user = userId;
-    if (categoryId) filter.category = categoryId;
-
-    // Get expenses with filter
-    const expenses = await Expense.find(filter)
-      .populate('user', 'name email')
-      .populate('category', 'name')
-      .sort({ date: -1 })
-      .exec();
-
-    // Generate summary
+    // Build filter (values are cast, so it can be reused in the aggregation below)
+    const filter = buildExpenseFilter(req.query);
+    const baseCurrency = req.user.baseCurrency || DEFAULT_CURRENCY;
+
+    // Get one page of expenses with filter
+    const page = parsePageParams(req.query, EXPENSE_PAGINATION);
+    const { data: expenses, pageInfo } = await paginate(
+      Expense.find(filter)
+        .populate('user', 'name email')
+        .populate('category', 'name'),
+      page
+    );
+
+    // Generate summary across every matching expense, not just this page,
+    // converted into the admin's base currency
+    const totals = await Expense.aggregate([
+      { $match: filter },
+      ...baseAmountStages(baseCurrency),
+      {
+        $group: {
+          _id: null,
+          totalExpenses: { $sum: 1 },
+          totalValue: { $sum: '$baseAmount' },
+          averageExpense: { $avg: '$baseAmount' },
+          unconvertedExpenses: { $sum: { $cond: [{ $eq: ['$baseAmount', null] }, 1, 0] } }
+        }
+      }
+    ]).exec();
+
+    // Totals in each original currency
+    const byCurrency = await Expense.aggregate([
+      { $match: filter },
+      { $group: { _id: '$currency', totalValue: { $sum: '$amount' }, expenseCount: { $sum: 1 } } },
+      { $project: { _id: 0, currency: '$_id', totalValue: { $round: ['$totalValue', 2] }, expenseCount: 1 } },
+      { $sort: { currency: 1 } }
+    ]).exec();
+
     const summary = {
-      totalExpenses: expenses.length,
-      totalValue: expenses.reduce((sum, exp) => sum + exp.amount, 0),
-      averageExpense: expenses.length ? expenses.reduce((sum, exp) => sum + exp.amount, 0) / expenses.length : 0,
-      currency: 'EUR' // Assuming EUR as default
+      totalExpenses: totals[0]?.totalExpenses || 0,
+      totalValue: Math.round((totals[0]?.totalValue || 0) * 100) / 100,
+      averageExpense: Math.round((totals[0]?.averageExpense || 0) * 100) / 100,
+      currency: baseCurrency,
+      // Expenses left out of the totals because no exchange rate was available
+      unconvertedExpenses: totals[0]?.unconvertedExpenses || 0,
+      byCurrency
     };
 
     res.json({
       summary,
-      expenses,
-      filters: { userId, categoryId }
+      expenses: await withBaseAmounts(expenses, baseCurrency),
+      pageInfo,
+      filters: appliedExpenseFilters(req.query)
     });
 
   } catch (error) {
@@ -450,4 +808,23 @@ adminRouter.get('/report', async (req, res) => {
   }
 });
 
+// Audit log, newest first. Filters combine: e.g. everything one admin did to one user last week.
+adminRouter.get('/audit-events', validate(auditEventQuery), validate(paginationQuery(AUDIT_PAGINATION)), async (req, res) => {
+  const { actor, action, targetType, targetId, from, to } = req.query;
+  const filter = {};
+  if (actor) filter.actor = actor;
+  if (action) filter.action = action;
+  if (targetType) filter['target.type'] = targetType;
+  if (targetId) filter['target.id'] = targetId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  const page = parsePageParams(req.query, AUDIT_PAGINATION);
+  const { data: events, pageInfo } = await paginate(AuditEvent.find(filter), page);
+  res.json({ events, pageInfo });
+});
+
 export default adminRouter;
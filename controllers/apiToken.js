@@ -0,0 +1,75 @@
+import { Router } from 'express';
+import { validate } from '../middleware/validateRequest.js';
+import { apiTokenSchema, apiTokenIdParam } from '../utils/validators.js';
+import ApiToken from '../models/apiToken.js';
+import { HttpError, NOT_FOUND, BAD_REQUEST, FORBIDDEN } from '../utils/HttpError.js';
+import { requireAuth } from '../middleware/auth.js';
+import { MAX_API_TOKENS, generateApiToken } from '../utils/apiTokens.js';
+import { twoFactorPolicyAllows } from '../utils/twoFactor.js';
+import { recordAudit } from '../utils/audit.js';
+
+const apiTokensRouter = Router();
+
+// Tokens are managed from a logged-in session only: no API scope is declared here, so an
+// API token can't be used to create more tokens
+apiTokensRouter.use(requireAuth);
+
+// List the caller's tokens, newest first
+apiTokensRouter.get('/', async (req, res) => {
+  const tokens = await ApiToken.find({ user: req.user._id }).sort({ createdAt: -1 }).exec();
+
+  res.status(200).json({
+    success: true,
+    data: tokens,
+    message: 'API tokens retrieved successfully'
+  });
+});
+
+// Create a token. The response is the only time the token itself is shown.
+apiTokensRouter.post('/', validate(apiTokenSchema), async (req, res) => {
+  const scopes = [...new Set(req.body.scopes)];
+
+  // The admin scope reaches the admin API, so only admins who pass the 2FA policy get it
+  if (scopes.includes('admin') && (req.user.role !== 'admin'
+    || !twoFactorPolicyAllows(req.user, Boolean(req.session.twoFactorVerified)))) {
+    throw new HttpError(FORBIDDEN, "Only admins can create tokens with the 'admin' scope");
+  }
+
+  const count = await ApiToken.countDocuments({ user: req.user._id });
+  if (count >= MAX_API_TOKENS) {
+    throw new HttpError(BAD_REQUEST, `You can have at most ${MAX_API_TOKENS} API tokens`);
+  }
+
+  const { token, tokenHash, prefix } = generateApiToken();
+  const apiToken = await ApiToken.create({
+    user: req.user._id,
+    name: req.body.name,
+    scopes,
+    tokenHash,
+    prefix,
+  });
+  await recordAudit(req, { action: 'api_token.create', target: { type: 'api_token', id: apiToken._id }, after: apiToken });
+
+  res.status(201).json({
+    success: true,
+    data: { ...apiToken.toJSON(), token },
+    message: 'API token created successfully'
+  });
+});
+
+// Revoke a token. It stops working immediately.
+apiTokensRouter.delete('/:id', validate(apiTokenIdParam), async (req, res) => {
+  const apiToken = await ApiToken.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+  if (!apiToken) {
+    throw new HttpError(NOT_FOUND, 'API token not found');
+  }
+  await recordAudit(req, { action: 'api_token.revoke', target: { type: 'api_token', id: apiToken._id }, before: apiToken });
+
+  res.status(200).json({
+    success: true,
+    data: { id: req.params.id },
+    message: 'API token revoked successfully'
+  });
+});
+
+export default apiTokensRouter;
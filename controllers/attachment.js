@@ -0,0 +1,172 @@
+import { Router } from 'express';
+import multer from 'multer';
+import mongoose from 'mongoose';
+import { pipeline } from 'node:stream/promises';
+import { validate } from '../middleware/validateRequest.js';
+import { expenseIdParam, attachmentIdParam } from '../utils/validators.js';
+import Expense from '../models/expense.js';
+import {
+  HttpError,
+  NOT_FOUND,
+  BAD_REQUEST,
+  PAYLOAD_TOO_LARGE,
+  UNSUPPORTED_MEDIA_TYPE,
+} from '../utils/HttpError.js';
+import { apiScope, requireAuth } from '../middleware/auth.js';
+import { getStorage } from '../utils/storage.js';
+import { authorize } from '../utils/permissions.js';
+import { recordAudit } from '../utils/audit.js';
+import {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_SIZE,
+  MAX_ATTACHMENTS_PER_EXPENSE,
+  attachmentKey,
+  cleanFilename,
+  detectAttachmentType,
+} from '../utils/attachments.js';
+
+// Mounted at /api/expenses/:id/attachments
+const attachmentsRouter = Router({ mergeParams: true });
+
+// All routes here require authentication
+attachmentsRouter.use(apiScope('expenses'), requireAuth);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_SIZE, files: 1 },
+  // Reject undeclared types before the file is read; the contents are checked after
+  fileFilter: (_req, file, cb) => {
+    if (!ATTACHMENT_TYPES.includes(file.mimetype)) {
+      return cb(new HttpError(UNSUPPORTED_MEDIA_TYPE, `Attachments must be one of: ${ATTACHMENT_TYPES.join(', ')}`));
+    }
+    cb(null, true);
+  },
+});
+
+// Read a single file from the multipart 'file' field, turning multer's errors into HttpErrors
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return next(new HttpError(PAYLOAD_TOO_LARGE, `Attachments may be at most ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB`));
+      }
+      return next(new HttpError(BAD_REQUEST, "Upload a single file in the 'file' field"));
+    }
+    next(error);
+  });
+};
+
+// Load the expense into req.expense if the user may take action on it: anyone who can
+// view the expense can see its receipts, changing them needs edit access (see utils/permissions.js)
+const loadExpense = (action) => async (req, _res, next) => {
+  const expense = await Expense.findById(req.params.id).exec();
+  if (!expense) throw new HttpError(NOT_FOUND, 'Could not find expense');
+
+  await authorize(req.user, action, expense);
+  req.expense = expense;
+  next();
+};
+
+const findAttachment = (req) => {
+  const attachment = req.expense.attachments.id(req.params.attachmentId);
+  if (!attachment) throw new HttpError(NOT_FOUND, 'Attachment not found');
+  return attachment;
+};
+
+// GET - list the expense's attachments
+attachmentsRouter.get('/', validate(expenseIdParam), loadExpense('view'), async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.expense.attachments,
+    message: 'Attachments retrieved successfully'
+  });
+});
+
+// POST - upload a receipt (multipart/form-data, field 'file')
+attachmentsRouter.post('/', validate(expenseIdParam), loadExpense('edit'), receiveFile, async (req, res) => {
+  const { expense, file } = req;
+  if (!file) throw new HttpError(BAD_REQUEST, "'file' is required (multipart/form-data)");
+
+  if (expense.attachments.length >= MAX_ATTACHMENTS_PER_EXPENSE) {
+    throw new HttpError(BAD_REQUEST, `An expense can have at most ${MAX_ATTACHMENTS_PER_EXPENSE} attachments`);
+  }
+
+  // Don't trust the declared type: the contents must match it
+  const contentType = detectAttachmentType(file.buffer);
+  if (contentType !== file.mimetype) {
+    throw new HttpError(UNSUPPORTED_MEDIA_TYPE, `File contents do not match the declared type '${file.mimetype}'`);
+  }
+
+  const attachmentId = new mongoose.Types.ObjectId();
+  const key = attachmentKey(expense, attachmentId);
+  await getStorage().put(key, file.buffer);
+
+  expense.attachments.push({
+    _id: attachmentId,
+    key,
+    filename: cleanFilename(file.originalname),
+    contentType,
+    size: file.size,
+  });
+  try {
+    await expense.save();
+  } catch (error) {
+    await getStorage().delete(key);
+    throw error;
+  }
+  const attachment = expense.attachments.id(attachmentId);
+  await recordAudit(req, {
+    action: 'expense.attach',
+    target: { type: 'expense', id: expense._id },
+    details: { attachment: attachment.id, filename: attachment.filename, contentType, size: file.size },
+  });
+
+  res.status(201).json({
+    success: true,
+    data: attachment,
+    message: 'Attachment uploaded successfully'
+  });
+});
+
+// GET with ID - download the file
+attachmentsRouter.get('/:attachmentId', validate(attachmentIdParam), loadExpense('view'), async (req, res) => {
+  const attachment = findAttachment(req);
+
+  const stream = await getStorage().get(attachment.key);
+  if (!stream) throw new HttpError(NOT_FOUND, 'Attachment file not found');
+
+  res.attachment(attachment.filename);
+  res.set({
+    'Content-Type': attachment.contentType,
+    'Content-Length': attachment.size,
+  });
+  try {
+    await pipeline(stream, res);
+  } catch (error) {
+    // Once the download has started the status can't change; pipeline has already closed the response
+    if (!res.headersSent) throw error;
+    console.error('Attachment download error:', error);
+  }
+});
+
+// DELETE with ID - remove the attachment and its file
+attachmentsRouter.delete('/:attachmentId', validate(attachmentIdParam), loadExpense('edit'), async (req, res) => {
+  const attachment = findAttachment(req);
+
+  await getStorage().delete(attachment.key);
+  req.expense.attachments.pull(attachment._id);
+  await req.expense.save();
+  await recordAudit(req, {
+    action: 'expense.detach',
+    target: { type: 'expense', id: req.expense._id },
+    details: { attachment: attachment.id, filename: attachment.filename },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { id: req.params.attachmentId },
+    message: 'Attachment deleted successfully'
+  });
+});
+
+export default attachmentsRouter;
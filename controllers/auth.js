@@ -1,20 +1,38 @@
 import express from "express";
 import User from "../models/user.js";
-import Expense from "../models/expense.js";
-import Category from "../models/category.js";
 import {
   HttpError,
   BAD_REQUEST,
   UNAUTHORIZED,
+  FORBIDDEN,
+  TOO_MANY_REQUESTS,
   INTERNAL_SERVER_ERROR,
 } from "../utils/HttpError.js";
-import { registerSchema, loginSchema, updateProfileSchema, deleteAccountSchema } from "../utils/validators.js";
+import {
+  registerSchema,
+  loginSchema,
+  updateProfileSchema,
+  deleteAccountSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  twoFactorCodeSchema,
+} from "../utils/validators.js";
 import { validate } from "../middleware/validateRequest.js";
-import { requireAuth } from "../middleware/auth.js";
+import { SUSPENDED_MESSAGE, requireAccount } from "../middleware/auth.js";
+import { consumeAuthToken } from "../utils/tokens.js";
+import { resetWait, sendPasswordResetEmail } from "../utils/passwordReset.js";
+import { destroyUserSessions, startSession } from "../utils/sessions.js";
+import { assertKeepsAdmin, deleteUserAccount } from "../utils/accounts.js";
+import { resendWait, reverifyEmail, sendVerificationEmail } from "../utils/verification.js";
+import { clearLoginFailures, loginWait, recordLoginFailure } from "../utils/loginThrottle.js";
+import { MAX_TWO_FACTOR_ATTEMPTS, TWO_FACTOR_LOGIN_TTL, useTwoFactorCode } from "../utils/twoFactor.js";
+import { auditSnapshot, recordAudit } from "../utils/audit.js";
 
 const router = express.Router();
 
-// User registration
+// User registration. The account starts unverified and a verification link is emailed;
+// until it is opened the unverified email policy applies (see utils/verification.js).
 router.post("/register", validate(registerSchema), async (req, res) => {
   const { email, password, name } = req.body;
 
@@ -30,10 +48,13 @@ router.post("/register", validate(registerSchema), async (req, res) => {
     email,
     name,
     passwordHash,
+    emailVerified: false,
   });
+  await sendVerificationEmail(user);
+  await recordAudit(req, { action: "user.register", target: { type: "user", id: user._id }, after: user, actor: user });
 
   // Set session
-  req.session.userId = user._id.toString();
+  startSession(req, user);
 
   res.status(201).json({
     message: "User created successfully",
@@ -41,24 +62,62 @@ router.post("/register", validate(registerSchema), async (req, res) => {
   });
 });
 
-// User login
+// A right password isn't enough for suspended accounts, or after an admin forced a password reset
+const assertCanLogIn = (user) => {
+  if (user.suspended) {
+    throw new HttpError(FORBIDDEN, SUSPENDED_MESSAGE);
+  }
+  if (user.passwordResetRequired) {
+    throw new HttpError(FORBIDDEN, "A password reset is required, check your email for a reset link");
+  }
+};
+
+// Refuse a login attempt while its account or IP address is locked out
+const assertNotThrottled = async (attempt, res) => {
+  const wait = await loginWait(attempt);
+  if (wait > 0) {
+    res.set("Retry-After", String(Math.ceil(wait / 1000)));
+    throw new HttpError(TOO_MANY_REQUESTS, "Too many failed login attempts, please try again later");
+  }
+};
+
+// User login. Failed attempts, wrong passwords and wrong two-factor codes alike, are counted
+// per account and per IP address; too many lock logins out for a while (see utils/loginThrottle.js).
+// The count is only cleared once the whole login has succeeded.
 router.post("/login", validate(loginSchema), async (req, res) => {
   const { email, password } = req.body;
+  const attempt = { email, ip: req.ip };
+  await assertNotThrottled(attempt, res);
 
-  // Find user by email
+  // Find user by email and verify password
   const user = await User.findOne({ email });
-  if (!user) {
+  const passwordCorrect = user && await user.verifyPassword(password);
+  if (!passwordCorrect) {
+    await recordLoginFailure(attempt);
     throw new HttpError(UNAUTHORIZED, "Invalid credentials");
   }
+  assertCanLogIn(user);
 
-  // Verify password
-  const passwordCorrect = await user.verifyPassword(password);
-  if (!passwordCorrect) {
-    throw new HttpError(UNAUTHORIZED, "Invalid credentials");
+  // With two-factor authentication on, the password only opens the second step
+  if (user.twoFactorEnabled) {
+    delete req.session.userId;
+    delete req.session.twoFactorVerified;
+    req.session.twoFactorLogin = {
+      userId: user._id.toString(),
+      expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL,
+      attempts: 0,
+    };
+    return res.status(200).json({
+      message: "Two-factor code required",
+      twoFactorRequired: true,
+    });
   }
 
   // Set session
-  req.session.userId = user._id.toString();
+  await clearLoginFailures(email);
+  startSession(req, user);
+  delete req.session.twoFactorVerified;
+  await recordAudit(req, { action: "auth.login", target: { type: "user", id: user._id }, actor: user });
 
   res.status(200).json({
     message: "Login successful",
@@ -66,6 +125,134 @@ router.post("/login", validate(loginSchema), async (req, res) => {
   });
 });
 
+// Second login step: a code from the authenticator app or a recovery code. After too many
+// wrong codes, or once the step has expired, the login starts over from the password.
+router.post("/login/2fa", validate(twoFactorCodeSchema), async (req, res) => {
+  const pending = req.session.twoFactorLogin;
+  if (!pending || pending.expiresAt < Date.now()) {
+    delete req.session.twoFactorLogin;
+    throw new HttpError(UNAUTHORIZED, "Log in with your password first");
+  }
+
+  const user = await User.findById(pending.userId);
+  if (!user) {
+    delete req.session.twoFactorLogin;
+    throw new HttpError(UNAUTHORIZED, "Invalid two-factor code");
+  }
+
+  // Wrong codes count against the account like wrong passwords, so a known password doesn't
+  // allow unlimited guesses over repeated logins
+  const attempt = { email: user.email, ip: req.ip };
+  await assertNotThrottled(attempt, res);
+  if (!(await useTwoFactorCode(user, req.body.code))) {
+    await recordLoginFailure(attempt);
+    pending.attempts += 1;
+    if (pending.attempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+      delete req.session.twoFactorLogin;
+    }
+    throw new HttpError(UNAUTHORIZED, "Invalid two-factor code");
+  }
+
+  delete req.session.twoFactorLogin;
+  assertCanLogIn(user);
+  await clearLoginFailures(user.email);
+  startSession(req, user);
+  req.session.twoFactorVerified = true;
+  await recordAudit(req, {
+    action: "auth.login",
+    target: { type: "user", id: user._id },
+    details: { twoFactor: true },
+    actor: user,
+  });
+
+  res.status(200).json({
+    message: "Login successful",
+    user,
+  });
+});
+
+// Request a password reset link by email, at most once a minute per account. The response is
+// the same whether or not an account exists or an email went out, so it can't be used to find
+// out who has one.
+router.post("/forgot-password", validate(forgotPasswordSchema), async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+  if (user && await resetWait(user) === 0) {
+    await sendPasswordResetEmail(user);
+  }
+
+  res.status(200).json({
+    message: "If an account exists for that email, a password reset link has been sent",
+  });
+});
+
+// Set a new password with a token from a reset email. Every existing session of the user is
+// logged out; they sign in again with the new password.
+router.post("/reset-password", validate(resetPasswordSchema), async (req, res) => {
+  const { token, password } = req.body;
+
+  const record = await consumeAuthToken(token, "password-reset");
+  const user = record && await User.findById(record.user);
+  if (!user) {
+    throw new HttpError(BAD_REQUEST, "Invalid or expired reset token");
+  }
+
+  const before = auditSnapshot(user);
+  user.passwordHash = await User.hashPassword(password);
+  user.passwordResetRequired = false;
+  // Receiving the reset email proves the address belongs to them
+  user.emailVerified = true;
+  await user.save();
+  await destroyUserSessions(user._id);
+  await recordAudit(req, {
+    action: "auth.password_reset",
+    target: { type: "user", id: user._id },
+    before,
+    after: user,
+    details: { passwordChanged: true },
+    actor: user,
+  });
+
+  res.status(200).json({
+    message: "Password reset successfully",
+  });
+});
+
+// Confirm an email address with the token from a verification email
+router.post("/verify-email", validate(verifyEmailSchema), async (req, res) => {
+  const record = await consumeAuthToken(req.body.token, "email-verification");
+  const before = record && await User.findByIdAndUpdate(record.user, { emailVerified: true });
+  if (!before) {
+    throw new HttpError(BAD_REQUEST, "Invalid or expired verification token");
+  }
+  const user = await User.findById(before._id);
+  await recordAudit(req, { action: "user.verify_email", target: { type: "user", id: user._id }, before, after: user, actor: user });
+
+  res.status(200).json({
+    message: "Email verified successfully",
+    user,
+  });
+});
+
+// Send the verification email again, at most once a minute
+router.post("/resend-verification", requireAccount, async (req, res) => {
+  if (req.user.emailVerified !== false) {
+    throw new HttpError(BAD_REQUEST, "Email is already verified");
+  }
+
+  const wait = await resendWait(req.user);
+  if (wait > 0) {
+    res.set("Retry-After", String(Math.ceil(wait / 1000)));
+    throw new HttpError(TOO_MANY_REQUESTS, "Please wait before requesting another verification email");
+  }
+
+  await sendVerificationEmail(req.user);
+  res.status(200).json({
+    message: "Verification email sent",
+  });
+});
+
 // Logout endpoint
 router.post("/logout", (req, res) => {
   req.session.destroy((err) => {
@@ -103,9 +290,9 @@ router.get("/me", async (req, res) => {
   }
 });
 
-// Update user profile
-router.put("/profile", requireAuth, validate(updateProfileSchema), async (req, res) => {
-  const { name, email, currentPassword, newPassword } = req.body;
+// Update user profile. Changing the password logs out all other sessions.
+router.put("/profile", requireAccount, validate(updateProfileSchema), async (req, res) => {
+  const { name, email, currentPassword, newPassword, baseCurrency } = req.body;
   const userId = req.user._id;
 
   // Find the user
@@ -121,14 +308,21 @@ router.put("/profile", requireAuth, validate(updateProfileSchema), async (req, r
     updates.name = name;
   }
 
-  // Update email if provided
-  if (email !== undefined) {
+  // Update email if provided. A new address has to be verified again.
+  const emailChanged = email !== undefined && email !== user.email;
+  if (emailChanged) {
     // Check if email is already taken by another user
     const existingUser = await User.findOne({ email, _id: { $ne: userId } });
     if (existingUser) {
       throw new HttpError(BAD_REQUEST, "Email already exists");
     }
     updates.email = email;
+    updates.emailVerified = false;
+  }
+
+  // Update base currency if provided
+  if (baseCurrency !== undefined) {
+    updates.baseCurrency = baseCurrency.toUpperCase();
   }
 
   // Update password if provided
@@ -153,6 +347,20 @@ router.put("/profile", requireAuth, validate(updateProfileSchema), async (req, r
     updates,
     { new: true, runValidators: true }
   );
+  if (emailChanged) {
+    await reverifyEmail(updatedUser);
+  }
+  // A new password logs out every other device, in case the old one was known to someone else
+  if (newPassword !== undefined) {
+    await destroyUserSessions(userId, req.sessionID);
+  }
+  await recordAudit(req, {
+    action: "user.update",
+    target: { type: "user", id: userId },
+    before: user,
+    after: updatedUser,
+    details: newPassword !== undefined ? { passwordChanged: true } : {},
+  });
 
   res.status(200).json({
     message: "Profile updated successfully",
@@ -161,7 +369,7 @@ router.put("/profile", requireAuth, validate(updateProfileSchema), async (req, r
 });
 
 // Delete user account
-router.delete("/profile", requireAuth, validate(deleteAccountSchema), async (req, res) => {
+router.delete("/profile", requireAccount, validate(deleteAccountSchema), async (req, res) => {
   const { password } = req.body;
   const userId = req.user._id;
 
@@ -177,12 +385,12 @@ router.delete("/profile", requireAuth, validate(deleteAccountSchema), async (req
     throw new HttpError(UNAUTHORIZED, "Invalid password");
   }
 
-  // Delete user's expenses and categories (cascade delete)
-  await Promise.all([
-    User.findByIdAndDelete(userId),
-    Expense.deleteMany({ user: userId }),
-    Category.deleteMany({ user: userId })
-  ]);
+  // The last admin can't leave
+  await assertKeepsAdmin(user);
+
+  // Delete everything that is only theirs. Shared ledgers keep what the user added to them.
+  await deleteUserAccount(userId);
+  await recordAudit(req, { action: "user.delete", target: { type: "user", id: userId }, before: user });
 
   // Clear session
   req.session.destroy((err) => {
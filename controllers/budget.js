@@ -0,0 +1,148 @@
+import { Router } from 'express';
+import { validate } from '../middleware/validateRequest.js';
+import { budgetSchema, budgetIdParam, budgetStatusQuery } from '../utils/validators.js';
+import Budget from '../models/budget.js';
+import Category from '../models/category.js';
+import { HttpError, NOT_FOUND, FORBIDDEN } from '../utils/HttpError.js';
+import { apiScope, requireAuth } from '../middleware/auth.js';
+import { computeBudgetStatus } from '../utils/budgets.js';
+import { recordAudit } from '../utils/audit.js';
+
+const budgetsRouter = Router();
+
+// All routes here require authentication
+budgetsRouter.use(apiScope('budgets'), requireAuth);
+
+// Find a budget that belongs to the authenticated user
+const findOwnBudget = async (req) => {
+  const budget = await Budget.findById(req.params.id).populate('category', 'name').exec();
+  if (!budget) throw new HttpError(NOT_FOUND, 'Budget not found');
+
+  if (budget.user.toString() !== req.user._id.toString()) {
+    throw new HttpError(FORBIDDEN, 'Forbidden');
+  }
+  return budget;
+};
+
+// Ensure a budget category exists and the user is allowed to use it
+const resolveCategory = async (categoryId, user) => {
+  if (!categoryId) return null;
+  const category = await Category.findById(categoryId).exec();
+  if (!category) throw new HttpError(NOT_FOUND, 'Category not found');
+  if (!category.isVisibleTo(user)) throw new HttpError(FORBIDDEN, 'You cannot use this category');
+  return category._id;
+};
+
+// GET - list the authenticated user's budgets
+budgetsRouter.get('/', async (req, res) => {
+  const budgets = await Budget.find({ user: req.user._id }).populate('category', 'name').sort({ createdAt: 1 }).exec();
+  res.status(200).json({
+    success: true,
+    data: budgets,
+    message: 'Budgets retrieved successfully'
+  });
+});
+
+// GET - spending status of every budget for the current (or given) period
+budgetsRouter.get('/status', validate(budgetStatusQuery), async (req, res) => {
+  const at = req.query.date ? new Date(req.query.date) : new Date();
+  const budgets = await Budget.find({ user: req.user._id }).populate('category', 'name').sort({ createdAt: 1 }).exec();
+  const statuses = await Promise.all(budgets.map((budget) => computeBudgetStatus(budget, at, req.user.baseCurrency)));
+  res.status(200).json({
+    success: true,
+    data: statuses,
+    message: 'Budget status retrieved successfully'
+  });
+});
+
+// GET with ID
+budgetsRouter.get('/:id', validate(budgetIdParam), async (req, res) => {
+  const budget = await findOwnBudget(req);
+  res.status(200).json({
+    success: true,
+    data: budget,
+    message: 'Budget retrieved successfully'
+  });
+});
+
+// GET with ID - spending status for the current (or given) period
+budgetsRouter.get('/:id/status', validate(budgetIdParam), validate(budgetStatusQuery), async (req, res) => {
+  const budget = await findOwnBudget(req);
+  const at = req.query.date ? new Date(req.query.date) : new Date();
+  const status = await computeBudgetStatus(budget, at, req.user.baseCurrency);
+  res.status(200).json({
+    success: true,
+    data: status,
+    message: 'Budget status retrieved successfully'
+  });
+});
+
+// POST - create a budget for a category, or an overall budget when no category is given
+budgetsRouter.post('/', validate(budgetSchema), async (req, res) => {
+  const { categoryId, amount, period, startDate, endDate, threshold } = req.body;
+
+  const category = await resolveCategory(categoryId, req.user);
+
+  const budget = await Budget.create({
+    user: req.user._id,
+    category,
+    amount: Number(amount),
+    period,
+    startDate: period === 'custom' ? new Date(startDate) : undefined,
+    endDate: period === 'custom' ? new Date(endDate) : undefined,
+    threshold: threshold !== undefined ? Number(threshold) : undefined,
+  });
+
+  await recordAudit(req, { action: 'budget.create', target: { type: 'budget', id: budget._id }, after: budget });
+  const populatedBudget = await Budget.findById(budget._id).populate('category', 'name').exec();
+
+  res.status(201).json({
+    success: true,
+    data: populatedBudget,
+    message: 'Budget created successfully'
+  });
+});
+
+// PUT with ID - update a budget (owner only)
+budgetsRouter.put('/:id', validate(budgetIdParam), validate(budgetSchema), async (req, res) => {
+  const { categoryId, amount, period, startDate, endDate, threshold } = req.body;
+
+  const budget = await findOwnBudget(req);
+  const category = await resolveCategory(categoryId, req.user);
+  const newPeriod = period || budget.period;
+
+  const updatedBudget = await Budget.findByIdAndUpdate(
+    budget._id,
+    {
+      category,
+      amount: Number(amount),
+      period: newPeriod,
+      startDate: newPeriod === 'custom' ? new Date(startDate || budget.startDate) : null,
+      endDate: newPeriod === 'custom' ? new Date(endDate || budget.endDate) : null,
+      threshold: threshold !== undefined ? Number(threshold) : budget.threshold,
+    },
+    { new: true, runValidators: true }
+  ).populate('category', 'name').exec();
+  await recordAudit(req, { action: 'budget.update', target: { type: 'budget', id: budget._id }, before: budget, after: updatedBudget });
+
+  res.status(200).json({
+    success: true,
+    data: updatedBudget,
+    message: 'Budget updated successfully'
+  });
+});
+
+// DELETE with ID - owner only
+budgetsRouter.delete('/:id', validate(budgetIdParam), async (req, res) => {
+  const budget = await findOwnBudget(req);
+
+  await Budget.findByIdAndDelete(budget._id).exec();
+  await recordAudit(req, { action: 'budget.delete', target: { type: 'budget', id: budget._id }, before: budget });
+  res.status(200).json({
+    success: true,
+    data: { id: req.params.id },
+    message: 'Budget deleted successfully'
+  });
+});
+
+export default budgetsRouter;
@@ -1,16 +1,38 @@
 import { Router } from 'express';
-import { validate } from '../middleware/validateRequest.js';
-import { categoryIdParam } from '../utils/validators.js';
+import { validate, validateBody, mergePatchBody } from '../middleware/validateRequest.js';
+import { categorySchema, categoryIdParam, paginationQuery, ledgerScopeQuery } from '../utils/validators.js';
 import Category from '../models/category.js';
 import Expense from '../models/expense.js';
-import { HttpError, NOT_FOUND } from '../utils/HttpError.js';
-import { requireAuth } from '../middleware/auth.js';
+import Budget from '../models/budget.js';
+import RecurringExpense from '../models/recurringExpense.js';
+import { HttpError, NOT_FOUND, BAD_REQUEST, UNAUTHORIZED } from '../utils/HttpError.js';
+import { apiScope, requireAuth, optionalAuth } from '../middleware/auth.js';
+import { EXPENSE_PAGINATION, paginate, parsePageParams } from '../utils/pagination.js';
+import { categoryFilter, splitAmountFor } from '../utils/splits.js';
+import { authorize, can, loadLedger } from '../utils/permissions.js';
+import { auditSnapshot, recordAudit } from '../utils/audit.js';
+import { inTrash } from '../utils/softDelete.js';
+import { purgeDate, restoreCategory } from '../utils/trash.js';
+import { applyMergePatch, schemaForPatch } from '../utils/mergePatch.js';
+import { assertUpdated, etagOf, ifMatchFilter } from '../utils/etag.js';
 
 const categoriesRouter = Router();
 
-// Public: list categories
-categoriesRouter.get('/', async (_req, res) => {
-  const cats = await Category.find().sort({ name: 1 }).exec();
+// API tokens need the categories scopes here
+categoriesRouter.use(apiScope('categories'));
+
+const duplicateMessage = (ledger) => (ledger ? 'Category already exists in this ledger' : 'Category already exists for this user');
+
+// Public: list global categories, plus the caller's own when logged in.
+// With ?ledgerId= (members only) the ledger's categories are listed instead of the caller's own.
+categoriesRouter.get('/', optionalAuth, validate(ledgerScopeQuery), async (req, res) => {
+  let filter = Category.visibleTo(req.user);
+  if (req.query.ledgerId) {
+    if (!req.user) throw new HttpError(UNAUTHORIZED, 'Authentication required');
+    const ledger = await loadLedger(req.query.ledgerId, req.user);
+    filter = { $or: [{ visibility: 'global' }, { ledger: ledger._id }] };
+  }
+  const cats = await Category.find(filter).sort({ name: 1 }).exec();
   res.status(200).json({
     success: true,
     data: cats,
@@ -18,36 +40,199 @@ categoriesRouter.get('/', async (_req, res) => {
   });
 });
 
-// Get single category
-categoriesRouter.get('/:id', validate(categoryIdParam), async (req, res) => {
-  const cat = await Category.findById(req.params.id).exec();
-  if (!cat) throw new HttpError(NOT_FOUND, 'Category not found');
+// The caller's deleted categories, or with ?ledgerId= a ledger's, with when each will be purged
+categoriesRouter.get('/trash', requireAuth, validate(ledgerScopeQuery), async (req, res) => {
+  const scope = req.query.ledgerId
+    ? { ledger: (await loadLedger(req.query.ledgerId, req.user))._id }
+    : { user: req.user._id, ledger: null };
+  const cats = await Category.find(inTrash(scope)).sort({ deletedAt: -1 }).exec();
   res.status(200).json({
+    success: true,
+    data: cats.map((cat) => ({ ...cat.toJSON(), purgeAt: purgeDate(cat.deletedAt) })),
+    message: 'Deleted categories retrieved successfully'
+  });
+});
+
+// Get single category (hidden private categories are reported as not found)
+categoriesRouter.get('/:id', optionalAuth, validate(categoryIdParam), async (req, res) => {
+  const cat = await Category.findById(req.params.id).exec();
+  if (!cat || !(await can(req.user, 'view', cat))) throw new HttpError(NOT_FOUND, 'Category not found');
+  res.set('ETag', etagOf(cat)).status(200).json({
     success: true,
     data: cat,
     message: 'Category retrieved successfully'
   });
 });
 
-// List expenses within a category. Auth required.
-categoriesRouter.get('/:id/expenses', requireAuth, validate(categoryIdParam), async (req, res) => {
+// POST - create a category owned by the authenticated user, or with ledgerId a
+// category shared in that ledger (owners and editors)
+categoriesRouter.post('/', requireAuth, validate(categorySchema), async (req, res) => {
+  const { name, ledgerId } = req.body;
+  const ledger = ledgerId ? (await loadLedger(ledgerId, req.user, 'edit'))._id : null;
+
+  // Check if the user (or ledger) already has a category with this name
+  const existingCategory = await Category.findOne(Category.sameName(name, { user: req.user._id, ledger })).exec();
+  if (existingCategory) {
+    throw new HttpError(BAD_REQUEST, duplicateMessage(ledger));
+  }
+
+  const category = await Category.create({
+    name,
+    user: req.user._id,
+    ledger,
+  });
+  await recordAudit(req, { action: 'category.create', target: { type: 'category', id: category._id }, after: category });
+
+  res.status(201).json({
+    success: true,
+    data: category,
+    message: 'Category created successfully'
+  });
+});
+
+// Rename category to name and record the change. With If-Match, the category must not have
+// changed since the client fetched it.
+const updateCategory = async (req, category, { name }) => {
+  const filter = ifMatchFilter(req, category);
+
+  // Check for duplicate name for the same owner (or in the same ledger)
+  if (name !== category.name) {
+    const existingCategory = await Category.findOne({
+      ...Category.sameName(name, category),
+      _id: { $ne: category._id }
+    }).exec();
+
+    if (existingCategory) {
+      throw new HttpError(BAD_REQUEST, duplicateMessage(category.ledger));
+    }
+  }
+
+  const updatedCategory = assertUpdated(await Category.findOneAndUpdate(
+    filter,
+    { name },
+    { new: true, runValidators: true }
+  ).exec());
+  await recordAudit(req, { action: 'category.update', target: { type: 'category', id: category._id }, before: category, after: updatedCategory });
+  return updatedCategory;
+};
+
+// Find a category the user may edit
+const findEditableCategory = async (req) => {
+  const category = await Category.findById(req.params.id).exec();
+  if (!category) throw new HttpError(NOT_FOUND, 'Category not found');
+  await authorize(req.user, 'edit', category);
+  return category;
+};
+
+// PUT with ID - rename a category (owner, ledger owners and editors, or admin)
+categoriesRouter.put('/:id', requireAuth, validate(categoryIdParam), validate(categorySchema), async (req, res) => {
+  const category = await findEditableCategory(req);
+  const updatedCategory = await updateCategory(req, category, req.body);
+
+  res.set('ETag', etagOf(updatedCategory)).status(200).json({
+    success: true,
+    data: updatedCategory,
+    message: 'Category updated successfully'
+  });
+});
+
+// PATCH with ID - rename a category with a JSON merge patch ({ "name": "..." }), like PUT
+categoriesRouter.patch('/:id', requireAuth, validate(categoryIdParam), mergePatchBody, async (req, res) => {
+  const category = await findEditableCategory(req);
+
+  const body = applyMergePatch({ name: category.name }, req.body);
+  const [error] = await validateBody(schemaForPatch(categorySchema, req.body), body);
+  if (error) throw new HttpError(BAD_REQUEST, error);
+
+  const updatedCategory = await updateCategory(req, category, body);
+
+  res.set('ETag', etagOf(updatedCategory)).status(200).json({
+    success: true,
+    data: updatedCategory,
+    message: 'Category updated successfully'
+  });
+});
+
+// DELETE with ID - owner, ledger owners and editors, or admin can delete a category with no
+// expenses. It goes to the trash; its budgets are deleted straight away.
+categoriesRouter.delete('/:id', requireAuth, validate(categoryIdParam), async (req, res) => {
+  const category = await Category.findById(req.params.id).exec();
+  if (!category) throw new HttpError(NOT_FOUND, 'Category not found');
+
+  await authorize(req.user, 'edit', category);
+
+  // Check if category has expenses (including splits filed under it)
+  const expenseCount = await Expense.countDocuments(categoryFilter([category._id])).exec();
+  if (expenseCount > 0) {
+    throw new HttpError(BAD_REQUEST, `Cannot delete category: ${expenseCount} expense(s) are assigned to this category`);
+  }
+
+  // Recurring expenses would keep creating expenses in a deleted category
+  const recurringCount = await RecurringExpense.countDocuments({ category: category._id }).exec();
+  if (recurringCount > 0) {
+    throw new HttpError(BAD_REQUEST, `Cannot delete category: ${recurringCount} recurring expense(s) use this category`);
+  }
+
+  const before = auditSnapshot(category);
+  await category.moveToTrash(req.user);
+  await Budget.deleteMany({ category: category._id }).exec();
+  await recordAudit(req, { action: 'category.delete', target: { type: 'category', id: category._id }, before, after: category });
+  res.status(200).json({
+    success: true,
+    data: { id: req.params.id },
+    message: 'Category deleted successfully'
+  });
+});
+
+// POST - take a category out of the trash (same permissions as deleting it)
+categoriesRouter.post('/:id/restore', requireAuth, validate(categoryIdParam), async (req, res) => {
+  const category = await Category.findOne(inTrash({ _id: req.params.id })).exec();
+  if (!category) throw new HttpError(NOT_FOUND, 'Could not find deleted category');
+  await authorize(req.user, 'edit', category);
+
+  const before = auditSnapshot(category);
+  await restoreCategory(category);
+  await recordAudit(req, { action: 'category.restore', target: { type: 'category', id: category._id }, before, after: category });
+
+  res.status(200).json({
+    success: true,
+    data: category,
+    message: 'Category restored successfully'
+  });
+});
+
+// List expenses within a category (paginated). Auth required.
+categoriesRouter.get('/:id/expenses', requireAuth, validate(categoryIdParam), validate(paginationQuery(EXPENSE_PAGINATION)), async (req, res) => {
   const catId = req.params.id;
   const category = await Category.findById(catId).exec();
-  if (!category) throw new HttpError(NOT_FOUND, 'Category not found');
+  if (!category || !(await can(req.user, 'view', category))) throw new HttpError(NOT_FOUND, 'Category not found');
+
+  const page = parsePageParams(req.query, EXPENSE_PAGINATION);
+
+  // Split expenses are listed if any split is in this category; categoryAmount is the part filed here
+  const inCategory = categoryFilter([category._id]);
+  const withCategoryAmount = (expenses) => expenses.map((expense) => ({
+    ...expense.toJSON(),
+    categoryAmount: splitAmountFor(expense, category._id),
+  }));
 
   // If admin, return all expenses in category; otherwise only the user's
   if (req.user.role === 'admin') {
-    const expenses = await Expense.find({ category: catId }).populate('user category').sort({ date: -1 }).exec();
+    const { data: expenses, pageInfo } = await paginate(Expense.find(inCategory).populate('user category'), page);
     res.status(200).json({
       success: true,
-      data: expenses,
+      data: withCategoryAmount(expenses),
+      pageInfo,
       message: 'Category expenses retrieved successfully (admin view)'
     });
   } else {
-    const expenses = await Expense.find({ category: catId, user: req.user._id }).populate('category').sort({ date: -1 }).exec();
+    // A ledger category lists the ledger's expenses; other categories the user's personal ones
+    const scope = category.ledger ? { ledger: category.ledger } : { user: req.user._id, ledger: null };
+    const { data: expenses, pageInfo } = await paginate(Expense.find({ ...inCategory, ...scope }).populate('category'), page);
     res.status(200).json({
       success: true,
-      data: expenses,
+      data: withCategoryAmount(expenses),
+      pageInfo,
       message: 'Category expenses retrieved successfully'
     });
   }
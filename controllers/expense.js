@@ -1,85 +1,252 @@
-import { Router } from 'express';
-import { validate } from '../middleware/validateRequest.js';
-import { expenseSchema, expenseIdParam } from '../utils/validators.js';
+import { Router, text } from 'express';
+import { validate, validateBody, validateQuery, mergePatchBody } from '../middleware/validateRequest.js';
+import {
+  expenseSchema,
+  expenseIdParam,
+  paginationQuery,
+  expenseFilterQuery,
+  ledgerScopeQuery,
+  expenseExportQuery,
+  expenseImportQuery,
+  expenseImportRowSchema,
+  expenseRevertSchema,
+  expensePatchSchema,
+  expenseFieldDependencies,
+  bulkExpenseSchema,
+} from '../utils/validators.js';
 import Expense from '../models/expense.js';
 import Category from '../models/category.js';
 import User from '../models/user.js';
-import { HttpError, NOT_FOUND, FORBIDDEN } from '../utils/HttpError.js';
-import { requireAuth } from '../middleware/auth.js';
+import { HttpError, NOT_FOUND, BAD_REQUEST } from '../utils/HttpError.js';
+import { apiScope, requireAuth } from '../middleware/auth.js';
+import { EXPENSE_PAGINATION, TRASH_PAGINATION, paginate, parsePageParams } from '../utils/pagination.js';
+import { buildExpenseFilter } from '../utils/expenseFilters.js';
+import { budgetWarningsForExpense } from '../utils/budgets.js';
+import { DEFAULT_CURRENCY } from '../utils/currency.js';
+import { IMPORT_FIELDS, matchImportCategories, readImportRows } from '../utils/expenseImport.js';
+import { sendExpenseExport } from '../utils/expenseExport.js';
+import { hasSplits, resolveExpenseCategories } from '../utils/splits.js';
+import { authorize, loadLedger } from '../utils/permissions.js';
+import { resolveExpenseSharing } from '../utils/settleUp.js';
+import { auditSnapshot, recordAudit } from '../utils/audit.js';
+import { inTrash } from '../utils/softDelete.js';
+import { purgeDate, restoreExpense } from '../utils/trash.js';
+import { listRevisions, recordRevision, revertExpense } from '../utils/revisions.js';
+import { schemaForPatch } from '../utils/mergePatch.js';
+import { aliasExpensePatch, patchExpenseBody } from '../utils/expensePatch.js';
+import { assertUpdated, etagOf, ifMatchFilter } from '../utils/etag.js';
+import { MAX_BULK_ITEMS, runBulk, runBulkAtomically } from '../utils/bulk.js';
 
 const SUCCESS_NO_CONTENT = 204;
+const IMPORT_BODY_LIMIT = '2mb';
 
 const expensesRouter = Router();
 
 // All routes here require authentication
-expensesRouter.use(requireAuth);
+expensesRouter.use(apiScope('expenses'), requireAuth);
 
-// GET - list the authenticated user's expenses 
-expensesRouter.get('/', async (req, res) => {
-  const filter = { user: req.user._id };
-  if (req.query.categoryId) {
-    filter.category = req.query.categoryId;
-  }
-  const expenses = await Expense.find(filter).populate('category').sort({ date: -1 }).exec();
+// The expenses a list covers: a ledger's with ?ledgerId= (any member), otherwise the user's personal ones
+const expenseScope = async (req, query = req.query) => {
+  if (!query.ledgerId) return { user: req.user._id, ledger: null };
+  const ledger = await loadLedger(query.ledgerId, req.user);
+  return { ledger: ledger._id };
+};
+
+// Find an expense (the one in the route unless id is given), or throw 404 / 403 unless the
+// user may take action on it (see utils/permissions.js)
+const findExpense = async (req, action, populate = null, id = req.params.id) => {
+  let query = Expense.findById(id);
+  if (populate) query = query.populate(populate);
+  const expense = await query.exec();
+  if (!expense) throw new HttpError(NOT_FOUND, 'Could not find expense');
+  await authorize(req.user, action, expense);
+  return expense;
+};
+
+// GET - list the authenticated user's expenses, or a ledger's (filtered and paginated)
+expensesRouter.get('/', validate(ledgerScopeQuery), validate(expenseFilterQuery), validate(paginationQuery(EXPENSE_PAGINATION)), async (req, res) => {
+  const filter = buildExpenseFilter(req.query, await expenseScope(req));
+  const page = parsePageParams(req.query, EXPENSE_PAGINATION);
+  const { data: expenses, pageInfo } = await paginate(Expense.find(filter).populate('category splits.category'), page);
   res.status(200).json({
     success: true,
     data: expenses,
+    pageInfo,
     message: 'Expenses retrieved successfully'
   });
 });
 
-// GET with ID - return the expense if it belongs to the user or the user is admin
-expensesRouter.get('/:id', validate(expenseIdParam), async (req, res) => {
-  const expense = await Expense.findById(req.params.id).populate('category').exec();
-  if (!expense) throw new HttpError(NOT_FOUND, 'Could not find expense');
-
-  // owner or admin may view
-  if (expense.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-    throw new HttpError(FORBIDDEN, 'Forbidden');
-  }
+// GET - download the user's expenses as CSV, JSON Lines or OFX (?format=, default csv).
+// Takes the same ledger scope and filters as the list above.
+expensesRouter.get('/export', validate(ledgerScopeQuery), validate(expenseFilterQuery), validate(expenseExportQuery), async (req, res) => {
+  await sendExpenseExport(res, {
+    filter: buildExpenseFilter(req.query, await expenseScope(req)),
+    format: req.query.format || 'csv',
+    filename: `expenses-${new Date().toISOString().slice(0, 10)}`,
+    accountId: req.query.ledgerId || req.user._id.toString(),
+    defaultCurrency: req.user.baseCurrency || DEFAULT_CURRENCY,
+  });
+});
 
+// GET - the user's deleted expenses, or a ledger's, with when each will be purged
+expensesRouter.get('/trash', validate(ledgerScopeQuery), validate(paginationQuery(TRASH_PAGINATION)), async (req, res) => {
+  const page = parsePageParams(req.query, TRASH_PAGINATION);
+  const { data: expenses, pageInfo } = await paginate(
+    Expense.find(inTrash(await expenseScope(req))).populate({ path: 'category splits.category', options: { withDeleted: true } }),
+    page
+  );
   res.status(200).json({
+    success: true,
+    data: expenses.map((expense) => ({ ...expense.toJSON(), purgeAt: purgeDate(expense.deletedAt) })),
+    pageInfo,
+    message: 'Deleted expenses retrieved successfully'
+  });
+});
+
+// GET with ID - return the expense if the user may view it (owner, ledger member or admin)
+expensesRouter.get('/:id', validate(expenseIdParam), async (req, res) => {
+  const expense = await findExpense(req, 'view', 'category splits.category');
+
+  res.set('ETag', etagOf(expense)).status(200).json({
     success: true,
     data: expense,
     message: 'Expense retrieved successfully'
   });
 });
 
-// POST - create an expense assigned to a category
-expensesRouter.post('/', validate(expenseSchema), async (req, res) => {
-  const { categoryId, amount, currency, date, note, description } = req.body;
+// Create an expense for the user from body, a POST body, and record it
+const createExpense = async (req, body) => {
+  const { amount, currency, date, note, description, ledgerId } = body;
+  const ledger = ledgerId ? await loadLedger(ledgerId, req.user, 'edit') : null;
 
-  // ensure category exists
-  const category = await Category.findById(categoryId).exec();
-  if (!category) throw new HttpError(NOT_FOUND, 'Category not found');
+  // ensure the categories exist and the user is allowed to use them
+  const { category, splits } = await resolveExpenseCategories(body, req.user, ledger?._id);
+  // the user pays unless the body says otherwise
+  const sharing = await resolveExpenseSharing(body, { ledgerId: ledger?._id, payer: req.user._id });
 
   const expense = await Expense.create({
     user: req.user._id,
-    category: category._id,
+    ledger: ledger?._id,
+    category,
+    splits,
+    sharing,
     amount: Number(amount),
-    currency: currency || 'EUR',
+    currency: currency || DEFAULT_CURRENCY,
     date: date ? new Date(date) : undefined,
     note: note || description, 
     description: description || note, 
   });
 
+  await recordAudit(req, { action: 'expense.create', target: { type: 'expense', id: expense._id }, after: expense });
+  return expense;
+};
+
+// POST - create an expense assigned to a category, or split across several.
+// With ledgerId it is recorded in that ledger (owners and editors), and with sharing
+// its cost is divided between ledger members.
+expensesRouter.post('/', validate(expenseSchema), async (req, res) => {
+  const expense = await createExpense(req, req.body);
+
+  // Let the user know if this expense pushed any of their budgets over its threshold
+  const warnings = await budgetWarningsForExpense(expense);
+
   res.status(201).json({
     success: true,
     data: expense,
+    ...(warnings.length > 0 && { warnings }),
     message: 'Expense created successfully'
   });
 });
 
-// DELETE with ID - owner or admin can delete
-expensesRouter.delete('/:id', validate(expenseIdParam), async (req, res) => {
-  const expense = await Expense.findById(req.params.id).exec();
-  if (!expense) throw new HttpError(NOT_FOUND, 'Could not find expense');
+// POST - import expenses from a CSV body (Content-Type: text/csv). Columns are matched by
+// header (see utils/expenseImport.js); category names the user has no category for are
+// created as private categories. With ?dryRun=true the rows are only validated and previewed.
+expensesRouter.post('/import', text({ type: ['text/csv', 'text/plain'], limit: IMPORT_BODY_LIMIT }), validate(expenseImportQuery), async (req, res) => {
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    throw new HttpError(BAD_REQUEST, 'Request body must be CSV text sent as text/csv');
+  }
+
+  const mapping = Object.fromEntries(IMPORT_FIELDS.map((field) => [field, req.query[`${field}Column`]]));
+  const { rows, error } = readImportRows(req.body, {
+    mapping,
+    delimiter: req.query.delimiter,
+    decimal: req.query.decimal,
+    dateFormat: req.query.dateFormat,
+    currency: req.query.currency,
+  });
+  if (error) throw new HttpError(BAD_REQUEST, error);
+
+  for (const row of rows) {
+    row.errors = await validateBody(expenseImportRowSchema, row.values);
+  }
+  const validRows = rows.filter((row) => row.errors.length === 0);
+  const invalidRows = rows.filter((row) => row.errors.length > 0);
+  const { byName, missing } = await matchImportCategories(validRows.map((row) => row.values.category), req.user);
+
+  if (['true', '1'].includes(req.query.dryRun)) {
+    return res.status(200).json({
+      success: true,
+      data: {
+        dryRun: true,
+        total: rows.length,
+        valid: validRows.length,
+        invalid: invalidRows.length,
+        newCategories: missing,
+        rows: rows.map(({ row, values, errors }) => (errors.length > 0
+          ? { row, errors }
+          : { row, expense: { ...values, categoryId: byName.get(values.category.toLowerCase())?.id } })),
+      },
+      message: 'Import preview generated successfully'
+    });
+  }
+
+  // Nothing is written unless every row is valid
+  if (invalidRows.length > 0) {
+    return res.status(BAD_REQUEST).json({
+      error: `${invalidRows.length} row(s) failed validation, nothing was imported`,
+      rows: invalidRows.map(({ row, errors }) => ({ row, errors })),
+    });
+  }
 
-  if (expense.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-    throw new HttpError(FORBIDDEN, 'Forbidden');
+  const createdCategories = [];
+  for (const name of missing) {
+    const category = await Category.create({ name, user: req.user._id });
+    byName.set(name.toLowerCase(), category);
+    createdCategories.push(category);
   }
 
-  await Expense.findByIdAndDelete(req.params.id).exec();
+  const expenses = await Expense.insertMany(rows.map(({ values }) => ({
+    user: req.user._id,
+    category: byName.get(values.category.toLowerCase())._id,
+    amount: Number(values.amount),
+    currency: values.currency || DEFAULT_CURRENCY,
+    date: values.date ? new Date(values.date) : undefined,
+    note: values.description,
+    description: values.description,
+  })));
+  await recordAudit(req,
+    ...createdCategories.map((category) => ({ action: 'category.create', target: { type: 'category', id: category._id }, after: category })),
+    ...expenses.map((expense) => ({ action: 'expense.create', target: { type: 'expense', id: expense._id }, after: expense })));
+
+  res.status(201).json({
+    success: true,
+    data: { imported: expenses.length, createdCategories, expenses },
+    message: 'Expenses imported successfully'
+  });
+});
+
+// Move an expense to the trash and record it
+const trashExpense = async (req, expense) => {
+  const before = auditSnapshot(expense);
+  await expense.moveToTrash(req.user);
+  await recordAudit(req, { action: 'expense.delete', target: { type: 'expense', id: expense._id }, before, after: expense });
+};
+
+// DELETE with ID - owner, ledger owners and editors, or admin can delete. The expense goes to
+// the trash, where it can be restored until it is purged (see utils/trash.js).
+expensesRouter.delete('/:id', validate(expenseIdParam), async (req, res) => {
+  const expense = await findExpense(req, 'edit');
+  await trashExpense(req, expense);
   res.status(200).json({ 
     success: true,
     data: { id: req.params.id },
@@ -87,28 +254,73 @@ expensesRouter.delete('/:id', validate(expenseIdParam), async (req, res) => {
   });
 });
 
-// PUT with ID - update an expense (owner or admin)
-expensesRouter.put('/:id', validate(expenseIdParam), validate(expenseSchema), async (req, res) => {
-  const { categoryId, amount, currency, date, note, description } = req.body;
-  
-  // Find the existing expense
-  const expense = await Expense.findById(req.params.id).exec();
-  if (!expense) throw new HttpError(NOT_FOUND, 'Could not find expense');
+// POST - take an expense out of the trash (same permissions as deleting it)
+expensesRouter.post('/:id/restore', validate(expenseIdParam), async (req, res) => {
+  const expense = await Expense.findOne(inTrash({ _id: req.params.id })).exec();
+  if (!expense) throw new HttpError(NOT_FOUND, 'Could not find deleted expense');
+  await authorize(req.user, 'edit', expense);
 
-  // Check ownership or admin privileges
-  if (expense.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-    throw new HttpError(FORBIDDEN, 'Forbidden');
-  }
+  const before = auditSnapshot(expense);
+  await restoreExpense(expense);
+  await recordAudit(req, { action: 'expense.restore', target: { type: 'expense', id: expense._id }, before, after: expense });
+
+  res.status(200).json({
+    success: true,
+    data: await expense.populate('category splits.category'),
+    message: 'Expense restored successfully'
+  });
+});
+
+// GET - an expense's edit history, newest first (anyone who may view it). Each revision says
+// who made it, whether that was an admin changing someone else's expense, and what changed.
+expensesRouter.get('/:id/history', validate(expenseIdParam), async (req, res) => {
+  const expense = await findExpense(req, 'view');
+  res.status(200).json({
+    success: true,
+    data: await listRevisions(expense),
+    message: 'Expense history retrieved successfully'
+  });
+});
+
+// POST - put an expense back the way it was at an earlier revision (same permissions as editing)
+expensesRouter.post('/:id/revert', validate(expenseIdParam), validate(expenseRevertSchema), async (req, res) => {
+  const expense = await findExpense(req, 'edit');
 
-  // Validate the new category if provided
-  const category = await Category.findById(categoryId).exec();
-  if (!category) throw new HttpError(NOT_FOUND, 'Category not found');
+  const updatedExpense = await revertExpense(expense, req.body.version, req.user);
+  await recordAudit(req, {
+    action: 'expense.revert',
+    target: { type: 'expense', id: expense._id },
+    before: expense,
+    after: updatedExpense,
+    details: { version: req.body.version },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: await updatedExpense.populate('category splits.category'),
+    message: 'Expense reverted successfully'
+  });
+});
+
+// Replace the editable fields of an expense with those of body, a PUT body, and record the
+// change. With If-Match, the expense must not have changed since the client fetched it.
+// An expense stays in the ledger it was created in.
+const updateExpense = async (req, expense, body) => {
+  const { amount, currency, date, note, description } = body;
+  const filter = ifMatchFilter(req, expense);
+
+  // Validate the new category or splits. Splits are replaced too: leaving them out unsplits the expense.
+  const { category, splits } = await resolveExpenseCategories(body, req.user, expense.ledger);
+  // Sharing is replaced the same way
+  const sharing = await resolveExpenseSharing(body, { ledgerId: expense.ledger, payer: expense.user });
 
   // Update the expense
-  const updatedExpense = await Expense.findByIdAndUpdate(
-    req.params.id,
+  const updatedExpense = assertUpdated(await Expense.findOneAndUpdate(
+    filter,
     {
-      category: category._id,
+      category,
+      splits,
+      sharing,
       amount: Number(amount),
       currency: currency || expense.currency,
       date: date ? new Date(date) : expense.date,
@@ -116,13 +328,134 @@ expensesRouter.put('/:id', validate(expenseIdParam), validate(expenseSchema), as
       description: description !== undefined ? description : (note !== undefined ? note : expense.description),
     },
     { new: true, runValidators: true }
-  ).populate('category').exec();
+  ).populate('category splits.category').exec());
+  await recordRevision({ before: expense, after: updatedExpense, editor: req.user });
+  await recordAudit(req, { action: 'expense.update', target: { type: 'expense', id: expense._id }, before: expense, after: updatedExpense });
+  return updatedExpense;
+};
 
-  res.status(200).json({
+// PUT with ID - update an expense (owner, ledger owners and editors, or admin)
+expensesRouter.put('/:id', validate(expenseIdParam), validate(expenseSchema), async (req, res) => {
+  // Find the existing expense and check the user may edit it
+  const expense = await findExpense(req, 'edit');
+  const updatedExpense = await updateExpense(req, expense, req.body);
+
+  res.set('ETag', etagOf(updatedExpense)).status(200).json({
+    success: true,
+    data: updatedExpense,
+    message: 'Expense updated successfully'
+  });
+});
+
+// Apply a JSON merge patch to an expense. Only the patched fields, and those depending on them,
+// are checked.
+const patchExpense = async (req, expense, mergePatch) => {
+  const patch = aliasExpensePatch(mergePatch);
+  const body = patchExpenseBody(expense, patch);
+  // A split expense takes its category from the splits, so a new categoryId would be ignored
+  if (patch.categoryId != null && hasSplits(body)) {
+    throw new HttpError(BAD_REQUEST, 'Split expenses have to be recategorized split by split');
+  }
+  const [error] = await validateBody(schemaForPatch(expenseSchema, patch, expenseFieldDependencies), body);
+  if (error) throw new HttpError(BAD_REQUEST, error);
+
+  // Removed fields go back to their defaults
+  return updateExpense(req, expense, {
+    ...body,
+    currency: body.currency || DEFAULT_CURRENCY,
+    note: body.note ?? null,
+    description: body.description ?? null,
+  });
+};
+
+// PATCH with ID - change some fields of an expense with a JSON merge patch, e.g.
+// { "amount": 12, "note": null }. Same permissions as PUT.
+expensesRouter.patch('/:id', validate(expenseIdParam), mergePatchBody, validate(expensePatchSchema), async (req, res) => {
+  const expense = await findExpense(req, 'edit');
+  const updatedExpense = await patchExpense(req, expense, req.body);
+
+  res.set('ETag', etagOf(updatedExpense)).status(200).json({
     success: true,
     data: updatedExpense,
     message: 'Expense updated successfully'
   });
 });
 
+// The expenses a bulk action applies to, as { id } items: the given IDs, or the ones matching
+// the filter in the user's personal expenses (or a ledger's, with filter.ledgerId)
+const bulkTargets = async (req) => {
+  const { ids, filter } = req.body;
+  if (ids) return [...new Set(ids.map(String))].map((id) => ({ id }));
+
+  const [error] = await validateQuery({ ...ledgerScopeQuery, ...expenseFilterQuery }, filter);
+  if (error) throw new HttpError(BAD_REQUEST, error);
+  const expenses = await Expense.find(buildExpenseFilter(filter, await expenseScope(req, filter)))
+    .select('_id')
+    .sort({ date: 1, _id: 1 })
+    .limit(MAX_BULK_ITEMS + 1)
+    .exec();
+  if (expenses.length > MAX_BULK_ITEMS) {
+    throw new HttpError(BAD_REQUEST, `'filter' matches more than ${MAX_BULK_ITEMS} expenses`);
+  }
+  return expenses.map((expense) => ({ id: expense.id }));
+};
+
+// What each bulk action does to one item, with the checks of the matching single-item route
+const bulkOperations = {
+  create: async (req, { body }) => {
+    const [error] = await validateBody(expenseSchema, body);
+    if (error) throw new HttpError(BAD_REQUEST, error);
+    return { status: 201, data: await createExpense(req, body) };
+  },
+  update: async (req, { id }) => {
+    const expense = await findExpense(req, 'edit', null, id);
+    return { status: 200, data: await patchExpense(req, expense, req.body.patch) };
+  },
+  recategorize: async (req, { id }) => {
+    const expense = await findExpense(req, 'edit', null, id);
+    return { status: 200, data: await patchExpense(req, expense, { categoryId: req.body.categoryId }) };
+  },
+  delete: async (req, { id }) => {
+    const expense = await findExpense(req, 'edit', null, id);
+    await trashExpense(req, expense);
+    return { status: 200, data: { id } };
+  },
+};
+
+// POST - apply one action to many expenses: create them from 'expenses', or update (with a
+// merge patch), recategorize or delete the ones in 'ids' or matching 'filter'. Each expense
+// needs the same permission as on its own route and gets its own result. With atomic: true
+// the whole request runs in a transaction and changes nothing unless every item succeeds.
+expensesRouter.post('/bulk', validate(bulkExpenseSchema), async (req, res) => {
+  const { action, atomic } = req.body;
+  // One ETag can't match every expense, and the single-item checks would apply it to each
+  if (req.get('If-Match')) {
+    throw new HttpError(BAD_REQUEST, 'If-Match is not supported for bulk operations');
+  }
+  if (action === 'update') {
+    const [error] = await validateBody(expensePatchSchema, req.body.patch);
+    if (error) throw new HttpError(BAD_REQUEST, error);
+  }
+
+  const items = action === 'create' ? req.body.expenses.map((body) => ({ body })) : await bulkTargets(req);
+  const operation = (item) => bulkOperations[action](req, item);
+  const { committed, results } = atomic
+    ? await runBulkAtomically(items, operation)
+    : { committed: true, results: await runBulk(items, operation) };
+
+  const failed = results.filter((result) => result.error);
+  if (!committed) {
+    return res.status(BAD_REQUEST).json({
+      error: `${failed.length} item(s) failed, nothing was changed`,
+      results: failed,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { action, atomic: Boolean(atomic), total: results.length, succeeded: results.length - failed.length, failed: failed.length, results },
+    message: 'Bulk operation completed'
+  });
+});
+
 export default expensesRouter;
@@ -0,0 +1,309 @@
+import { Router } from 'express';
+import { validate } from '../middleware/validateRequest.js';
+import {
+  ledgerSchema,
+  ledgerIdParam,
+  ledgerInvitationSchema,
+  ledgerInvitationIdParam,
+  ledgerMemberParam,
+  ledgerMemberSchema,
+} from '../utils/validators.js';
+import Ledger from '../models/ledger.js';
+import Expense from '../models/expense.js';
+import Category from '../models/category.js';
+import User from '../models/user.js';
+import { HttpError, NOT_FOUND, BAD_REQUEST, FORBIDDEN } from '../utils/HttpError.js';
+import { apiScope, requireAuth } from '../middleware/auth.js';
+import { loadLedger } from '../utils/permissions.js';
+import { balanceStages, summarizeBalances } from '../utils/settleUp.js';
+import { removeExpenseAttachments } from '../utils/attachments.js';
+import { removeExpenseRevisions } from '../utils/revisions.js';
+import { auditSnapshot, recordAudit } from '../utils/audit.js';
+
+const DEFAULT_INVITATION_ROLE = 'editor';
+
+const ledgersRouter = Router();
+
+// All routes here require authentication
+ledgersRouter.use(apiScope('ledgers'), requireAuth);
+
+const emailOf = (user) => user.email.toLowerCase();
+
+// A ledger must always keep an owner, so the last one can't be demoted or removed
+const assertKeepsOwner = (ledger, member, newRole = null) => {
+  if (member.role === 'owner' && newRole !== 'owner' && ledger.ownerCount() === 1) {
+    throw new HttpError(BAD_REQUEST, 'A ledger must keep at least one owner');
+  }
+};
+
+const findMember = (ledger, userId) => {
+  const member = ledger.members.find((m) => (m.user._id || m.user).toString() === userId);
+  if (!member) throw new HttpError(NOT_FOUND, 'Member not found');
+  return member;
+};
+
+// The invitation for the authenticated user's email address
+const findOwnInvitation = (ledger, user) => {
+  const invitation = ledger.invitations.find((i) => i.email === emailOf(user));
+  if (!invitation) throw new HttpError(NOT_FOUND, 'Invitation not found');
+  return invitation;
+};
+
+const populateMembers = (ledger) => ledger.populate('members.user', 'name email');
+
+const ledgerTarget = (ledger) => ({ type: 'ledger', id: ledger._id });
+
+// GET - list the ledgers the authenticated user is a member of
+ledgersRouter.get('/', async (req, res) => {
+  const ledgers = await Ledger.find(Ledger.memberOf(req.user)).sort({ name: 1 }).exec();
+  res.status(200).json({
+    success: true,
+    data: ledgers,
+    message: 'Ledgers retrieved successfully'
+  });
+});
+
+// POST - create a ledger with the authenticated user as its owner
+ledgersRouter.post('/', validate(ledgerSchema), async (req, res) => {
+  const ledger = await Ledger.create({
+    name: req.body.name,
+    members: [{ user: req.user._id, role: 'owner' }],
+  });
+  await recordAudit(req, { action: 'ledger.create', target: ledgerTarget(ledger), after: ledger });
+
+  res.status(201).json({
+    success: true,
+    data: ledger,
+    message: 'Ledger created successfully'
+  });
+});
+
+// GET - pending invitations addressed to the authenticated user's email
+ledgersRouter.get('/invitations', async (req, res) => {
+  const email = emailOf(req.user);
+  const ledgers = await Ledger.find({ 'invitations.email': email }).populate('invitations.invitedBy', 'name').exec();
+  const invitations = ledgers.map((ledger) => {
+    const invitation = ledger.invitations.find((i) => i.email === email);
+    return {
+      ledger: { id: ledger.id, name: ledger.name },
+      role: invitation.role,
+      invitedBy: invitation.invitedBy?.name || null,
+      invitedAt: invitation.invitedAt,
+    };
+  });
+
+  res.status(200).json({
+    success: true,
+    data: invitations,
+    message: 'Invitations retrieved successfully'
+  });
+});
+
+// GET with ID - any member
+ledgersRouter.get('/:id', validate(ledgerIdParam), async (req, res) => {
+  const ledger = await loadLedger(req.params.id, req.user);
+  await populateMembers(ledger);
+  res.status(200).json({
+    success: true,
+    data: ledger,
+    message: 'Ledger retrieved successfully'
+  });
+});
+
+// PUT with ID - rename the ledger (owners)
+ledgersRouter.put('/:id', validate(ledgerIdParam), validate(ledgerSchema), async (req, res) => {
+  const ledger = await loadLedger(req.params.id, req.user, 'manage');
+  const before = auditSnapshot(ledger);
+  ledger.name = req.body.name;
+  await ledger.save();
+  await recordAudit(req, { action: 'ledger.update', target: ledgerTarget(ledger), before, after: ledger });
+
+  res.status(200).json({
+    success: true,
+    data: ledger,
+    message: 'Ledger updated successfully'
+  });
+});
+
+// DELETE with ID - owners can delete a ledger with no expenses (outside its trash); its categories go with it
+ledgersRouter.delete('/:id', validate(ledgerIdParam), async (req, res) => {
+  const ledger = await loadLedger(req.params.id, req.user, 'manage');
+
+  const expenseCount = await Expense.countDocuments({ ledger: ledger._id }).exec();
+  if (expenseCount > 0) {
+    throw new HttpError(BAD_REQUEST, `Cannot delete ledger: it has ${expenseCount} expense(s)`);
+  }
+
+  // Expenses still in its trash go with it
+  await removeExpenseAttachments({ ledger: ledger._id });
+  await removeExpenseRevisions({ ledger: ledger._id });
+  await Expense.deleteMany({ ledger: ledger._id }).exec();
+  await Category.deleteMany({ ledger: ledger._id }).exec();
+  await Ledger.findByIdAndDelete(ledger._id).exec();
+  await recordAudit(req, { action: 'ledger.delete', target: ledgerTarget(ledger), before: ledger });
+  res.status(200).json({
+    success: true,
+    data: { id: req.params.id },
+    message: 'Ledger deleted successfully'
+  });
+});
+
+// GET - who owes whom: each person's net position from the ledger's shared expenses, and
+// the transfers that would settle everyone up, per currency (any member)
+ledgersRouter.get('/:id/balances', validate(ledgerIdParam), async (req, res) => {
+  const ledger = await loadLedger(req.params.id, req.user);
+  const summaries = summarizeBalances(await Expense.aggregate(balanceStages(ledger._id)).exec());
+
+  // Show people by name, including former members who still have a balance
+  const userIds = summaries.flatMap(({ balances }) => balances.map((balance) => balance.user));
+  const users = await User.find({ _id: { $in: userIds } }).select('name email').exec();
+  const byId = new Map(users.map((user) => [user._id.toString(), { id: user.id, name: user.name, email: user.email }]));
+  const person = (id) => byId.get(id.toString()) || { id: id.toString(), name: null, email: null };
+
+  res.status(200).json({
+    success: true,
+    data: summaries.map(({ currency, balances, transfers }) => ({
+      currency,
+      balances: balances.map((balance) => ({ ...balance, user: person(balance.user) })),
+      transfers: transfers.map((transfer) => ({ ...transfer, from: person(transfer.from), to: person(transfer.to) })),
+    })),
+    message: 'Balances retrieved successfully'
+  });
+});
+
+// POST - invite someone by email (owners). Inviting the same address again replaces the invitation.
+ledgersRouter.post('/:id/invitations', validate(ledgerIdParam), validate(ledgerInvitationSchema), async (req, res) => {
+  const ledger = await loadLedger(req.params.id, req.user, 'manage');
+  const email = req.body.email.toLowerCase();
+  const role = req.body.role || DEFAULT_INVITATION_ROLE;
+
+  await populateMembers(ledger);
+  if (ledger.members.some((m) => m.user && emailOf(m.user) === email)) {
+    throw new HttpError(BAD_REQUEST, 'This user is already a member of the ledger');
+  }
+
+  const before = auditSnapshot(ledger);
+  ledger.invitations = ledger.invitations.filter((i) => i.email !== email);
+  ledger.invitations.push({ email, role, invitedBy: req.user._id });
+  await ledger.save();
+  await recordAudit(req, { action: 'ledger.invite', target: ledgerTarget(ledger), before, after: ledger, details: { email, role } });
+
+  res.status(201).json({
+    success: true,
+    data: ledger.invitations[ledger.invitations.length - 1],
+    message: 'Invitation sent successfully'
+  });
+});
+
+// DELETE - withdraw an invitation (owners)
+ledgersRouter.delete('/:id/invitations/:invitationId', validate(ledgerInvitationIdParam), async (req, res) => {
+  const ledger = await loadLedger(req.params.id, req.user, 'manage');
+  if (!ledger.invitations.id(req.params.invitationId)) throw new HttpError(NOT_FOUND, 'Invitation not found');
+
+  const before = auditSnapshot(ledger);
+  ledger.invitations.pull(req.params.invitationId);
+  await ledger.save();
+  await recordAudit(req, { action: 'ledger.withdraw_invitation', target: ledgerTarget(ledger), before, after: ledger });
+
+  res.status(200).json({
+    success: true,
+    data: { id: req.params.invitationId },
+    message: 'Invitation withdrawn successfully'
+  });
+});
+
+// POST - accept the invitation addressed to the authenticated user and join the ledger.
+// Invitations are matched on email, so the address has to be proven whatever UNVERIFIED_ACCESS allows.
+ledgersRouter.post('/:id/accept', validate(ledgerIdParam), async (req, res) => {
+  if (req.user.emailVerified === false) {
+    throw new HttpError(FORBIDDEN, 'Verify your email address to accept invitations');
+  }
+  const ledger = await Ledger.findById(req.params.id).exec();
+  if (!ledger) throw new HttpError(NOT_FOUND, 'Ledger not found');
+  const invitation = findOwnInvitation(ledger, req.user);
+
+  const before = auditSnapshot(ledger);
+  if (!ledger.roleOf(req.user)) {
+    ledger.members.push({ user: req.user._id, role: invitation.role });
+  }
+  ledger.invitations.pull(invitation._id);
+  await ledger.save();
+  await recordAudit(req, { action: 'ledger.accept_invitation', target: ledgerTarget(ledger), before, after: ledger });
+
+  res.status(200).json({
+    success: true,
+    data: ledger,
+    message: 'Invitation accepted successfully'
+  });
+});
+
+// POST - decline the invitation addressed to the authenticated user
+ledgersRouter.post('/:id/decline', validate(ledgerIdParam), async (req, res) => {
+  const ledger = await Ledger.findById(req.params.id).exec();
+  if (!ledger) throw new HttpError(NOT_FOUND, 'Ledger not found');
+  const invitation = findOwnInvitation(ledger, req.user);
+
+  const before = auditSnapshot(ledger);
+  ledger.invitations.pull(invitation._id);
+  await ledger.save();
+  await recordAudit(req, { action: 'ledger.decline_invitation', target: ledgerTarget(ledger), before, after: ledger });
+
+  res.status(200).json({
+    success: true,
+    data: { id: req.params.id },
+    message: 'Invitation declined successfully'
+  });
+});
+
+// PUT - change a member's role (owners)
+ledgersRouter.put('/:id/members/:userId', validate(ledgerMemberParam), validate(ledgerMemberSchema), async (req, res) => {
+  const ledger = await loadLedger(req.params.id, req.user, 'manage');
+  const member = findMember(ledger, req.params.userId);
+  assertKeepsOwner(ledger, member, req.body.role);
+
+  const before = auditSnapshot(ledger);
+  member.role = req.body.role;
+  await ledger.save();
+  await recordAudit(req, {
+    action: 'ledger.update_member',
+    target: ledgerTarget(ledger),
+    before,
+    after: ledger,
+    details: { user: req.params.userId, role: req.body.role },
+  });
+  await populateMembers(ledger);
+
+  res.status(200).json({
+    success: true,
+    data: ledger,
+    message: 'Member updated successfully'
+  });
+});
+
+// DELETE - remove a member (owners), or leave the ledger (any member, with their own ID).
+// Expenses they recorded stay in the ledger.
+ledgersRouter.delete('/:id/members/:userId', validate(ledgerMemberParam), async (req, res) => {
+  const leaving = req.params.userId === req.user._id.toString();
+  const ledger = await loadLedger(req.params.id, req.user, leaving ? 'view' : 'manage');
+  const member = findMember(ledger, req.params.userId);
+  assertKeepsOwner(ledger, member);
+
+  const before = auditSnapshot(ledger);
+  ledger.members = ledger.members.filter((m) => m !== member);
+  await ledger.save();
+  await recordAudit(req, {
+    action: leaving ? 'ledger.leave' : 'ledger.remove_member',
+    target: ledgerTarget(ledger),
+    before,
+    after: ledger,
+    details: { user: req.params.userId },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { id: req.params.userId },
+    message: leaving ? 'Left ledger successfully' : 'Member removed successfully'
+  });
+});
+
+export default ledgersRouter;
@@ -3,6 +3,7 @@ import User from "../models/user.js";
 import Category from "../models/category.js";
 import Expense from "../models/expense.js";
 import { INTERNAL_SERVER_ERROR, HttpError } from "../utils/HttpError.js";
+import { categoryLineStages } from "../utils/splits.js";
 
 const router = express.Router();
 
@@ -12,14 +13,15 @@ router.get("/stats", async (req, res) => {
     // Get total number of registered users
     const totalUsers = await User.countDocuments();
     
-    // Get total number of categories
-    const totalCategories = await Category.countDocuments();
+    // Get total number of categories anyone can see; private and ledger categories stay hidden
+    const totalCategories = await Category.countDocuments(Category.visibleTo(null));
     
     // Get total number of expenses (without revealing amounts)
     const totalExpenses = await Expense.countDocuments();
     
-    // Get most popular categories by usage count
+    // Get most popular categories by usage count (a split expense counts towards each of its categories)
     const popularCategories = await Expense.aggregate([
+      ...categoryLineStages(),
       {
         $group: {
           _id: "$category",
@@ -37,6 +39,10 @@ router.get("/stats", async (req, res) => {
       {
         $unwind: "$categoryInfo"
       },
+      {
+        // Only global category names are public
+        $match: { "categoryInfo.visibility": "global" }
+      },
       {
         $project: {
           name: "$categoryInfo.name",
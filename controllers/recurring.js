@@ -0,0 +1,223 @@
+import { Router } from 'express';
+import { validate } from '../middleware/validateRequest.js';
+import {
+  recurringExpenseSchema,
+  recurringExpenseIdParam,
+  upcomingOccurrencesQuery,
+  skipOccurrenceSchema,
+} from '../utils/validators.js';
+import RecurringExpense from '../models/recurringExpense.js';
+import Category from '../models/category.js';
+import { HttpError, NOT_FOUND, FORBIDDEN, BAD_REQUEST } from '../utils/HttpError.js';
+import { apiScope, requireAuth } from '../middleware/auth.js';
+import { listOccurrences, occurrenceOnDay } from '../utils/recurrence.js';
+import { materializeDueExpenses, materializeSeries } from '../utils/recurring.js';
+import { DEFAULT_CURRENCY } from '../utils/currency.js';
+import { auditSnapshot, recordAudit } from '../utils/audit.js';
+
+const DEFAULT_UPCOMING = 5;
+
+const recurringRouter = Router();
+
+// All routes here require authentication
+recurringRouter.use(apiScope('recurring'), requireAuth);
+
+// Find a series that belongs to the authenticated user
+const findOwnSeries = async (req) => {
+  const series = await RecurringExpense.findById(req.params.id).exec();
+  if (!series) throw new HttpError(NOT_FOUND, 'Recurring expense not found');
+
+  if (series.user.toString() !== req.user._id.toString()) {
+    throw new HttpError(FORBIDDEN, 'Forbidden');
+  }
+  return series;
+};
+
+const seriesTarget = (series) => ({ type: 'recurring_expense', id: series._id });
+
+// Build the stored fields of a series from a validated request body
+const seriesFields = async (body, user) => {
+  const { categoryId, amount, currency, note, description, frequency, interval, startDate, endDate, count } = body;
+
+  const category = await Category.findById(categoryId).exec();
+  if (!category) throw new HttpError(NOT_FOUND, 'Category not found');
+  if (!category.isVisibleTo(user)) throw new HttpError(FORBIDDEN, 'You cannot use this category');
+
+  return {
+    category: category._id,
+    amount: Number(amount),
+    currency: currency || DEFAULT_CURRENCY,
+    note: note || description,
+    description: description || note,
+    schedule: {
+      frequency,
+      interval: interval ? Number(interval) : 1,
+      startDate: new Date(startDate),
+      endDate: endDate ? new Date(endDate) : undefined,
+      count: count ? Number(count) : undefined,
+    },
+  };
+};
+
+// GET - list the authenticated user's recurring expenses
+recurringRouter.get('/', async (req, res) => {
+  const series = await RecurringExpense.find({ user: req.user._id }).populate('category').sort({ createdAt: 1 }).exec();
+  res.status(200).json({
+    success: true,
+    data: series,
+    message: 'Recurring expenses retrieved successfully'
+  });
+});
+
+// POST - catch up on every due occurrence of the user's series. Safe to repeat.
+recurringRouter.post('/materialize', async (req, res) => {
+  const created = await materializeDueExpenses(new Date(), { user: req.user._id });
+  await recordAudit(req, { action: 'recurring_expense.materialize', target: { type: 'recurring_expense', id: null }, details: { created } });
+  res.status(200).json({
+    success: true,
+    data: { created },
+    message: 'Recurring expenses materialized successfully'
+  });
+});
+
+// GET with ID
+recurringRouter.get('/:id', validate(recurringExpenseIdParam), async (req, res) => {
+  const series = await findOwnSeries(req);
+  res.status(200).json({
+    success: true,
+    data: series,
+    message: 'Recurring expense retrieved successfully'
+  });
+});
+
+// GET with ID - the next occurrences that will be recorded
+recurringRouter.get('/:id/upcoming', validate(recurringExpenseIdParam), validate(upcomingOccurrencesQuery), async (req, res) => {
+  const series = await findOwnSeries(req);
+  const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_UPCOMING;
+
+  const now = new Date();
+  const after = series.materializedThrough && series.materializedThrough > now ? series.materializedThrough : now;
+  const upcoming = listOccurrences(series.schedule, { after, limit: limit + series.skippedDates.length })
+    .filter((date) => !series.isSkipped(date))
+    .slice(0, limit);
+
+  res.status(200).json({
+    success: true,
+    data: { paused: series.paused, occurrences: upcoming },
+    message: 'Upcoming occurrences retrieved successfully'
+  });
+});
+
+// POST - create a recurring expense, recording any occurrences already due
+recurringRouter.post('/', validate(recurringExpenseSchema), async (req, res) => {
+  const fields = await seriesFields(req.body, req.user);
+  const series = await RecurringExpense.create({ ...fields, user: req.user._id });
+
+  const created = await materializeSeries(series);
+  await recordAudit(req, { action: 'recurring_expense.create', target: seriesTarget(series), after: series, details: { materialized: created } });
+
+  res.status(201).json({
+    success: true,
+    data: series,
+    materialized: created,
+    message: 'Recurring expense created successfully'
+  });
+});
+
+// PUT with ID - update a series. Already recorded expenses are left as they are.
+recurringRouter.put('/:id', validate(recurringExpenseIdParam), validate(recurringExpenseSchema), async (req, res) => {
+  const series = await findOwnSeries(req);
+  const fields = await seriesFields(req.body, req.user);
+
+  const updatedSeries = await RecurringExpense.findByIdAndUpdate(
+    series._id,
+    fields,
+    { new: true, runValidators: true }
+  ).exec();
+  await recordAudit(req, { action: 'recurring_expense.update', target: seriesTarget(series), before: series, after: updatedSeries });
+
+  res.status(200).json({
+    success: true,
+    data: updatedSeries,
+    message: 'Recurring expense updated successfully'
+  });
+});
+
+// POST with ID - skip a single upcoming occurrence
+recurringRouter.post('/:id/skip', validate(recurringExpenseIdParam), validate(skipOccurrenceSchema), async (req, res) => {
+  const series = await findOwnSeries(req);
+
+  const occurrence = occurrenceOnDay(series.schedule, new Date(req.body.date));
+  if (!occurrence) {
+    throw new HttpError(BAD_REQUEST, 'No occurrence of this recurring expense falls on that date');
+  }
+  if (series.materializedThrough && occurrence <= series.materializedThrough) {
+    throw new HttpError(BAD_REQUEST, 'This occurrence has already been recorded');
+  }
+
+  if (!series.isSkipped(occurrence)) {
+    const before = auditSnapshot(series);
+    series.skippedDates.push(occurrence);
+    await series.save();
+    await recordAudit(req, { action: 'recurring_expense.skip', target: seriesTarget(series), before, after: series });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: series,
+    message: 'Occurrence skipped successfully'
+  });
+});
+
+// POST with ID - pause a series; no occurrences are recorded while paused
+recurringRouter.post('/:id/pause', validate(recurringExpenseIdParam), async (req, res) => {
+  const series = await findOwnSeries(req);
+
+  // Record everything due so far, so nothing from before the pause is lost
+  const before = auditSnapshot(series);
+  await materializeSeries(series);
+  series.paused = true;
+  await series.save();
+  await recordAudit(req, { action: 'recurring_expense.pause', target: seriesTarget(series), before, after: series });
+
+  res.status(200).json({
+    success: true,
+    data: series,
+    message: 'Recurring expense paused successfully'
+  });
+});
+
+// POST with ID - resume a paused series from now on
+recurringRouter.post('/:id/resume', validate(recurringExpenseIdParam), async (req, res) => {
+  const series = await findOwnSeries(req);
+
+  if (series.paused) {
+    // Occurrences that fell during the pause are not back-filled
+    const before = auditSnapshot(series);
+    series.paused = false;
+    series.materializedThrough = new Date();
+    await series.save();
+    await recordAudit(req, { action: 'recurring_expense.resume', target: seriesTarget(series), before, after: series });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: series,
+    message: 'Recurring expense resumed successfully'
+  });
+});
+
+// DELETE with ID - stop the series. Expenses it already created are kept.
+recurringRouter.delete('/:id', validate(recurringExpenseIdParam), async (req, res) => {
+  const series = await findOwnSeries(req);
+
+  await RecurringExpense.findByIdAndDelete(series._id).exec();
+  await recordAudit(req, { action: 'recurring_expense.delete', target: seriesTarget(series), before: series });
+  res.status(200).json({
+    success: true,
+    data: { id: req.params.id },
+    message: 'Recurring expense deleted successfully'
+  });
+});
+
+export default recurringRouter;
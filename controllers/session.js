@@ -0,0 +1,60 @@
+import { Router } from 'express';
+import { validate } from '../middleware/validateRequest.js';
+import { sessionIdParam } from '../utils/validators.js';
+import { HttpError, NOT_FOUND } from '../utils/HttpError.js';
+import { requireAccount } from '../middleware/auth.js';
+import {
+  describeSession,
+  destroyUserSession,
+  destroyUserSessions,
+  listUserSessions,
+  publicSessionId,
+} from '../utils/sessions.js';
+import { recordAudit } from '../utils/audit.js';
+
+const sessionsRouter = Router();
+
+// Session-only, and open to unverified users too, so anyone can get rid of a stolen session
+sessionsRouter.use(requireAccount);
+
+// Where the caller is logged in, most recently used first
+sessionsRouter.get('/', async (req, res) => {
+  const sessions = await listUserSessions(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: sessions.map((stored) => describeSession(stored, req.sessionID)),
+    message: 'Sessions retrieved successfully'
+  });
+});
+
+// Log out everywhere else
+sessionsRouter.delete('/', async (req, res) => {
+  const revoked = await destroyUserSessions(req.user._id, req.sessionID);
+  await recordAudit(req, { action: 'session.revoke_others', target: { type: 'user', id: req.user._id }, details: { revoked } });
+
+  res.status(200).json({
+    success: true,
+    data: { revoked },
+    message: 'Other sessions revoked successfully'
+  });
+});
+
+// Log out one session. Revoking the current one is the same as logging out.
+sessionsRouter.delete('/:id', validate(sessionIdParam()), async (req, res) => {
+  if (req.params.id === publicSessionId(req.sessionID)) {
+    await new Promise((resolve, reject) => req.session.destroy((err) => (err ? reject(err) : resolve())));
+    res.clearCookie('sessionId');
+  } else if (!(await destroyUserSession(req.user._id, req.params.id))) {
+    throw new HttpError(NOT_FOUND, 'Session not found');
+  }
+  await recordAudit(req, { action: 'session.revoke', target: { type: 'session', id: req.params.id } });
+
+  res.status(200).json({
+    success: true,
+    data: { id: req.params.id },
+    message: 'Session revoked successfully'
+  });
+});
+
+export default sessionsRouter;
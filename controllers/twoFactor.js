@@ -0,0 +1,135 @@
+import express from "express";
+import User from "../models/user.js";
+import { HttpError, BAD_REQUEST, UNAUTHORIZED } from "../utils/HttpError.js";
+import { twoFactorCodeSchema, twoFactorSetupSchema, twoFactorDisableSchema } from "../utils/validators.js";
+import { validate } from "../middleware/validateRequest.js";
+import { requireAuth } from "../middleware/auth.js";
+import { generateTotpSecret, provisioningUri, verifyTotp } from "../utils/totp.js";
+import {
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  twoFactorIssuer,
+  useTwoFactorCode,
+} from "../utils/twoFactor.js";
+import { recordAudit } from "../utils/audit.js";
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+const checkPassword = async (user, password) => {
+  if (!(await user.verifyPassword(password))) {
+    throw new HttpError(UNAUTHORIZED, "Invalid password");
+  }
+};
+
+const checkCode = async (user, code) => {
+  if (!(await useTwoFactorCode(user, code))) {
+    throw new HttpError(UNAUTHORIZED, "Invalid two-factor code");
+  }
+};
+
+// Two-factor status of the current user
+router.get("/", async (req, res) => {
+  res.status(200).json({
+    enabled: req.user.twoFactorEnabled,
+    recoveryCodesRemaining: req.user.twoFactorEnabled ? req.user.twoFactorRecoveryCodes.length : 0,
+  });
+});
+
+// Start enrolling an authenticator app. Returns a new secret and its otpauth:// URI (to show
+// as a QR code); 2FA is only turned on once a code from the app is sent to /enable.
+router.post("/setup", validate(twoFactorSetupSchema), async (req, res) => {
+  if (req.user.twoFactorEnabled) {
+    throw new HttpError(BAD_REQUEST, "Two-factor authentication is already enabled");
+  }
+  await checkPassword(req.user, req.body.password);
+
+  const secret = generateTotpSecret();
+  await User.findByIdAndUpdate(req.user._id, { twoFactorPendingSecret: secret });
+  await recordAudit(req, { action: "user.2fa_setup", target: { type: "user", id: req.user._id } });
+
+  res.status(200).json({
+    secret,
+    otpauthUrl: provisioningUri({ secret, account: req.user.email, issuer: twoFactorIssuer() }),
+  });
+});
+
+// Confirm enrollment with a code from the app. The recovery codes are only ever shown here.
+router.post("/enable", validate(twoFactorCodeSchema), async (req, res) => {
+  const secret = req.user.twoFactorPendingSecret;
+  if (req.user.twoFactorEnabled || !secret) {
+    throw new HttpError(BAD_REQUEST, "Start two-factor setup first");
+  }
+
+  const step = verifyTotp(secret, req.body.code);
+  if (step === null) {
+    throw new HttpError(UNAUTHORIZED, "Invalid two-factor code");
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    {
+      twoFactorEnabled: true,
+      twoFactorSecret: secret,
+      twoFactorLastStep: step,
+      twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode),
+      $unset: { twoFactorPendingSecret: 1 },
+    },
+    { new: true }
+  );
+  // Entering the code counts as the second factor for this session
+  req.session.twoFactorVerified = true;
+  await recordAudit(req, { action: "user.2fa_enable", target: { type: "user", id: user._id }, before: req.user, after: user });
+
+  res.status(200).json({
+    message: "Two-factor authentication enabled",
+    recoveryCodes,
+    user,
+  });
+});
+
+// Replace the recovery codes, e.g. when most are used up
+router.post("/recovery-codes", validate(twoFactorCodeSchema), async (req, res) => {
+  if (!req.user.twoFactorEnabled) {
+    throw new HttpError(BAD_REQUEST, "Two-factor authentication is not enabled");
+  }
+  await checkCode(req.user, req.body.code);
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.findByIdAndUpdate(req.user._id, { twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode) });
+  await recordAudit(req, { action: "user.2fa_recovery_codes", target: { type: "user", id: req.user._id } });
+
+  res.status(200).json({
+    message: "Recovery codes regenerated",
+    recoveryCodes,
+  });
+});
+
+// Turn 2FA off. Takes both the password and a current code (or recovery code).
+router.post("/disable", validate(twoFactorDisableSchema), async (req, res) => {
+  if (!req.user.twoFactorEnabled) {
+    throw new HttpError(BAD_REQUEST, "Two-factor authentication is not enabled");
+  }
+  await checkPassword(req.user, req.body.password);
+  await checkCode(req.user, req.body.code);
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    {
+      twoFactorEnabled: false,
+      $unset: { twoFactorSecret: 1, twoFactorRecoveryCodes: 1, twoFactorLastStep: 1 },
+    },
+    { new: true }
+  );
+  delete req.session.twoFactorVerified;
+  await recordAudit(req, { action: "user.2fa_disable", target: { type: "user", id: user._id }, before: req.user, after: user });
+
+  res.status(200).json({
+    message: "Two-factor authentication disabled",
+    user,
+  });
+});
+
+export default router;
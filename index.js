@@ -1,10 +1,16 @@
 import mongoose from 'mongoose';
 import createApp from './app.js';
+import { materializeDueExpenses, RECURRING_INTERVAL_MS } from './utils/recurring.js';
+import { purgeTrash, TRASH_PURGE_INTERVAL_MS } from './utils/trash.js';
+import { runMigrations } from './utils/migrations.js';
 
 const MONGO_DEFAULT = 'mongodb://127.0.0.1:27017/expense-tracker';
 
 const connectDB = async () => {
   const uri = process.env.MONGODB_URI || MONGO_DEFAULT;
+  // Model operations started inside connection.transaction() join its session on their own,
+  // so bulk requests in all-or-nothing mode can reuse the single-item code paths
+  mongoose.set('transactionAsyncLocalStorage', true);
   try {
     await mongoose.connect(uri, { useNewUrlParser: true, useUnifiedTopology: true });
     console.log('MongoDB connected');
@@ -20,14 +26,42 @@ const startServer = async () => {
   try {
     await connectDB();
     console.log('Database connected');
+    // Bring data stored by earlier versions up to date before serving requests
+    await runMigrations();
     const app = createApp();
     const server = app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
 
+    // Catch up on due recurring expenses at startup, then periodically
+    const runRecurring = async () => {
+      try {
+        const created = await materializeDueExpenses();
+        if (created > 0) console.log(`Materialized ${created} recurring expense(s)`);
+      } catch (error) {
+        console.error('Recurring expense error:', error);
+      }
+    };
+    runRecurring();
+    const recurringTimer = setInterval(runRecurring, RECURRING_INTERVAL_MS);
+
+    // Delete trashed expenses and categories once their retention window has passed
+    const runPurge = async () => {
+      try {
+        const { expenses, categories } = await purgeTrash();
+        if (expenses + categories > 0) console.log(`Purged ${expenses} expense(s) and ${categories} category(ies) from the trash`);
+      } catch (error) {
+        console.error('Trash purge error:', error);
+      }
+    };
+    runPurge();
+    const purgeTimer = setInterval(runPurge, TRASH_PURGE_INTERVAL_MS);
+
     // Graceful shutdown
     const shutdown = async () => {
       console.log('Shutting down server...');
+      clearInterval(recurringTimer);
+      clearInterval(purgeTimer);
       server.close(async () => {
         await mongoose.disconnect();
         console.log('MongoDB disconnected');
@@ -3,6 +3,10 @@ import MongoStore from "connect-mongo";
 import User from "../models/user.js";
 import { UNAUTHORIZED, FORBIDDEN, HttpError } from "../utils/HttpError.js";
 import mongoose from "mongoose";
+import { SESSIONS_COLLECTION, touchSession } from "../utils/sessions.js";
+import { verificationAllows } from "../utils/verification.js";
+import { twoFactorPolicyAllows } from "../utils/twoFactor.js";
+import { apiTokenAllows, bearerToken, requiredScope, useApiToken } from "../utils/apiTokens.js";
 
 export const sessionMiddleware = () =>
   session({
@@ -12,6 +16,9 @@ export const sessionMiddleware = () =>
     saveUninitialized: false,
     store: MongoStore.create({
       client: mongoose.connection.getClient(),
+      collectionName: SESSIONS_COLLECTION,
+      // Store sessions as documents rather than JSON strings, so they can be found by user
+      stringify: false,
     }),
     cookie: {
       maxAge: 24 * 60 * 60 * 1000, // 1 day in milliseconds
@@ -21,8 +28,47 @@ export const sessionMiddleware = () =>
     },
   });
 
-// Middleware to check if user is authenticated
-export const requireAuth = async (req, _res, next) => {
+const UNVERIFIED_MESSAGE = "Verify your email address to continue";
+export const SUSPENDED_MESSAGE = "Account suspended";
+
+// Declares the API token scope the routes after it belong to, e.g. apiScope("expenses") lets
+// tokens with expenses:read make GET requests and tokens with expenses:write the rest.
+// Routes without a scope can only be used with a session.
+export const apiScope = (resource) => (req, _res, next) => {
+  req.apiScope = resource;
+  next();
+};
+
+// The user a request is made as. An `Authorization: Bearer` API token takes precedence over
+// the session and is attached as req.apiToken.
+const authenticate = async (req) => {
+  const token = bearerToken(req);
+  if (token !== null) {
+    const apiToken = await useApiToken(token);
+    if (!apiToken) {
+      throw new HttpError(UNAUTHORIZED, "Invalid API token");
+    }
+    if (!apiTokenAllows(apiToken, req.apiScope, req.method)) {
+      throw new HttpError(FORBIDDEN, req.apiScope
+        ? `API token is missing the '${requiredScope(req.apiScope, req.method)}' scope`
+        : "API tokens can't be used for this route");
+    }
+
+    const user = await User.findById(apiToken.user);
+    if (!user) {
+      throw new HttpError(UNAUTHORIZED, "User not found");
+    }
+    if (user.suspended) {
+      throw new HttpError(FORBIDDEN, SUSPENDED_MESSAGE);
+    }
+    // Sessions are destroyed when an admin forces a password reset, tokens wait for the new password
+    if (user.passwordResetRequired) {
+      throw new HttpError(FORBIDDEN, "A password reset is required");
+    }
+    req.apiToken = apiToken;
+    return user;
+  }
+
   if (!req.session || !req.session.userId) {
     throw new HttpError(UNAUTHORIZED, "Authentication required");
   }
@@ -31,27 +77,81 @@ export const requireAuth = async (req, _res, next) => {
   if (!user) {
     throw new HttpError(UNAUTHORIZED, "User not found");
   }
+  if (user.suspended) {
+    throw new HttpError(FORBIDDEN, SUSPENDED_MESSAGE);
+  }
+  touchSession(req.session);
+  return user;
+};
+
+// Middleware to check if user is authenticated, by session or API token, not suspended
+// and allowed in by the unverified email policy
+export const requireAuth = async (req, _res, next) => {
+  const user = await authenticate(req);
+
+  if (!verificationAllows(user, req.method)) {
+    throw new HttpError(FORBIDDEN, UNVERIFIED_MESSAGE);
+  }
 
   req.user = user; // Attach user to request for use in route handlers
   next();
 };
 
-// Middleware to check if user has a specific role
-export const requireRole = (...roles) => {
-  return async (req, _res, next) => {
-    if (!req.session || !req.session.userId) {
-      throw new HttpError(UNAUTHORIZED, "Authentication required");
-    }
+// Same as requireAuth, but lets in users with an unverified email whatever the policy.
+// Only for the account routes they need to verify, correct their address or leave, so
+// it only accepts sessions.
+export const requireAccount = async (req, _res, next) => {
+  if (!req.session || !req.session.userId) {
+    throw new HttpError(UNAUTHORIZED, "Authentication required");
+  }
+
+  const user = await User.findById(req.session.userId);
+  if (!user) {
+    throw new HttpError(UNAUTHORIZED, "User not found");
+  }
+  if (user.suspended) {
+    throw new HttpError(FORBIDDEN, SUSPENDED_MESSAGE);
+  }
+  touchSession(req.session);
+
+  req.user = user;
+  next();
+};
 
+// Middleware to attach the user if there is a session or API token, without requiring one
+export const optionalAuth = async (req, _res, next) => {
+  if (bearerToken(req) !== null) {
+    req.user = await authenticate(req);
+  } else if (req.session && req.session.userId) {
     const user = await User.findById(req.session.userId);
-    if (!user) {
-      throw new HttpError(UNAUTHORIZED, "User not found");
+    if (user && !user.suspended) {
+      touchSession(req.session);
+      req.user = user;
     }
+  }
+  next();
+};
+
+// Middleware to check if user has a specific role. Admins also have to pass the
+// two-factor policy (ADMIN_REQUIRE_2FA, see utils/twoFactor.js).
+export const requireRole = (...roles) => {
+  return async (req, _res, next) => {
+    const user = await authenticate(req);
 
     if (!roles.includes(user.role)) {
       throw new HttpError(FORBIDDEN, "Forbidden: Insufficient permissions");
     }
 
+    // Tokens with the admin scope can only be created by admins who passed the policy
+    const secondFactorUsed = Boolean(req.apiToken || (req.session && req.session.twoFactorVerified));
+    if (!twoFactorPolicyAllows(user, secondFactorUsed)) {
+      throw new HttpError(FORBIDDEN, "Two-factor authentication is required for admin accounts");
+    }
+
+    if (!verificationAllows(user, req.method)) {
+      throw new HttpError(FORBIDDEN, UNVERIFIED_MESSAGE);
+    }
+
     // Attach user to request for use in route handlers
     req.user = user;
     next();
@@ -0,0 +1,12 @@
+import crypto from 'node:crypto';
+
+// IDs sent by a proxy or client are kept if they look sane, so logs can be matched up
+const VALID_REQUEST_ID = /^[\w.:-]{1,100}$/;
+
+// Give every request an ID (req.id), echoed in the X-Request-Id response header
+export const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
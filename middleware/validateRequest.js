@@ -1,5 +1,6 @@
 import { checkSchema, validationResult } from "express-validator";
-import { BAD_REQUEST } from "../utils/HttpError.js";
+import { BAD_REQUEST, UNSUPPORTED_MEDIA_TYPE } from "../utils/HttpError.js";
+import { MERGE_PATCH_TYPE } from "../utils/mergePatch.js";
 
 export const validate = (schema) => [
   ...checkSchema(schema),
@@ -14,3 +15,34 @@ export const validate = (schema) => [
     next();
   },
 ];
+
+// Check a plain object against a body schema outside a request (e.g. one row of an import).
+// Returns the first error message for each invalid field.
+export const validateBody = async (schema, body) => {
+  const req = { body };
+  await checkSchema(schema).run(req);
+  return validationResult(req).array({ onlyFirstError: true }).map((error) => error.msg);
+};
+
+// The same for a query schema, e.g. list filters sent in a request body
+export const validateQuery = async (schema, query) => {
+  const req = { query };
+  await checkSchema(schema).run(req);
+  return validationResult(req).array({ onlyFirstError: true }).map((error) => error.msg);
+};
+
+// PATCH bodies are JSON Merge Patch documents (see utils/mergePatch.js): a JSON object sent as
+// application/merge-patch+json. Plain application/json is accepted too.
+export const mergePatchBody = (req, res, next) => {
+  if (!req.is([MERGE_PATCH_TYPE, "application/json"])) {
+    return res.status(UNSUPPORTED_MEDIA_TYPE).json({
+      error: `PATCH bodies must be sent as ${MERGE_PATCH_TYPE}`,
+    });
+  }
+  if (req.body === null || typeof req.body !== "object" || Array.isArray(req.body)) {
+    return res.status(BAD_REQUEST).json({
+      error: "The merge patch must be a JSON object",
+    });
+  }
+  next();
+};
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// What a token may be used for. Each resource has a read scope (GET requests) and a write
+// scope (everything else, and reading too); 'admin' covers the admin API.
+export const API_TOKEN_RESOURCES = ['expenses', 'categories', 'budgets', 'recurring', 'ledgers'];
+export const API_TOKEN_SCOPES = [
+  ...API_TOKEN_RESOURCES.flatMap((resource) => [`${resource}:read`, `${resource}:write`]),
+  'admin',
+];
+
+// A personal API token, sent as `Authorization: Bearer <token>` by scripts and integrations.
+// Only a hash is stored; the token itself is shown once, when it is created.
+const apiTokenSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    name: { type: String, required: true, trim: true },
+    scopes: {
+      type: [{ type: String, enum: API_TOKEN_SCOPES }],
+      validate: { validator: (scopes) => scopes.length > 0, message: 'An API token needs at least one scope' },
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    // Start of the token, so users can tell their tokens apart
+    prefix: { type: String, required: true },
+    lastUsedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+apiTokenSchema.set("toJSON", {
+  transform: (_document, returnedObject) => {
+    returnedObject.id = returnedObject._id.toString();
+    delete returnedObject._id;
+    delete returnedObject.__v;
+    delete returnedObject.tokenHash;
+    delete returnedObject.updatedAt;
+  },
+});
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+export default ApiToken;
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// One data-changing action: who did what to which record, and how it changed (see utils/audit.js).
+// Events are append-only: the model refuses to update or delete them.
+const auditEventSchema = new mongoose.Schema({
+    // null when nobody was logged in, e.g. a password reset by emailed token
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // Kept as it was at the time, since the actor's account may change or be deleted later
+    actorEmail: { type: String, default: null },
+    via: { type: String, enum: ['session', 'api-token', null], default: null },
+    action: { type: String, required: true },
+    target: {
+      type: { type: String, required: true },
+      id: { type: String, default: null },
+    },
+    // Changed fields as { field: { before, after } }; before is null for creations, after for deletions
+    changes: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // Anything else worth knowing, e.g. { passwordChanged: true } or { revoked: 3 }
+    details: { type: mongoose.Schema.Types.Mixed, default: {} },
+    ip: { type: String, default: null },
+    requestId: { type: String, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+const refuseChange = () => {
+  throw new Error('Audit events are append-only');
+};
+
+auditEventSchema.pre('save', function () {
+  if (!this.isNew) refuseChange();
+});
+auditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  refuseChange
+);
+
+auditEventSchema.set("toJSON", {
+  transform: (_document, returnedObject) => {
+    returnedObject.id = returnedObject._id.toString();
+    delete returnedObject._id;
+    delete returnedObject.__v;
+  },
+});
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+export default AuditEvent;
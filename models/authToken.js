@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+export const TOKEN_PURPOSES = ['password-reset', 'email-verification'];
+
+// A single-use token sent to a user by email (see utils/tokens.js). Only a hash of the token
+// is stored, so a database leak doesn't hand out working links.
+const authTokenSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    purpose: { type: String, enum: TOKEN_PURPOSES, required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    // Expired tokens are removed by MongoDB's TTL monitor
+    expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  },
+  { timestamps: true }
+);
+
+const AuthToken = mongoose.model('AuthToken', authTokenSchema);
+
+export default AuthToken;
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+const budgetSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    // No category means the budget covers all of the user's spending
+    category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
+    amount: { type: Number, required: true, min: 0 },
+    period: { type: String, enum: ['monthly', 'weekly', 'custom'], default: 'monthly' },
+    // Only used by 'custom' budgets
+    startDate: { type: Date },
+    endDate: { type: Date },
+    // Percentage of the limit at which a warning is raised
+    threshold: { type: Number, min: 1, max: 100, default: 100 },
+  },
+  { timestamps: true }
+);
+
+budgetSchema.set("toJSON", {
+  transform: (_document, returnedObject) => {
+    returnedObject.id = returnedObject._id.toString();
+    delete returnedObject._id;
+    delete returnedObject.__v;
+    delete returnedObject.createdAt;
+    delete returnedObject.updatedAt;
+  },
+});
+
+const Budget = mongoose.model('Budget', budgetSchema);
+
+export default Budget;
@@ -1,8 +1,14 @@
 import mongoose from "mongoose";
+import { softDelete } from "../utils/softDelete.js";
 
 const categorySchema = new mongoose.Schema({
     name: { type: String, required: true, trim: true },
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    // Set for categories shared in a ledger; they are visible to its members rather than their creator
+    ledger: { type: mongoose.Schema.Types.ObjectId, ref: 'Ledger', default: null, index: true },
+    // 'global' categories are published by admins and shared with everyone,
+    // 'private' categories are only visible to their owner
+    visibility: { type: String, enum: ['global', 'private'], default: 'private', index: true },
     createdAt: { type: Date, default: Date.now  },
   },
   { timestamps: true }
@@ -19,7 +25,33 @@ categorySchema.set("toJSON", {
   },
 });
 
-categorySchema.index({ name: 1, user: 1 }, { unique: true });
+// Deleted categories go to the trash first (see utils/trash.js)
+categorySchema.plugin(softDelete);
+
+// Trashed categories have distinct deletedAt values, so they don't block reusing their name
+categorySchema.index({ name: 1, user: 1, ledger: 1, deletedAt: 1 }, { unique: true });
+
+// Query filter for the categories a user may see outside ledgers: global ones plus their own.
+// Anonymous callers only see global categories.
+categorySchema.statics.visibleTo = function (user) {
+  if (!user) return { visibility: 'global' };
+  return { $or: [{ visibility: 'global' }, { user: user._id, ledger: null }] };
+};
+
+// Query filter for the categories whose names clash with a new or renamed one: names are
+// unique per ledger, or per owner outside ledgers
+categorySchema.statics.sameName = function (name, { user, ledger }) {
+  return ledger ? { name, ledger } : { name, user, ledger: null };
+};
+
+// Whether a user may see (and file personal expenses under) this category. Admins can see
+// every category. Ledger categories go through utils/permissions.js instead.
+categorySchema.methods.isVisibleTo = function (user) {
+  if (this.visibility === 'global') return true;
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  return !this.ledger && this.user.toString() === user._id.toString();
+};
 
 const Category = mongoose.model('Category', categorySchema);
 
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// A dated rate quoted against the reference currency (see utils/currency.js):
+// 1 REFERENCE_CURRENCY = rate units of currency on that date
+const exchangeRateSchema = new mongoose.Schema({
+    currency: { type: String, required: true, uppercase: true, trim: true },
+    rate: { type: Number, required: true, min: 0 },
+    date: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+exchangeRateSchema.set("toJSON", {
+  transform: (_document, returnedObject) => {
+    returnedObject.id = returnedObject._id.toString();
+    delete returnedObject._id;
+    delete returnedObject.__v;
+    delete returnedObject.createdAt;
+    delete returnedObject.updatedAt;
+  },
+});
+
+// One rate per currency per day; also serves "latest rate on or before a date" lookups
+exchangeRateSchema.index({ currency: 1, date: -1 }, { unique: true });
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+export default ExchangeRate;
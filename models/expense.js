@@ -1,13 +1,83 @@
 import mongoose from "mongoose";
+import { DEFAULT_CURRENCY, isCurrencyCode } from "../utils/currency.js";
+import { splitsMatchAmount } from "../utils/splits.js";
+import { SHARE_METHODS } from "../utils/settleUp.js";
+import { softDelete } from "../utils/softDelete.js";
+
+// One line of a split expense: part of the amount, filed under its own category
+const splitSchema = new mongoose.Schema({
+    category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true },
+    amount: { type: Number, required: true, min: 0 },
+    note: { type: String, trim: true },
+  }
+);
+
+splitSchema.set("toJSON", {
+  transform: (_document, returnedObject) => {
+    returnedObject.id = returnedObject._id.toString();
+    delete returnedObject._id;
+  },
+});
+
+// Metadata of an uploaded receipt; the file itself lives in blob storage under key
+const attachmentSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    filename: { type: String, required: true },
+    contentType: { type: String, required: true },
+    size: { type: Number, required: true },
+    uploadedAt: { type: Date, default: Date.now },
+  }
+);
+
+attachmentSchema.set("toJSON", {
+  transform: (_document, returnedObject) => {
+    returnedObject.id = returnedObject._id.toString();
+    delete returnedObject._id;
+    delete returnedObject.key;
+  },
+});
+
+// Someone the cost of a shared expense is divided between, and the amount they owe (share)
+const participantSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // The exact amount, percentage or number of shares given, depending on the method
+    value: { type: Number, min: 0 },
+    share: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+// Who paid for a shared expense and how it is divided (see utils/settleUp.js)
+const sharingSchema = new mongoose.Schema({
+    paidBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    method: { type: String, enum: SHARE_METHODS, required: true },
+    participants: [participantSchema],
+  },
+  { _id: false }
+);
 
 const expenseSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Set for expenses shared in a ledger; `user` is then whoever recorded it
+  ledger: { type: mongoose.Schema.Types.ObjectId, ref: 'Ledger', default: null, index: true },
   category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true },
   amount: { type: Number, required: true, min: 0 },
-  currency: { type: String, default: 'EURO' },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: DEFAULT_CURRENCY,
+    validate: { validator: isCurrencyCode, message: 'Currency must be an ISO 4217 code' },
+  },
   date: { type: Date, default: Date.now },
   note: { type: String, trim: true },
   description: { type: String, trim: true }, 
+  // Set when the expense was generated from a recurring series
+  recurringExpense: { type: mongoose.Schema.Types.ObjectId, ref: 'RecurringExpense' },
+  // Optional breakdown across categories; `category` is then the first split's category
+  splits: [splitSchema],
+  // Set when the cost is shared between ledger members
+  sharing: { type: sharingSchema, default: null },
+  attachments: [attachmentSchema],
   createdAt: { type: Date, default: Date.now },
   },
   { timestamps: true }
@@ -24,6 +94,31 @@ expenseSchema.set("toJSON", {
   },
 });
 
+expenseSchema.pre("validate", function (next) {
+  if (!splitsMatchAmount(this.splits, this.amount)) {
+    this.invalidate("splits", "Split amounts must add up to the expense amount");
+  }
+  if (this.sharing && !splitsMatchAmount(this.sharing.participants.map((p) => ({ amount: p.share })), this.amount)) {
+    this.invalidate("sharing", "Participant shares must add up to the expense amount");
+  }
+  next();
+});
+
+// Deleted expenses go to the trash first (see utils/trash.js)
+expenseSchema.plugin(softDelete);
+
+// One expense per recurring series occurrence, so materialization is idempotent
+expenseSchema.index(
+  { recurringExpense: 1, date: 1 },
+  { unique: true, partialFilterExpression: { recurringExpense: { $exists: true } } }
+);
+
+// Category filters also look inside splits
+expenseSchema.index({ 'splits.category': 1 });
+
+// Full-text search over the free-text fields (used by the 'q' list filter)
+expenseSchema.index({ note: 'text', description: 'text' });
+
 const Expense = mongoose.model("Expense", expenseSchema);
 
 export default Expense;
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+export const REVISION_ACTIONS = ['create', 'update', 'revert'];
+
+// One version of an expense: its editable fields after a change, who made the change and
+// what it changed (see utils/revisions.js). Version 1 is the expense as it was created.
+const expenseRevisionSchema = new mongoose.Schema({
+    expense: { type: mongoose.Schema.Types.ObjectId, ref: 'Expense', required: true },
+    version: { type: Number, required: true, min: 1 },
+    action: { type: String, enum: REVISION_ACTIONS, required: true },
+    editor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // Set when an admin changed someone else's expense
+    byAdmin: { type: Boolean, default: false },
+    // The version a revert went back to
+    revertedTo: { type: Number, default: null },
+    // Changed fields as { field: { before, after } }
+    changes: { type: mongoose.Schema.Types.Mixed, default: {} },
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+    createdAt: { type: Date, default: Date.now },
+  }
+);
+
+expenseRevisionSchema.index({ expense: 1, version: 1 }, { unique: true });
+
+expenseRevisionSchema.set("toJSON", {
+  transform: (_document, returnedObject) => {
+    returnedObject.id = returnedObject._id.toString();
+    delete returnedObject._id;
+    delete returnedObject.__v;
+  },
+});
+
+const ExpenseRevision = mongoose.model('ExpenseRevision', expenseRevisionSchema);
+
+export default ExpenseRevision;
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+export const LEDGER_ROLES = ['owner', 'editor', 'viewer'];
+
+// A user who belongs to the ledger, and what they may do there (see utils/permissions.js)
+const memberSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: LEDGER_ROLES, required: true },
+    joinedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// A pending invitation. It is matched by email, so it can be sent before the person has an account.
+const invitationSchema = new mongoose.Schema({
+    email: { type: String, required: true, lowercase: true, trim: true },
+    role: { type: String, enum: LEDGER_ROLES, required: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    invitedAt: { type: Date, default: Date.now },
+  }
+);
+
+invitationSchema.set("toJSON", {
+  transform: (_document, returnedObject) => {
+    returnedObject.id = returnedObject._id.toString();
+    delete returnedObject._id;
+  },
+});
+
+// A shared group of expenses and categories, e.g. a household or a trip
+const ledgerSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    members: [memberSchema],
+    invitations: [invitationSchema],
+  },
+  { timestamps: true }
+);
+
+ledgerSchema.set("toJSON", {
+  transform: (_document, returnedObject) => {
+    returnedObject.id = returnedObject._id.toString();
+    delete returnedObject._id;
+    delete returnedObject.__v;
+    delete returnedObject.createdAt;
+    delete returnedObject.updatedAt;
+  },
+});
+
+ledgerSchema.index({ 'members.user': 1 });
+ledgerSchema.index({ 'invitations.email': 1 });
+
+// Query filter for the ledgers a user is a member of
+ledgerSchema.statics.memberOf = function (user) {
+  return { 'members.user': user._id };
+};
+
+// The user's role in this ledger, or null if they are not a member
+ledgerSchema.methods.roleOf = function (user) {
+  const id = (user._id || user).toString();
+  const member = this.members.find((m) => (m.user._id || m.user).toString() === id);
+  return member ? member.role : null;
+};
+
+ledgerSchema.methods.ownerCount = function () {
+  return this.members.filter((m) => m.role === 'owner').length;
+};
+
+const Ledger = mongoose.model('Ledger', ledgerSchema);
+
+export default Ledger;
@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+
+// Failed login counter for one account or IP address, used by the Mongo login throttle store
+// (see utils/loginThrottle.js) so that every app instance sees the same counts
+const loginAttemptSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    failures: { type: Number, default: 0 },
+    lockedUntil: { type: Date, default: null },
+    // Removed by MongoDB's TTL monitor once the failures are old enough to forget
+    expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  }
+);
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+export default LoginAttempt;
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+import { DEFAULT_CURRENCY, isCurrencyCode } from "../utils/currency.js";
+
+const scheduleSchema = new mongoose.Schema({
+    frequency: { type: String, enum: ['daily', 'weekly', 'monthly', 'yearly'], required: true },
+    interval: { type: Number, min: 1, default: 1 },
+    startDate: { type: Date, required: true },
+    // A series ends at endDate or after count occurrences, whichever comes first
+    endDate: { type: Date },
+    count: { type: Number, min: 1 },
+  },
+  { _id: false }
+);
+
+const recurringExpenseSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true },
+    amount: { type: Number, required: true, min: 0 },
+    currency: {
+      type: String,
+      uppercase: true,
+      default: DEFAULT_CURRENCY,
+      validate: { validator: isCurrencyCode, message: 'Currency must be an ISO 4217 code' },
+    },
+    note: { type: String, trim: true },
+    description: { type: String, trim: true },
+    schedule: { type: scheduleSchema, required: true },
+    paused: { type: Boolean, default: false },
+    // Occurrences the user chose to skip
+    skippedDates: [{ type: Date }],
+    // Occurrences up to this point have been turned into expenses
+    materializedThrough: { type: Date },
+  },
+  { timestamps: true }
+);
+
+recurringExpenseSchema.set("toJSON", {
+  transform: (_document, returnedObject) => {
+    returnedObject.id = returnedObject._id.toString();
+    delete returnedObject._id;
+    delete returnedObject.__v;
+    delete returnedObject.createdAt;
+    delete returnedObject.updatedAt;
+  },
+});
+
+recurringExpenseSchema.methods.isSkipped = function (date) {
+  return this.skippedDates.some((skipped) => skipped.getTime() === date.getTime());
+};
+
+const RecurringExpense = mongoose.model('RecurringExpense', recurringExpenseSchema);
+
+export default RecurringExpense;
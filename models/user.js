@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
 import bcrypt from "bcrypt";
+import { DEFAULT_CURRENCY, isCurrencyCode } from "../utils/currency.js";
+
+export const USER_ROLES = ['user', 'admin'];
 
 const userSchema = new mongoose.Schema(
   {
@@ -18,9 +21,45 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['user', 'admin'],
+      enum: USER_ROLES,
       default: 'user',
   },
+    // Suspended users can't log in or use the API until an admin reactivates them
+    suspended: {
+      type: Boolean,
+      default: false,
+    },
+    // Set when an admin forces a password reset: the current password stops working until
+    // the user sets a new one with the emailed link
+    passwordResetRequired: {
+      type: Boolean,
+      default: false,
+    },
+    // Registration and email changes set this to false until the address is confirmed.
+    // Accounts created any other way (seeding, tests, accounts older than verification) count as verified.
+    emailVerified: {
+      type: Boolean,
+      default: true,
+    },
+    // Two-factor authentication (see utils/twoFactor.js). The secret has to be kept readable to
+    // check codes; recovery codes are stored hashed. Only twoFactorEnabled is ever sent to clients.
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: String,
+    // Secret handed out by setup, until a code from it confirms the app is enrolled
+    twoFactorPendingSecret: String,
+    twoFactorRecoveryCodes: [String],
+    // Time step of the last app code accepted, so a code can't be replayed
+    twoFactorLastStep: Number,
+    // Currency that reports and totals are converted into
+    baseCurrency: {
+      type: String,
+      uppercase: true,
+      default: DEFAULT_CURRENCY,
+      validate: { validator: isCurrencyCode, message: 'Base currency must be an ISO 4217 code' },
+    },
   },
   { timestamps: true }
 );
@@ -31,6 +70,10 @@ userSchema.set("toJSON", {
     delete returnedObject._id;
     delete returnedObject.__v;
     delete returnedObject.passwordHash;
+    delete returnedObject.twoFactorSecret;
+    delete returnedObject.twoFactorPendingSecret;
+    delete returnedObject.twoFactorRecoveryCodes;
+    delete returnedObject.twoFactorLastStep;
     delete returnedObject.createdAt;
     delete returnedObject.updatedAt;
   },
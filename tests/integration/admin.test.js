@@ -3,6 +3,10 @@ import request from "supertest";
 import User from "../../models/user.js";
 import Category from "../../models/category.js";
 import Expense from "../../models/expense.js";
+import ExchangeRate from "../../models/exchangeRate.js";
+import LoginAttempt from "../../models/loginAttempt.js";
+import AuthToken from "../../models/authToken.js";
+import { getMailer, setMailer } from "../../utils/mailer.js";
 import mongoose from "mongoose";
 
 // Helper function to create a user and return credentials
@@ -38,9 +42,11 @@ describe("Admin API - Essential Tests", () => {
   });
 
   afterEach(async () => {
+    await ExchangeRate.deleteMany({});
     await Expense.deleteMany({});
     await Category.deleteMany({});
     await User.deleteMany({});
+    await LoginAttempt.deleteMany({});
     await mongoose.connection.db.collection("sessions").deleteMany({});
   });
 
@@ -88,9 +94,168 @@ describe("Admin API - Essential Tests", () => {
     const response = await adminAgent.get("/api/admin/users");
     
     expect(response.status).toBe(200);
-    expect(response.body).toHaveLength(2);
-    expect(response.body.some(u => u.email === "admin@example.com")).toBe(true);
-    expect(response.body.some(u => u.email === "user@example.com")).toBe(true);
+    expect(response.body.users).toHaveLength(2);
+    expect(response.body.users.some(u => u.email === "admin@example.com")).toBe(true);
+    expect(response.body.users.some(u => u.email === "user@example.com")).toBe(true);
+    expect(response.body.pageInfo).toHaveProperty("hasNextPage", false);
+  });
+
+  test("should unlock an account locked by failed logins", async () => {
+    const admin = await createUser("admin@example.com", "Password123!", "admin");
+    const user = await createUser("user@example.com", "Password123!", "user");
+    const adminAgent = await createAuthenticatedAgent(app, admin.email, admin.password);
+
+    for (let i = 0; i < 10; i += 1) {
+      await request(app).post("/api/auth/login").set("X-Forwarded-For", "203.0.113.7").send({ email: user.email, password: "Wrong123!" });
+    }
+    const locked = await request(app).post("/api/auth/login").send({ email: user.email, password: user.password });
+    expect(locked.status).toBe(429);
+
+    const response = await adminAgent.post(`/api/admin/users/${user.user._id}/unlock`);
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty("message", "Account unlocked");
+
+    const login = await request(app).post("/api/auth/login").send({ email: user.email, password: user.password });
+    expect(login.status).toBe(200);
+  });
+
+  describe("User management", () => {
+    let admin;
+    let adminAgent;
+
+    beforeEach(async () => {
+      admin = await createUser("admin@example.com", "Password123!", "admin");
+      adminAgent = await createAuthenticatedAgent(app, admin.email, admin.password);
+    });
+
+    test("should create users and change their role", async () => {
+      const created = await adminAgent.post("/api/admin/users").send({
+        email: "new@example.com",
+        name: "New Admin",
+        password: "Password123",
+        role: "admin",
+      });
+      expect(created.status).toBe(201);
+      expect(created.body.user).toHaveProperty("role", "admin");
+      expect(created.body.user).not.toHaveProperty("passwordHash");
+
+      const duplicate = await adminAgent.post("/api/admin/users").send({
+        email: "new@example.com",
+        name: "Again",
+        password: "Password123",
+      });
+      expect(duplicate.status).toBe(400);
+
+      const demoted = await adminAgent.put(`/api/admin/users/${created.body.user.id}`).send({ role: "user", name: "Now A User" });
+      expect(demoted.status).toBe(200);
+      expect(demoted.body.user).toMatchObject({ role: "user", name: "Now A User" });
+    });
+
+    test("should require verifying an email address an admin changed", async () => {
+      const originalMailer = getMailer();
+      const sent = [];
+      setMailer({ send: async (message) => { sent.push(message); } });
+      try {
+        const user = await createUser("user@example.com");
+        await request(app).post("/api/auth/forgot-password").send({ email: user.email });
+        expect(await AuthToken.countDocuments({ user: user.user._id, purpose: "password-reset" })).toBe(1);
+
+        const response = await adminAgent.put(`/api/admin/users/${user.user._id}`).send({ email: "moved@example.com" });
+        expect(response.status).toBe(200);
+        expect(response.body.user).toHaveProperty("emailVerified", false);
+        expect(sent.at(-1).to).toBe("moved@example.com");
+        // The reset link sent to the old address no longer works
+        expect(await AuthToken.countDocuments({ user: user.user._id, purpose: "password-reset" })).toBe(0);
+      } finally {
+        setMailer(originalMailer);
+        await AuthToken.deleteMany({});
+      }
+    });
+
+    test("should keep at least one active admin", async () => {
+      const demote = await adminAgent.put(`/api/admin/users/${admin.user._id}`).send({ role: "user" });
+      expect(demote.status).toBe(400);
+      expect(demote.body).toHaveProperty("error", "There must be at least one active admin");
+
+      const deleteSelf = await adminAgent.delete("/api/auth/profile").send({ password: admin.password });
+      expect(deleteSelf.status).toBe(400);
+
+      // With a second admin, demoting yourself is fine
+      await createUser("second@example.com", "Password123!", "admin");
+      const allowed = await adminAgent.put(`/api/admin/users/${admin.user._id}`).send({ role: "user" });
+      expect(allowed.status).toBe(200);
+    });
+
+    test("should not count suspended admins", async () => {
+      const other = await createUser("second@example.com", "Password123!", "admin");
+      expect((await adminAgent.post(`/api/admin/users/${other.user._id}/suspend`)).status).toBe(200);
+
+      const demote = await adminAgent.put(`/api/admin/users/${admin.user._id}`).send({ role: "user" });
+      expect(demote.status).toBe(400);
+    });
+
+    test("should suspend and reactivate users", async () => {
+      const user = await createUser("user@example.com");
+      const userAgent = await createAuthenticatedAgent(app, user.email, user.password);
+
+      const suspended = await adminAgent.post(`/api/admin/users/${user.user._id}/suspend`);
+      expect(suspended.status).toBe(200);
+      expect(suspended.body.user).toHaveProperty("suspended", true);
+      expect((await userAgent.get("/api/expenses")).status).toBe(401);
+
+      const login = await request(app).post("/api/auth/login").send({ email: user.email, password: user.password });
+      expect(login.status).toBe(403);
+      expect(login.body).toHaveProperty("error", "Account suspended");
+
+      const self = await adminAgent.post(`/api/admin/users/${admin.user._id}/suspend`);
+      expect(self.status).toBe(400);
+
+      expect((await adminAgent.post(`/api/admin/users/${user.user._id}/reactivate`)).status).toBe(200);
+      const again = await request(app).post("/api/auth/login").send({ email: user.email, password: user.password });
+      expect(again.status).toBe(200);
+    });
+
+    test("should force a password reset", async () => {
+      const user = await createUser("user@example.com");
+      const userAgent = await createAuthenticatedAgent(app, user.email, user.password);
+
+      const response = await adminAgent.post(`/api/admin/users/${user.user._id}/reset-password`);
+      expect(response.status).toBe(200);
+      expect((await userAgent.get("/api/expenses")).status).toBe(401);
+
+      const login = await request(app).post("/api/auth/login").send({ email: user.email, password: user.password });
+      expect(login.status).toBe(403);
+      expect(await User.findById(user.user._id)).toHaveProperty("passwordResetRequired", true);
+    });
+
+    test("should delete users and their data", async () => {
+      const user = await createUser("user@example.com");
+      const category = await createCategory("Food", user.user._id);
+      await Expense.create({ user: user.user._id, category: category._id, amount: 10, description: "Lunch" });
+
+      const response = await adminAgent.delete(`/api/admin/users/${user.user._id}`);
+      expect(response.status).toBe(200);
+      expect(await User.findById(user.user._id)).toBeNull();
+      expect(await Expense.countDocuments({ user: user.user._id })).toBe(0);
+      expect(await Category.countDocuments({ user: user.user._id })).toBe(0);
+
+      const missing = await adminAgent.delete(`/api/admin/users/${user.user._id}`);
+      expect(missing.status).toBe(404);
+    });
+
+    test("should hand the global categories of a deleted admin over to another admin", async () => {
+      const other = await createUser("second@example.com", "Password123!", "admin");
+      const shared = await Category.create({ name: "Groceries", user: other.user._id, visibility: "global" });
+      const user = await createUser("user@example.com");
+      await Expense.create({ user: user.user._id, category: shared._id, amount: 10, description: "Milk" });
+
+      const response = await adminAgent.delete(`/api/admin/users/${other.user._id}`);
+      expect(response.status).toBe(200);
+      const category = await Category.findById(shared._id);
+      expect(category).not.toBeNull();
+      expect(category.user.toString()).toBe(admin.user._id.toString());
+      expect(await Expense.countDocuments({ category: shared._id })).toBe(1);
+    });
   });
 
   // Admin Expense Management
@@ -115,7 +280,7 @@ describe("Admin API - Essential Tests", () => {
     // Admin can view all expenses
     const listResponse = await adminAgent.get("/api/admin/expenses");
     expect(listResponse.status).toBe(200);
-    expect(listResponse.body).toHaveLength(1);
+    expect(listResponse.body.expenses).toHaveLength(1);
 
     // Admin can update any expense
     const updateResponse = await adminAgent.put(`/api/admin/expenses/${expenseId}`).send({
@@ -159,6 +324,27 @@ describe("Admin API - Essential Tests", () => {
     expect(deleteResponse.body).toHaveProperty("message", "Category deleted successfully");
   });
 
+  test("should only treat category names as duplicates within the same ledger or owner", async () => {
+    const admin = await createUser("admin@example.com", "Password123!", "admin");
+    const user = await createUser("user@example.com", "Password123!", "user");
+    const adminAgent = await createAuthenticatedAgent(app, admin.email, admin.password);
+    const ledgerCategory = await Category.create({ name: "Groceries", user: user.user._id, ledger: new mongoose.Types.ObjectId() });
+
+    // A ledger category doesn't take the name from its creator's personal categories
+    const personal = await adminAgent.post("/api/admin/categories").send({ name: "Groceries", userId: user.user._id });
+    expect(personal.status).toBe(201);
+
+    const duplicate = await adminAgent.post("/api/admin/categories").send({ name: "Groceries", userId: user.user._id });
+    expect(duplicate.status).toBe(400);
+    expect(duplicate.body).toHaveProperty("error", "Category already exists for this user");
+
+    // Renaming the ledger category is checked within its ledger
+    const renamed = await adminAgent.put(`/api/admin/categories/${ledgerCategory._id}`).send({ name: "Food", userId: user.user._id });
+    expect(renamed.status).toBe(200);
+    const back = await adminAgent.put(`/api/admin/categories/${ledgerCategory._id}`).send({ name: "Groceries", userId: user.user._id });
+    expect(back.status).toBe(200);
+  });
+
   // Validation Tests
   test("should validate admin expense creation", async () => {
     const admin = await createUser("admin@example.com", "Password123!", "admin");
@@ -186,4 +372,100 @@ describe("Admin API - Essential Tests", () => {
     expect(response.body.dashboard.summary.overallStats).toHaveProperty("totalUsers");
     expect(response.body.dashboard.summary.overallStats).toHaveProperty("totalExpenses");
   });
+
+  // Multi-currency Reports
+  test("should import exchange rates and convert report totals into the base currency", async () => {
+    const admin = await createUser("admin@example.com", "Password123!", "admin");
+    const user = await createUser("user@example.com", "Password123!", "user");
+    const category = await createCategory("Travel", user.user._id);
+    const adminAgent = await createAuthenticatedAgent(app, admin.email, admin.password);
+
+    const importResponse = await adminAgent.post("/api/admin/exchange-rates").send({
+      rates: [
+        { currency: "USD", date: "2025-01-01", rate: 2 },
+        { currency: "GBP", date: "2025-01-01", rate: 0.5 }
+      ]
+    });
+    expect(importResponse.status).toBe(201);
+    expect(importResponse.body.inserted).toBe(2);
+
+    const invalidImport = await adminAgent.post("/api/admin/exchange-rates").send({
+      rates: [{ currency: "EURO", date: "2025-01-01", rate: 1 }]
+    });
+    expect(invalidImport.status).toBe(400);
+
+    await Expense.create([
+      { user: user.user._id, category: category._id, amount: 10, currency: "EUR", date: new Date("2025-02-01") },
+      { user: user.user._id, category: category._id, amount: 20, currency: "USD", date: new Date("2025-02-01") },
+      // No rate on or before this date
+      { user: user.user._id, category: category._id, amount: 5, currency: "USD", date: new Date("2024-06-01") }
+    ]);
+
+    // Report in the admin's default base currency (EUR)
+    const eurReport = await adminAgent.get("/api/admin/report");
+    expect(eurReport.status).toBe(200);
+    expect(eurReport.body.summary).toMatchObject({ currency: "EUR", totalValue: 20, unconvertedExpenses: 1 });
+    const usdExpense = eurReport.body.expenses.find(e => e.amount === 20);
+    expect(usdExpense).toMatchObject({ currency: "USD", baseAmount: 10, baseCurrency: "EUR" });
+
+    // Switch the admin's base currency to GBP
+    await adminAgent.put("/api/auth/profile").send({ baseCurrency: "gbp" });
+    const gbpReport = await adminAgent.get("/api/admin/report");
+    expect(gbpReport.body.summary).toMatchObject({ currency: "GBP", totalValue: 10 });
+
+    const dashboard = await adminAgent.get("/api/admin/dashboard");
+    expect(dashboard.status).toBe(200);
+    expect(dashboard.body.dashboard.currency).toBe("GBP");
+  });
+
+  // Report Export
+  test("should export every user's expenses matching the report filters", async () => {
+    const admin = await createUser("admin@example.com", "Password123!", "admin");
+    const user = await createUser("user@example.com", "Password123!", "user", "Jane");
+    const category = await createCategory("Travel", user.user._id);
+    const adminAgent = await createAuthenticatedAgent(app, admin.email, admin.password);
+
+    await Expense.create([
+      { user: user.user._id, category: category._id, amount: 10, currency: "EUR", date: new Date("2025-02-01"), note: "Train" },
+      { user: user.user._id, category: category._id, amount: 20, currency: "USD", date: new Date("2025-03-01"), note: "Taxi" }
+    ]);
+
+    const csv = await adminAgent.get(`/api/admin/report/export?userId=${user.user._id}`);
+    expect(csv.status).toBe(200);
+    const lines = csv.text.trim().split("\r\n");
+    expect(lines[0]).toBe("id,date,amount,currency,category,description,note,userName,userEmail");
+    expect(lines).toHaveLength(3);
+    expect(lines[1]).toContain(",Travel,Train,Train,Jane,user@example.com");
+
+    const ofx = await adminAgent.get("/api/admin/report/export?format=ofx&currency=USD").buffer(true);
+    expect(ofx.status).toBe(200);
+    expect(ofx.text).toContain("<CURDEF>USD</CURDEF>");
+    expect(ofx.text.match(/<STMTTRN>/g)).toHaveLength(1);
+
+    const mixed = await adminAgent.get("/api/admin/report/export?format=ofx");
+    expect(mixed.status).toBe(400);
+  });
+
+  // Split Expenses in Dashboard
+  test("should attribute split expenses to each category in the dashboard", async () => {
+    const admin = await createUser("admin@example.com", "Password123!", "admin");
+    const user = await createUser("user@example.com", "Password123!", "user");
+    const food = await createCategory("Food", user.user._id);
+    const household = await createCategory("Household", user.user._id);
+    const adminAgent = await createAuthenticatedAgent(app, admin.email, admin.password);
+
+    await Expense.create([
+      {
+        user: user.user._id, category: food._id, amount: 50, currency: "EUR",
+        splits: [{ category: food._id, amount: 30 }, { category: household._id, amount: 20 }]
+      },
+      { user: user.user._id, category: food._id, amount: 10, currency: "EUR" }
+    ]);
+
+    const response = await adminAgent.get("/api/admin/dashboard");
+    expect(response.status).toBe(200);
+    const stats = response.body.dashboard.categoryStats;
+    expect(stats.find(c => c.categoryName === "Food")).toMatchObject({ totalAmount: 40, expenseCount: 2 });
+    expect(stats.find(c => c.categoryName === "Household")).toMatchObject({ totalAmount: 20, expenseCount: 1 });
+  });
 });
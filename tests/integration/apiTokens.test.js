@@ -0,0 +1,153 @@
+import createApp from "../../app.js";
+import request from "supertest";
+import User from "../../models/user.js";
+import ApiToken from "../../models/apiToken.js";
+import mongoose from "mongoose";
+
+const createUser = async (email, password = "Password123!", role = "user") => {
+  const passwordHash = await User.hashPassword(password);
+  const user = await User.create({ email, name: "Test User", passwordHash, role });
+  return { user, email, password };
+};
+
+const createAuthenticatedAgent = async (app, email, password) => {
+  const agent = request.agent(app);
+  await agent.post("/api/auth/login").send({ email, password });
+  return agent;
+};
+
+describe("API tokens", () => {
+  let app;
+  let agent;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    const { email, password } = await createUser("scripter@example.com");
+    agent = await createAuthenticatedAgent(app, email, password);
+  });
+
+  afterEach(async () => {
+    await ApiToken.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.db.collection("sessions").deleteMany({});
+  });
+
+  const createToken = async (scopes, name = "Sync script") =>
+    (await agent.post("/api/auth/tokens").send({ name, scopes })).body.data;
+
+  test("should create a token and show it only once", async () => {
+    const response = await agent.post("/api/auth/tokens").send({ name: "Sync script", scopes: ["expenses:read"] });
+    expect(response.status).toBe(201);
+    expect(response.body.data.token).toMatch(/^et_/);
+    expect(response.body.data).toHaveProperty("scopes", ["expenses:read"]);
+    expect(response.body.data).not.toHaveProperty("tokenHash");
+
+    const list = await agent.get("/api/auth/tokens");
+    expect(list.body.data).toHaveLength(1);
+    expect(list.body.data[0]).toHaveProperty("name", "Sync script");
+    expect(list.body.data[0]).toHaveProperty("prefix", response.body.data.token.slice(0, 9));
+    expect(list.body.data[0]).not.toHaveProperty("token");
+  });
+
+  test("should validate the scopes", async () => {
+    const response = await agent.post("/api/auth/tokens").send({ name: "Sync script", scopes: ["everything"] });
+    expect(response.status).toBe(400);
+
+    const empty = await agent.post("/api/auth/tokens").send({ name: "Sync script", scopes: [] });
+    expect(empty.status).toBe(400);
+  });
+
+  test("should authenticate requests within the token's scopes", async () => {
+    const { token } = await createToken(["expenses:read"]);
+
+    const read = await request(app).get("/api/expenses").set("Authorization", `Bearer ${token}`);
+    expect(read.status).toBe(200);
+
+    const write = await request(app)
+      .post("/api/expenses")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ amount: 10, description: "Lunch", date: "2025-01-01" });
+    expect(write.status).toBe(403);
+    expect(write.body).toHaveProperty("error", "API token is missing the 'expenses:write' scope");
+
+    const otherResource = await request(app).get("/api/budgets").set("Authorization", `Bearer ${token}`);
+    expect(otherResource.status).toBe(403);
+
+    const stored = await ApiToken.findOne({});
+    expect(stored.lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  test("should not accept tokens on account routes", async () => {
+    const { token } = await createToken(["expenses:write", "categories:write"]);
+
+    const mint = await request(app)
+      .post("/api/auth/tokens")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ name: "Another", scopes: ["expenses:read"] });
+    expect(mint.status).toBe(403);
+    expect(mint.body).toHaveProperty("error", "API tokens can't be used for this route");
+
+    const profile = await request(app).put("/api/auth/profile").set("Authorization", `Bearer ${token}`).send({ name: "X" });
+    expect(profile.status).toBe(401);
+  });
+
+  test("should reject unknown and revoked tokens", async () => {
+    const { id, token } = await createToken(["expenses:read"]);
+
+    const unknown = await request(app).get("/api/expenses").set("Authorization", "Bearer et_nope");
+    expect(unknown.status).toBe(401);
+    expect(unknown.body).toHaveProperty("error", "Invalid API token");
+
+    const revoked = await agent.delete(`/api/auth/tokens/${id}`);
+    expect(revoked.status).toBe(200);
+
+    const after = await request(app).get("/api/expenses").set("Authorization", `Bearer ${token}`);
+    expect(after.status).toBe(401);
+  });
+
+  test("should refuse tokens while a password reset is required", async () => {
+    const { token } = await createToken(["expenses:read"]);
+    const user = await User.findOne({});
+    await User.updateOne({ _id: user._id }, { passwordResetRequired: true });
+
+    const refused = await request(app).get("/api/expenses").set("Authorization", `Bearer ${token}`);
+    expect(refused.status).toBe(403);
+    expect(refused.body).toHaveProperty("error", "A password reset is required");
+
+    await User.updateOne({ _id: user._id }, { passwordResetRequired: false });
+    const after = await request(app).get("/api/expenses").set("Authorization", `Bearer ${token}`);
+    expect(after.status).toBe(200);
+  });
+
+  test("should not let users revoke someone else's token", async () => {
+    const { id } = await createToken(["expenses:read"]);
+    const { email, password } = await createUser("other@example.com");
+    const other = await createAuthenticatedAgent(app, email, password);
+
+    const response = await other.delete(`/api/auth/tokens/${id}`);
+    expect(response.status).toBe(404);
+    expect(await ApiToken.countDocuments()).toBe(1);
+  });
+
+  test("should only give the admin scope to admins", async () => {
+    const refused = await agent.post("/api/auth/tokens").send({ name: "Admin", scopes: ["admin"] });
+    expect(refused.status).toBe(403);
+
+    const { email, password } = await createUser("admin@example.com", "Password123!", "admin");
+    const admin = await createAuthenticatedAgent(app, email, password);
+    const created = await admin.post("/api/auth/tokens").send({ name: "Admin", scopes: ["admin"] });
+    expect(created.status).toBe(201);
+
+    const response = await request(app).get("/api/admin/users").set("Authorization", `Bearer ${created.body.data.token}`);
+    expect(response.status).toBe(200);
+  });
+});
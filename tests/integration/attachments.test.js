@@ -0,0 +1,181 @@
+import createApp from "../../app.js";
+import request from "supertest";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import User from "../../models/user.js";
+import Category from "../../models/category.js";
+import Expense from "../../models/expense.js";
+import AuditEvent from "../../models/auditEvent.js";
+import { createLocalStorage, getStorage, setStorage } from "../../utils/storage.js";
+import mongoose from "mongoose";
+
+// Helper function to create a user and return credentials
+const createUser = async (email, password = "Password123!", role = "user", name = "Test User") => {
+  const passwordHash = await User.hashPassword(password);
+  const user = await User.create({ email, name, passwordHash, role });
+  return { user, email, password };
+};
+
+// Helper function to create an authenticated agent (with session)
+const createAuthenticatedAgent = async (app, email, password) => {
+  const agent = request.agent(app);
+  await agent.post("/api/auth/login").send({ email, password });
+  return agent;
+};
+
+// Helper function to create an expense for testing
+const createExpense = async (userId) => {
+  const category = await Category.create({ name: "Travel", user: userId });
+  return await Expense.create({ user: userId, category: category._id, amount: 42 });
+};
+
+const PDF = Buffer.from("%PDF-1.4\n% test receipt\n");
+
+// Collect a binary response body into a Buffer
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+};
+
+// Count the files below the storage directory
+const storedFiles = async (root) => (await fs.readdir(root, { recursive: true, withFileTypes: true }))
+  .filter((entry) => entry.isFile()).length;
+
+describe("Attachment API - Essential Tests", () => {
+  let app;
+  let uploadDir;
+  let originalStorage;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    app = createApp();
+    originalStorage = getStorage();
+  });
+
+  afterAll(async () => {
+    setStorage(originalStorage);
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), "attachments-test-"));
+    setStorage(createLocalStorage(uploadDir));
+  });
+
+  afterEach(async () => {
+    await fs.rm(uploadDir, { recursive: true, force: true });
+    await AuditEvent.collection.deleteMany({});
+    await Expense.deleteMany({});
+    await Category.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.db.collection("sessions").deleteMany({});
+  });
+
+  // Essential Lifecycle Test
+  test("should upload, list, download and delete a receipt", async () => {
+    const { user, email, password } = await createUser("test@example.com");
+    const agent = await createAuthenticatedAgent(app, email, password);
+    const expense = await createExpense(user._id);
+
+    const upload = await agent
+      .post(`/api/expenses/${expense._id}/attachments`)
+      .attach("file", PDF, { filename: "taxi receipt.pdf", contentType: "application/pdf" });
+    expect(upload.status).toBe(201);
+    expect(upload.body.data).toMatchObject({ filename: "taxi receipt.pdf", contentType: "application/pdf", size: PDF.length });
+    expect(upload.body.data).not.toHaveProperty("key");
+    const attachmentId = upload.body.data.id;
+    expect(await storedFiles(uploadDir)).toBe(1);
+
+    const list = await agent.get(`/api/expenses/${expense._id}/attachments`);
+    expect(list.status).toBe(200);
+    expect(list.body.data).toHaveLength(1);
+
+    const download = await agent.get(`/api/expenses/${expense._id}/attachments/${attachmentId}`).buffer(true).parse(binaryParser);
+    expect(download.status).toBe(200);
+    expect(download.headers["content-type"]).toBe("application/pdf");
+    expect(download.headers["content-disposition"]).toContain("taxi receipt.pdf");
+    expect(download.body.equals(PDF)).toBe(true);
+
+    const remove = await agent.delete(`/api/expenses/${expense._id}/attachments/${attachmentId}`);
+    expect(remove.status).toBe(200);
+    expect(await storedFiles(uploadDir)).toBe(0);
+    expect((await Expense.findById(expense._id)).attachments).toHaveLength(0);
+
+    const events = await AuditEvent.find({ "target.id": expense._id.toString() }).sort({ createdAt: 1, _id: 1 });
+    expect(events.map((event) => event.action)).toEqual(["expense.attach", "expense.detach"]);
+    expect(events[0].details).toMatchObject({ attachment: attachmentId, filename: "taxi receipt.pdf" });
+  });
+
+  // Validation Test
+  test("should reject files with a disallowed type, mismatched contents or no file", async () => {
+    const { user, email, password } = await createUser("test@example.com");
+    const agent = await createAuthenticatedAgent(app, email, password);
+    const expense = await createExpense(user._id);
+    const url = `/api/expenses/${expense._id}/attachments`;
+
+    const html = await agent.post(url).attach("file", Buffer.from("<html></html>"), { filename: "x.html", contentType: "text/html" });
+    expect(html.status).toBe(415);
+
+    const disguised = await agent.post(url).attach("file", Buffer.from("<html></html>"), { filename: "x.pdf", contentType: "application/pdf" });
+    expect(disguised.status).toBe(415);
+    expect(disguised.body).toHaveProperty("error", "File contents do not match the declared type 'application/pdf'");
+
+    const tooLarge = Buffer.concat([PDF, Buffer.alloc(5 * 1024 * 1024)]);
+    const large = await agent.post(url).attach("file", tooLarge, { filename: "big.pdf", contentType: "application/pdf" });
+    expect(large.status).toBe(413);
+
+    const missing = await agent.post(url).send({});
+    expect(missing.status).toBe(400);
+
+    expect(await storedFiles(uploadDir)).toBe(0);
+  });
+
+  // Authorization Test
+  test("should only let the owner or an admin reach an expense's attachments", async () => {
+    const owner = await createUser("owner@example.com");
+    const other = await createUser("other@example.com");
+    const admin = await createUser("admin@example.com", "Password123!", "admin");
+    const expense = await createExpense(owner.user._id);
+
+    const ownerAgent = await createAuthenticatedAgent(app, owner.email, owner.password);
+    const upload = await ownerAgent
+      .post(`/api/expenses/${expense._id}/attachments`)
+      .attach("file", PDF, { filename: "receipt.pdf", contentType: "application/pdf" });
+    const downloadUrl = `/api/expenses/${expense._id}/attachments/${upload.body.data.id}`;
+
+    const otherAgent = await createAuthenticatedAgent(app, other.email, other.password);
+    expect((await otherAgent.get(downloadUrl)).status).toBe(403);
+    expect((await otherAgent.post(`/api/expenses/${expense._id}/attachments`)
+      .attach("file", PDF, { filename: "receipt.pdf", contentType: "application/pdf" })).status).toBe(403);
+
+    const adminAgent = await createAuthenticatedAgent(app, admin.email, admin.password);
+    expect((await adminAgent.get(downloadUrl).buffer(true).parse(binaryParser)).status).toBe(200);
+
+    expect((await request(app).get(downloadUrl)).status).toBe(401);
+  });
+
+  // Cleanup Test
+  test("should keep stored files of trashed expenses and delete them with the account", async () => {
+    const { user, email, password } = await createUser("test@example.com");
+    const agent = await createAuthenticatedAgent(app, email, password);
+    const first = await createExpense(user._id);
+    const second = await Expense.create({ user: user._id, category: first.category, amount: 7 });
+
+    for (const expense of [first, second]) {
+      await agent
+        .post(`/api/expenses/${expense._id}/attachments`)
+        .attach("file", PDF, { filename: "receipt.pdf", contentType: "application/pdf" });
+    }
+    expect(await storedFiles(uploadDir)).toBe(2);
+
+    // A deleted expense can still be restored, receipt included, until the trash is purged
+    await agent.delete(`/api/expenses/${first._id}`);
+    expect(await storedFiles(uploadDir)).toBe(2);
+
+    await agent.delete("/api/auth/profile").send({ password });
+    expect(await storedFiles(uploadDir)).toBe(0);
+  });
+});
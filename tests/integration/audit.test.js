@@ -0,0 +1,195 @@
+import createApp from "../../app.js";
+import request from "supertest";
+import User from "../../models/user.js";
+import Category from "../../models/category.js";
+import Expense from "../../models/expense.js";
+import AuditEvent from "../../models/auditEvent.js";
+import Budget from "../../models/budget.js";
+import Ledger from "../../models/ledger.js";
+import RecurringExpense from "../../models/recurringExpense.js";
+import mongoose from "mongoose";
+
+const createUser = async (email, password = "Password123!", role = "user") => {
+  const passwordHash = await User.hashPassword(password);
+  const user = await User.create({ email, name: "Test User", passwordHash, role });
+  return { user, email, password };
+};
+
+const createAuthenticatedAgent = async (app, email, password) => {
+  const agent = request.agent(app);
+  await agent.post("/api/auth/login").send({ email, password });
+  return agent;
+};
+
+describe("Audit log", () => {
+  let app;
+  let admin;
+  let adminAgent;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    const created = await createUser("admin@example.com", "Password123!", "admin");
+    admin = created.user;
+    adminAgent = await createAuthenticatedAgent(app, created.email, created.password);
+  });
+
+  afterEach(async () => {
+    // The model refuses deletes, so clean up through the driver
+    await AuditEvent.collection.deleteMany({});
+    await Budget.deleteMany({});
+    await Ledger.deleteMany({});
+    await RecurringExpense.deleteMany({});
+    await Expense.deleteMany({});
+    await Category.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.db.collection("sessions").deleteMany({});
+  });
+
+  test("should record an admin's change to someone else's expense with a diff", async () => {
+    const { user } = await createUser("ann@example.com");
+    const expense = await Expense.create({ user: user._id, amount: 10, description: "Lunch", date: new Date("2025-01-01") });
+
+    const response = await adminAgent
+      .put(`/api/admin/expenses/${expense._id}`)
+      .set("X-Request-Id", "trace-123")
+      .send({ amount: 25, description: "Lunch", date: "2025-01-01" });
+    expect(response.status).toBe(200);
+    expect(response.headers["x-request-id"]).toBe("trace-123");
+
+    const events = await AuditEvent.find({ action: "expense.update" });
+    expect(events).toHaveLength(1);
+    expect(events[0].actor.toString()).toBe(admin._id.toString());
+    expect(events[0].actorEmail).toBe("admin@example.com");
+    expect(events[0].via).toBe("session");
+    expect(events[0].target).toMatchObject({ type: "expense", id: expense._id.toString() });
+    expect(events[0].changes.amount).toEqual({ before: 10, after: 25 });
+    expect(events[0].requestId).toBe("trace-123");
+    expect(events[0].ip).toBeTruthy();
+  });
+
+  test("should record users' own changes, including logins", async () => {
+    const { email, password } = await createUser("ann@example.com");
+    const agent = await createAuthenticatedAgent(app, email, password);
+
+    const created = await agent.post("/api/categories").send({ name: "Food" });
+    await agent.delete(`/api/categories/${created.body.data.id}`);
+
+    const actions = (await AuditEvent.find({ actorEmail: email }).sort({ createdAt: 1, _id: 1 })).map((event) => event.action);
+    expect(actions).toEqual(["auth.login", "category.create", "category.delete"]);
+  });
+
+  test("should record changes to ledgers, budgets and recurring expenses", async () => {
+    const { user, email, password } = await createUser("ann@example.com");
+    const agent = await createAuthenticatedAgent(app, email, password);
+    const category = await Category.create({ name: "Food", user: user._id });
+
+    const ledger = await agent.post("/api/ledgers").send({ name: "Home" });
+    await agent.put(`/api/ledgers/${ledger.body.data.id}`).send({ name: "Flat" });
+    await agent.post(`/api/ledgers/${ledger.body.data.id}/invitations`).send({ email: "bob@example.com" });
+    const budget = await agent.post("/api/budgets").send({ categoryId: category._id, amount: 200, period: "monthly" });
+    await agent.delete(`/api/budgets/${budget.body.data.id}`);
+    const series = await agent.post("/api/recurring-expenses").send({
+      categoryId: category._id,
+      amount: 20,
+      frequency: "weekly",
+      startDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+    });
+    await agent.post(`/api/recurring-expenses/${series.body.data.id}/pause`);
+
+    const actions = (await AuditEvent.find({ actorEmail: email }).sort({ createdAt: 1, _id: 1 })).map((event) => event.action);
+    expect(actions).toEqual([
+      "auth.login",
+      "ledger.create",
+      "ledger.update",
+      "ledger.invite",
+      "budget.create",
+      "budget.delete",
+      "recurring_expense.create",
+      "recurring_expense.pause",
+    ]);
+    const rename = await AuditEvent.findOne({ action: "ledger.update" });
+    expect(rename.changes.name).toEqual({ before: "Home", after: "Flat" });
+  });
+
+  test("should keep password hashes out of the log", async () => {
+    const { email, password } = await createUser("ann@example.com");
+    const agent = await createAuthenticatedAgent(app, email, password);
+
+    await agent.put("/api/auth/profile").send({ currentPassword: password, newPassword: "NewPassword123!" });
+
+    const event = await AuditEvent.findOne({ action: "user.update" });
+    expect(event.details).toEqual({ passwordChanged: true });
+    expect(JSON.stringify(event)).not.toContain("passwordHash");
+  });
+
+  test("should not let events be changed or removed", async () => {
+    const { user } = await createUser("ann@example.com");
+    await adminAgent.post(`/api/admin/users/${user._id}/suspend`);
+
+    const event = await AuditEvent.findOne({ action: "user.suspend" });
+    expect(event.changes.suspended).toEqual({ before: false, after: true });
+    await expect(AuditEvent.updateOne({ _id: event._id }, { action: "nothing" })).rejects.toThrow("append-only");
+    await expect(AuditEvent.deleteMany({})).rejects.toThrow("append-only");
+    event.action = "nothing";
+    await expect(event.save()).rejects.toThrow("append-only");
+  });
+
+  describe("Query API", () => {
+    test("should filter events by actor, target and time range", async () => {
+      const { user, email, password } = await createUser("ann@example.com");
+      const agent = await createAuthenticatedAgent(app, email, password);
+      const created = await agent.post("/api/categories").send({ name: "Food" });
+      await adminAgent.put(`/api/admin/users/${user._id}`).send({ name: "Ann" });
+
+      const byActor = await adminAgent.get(`/api/admin/audit-events?actor=${user._id}`);
+      expect(byActor.status).toBe(200);
+      expect(byActor.body.events.map((event) => event.action)).toEqual(["category.create", "auth.login"]);
+
+      const byTarget = await adminAgent.get(`/api/admin/audit-events?targetType=user&targetId=${user._id}&action=user.update`);
+      expect(byTarget.body.events).toHaveLength(1);
+      expect(byTarget.body.events[0].actorEmail).toBe("admin@example.com");
+      expect(byTarget.body.events[0].changes.name).toEqual({ before: "Test User", after: "Ann" });
+
+      const category = await adminAgent.get(`/api/admin/audit-events?targetType=category&targetId=${created.body.data.id}`);
+      expect(category.body.events).toHaveLength(1);
+
+      const future = await adminAgent.get("/api/admin/audit-events?from=2999-01-01");
+      expect(future.body.events).toEqual([]);
+    });
+
+    test("should page through events", async () => {
+      const { email, password } = await createUser("ann@example.com");
+      const agent = await createAuthenticatedAgent(app, email, password);
+      await agent.post("/api/categories").send({ name: "Food" });
+      await agent.post("/api/categories").send({ name: "Rent" });
+
+      const first = await adminAgent.get("/api/admin/audit-events?limit=2");
+      expect(first.body.events).toHaveLength(2);
+      expect(first.body.pageInfo.hasNextPage).toBe(true);
+
+      const next = await adminAgent.get(`/api/admin/audit-events?limit=2&after=${first.body.pageInfo.endCursor}`);
+      expect(next.body.events.length).toBeGreaterThan(0);
+    });
+
+    test("should validate filters and be admin only", async () => {
+      const invalid = await adminAgent.get("/api/admin/audit-events?actor=nope");
+      expect(invalid.status).toBe(400);
+
+      const orphanId = await adminAgent.get("/api/admin/audit-events?targetId=123");
+      expect(orphanId.status).toBe(400);
+
+      const { email, password } = await createUser("ann@example.com");
+      const agent = await createAuthenticatedAgent(app, email, password);
+      expect((await agent.get("/api/admin/audit-events")).status).toBe(403);
+    });
+  });
+});
@@ -1,6 +1,9 @@
 import createApp from "../../app.js";
 import request from "supertest";
 import User from "../../models/user.js";
+import AuthToken from "../../models/authToken.js";
+import LoginAttempt from "../../models/loginAttempt.js";
+import { getMailer, setMailer } from "../../utils/mailer.js";
 import mongoose from "mongoose";
 
 describe("Auth API", () => {
@@ -18,6 +21,7 @@ describe("Auth API", () => {
 
   afterEach(async () => {
     await User.deleteMany({});
+    await LoginAttempt.deleteMany({});
     await mongoose.connection.db.collection("sessions").deleteMany({});
   });
 
@@ -538,4 +542,258 @@ describe("Auth API", () => {
       expect(meResponse.body.data).toHaveProperty("authenticated", false);
     });
   });
+
+  describe("Login throttling", () => {
+    const credentials = { email: "throttled@example.com", password: "TestPass123" };
+    const wrong = { ...credentials, password: "WrongPass123" };
+
+    beforeEach(async () => {
+      await request(app).post("/api/auth/register").send({ ...credentials, name: "Throttled" });
+    });
+
+    test("should answer 429 with Retry-After once the free attempts are used", async () => {
+      for (let i = 0; i < 4; i += 1) {
+        expect((await request(app).post("/api/auth/login").send(wrong)).status).toBe(401);
+      }
+
+      // Even the right password has to wait
+      const response = await request(app).post("/api/auth/login").send(credentials);
+      expect(response.status).toBe(429);
+      expect(response.headers["retry-after"]).toBe("1");
+      expect(response.body).toHaveProperty("error", "Too many failed login attempts, please try again later");
+    });
+
+    test("should reset the count after a successful login", async () => {
+      for (let i = 0; i < 3; i += 1) {
+        await request(app).post("/api/auth/login").send(wrong);
+      }
+      expect((await request(app).post("/api/auth/login").send(credentials)).status).toBe(200);
+
+      expect((await request(app).post("/api/auth/login").send(wrong)).status).toBe(401);
+      expect((await request(app).post("/api/auth/login").send(credentials)).status).toBe(200);
+    });
+
+    test("should count attempts for unknown emails too", async () => {
+      const unknown = { email: "nobody@example.com", password: "Whatever123" };
+      for (let i = 0; i < 4; i += 1) {
+        expect((await request(app).post("/api/auth/login").send(unknown)).status).toBe(401);
+      }
+      expect((await request(app).post("/api/auth/login").send(unknown)).status).toBe(429);
+    });
+  });
+
+  describe("Password reset", () => {
+    let sent;
+    let originalMailer;
+    let agent;
+
+    // The token from the link in the last email sent
+    const lastToken = () => new URL(sent.at(-1).text.match(/https?:\/\/\S+/)[0]).searchParams.get("token");
+
+    beforeAll(() => {
+      originalMailer = getMailer();
+    });
+
+    afterAll(() => {
+      setMailer(originalMailer);
+    });
+
+    beforeEach(async () => {
+      sent = [];
+      setMailer({ send: async (message) => { sent.push(message); } });
+
+      await request(app).post("/api/auth/register").send({
+        email: "forgetful@example.com",
+        password: "OldPass123",
+        name: "Forgetful User"
+      });
+      agent = request.agent(app);
+      await agent.post("/api/auth/login").send({ email: "forgetful@example.com", password: "OldPass123" });
+    });
+
+    afterEach(async () => {
+      await AuthToken.deleteMany({});
+    });
+
+    test("should email a reset link and set the new password", async () => {
+      const forgot = await request(app).post("/api/auth/forgot-password").send({ email: "forgetful@example.com" });
+      expect(forgot.status).toBe(200);
+      expect(sent).toHaveLength(1);
+      expect(sent[0].to).toBe("forgetful@example.com");
+
+      const reset = await request(app).post("/api/auth/reset-password").send({ token: lastToken(), password: "NewPass123" });
+      expect(reset.status).toBe(200);
+      expect(reset.body).toHaveProperty("message", "Password reset successfully");
+
+      const oldLogin = await request(app).post("/api/auth/login").send({ email: "forgetful@example.com", password: "OldPass123" });
+      expect(oldLogin.status).toBe(401);
+      const newLogin = await request(app).post("/api/auth/login").send({ email: "forgetful@example.com", password: "NewPass123" });
+      expect(newLogin.status).toBe(200);
+    });
+
+    test("should log out existing sessions", async () => {
+      expect((await agent.get("/api/auth/me")).status).toBe(200);
+
+      await request(app).post("/api/auth/forgot-password").send({ email: "forgetful@example.com" });
+      await request(app).post("/api/auth/reset-password").send({ token: lastToken(), password: "NewPass123" });
+
+      expect((await agent.get("/api/auth/me")).status).toBe(401);
+    });
+
+    test("should only accept a token once", async () => {
+      await request(app).post("/api/auth/forgot-password").send({ email: "forgetful@example.com" });
+      const token = lastToken();
+
+      await request(app).post("/api/auth/reset-password").send({ token, password: "NewPass123" });
+      const again = await request(app).post("/api/auth/reset-password").send({ token, password: "OtherPass123" });
+      expect(again.status).toBe(400);
+      expect(again.body).toHaveProperty("error", "Invalid or expired reset token");
+    });
+
+    test("should reject expired and superseded tokens", async () => {
+      await request(app).post("/api/auth/forgot-password").send({ email: "forgetful@example.com" });
+      const first = lastToken();
+      // Pretend the first email went out two minutes ago
+      await AuthToken.updateMany({}, { createdAt: new Date(Date.now() - 2 * 60 * 1000) }, { timestamps: false });
+      await request(app).post("/api/auth/forgot-password").send({ email: "forgetful@example.com" });
+
+      const superseded = await request(app).post("/api/auth/reset-password").send({ token: first, password: "NewPass123" });
+      expect(superseded.status).toBe(400);
+
+      await AuthToken.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+      const expired = await request(app).post("/api/auth/reset-password").send({ token: lastToken(), password: "NewPass123" });
+      expect(expired.status).toBe(400);
+    });
+
+    test("should rate limit reset emails without cancelling the last link", async () => {
+      await request(app).post("/api/auth/forgot-password").send({ email: "forgetful@example.com" });
+      const token = lastToken();
+
+      const again = await request(app).post("/api/auth/forgot-password").send({ email: "forgetful@example.com" });
+      expect(again.status).toBe(200);
+      expect(again.body.message).toBe("If an account exists for that email, a password reset link has been sent");
+      expect(sent).toHaveLength(1);
+
+      const reset = await request(app).post("/api/auth/reset-password").send({ token, password: "NewPass123" });
+      expect(reset.status).toBe(200);
+    });
+
+    test("should not reveal whether an account exists", async () => {
+      const response = await request(app).post("/api/auth/forgot-password").send({ email: "nobody@example.com" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe("If an account exists for that email, a password reset link has been sent");
+      expect(sent).toHaveLength(0);
+    });
+
+    test("should not verify a changed email with a reset link sent to the old one", async () => {
+      await request(app).post("/api/auth/forgot-password").send({ email: "forgetful@example.com" });
+      const token = lastToken();
+
+      const updated = await agent.put("/api/auth/profile").send({ email: "someone-else@example.com" });
+      expect(updated.status).toBe(200);
+
+      const reset = await request(app).post("/api/auth/reset-password").send({ token, password: "NewPass123" });
+      expect(reset.status).toBe(400);
+      const user = await User.findOne({ email: "someone-else@example.com" });
+      expect(user.emailVerified).toBe(false);
+    });
+
+    test("should only store a hash of the token", async () => {
+      await request(app).post("/api/auth/forgot-password").send({ email: "forgetful@example.com" });
+
+      const record = await AuthToken.findOne({ purpose: "password-reset" });
+      expect(record.tokenHash).not.toBe(lastToken());
+      expect(record.tokenHash).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  describe("Email verification", () => {
+    let sent;
+    let originalMailer;
+    let agent;
+
+    // The token from the link in the last email sent
+    const lastToken = () => new URL(sent.at(-1).text.match(/https?:\/\/\S+/)[0]).searchParams.get("token");
+
+    beforeAll(() => {
+      originalMailer = getMailer();
+    });
+
+    afterAll(() => {
+      setMailer(originalMailer);
+    });
+
+    beforeEach(async () => {
+      sent = [];
+      setMailer({ send: async (message) => { sent.push(message); } });
+
+      agent = request.agent(app);
+      await agent.post("/api/auth/register").send({
+        email: "newcomer@example.com",
+        password: "NewPass123",
+        name: "Newcomer"
+      });
+    });
+
+    afterEach(async () => {
+      await AuthToken.deleteMany({});
+    });
+
+    test("should start unverified and send a verification link", async () => {
+      const me = await agent.get("/api/auth/me");
+      expect(me.body.data.user.emailVerified).toBe(false);
+      expect(sent).toHaveLength(1);
+      expect(sent[0].to).toBe("newcomer@example.com");
+    });
+
+    test("should only allow reads until the email is verified", async () => {
+      expect((await agent.get("/api/expenses")).status).toBe(200);
+
+      const blocked = await agent.post("/api/categories").send({ name: "Hobby" });
+      expect(blocked.status).toBe(403);
+      expect(blocked.body).toHaveProperty("error", "Verify your email address to continue");
+
+      const verified = await request(app).post("/api/auth/verify-email").send({ token: lastToken() });
+      expect(verified.status).toBe(200);
+      expect(verified.body.user.emailVerified).toBe(true);
+
+      expect((await agent.post("/api/categories").send({ name: "Hobby" })).status).toBe(201);
+    });
+
+    test("should reject a used verification token", async () => {
+      const token = lastToken();
+      await request(app).post("/api/auth/verify-email").send({ token });
+
+      const again = await request(app).post("/api/auth/verify-email").send({ token });
+      expect(again.status).toBe(400);
+      expect(again.body).toHaveProperty("error", "Invalid or expired verification token");
+    });
+
+    test("should rate limit resending the verification email", async () => {
+      const tooSoon = await agent.post("/api/auth/resend-verification");
+      expect(tooSoon.status).toBe(429);
+      expect(Number(tooSoon.headers["retry-after"])).toBeGreaterThan(0);
+
+      // Pretend the first email went out two minutes ago
+      await AuthToken.updateMany({}, { createdAt: new Date(Date.now() - 2 * 60 * 1000) }, { timestamps: false });
+      const resent = await agent.post("/api/auth/resend-verification");
+      expect(resent.status).toBe(200);
+      expect(sent).toHaveLength(2);
+    });
+
+    test("should require verifying a changed email address again", async () => {
+      await request(app).post("/api/auth/verify-email").send({ token: lastToken() });
+
+      const updated = await agent.put("/api/auth/profile").send({ email: "moved@example.com" });
+      expect(updated.status).toBe(200);
+      expect(updated.body.user.emailVerified).toBe(false);
+      expect(sent.at(-1).to).toBe("moved@example.com");
+
+      // Renaming alone keeps the address verified
+      await request(app).post("/api/auth/verify-email").send({ token: lastToken() });
+      const renamed = await agent.put("/api/auth/profile").send({ name: "Mover", email: "moved@example.com" });
+      expect(renamed.body.user.emailVerified).toBe(true);
+    });
+  });
 });
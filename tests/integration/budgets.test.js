@@ -0,0 +1,178 @@
+import createApp from "../../app.js";
+import request from "supertest";
+import User from "../../models/user.js";
+import Category from "../../models/category.js";
+import Expense from "../../models/expense.js";
+import Budget from "../../models/budget.js";
+import ExchangeRate from "../../models/exchangeRate.js";
+import mongoose from "mongoose";
+
+// Helper function to create a user and return credentials
+const createUser = async (email, password = "Password123!", role = "user", name = "Test User") => {
+  const passwordHash = await User.hashPassword(password);
+  const user = await User.create({ email, name, passwordHash, role });
+  return { user, email, password };
+};
+
+// Helper function to create an authenticated agent (with session)
+const createAuthenticatedAgent = async (app, email, password) => {
+  const agent = request.agent(app);
+  await agent.post("/api/auth/login").send({ email, password });
+  return agent;
+};
+
+describe("Budget API - Essential Tests", () => {
+  let app;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  afterEach(async () => {
+    await ExchangeRate.deleteMany({});
+    await Budget.deleteMany({});
+    await Expense.deleteMany({});
+    await Category.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.db.collection("sessions").deleteMany({});
+  });
+
+  test("should require authentication for budget endpoints", async () => {
+    const response = await request(app).get("/api/budgets");
+    expect(response.status).toBe(401);
+    expect(response.body).toHaveProperty("error");
+  });
+
+  // Essential CRUD Operations Test
+  test("should handle complete budget lifecycle", async () => {
+    const { user, email, password } = await createUser("test@example.com");
+    const agent = await createAuthenticatedAgent(app, email, password);
+    const category = await Category.create({ name: "Food", user: user._id });
+
+    const createResponse = await agent.post("/api/budgets").send({
+      categoryId: category._id,
+      amount: 200,
+      period: "monthly"
+    });
+    expect(createResponse.status).toBe(201);
+    expect(createResponse.body.success).toBe(true);
+    expect(createResponse.body.data.amount).toBe(200);
+    expect(createResponse.body.data.category.name).toBe("Food");
+    const budgetId = createResponse.body.data.id;
+
+    const listResponse = await agent.get("/api/budgets");
+    expect(listResponse.status).toBe(200);
+    expect(listResponse.body.data).toHaveLength(1);
+
+    const updateResponse = await agent.put(`/api/budgets/${budgetId}`).send({
+      categoryId: category._id,
+      amount: 300,
+      period: "weekly",
+      threshold: 80
+    });
+    expect(updateResponse.status).toBe(200);
+    expect(updateResponse.body.data.amount).toBe(300);
+    expect(updateResponse.body.data.period).toBe("weekly");
+    expect(updateResponse.body.data.threshold).toBe(80);
+
+    const deleteResponse = await agent.delete(`/api/budgets/${budgetId}`);
+    expect(deleteResponse.status).toBe(200);
+    expect(deleteResponse.body).toHaveProperty("message", "Budget deleted successfully");
+  });
+
+  test("should compute spent, remaining and percent used", async () => {
+    const { user, email, password } = await createUser("test@example.com");
+    const agent = await createAuthenticatedAgent(app, email, password);
+    const food = await Category.create({ name: "Food", user: user._id });
+    const travel = await Category.create({ name: "Travel", user: user._id });
+
+    await Expense.create([
+      { user: user._id, category: food._id, amount: 30, date: new Date("2025-05-03") },
+      { user: user._id, category: food._id, amount: 20, date: new Date("2025-05-20") },
+      { user: user._id, category: travel._id, amount: 100, date: new Date("2025-05-10") },
+      // Outside the period
+      { user: user._id, category: food._id, amount: 500, date: new Date("2025-04-30") }
+    ]);
+
+    const foodBudget = await agent.post("/api/budgets").send({ categoryId: food._id, amount: 200 });
+    await agent.post("/api/budgets").send({ amount: 100 });
+
+    const statusResponse = await agent.get(`/api/budgets/${foodBudget.body.data.id}/status?date=2025-05-15`);
+    expect(statusResponse.status).toBe(200);
+    expect(statusResponse.body.data).toMatchObject({
+      spent: 50,
+      remaining: 150,
+      percentUsed: 25,
+      overBudget: false
+    });
+
+    const allStatus = await agent.get("/api/budgets/status?date=2025-05-15");
+    expect(allStatus.status).toBe(200);
+    expect(allStatus.body.data).toHaveLength(2);
+    const overall = allStatus.body.data.find(s => s.budget.category === null);
+    expect(overall).toMatchObject({ spent: 150, remaining: -50, percentUsed: 150, overBudget: true });
+  });
+
+  test("should warn when a new expense pushes a budget over its threshold", async () => {
+    const { user, email, password } = await createUser("test@example.com");
+    const agent = await createAuthenticatedAgent(app, email, password);
+    const category = await Category.create({ name: "Food", user: user._id });
+
+    await agent.post("/api/budgets").send({ categoryId: category._id, amount: 100, threshold: 80 });
+
+    const underResponse = await agent.post("/api/expenses").send({ categoryId: category._id, amount: 50 });
+    expect(underResponse.status).toBe(201);
+    expect(underResponse.body).not.toHaveProperty("warnings");
+
+    const overResponse = await agent.post("/api/expenses").send({ categoryId: category._id, amount: 40 });
+    expect(overResponse.status).toBe(201);
+    expect(overResponse.body.warnings).toHaveLength(1);
+    expect(overResponse.body.warnings[0]).toMatchObject({ category: "Food", limit: 100, spent: 90, percentUsed: 90 });
+  });
+
+  test("should count spending in other currencies in the user's base currency", async () => {
+    const { user, email, password } = await createUser("test@example.com");
+    const agent = await createAuthenticatedAgent(app, email, password);
+    const food = await Category.create({ name: "Food", user: user._id });
+    await ExchangeRate.create({ currency: "USD", date: new Date("2025-05-01"), rate: 2 });
+
+    await Expense.create([
+      { user: user._id, category: food._id, amount: 30, currency: "EUR", date: new Date("2025-05-03") },
+      { user: user._id, category: food._id, amount: 40, currency: "USD", date: new Date("2025-05-04") },
+      // No rate for this one, so it can't be counted
+      { user: user._id, category: food._id, amount: 1000, currency: "JPY", date: new Date("2025-05-05") },
+    ]);
+    const budget = await agent.post("/api/budgets").send({ categoryId: food._id, amount: 100, threshold: 80 });
+
+    const status = await agent.get(`/api/budgets/${budget.body.data.id}/status?date=2025-05-15`);
+    expect(status.body.data).toMatchObject({ currency: "EUR", spent: 50, unconvertedExpenses: 1 });
+
+    // 70 USD is 35 EUR, which takes the budget from 50% to 85%
+    const response = await agent.post("/api/expenses").send({ categoryId: food._id, amount: 70, currency: "USD", date: "2025-05-10" });
+    expect(response.body.warnings[0]).toMatchObject({ spent: 85, percentUsed: 85 });
+  });
+
+  test("should validate budget input and ownership", async () => {
+    const owner = await createUser("owner@example.com");
+    const other = await createUser("other@example.com");
+    const ownerAgent = await createAuthenticatedAgent(app, owner.email, owner.password);
+    const otherAgent = await createAuthenticatedAgent(app, other.email, other.password);
+
+    const missingDates = await ownerAgent.post("/api/budgets").send({ amount: 100, period: "custom" });
+    expect(missingDates.status).toBe(400);
+    expect(missingDates.body).toHaveProperty("error", "'startDate' is required for custom budgets");
+
+    const badAmount = await ownerAgent.post("/api/budgets").send({ amount: 0 });
+    expect(badAmount.status).toBe(400);
+
+    const created = await ownerAgent.post("/api/budgets").send({ amount: 100 });
+    const forbidden = await otherAgent.get(`/api/budgets/${created.body.data.id}`);
+    expect(forbidden.status).toBe(403);
+  });
+});
@@ -0,0 +1,184 @@
+import createApp from "../../app.js";
+import request from "supertest";
+import User from "../../models/user.js";
+import Category from "../../models/category.js";
+import Expense from "../../models/expense.js";
+import ExpenseRevision from "../../models/expenseRevision.js";
+import AuditEvent from "../../models/auditEvent.js";
+import mongoose from "mongoose";
+
+const createUser = async (email, password = "Password123!", role = "user") => {
+  const passwordHash = await User.hashPassword(password);
+  const user = await User.create({ email, name: "Test User", passwordHash, role });
+  return { user, email, password };
+};
+
+const createAuthenticatedAgent = async (app, email, password) => {
+  const agent = request.agent(app);
+  await agent.post("/api/auth/login").send({ email, password });
+  return agent;
+};
+
+// Transactions (atomic mode) need a replica set. Run with MONGODB_REPLICA_SET=1 when the test
+// database is one; otherwise the tests that need it are reported as skipped.
+const replicaSet = Boolean(process.env.MONGODB_REPLICA_SET);
+
+describe("Bulk expense operations", () => {
+  let app;
+  let user;
+  let agent;
+  let food;
+  let travel;
+
+  beforeAll(async () => {
+    // As index.js does, so all-or-nothing requests run in one transaction
+    mongoose.set("transactionAsyncLocalStorage", true);
+    await mongoose.connect(process.env.MONGODB_URI);
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    const created = await createUser("ann@example.com");
+    user = created.user;
+    agent = await createAuthenticatedAgent(app, created.email, created.password);
+    food = await Category.create({ name: "Food", user: user._id });
+    travel = await Category.create({ name: "Travel", user: user._id });
+  });
+
+  afterEach(async () => {
+    await AuditEvent.collection.deleteMany({});
+    await ExpenseRevision.deleteMany({});
+    await Expense.deleteMany({});
+    await Category.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.db.collection("sessions").deleteMany({});
+  });
+
+  const createExpenses = async (count) => {
+    const response = await agent.post("/api/expenses/bulk").send({
+      action: "create",
+      expenses: Array.from({ length: count }, (_, i) => ({ categoryId: food._id, amount: i + 1, date: `2025-01-0${i + 1}` })),
+    });
+    return response.body.data.results.map((result) => result.data);
+  };
+
+  test("should create expenses with a result for each", async () => {
+    const response = await agent.post("/api/expenses/bulk").send({
+      action: "create",
+      expenses: [
+        { categoryId: food._id, amount: 5, description: "Lunch" },
+        { categoryId: food._id, amount: -1 },
+      ],
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ action: "create", atomic: false, total: 2, succeeded: 1, failed: 1 });
+    expect(response.body.data.results[0]).toMatchObject({ index: 0, status: 201, data: { amount: 5, description: "Lunch" } });
+    expect(response.body.data.results[1]).toEqual({ index: 1, status: 400, error: "'amount' must be a non-negative number" });
+    expect(await Expense.countDocuments()).toBe(1);
+    expect(await AuditEvent.countDocuments({ action: "expense.create" })).toBe(1);
+  });
+
+  test("should recategorize by ID or filter", async () => {
+    const [first, second, third] = await createExpenses(3);
+
+    const byIds = await agent.post("/api/expenses/bulk").send({ action: "recategorize", ids: [first.id, second.id], categoryId: travel._id });
+    expect(byIds.status).toBe(200);
+    expect(byIds.body.data.succeeded).toBe(2);
+    expect(await Expense.countDocuments({ category: travel._id })).toBe(2);
+
+    const byFilter = await agent.post("/api/expenses/bulk").send({ action: "recategorize", filter: { from: "2025-01-03" }, categoryId: travel._id });
+    expect(byFilter.body.data.results.map((result) => result.id)).toEqual([third.id]);
+    expect(await Expense.countDocuments({ category: travel._id })).toBe(3);
+
+    // Each change shows up in the expense's history
+    const [revision] = (await agent.get(`/api/expenses/${third.id}/history`)).body.data;
+    expect(revision.changes.category).toEqual({ before: food._id.toString(), after: travel._id.toString() });
+  });
+
+  test("should update with a merge patch and delete to the trash", async () => {
+    const [first, second] = await createExpenses(2);
+
+    const updated = await agent.post("/api/expenses/bulk").send({ action: "update", ids: [first.id, second.id], patch: { currency: "USD", note: "Trip" } });
+    expect(updated.body.data.results.map((result) => result.data)).toEqual([
+      expect.objectContaining({ amount: 1, currency: "USD", note: "Trip" }),
+      expect.objectContaining({ amount: 2, currency: "USD", note: "Trip" }),
+    ]);
+
+    const deleted = await agent.post("/api/expenses/bulk").send({ action: "delete", ids: [first.id, second.id] });
+    expect(deleted.body.data.succeeded).toBe(2);
+    expect(await Expense.countDocuments()).toBe(0);
+    expect((await agent.get("/api/expenses/trash")).body.data).toHaveLength(2);
+  });
+
+  test("should apply the single-item permissions to each expense", async () => {
+    const [mine] = await createExpenses(1);
+    const { user: bob } = await createUser("bob@example.com");
+    const theirs = await Expense.create({ user: bob._id, category: food._id, amount: 7 });
+    const missing = new mongoose.Types.ObjectId();
+
+    const response = await agent.post("/api/expenses/bulk").send({ action: "delete", ids: [mine.id, theirs.id, missing] });
+    expect(response.body.data.results.map((result) => result.status)).toEqual([200, 403, 404]);
+    expect(await Expense.exists({ _id: theirs._id })).toBeTruthy();
+
+    // A filter only covers the user's own expenses
+    const filtered = await agent.post("/api/expenses/bulk").send({ action: "delete", filter: {} });
+    expect(filtered.body.data.total).toBe(0);
+  });
+
+  test("should reject malformed requests", async () => {
+    expect((await agent.post("/api/expenses/bulk").send({ action: "delete" })).status).toBe(400);
+
+    const filter = await agent.post("/api/expenses/bulk").send({ action: "delete", filter: { minAmount: -5 } });
+    expect(filter.status).toBe(400);
+    expect(filter.body).toHaveProperty("error", "'minAmount' must be a non-negative number");
+
+    const patch = await agent.post("/api/expenses/bulk").send({ action: "update", filter: {}, patch: { date: null } });
+    expect(patch.status).toBe(400);
+    expect(patch.body).toHaveProperty("error", "'date' can't be removed");
+
+    const conditional = await agent.post("/api/expenses/bulk").set("If-Match", "*").send({ action: "update", filter: {}, patch: { amount: 1 } });
+    expect(conditional.status).toBe(400);
+    expect(conditional.body).toHaveProperty("error", "If-Match is not supported for bulk operations");
+  });
+
+  describe("All or nothing", () => {
+    const withReplicaSet = replicaSet ? test : test.skip;
+    const withoutReplicaSet = replicaSet ? test.skip : test;
+
+    withReplicaSet("should change nothing when an item fails", async () => {
+      const [first] = await createExpenses(1);
+      const missing = new mongoose.Types.ObjectId();
+
+      const response = await agent.post("/api/expenses/bulk").send({ action: "delete", ids: [first.id, missing], atomic: true });
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("1 item(s) failed, nothing was changed");
+      expect(response.body.results).toEqual([{ index: 1, id: missing.toString(), status: 404, error: "Could not find expense" }]);
+      expect(await Expense.exists({ _id: first.id })).toBeTruthy();
+      expect(await AuditEvent.countDocuments({ action: "expense.delete" })).toBe(0);
+    });
+
+    withReplicaSet("should commit when every item succeeds", async () => {
+      const response = await agent.post("/api/expenses/bulk").send({
+        action: "create",
+        atomic: true,
+        expenses: [{ categoryId: food._id, amount: 1 }, { categoryId: travel._id, amount: 2 }],
+      });
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ atomic: true, succeeded: 2, failed: 0 });
+      expect(await Expense.countDocuments()).toBe(2);
+    });
+
+    withoutReplicaSet("should explain that a standalone server can't do it", async () => {
+      const [expense] = await createExpenses(1);
+      const response = await agent.post("/api/expenses/bulk").send({ action: "delete", ids: [expense.id], atomic: true });
+      expect(response.status).toBe(501);
+      expect(response.body).toHaveProperty("error", "All-or-nothing mode needs MongoDB to run as a replica set");
+    });
+  });
+});
@@ -2,6 +2,7 @@ import createApp from "../../app.js";
 import request from "supertest";
 import User from "../../models/user.js";
 import Category from "../../models/category.js";
+import Expense from "../../models/expense.js";
 import mongoose from "mongoose";
 
 // Helper function to create a user and return credentials
@@ -32,6 +33,7 @@ describe("Category API - Essential Tests", () => {
   });
 
   afterEach(async () => {
+    await Expense.deleteMany({});
     await Category.deleteMany({});
     await User.deleteMany({});
     await mongoose.connection.db.collection("sessions").deleteMany({});
@@ -51,9 +53,13 @@ describe("Category API - Essential Tests", () => {
     const user = await createUser("user@example.com", "Password123!", "user");
     const adminAgent = await createAuthenticatedAgent(app, admin.email, admin.password);
 
-    // Admin creates categories
+    // Admin publishes a global category and creates a private one for the user
     await adminAgent.post("/api/admin/categories").send({
       name: "Food",
+      visibility: "global"
+    });
+    await adminAgent.post("/api/admin/categories").send({
+      name: "Private",
       userId: user.user._id
     });
 
@@ -74,10 +80,10 @@ describe("Category API - Essential Tests", () => {
     const agent2 = await createAuthenticatedAgent(app, user2.email, user2.password);
     const adminAgent = await createAuthenticatedAgent(app, admin.email, admin.password);
 
-    // Admin creates a category
+    // Admin publishes a global category
     const categoryResponse = await adminAgent.post("/api/admin/categories").send({
       name: "Food",
-      userId: user1.user._id
+      visibility: "global"
     });
     const categoryId = categoryResponse.body.category.id;
 
@@ -117,10 +123,11 @@ describe("Category API - Essential Tests", () => {
     const user = await createUser("user@example.com", "Password123!", "user");
     const adminAgent = await createAuthenticatedAgent(app, admin.email, admin.password);
 
-    // Admin creates category
+    // Admin publishes a global category
     const createResponse = await adminAgent.post("/api/admin/categories").send({
       name: "Food",
-      userId: user.user._id
+      userId: user.user._id,
+      visibility: "global"
     });
     const categoryId = createResponse.body.category.id;
 
@@ -136,6 +143,112 @@ describe("Category API - Essential Tests", () => {
     expect(notFoundResponse.status).toBe(404);
   });
 
+  // Category Visibility Test
+  test("should only show global categories and the caller's own", async () => {
+    const admin = await createUser("admin@example.com", "Password123!", "admin");
+    const user1 = await createUser("user1@example.com", "Password123!");
+    const user2 = await createUser("user2@example.com", "Password123!");
+    const agent1 = await createAuthenticatedAgent(app, user1.email, user1.password);
+    const agent2 = await createAuthenticatedAgent(app, user2.email, user2.password);
+
+    await Category.create({ name: "Food", user: admin.user._id, visibility: "global" });
+    const privateCategory = await Category.create({ name: "Secret Hobby", user: user1.user._id });
+
+    // Owner sees the global category and their own
+    const ownerList = await agent1.get("/api/categories");
+    expect(ownerList.status).toBe(200);
+    expect(ownerList.body.data.map(c => c.name)).toEqual(["Food", "Secret Hobby"]);
+
+    // Other users and anonymous callers only see the global category
+    const otherList = await agent2.get("/api/categories");
+    expect(otherList.body.data.map(c => c.name)).toEqual(["Food"]);
+    const anonymousList = await request(app).get("/api/categories");
+    expect(anonymousList.body.data.map(c => c.name)).toEqual(["Food"]);
+
+    // Private categories are hidden from get-by-id and category expenses
+    expect((await agent1.get(`/api/categories/${privateCategory._id}`)).status).toBe(200);
+    expect((await agent2.get(`/api/categories/${privateCategory._id}`)).status).toBe(404);
+    expect((await agent2.get(`/api/categories/${privateCategory._id}/expenses`)).status).toBe(404);
+
+    // Expenses cannot be filed under another user's private category
+    const expenseResponse = await agent2.post("/api/expenses").send({
+      categoryId: privateCategory._id,
+      amount: 10
+    });
+    expect(expenseResponse.status).toBe(403);
+    expect(expenseResponse.body).toHaveProperty("error", "You cannot use this category");
+  });
+
+  // Self-service Category CRUD Test
+  test("should let users create, rename and delete their own categories", async () => {
+    const { email, password } = await createUser("user@example.com", "Password123!");
+    const agent = await createAuthenticatedAgent(app, email, password);
+
+    // Create category
+    const createResponse = await agent.post("/api/categories").send({ name: "Groceries" });
+    expect(createResponse.status).toBe(201);
+    expect(createResponse.body.success).toBe(true);
+    expect(createResponse.body.data.name).toBe("Groceries");
+    const categoryId = createResponse.body.data.id;
+
+    // Duplicate name for the same user is rejected
+    const duplicateResponse = await agent.post("/api/categories").send({ name: "Groceries" });
+    expect(duplicateResponse.status).toBe(400);
+    expect(duplicateResponse.body).toHaveProperty("error", "Category already exists for this user");
+
+    // Rename category
+    const updateResponse = await agent.put(`/api/categories/${categoryId}`).send({ name: "Food" });
+    expect(updateResponse.status).toBe(200);
+    expect(updateResponse.body.success).toBe(true);
+    expect(updateResponse.body.data.name).toBe("Food");
+
+    // Delete category
+    const deleteResponse = await agent.delete(`/api/categories/${categoryId}`);
+    expect(deleteResponse.status).toBe(200);
+    expect(deleteResponse.body).toHaveProperty("message", "Category deleted successfully");
+    expect(await Category.findById(categoryId)).toBeNull();
+  });
+
+  test("should require authentication to modify categories", async () => {
+    const categoryId = new mongoose.Types.ObjectId();
+    const endpoints = [
+      { method: "post", path: "/api/categories" },
+      { method: "put", path: `/api/categories/${categoryId}` },
+      { method: "delete", path: `/api/categories/${categoryId}` }
+    ];
+
+    for (const endpoint of endpoints) {
+      const response = await request(app)[endpoint.method](endpoint.path).send({ name: "Food" });
+      expect(response.status).toBe(401);
+      expect(response.body).toHaveProperty("error");
+    }
+  });
+
+  test("should prevent users from modifying other users' categories", async () => {
+    const owner = await createUser("owner@example.com", "Password123!");
+    const other = await createUser("other@example.com", "Password123!");
+    const otherAgent = await createAuthenticatedAgent(app, other.email, other.password);
+    const category = await Category.create({ name: "Food", user: owner.user._id });
+
+    const updateResponse = await otherAgent.put(`/api/categories/${category._id}`).send({ name: "Mine" });
+    expect(updateResponse.status).toBe(403);
+
+    const deleteResponse = await otherAgent.delete(`/api/categories/${category._id}`);
+    expect(deleteResponse.status).toBe(403);
+  });
+
+  test("should refuse to delete a category that still has expenses", async () => {
+    const { user, email, password } = await createUser("user@example.com", "Password123!");
+    const agent = await createAuthenticatedAgent(app, email, password);
+    const category = await Category.create({ name: "Food", user: user._id });
+    await Expense.create({ user: user._id, category: category._id, amount: 12.5 });
+
+    const response = await agent.delete(`/api/categories/${category._id}`);
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain("1 expense(s) are assigned to this category");
+    expect(await Category.findById(category._id)).not.toBeNull();
+  });
+
   // Error Handling Test
   test("should handle invalid category IDs for expenses", async () => {
     const { user, email, password } = await createUser("test@example.com", "Password123!");
@@ -172,4 +172,246 @@ describe("Expense API - Essential Tests", () => {
     expect(invalidAmountResponse.status).toBe(400);
     expect(invalidAmountResponse.body).toHaveProperty("error");
   });
-});
\ No newline at end of file
+  // Pagination Test
+  test("should paginate expenses with cursors", async () => {
+    const { user, email, password } = await createUser("test@example.com", "Password123");
+    const agent = await createAuthenticatedAgent(app, email, password);
+    const category = await createCategory("Food", user._id);
+
+    for (let day = 1; day <= 5; day++) {
+      await Expense.create({
+        user: user._id,
+        category: category._id,
+        amount: day,
+        date: new Date(`2025-01-0${day}T12:00:00Z`)
+      });
+    }
+
+    // First page, newest first by default
+    const firstPage = await agent.get("/api/expenses?limit=2");
+    expect(firstPage.status).toBe(200);
+    expect(firstPage.body.data.map(e => e.amount)).toEqual([5, 4]);
+    expect(firstPage.body.pageInfo).toMatchObject({ limit: 2, sort: "-date", hasNextPage: true, hasPreviousPage: false });
+
+    // Next page after the end cursor
+    const secondPage = await agent.get(`/api/expenses?limit=2&after=${firstPage.body.pageInfo.endCursor}`);
+    expect(secondPage.body.data.map(e => e.amount)).toEqual([3, 2]);
+    expect(secondPage.body.pageInfo.hasPreviousPage).toBe(true);
+
+    // Back to the first page before the start cursor
+    const previousPage = await agent.get(`/api/expenses?limit=2&before=${secondPage.body.pageInfo.startCursor}`);
+    expect(previousPage.body.data.map(e => e.amount)).toEqual([5, 4]);
+
+    // Last page
+    const lastPage = await agent.get(`/api/expenses?limit=2&after=${secondPage.body.pageInfo.endCursor}`);
+    expect(lastPage.body.data.map(e => e.amount)).toEqual([1]);
+    expect(lastPage.body.pageInfo.hasNextPage).toBe(false);
+
+    // Sorting by an allowed field
+    const byAmount = await agent.get("/api/expenses?sort=amount&limit=3");
+    expect(byAmount.body.data.map(e => e.amount)).toEqual([1, 2, 3]);
+  });
+
+  test("should reject invalid pagination parameters", async () => {
+    const { email, password } = await createUser("test@example.com", "Password123");
+    const agent = await createAuthenticatedAgent(app, email, password);
+
+    const badQueries = [
+      "limit=0",
+      "limit=1000",
+      "limit=abc",
+      "sort=note",
+      "after=garbage",
+      "after=abc&before=def"
+    ];
+
+    for (const query of badQueries) {
+      const response = await agent.get(`/api/expenses?${query}`);
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty("error");
+    }
+  });
+
+  // Filtering Test
+  test("should filter expenses by date, amount, currency, category and text", async () => {
+    const { user, email, password } = await createUser("test@example.com", "Password123");
+    const agent = await createAuthenticatedAgent(app, email, password);
+    const food = await createCategory("Food", user._id);
+    const travel = await createCategory("Travel", user._id);
+    const bills = await createCategory("Bills", user._id);
+    await Expense.syncIndexes();
+
+    await Expense.create([
+      { user: user._id, category: food._id, amount: 12, currency: "EUR", date: new Date("2025-01-05"), note: "Lunch with team" },
+      { user: user._id, category: travel._id, amount: 250, currency: "USD", date: new Date("2025-02-10"), note: "Flight to Boston" },
+      { user: user._id, category: bills._id, amount: 80, currency: "EUR", date: new Date("2025-03-01"), description: "Electricity bill" }
+    ]);
+
+    const notes = (response) => response.body.data.map(e => e.note || e.description).sort();
+
+    const byDate = await agent.get("/api/expenses?from=2025-01-01&to=2025-02-10");
+    expect(byDate.status).toBe(200);
+    expect(notes(byDate)).toEqual(["Flight to Boston", "Lunch with team"]);
+
+    const byAmount = await agent.get("/api/expenses?minAmount=50&maxAmount=100");
+    expect(notes(byAmount)).toEqual(["Electricity bill"]);
+
+    const byCurrency = await agent.get("/api/expenses?currency=usd");
+    expect(notes(byCurrency)).toEqual(["Flight to Boston"]);
+
+    const byCategories = await agent.get(`/api/expenses?categoryId=${food._id},${bills._id}`);
+    expect(notes(byCategories)).toEqual(["Electricity bill", "Lunch with team"]);
+
+    const byText = await agent.get("/api/expenses?q=electricity");
+    expect(notes(byText)).toEqual(["Electricity bill"]);
+
+    const invalid = await agent.get("/api/expenses?from=2025-03-01&to=2025-01-01");
+    expect(invalid.status).toBe(400);
+    expect(invalid.body).toHaveProperty("error", "'to' must not be before 'from'");
+  });
+
+  // CSV Import Test
+  test("should preview and import expenses from a CSV body", async () => {
+    const { user, email, password } = await createUser("test@example.com", "Password123");
+    const agent = await createAuthenticatedAgent(app, email, password);
+    const food = await createCategory("Food", user._id);
+
+    const csv = [
+      "Buchungstag;Betrag;Kategorie;Verwendungszweck",
+      "31.01.2025;1.234,50;Rent;January rent",
+      "01.02.2025;7,95;food;Bakery",
+    ].join("\n");
+    const query = "dateColumn=Buchungstag&amountColumn=Betrag&categoryColumn=Kategorie"
+      + "&descriptionColumn=Verwendungszweck&dateFormat=DD.MM.YYYY&decimal=,";
+
+    // Dry run validates and previews without writing anything
+    const preview = await agent.post(`/api/expenses/import?${query}&dryRun=true`).set("Content-Type", "text/csv").send(csv);
+    expect(preview.status).toBe(200);
+    expect(preview.body.data).toMatchObject({ dryRun: true, total: 2, valid: 2, invalid: 0, newCategories: ["Rent"] });
+    expect(preview.body.data.rows[1].expense).toMatchObject({ date: "2025-02-01", amount: "7.95", categoryId: food._id.toString() });
+    expect(await Expense.countDocuments()).toBe(0);
+    expect(await Category.countDocuments()).toBe(1);
+
+    const imported = await agent.post(`/api/expenses/import?${query}`).set("Content-Type", "text/csv").send(csv);
+    expect(imported.status).toBe(201);
+    expect(imported.body.data.imported).toBe(2);
+    expect(imported.body.data.createdCategories.map(c => c.name)).toEqual(["Rent"]);
+
+    const expenses = await Expense.find({ user: user._id }).populate("category").sort({ date: 1 });
+    expect(expenses.map(e => [e.amount, e.category.name, e.date.toISOString().slice(0, 10)])).toEqual([
+      [1234.5, "Rent", "2025-01-31"],
+      [7.95, "Food", "2025-02-01"],
+    ]);
+  });
+
+  test("should report per-row errors and import nothing when a row is invalid", async () => {
+    const { email, password } = await createUser("test@example.com", "Password123");
+    const agent = await createAuthenticatedAgent(app, email, password);
+
+    const csv = "date,amount,category,currency\n2025-01-05,12,Food,EUR\n2025-13-01,-3,,EURO\n";
+
+    const preview = await agent.post("/api/expenses/import?dryRun=true").set("Content-Type", "text/csv").send(csv);
+    expect(preview.status).toBe(200);
+    expect(preview.body.data).toMatchObject({ valid: 1, invalid: 1 });
+    expect(preview.body.data.rows[1].row).toBe(3);
+    expect(preview.body.data.rows[1].errors).toHaveLength(4);
+
+    const response = await agent.post("/api/expenses/import").set("Content-Type", "text/csv").send(csv);
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe("1 row(s) failed validation, nothing was imported");
+    expect(response.body.rows[0].row).toBe(3);
+    expect(await Expense.countDocuments()).toBe(0);
+    expect(await Category.countDocuments()).toBe(0);
+
+    const missingColumn = await agent.post("/api/expenses/import").set("Content-Type", "text/csv").send("date,amount\n2025-01-05,12");
+    expect(missingColumn.status).toBe(400);
+    expect(missingColumn.body).toHaveProperty("error", "CSV is missing a 'category' column");
+  });
+
+  // Export Test
+  test("should export the user's filtered expenses as CSV, JSON Lines and OFX", async () => {
+    const { user, email, password } = await createUser("test@example.com", "Password123");
+    const other = await createUser("other@example.com", "Password123");
+    const agent = await createAuthenticatedAgent(app, email, password);
+    const food = await createCategory("Food", user._id);
+
+    await Expense.create([
+      { user: user._id, category: food._id, amount: 12, currency: "EUR", date: new Date("2025-01-05"), note: "Lunch, with team" },
+      { user: user._id, category: food._id, amount: 8.5, currency: "EUR", date: new Date("2025-02-10"), note: "Coffee" },
+      { user: other.user._id, category: food._id, amount: 99, currency: "EUR", date: new Date("2025-01-06"), note: "Not mine" }
+    ]);
+
+    const csv = await agent.get("/api/expenses/export?format=csv");
+    expect(csv.status).toBe(200);
+    expect(csv.headers["content-type"]).toMatch(/^text\/csv/);
+    expect(csv.headers["content-disposition"]).toMatch(/attachment; filename="expenses-.*\.csv"/);
+    const lines = csv.text.trim().split("\r\n");
+    expect(lines).toHaveLength(3);
+    expect(lines[1]).toContain(',12,EUR,Food,"Lunch, with team","Lunch, with team"');
+
+    const jsonl = await agent.get("/api/expenses/export?format=jsonl&from=2025-02-01").buffer(true);
+    expect(jsonl.status).toBe(200);
+    const rows = jsonl.text.trim().split("\n").map(line => JSON.parse(line));
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ amount: 8.5, note: "Coffee", category: { name: "Food" } });
+
+    const ofx = await agent.get("/api/expenses/export?format=ofx").buffer(true);
+    expect(ofx.status).toBe(200);
+    expect(ofx.text.match(/<STMTTRN>/g)).toHaveLength(2);
+    expect(ofx.text).toContain("<BALAMT>-20.50</BALAMT>");
+
+    const invalid = await agent.get("/api/expenses/export?format=xlsx");
+    expect(invalid.status).toBe(400);
+    expect(invalid.body).toHaveProperty("error", "'format' must be one of: csv, jsonl, ofx");
+  });
+
+  // Split Expenses Test
+  test("should split an expense across categories and attribute each split", async () => {
+    const { user, email, password } = await createUser("test@example.com", "Password123");
+    const agent = await createAuthenticatedAgent(app, email, password);
+    const food = await createCategory("Food", user._id);
+    const household = await createCategory("Household", user._id);
+
+    const mismatch = await agent.post("/api/expenses").send({
+      amount: 50,
+      splits: [{ categoryId: food._id, amount: 30 }, { categoryId: household._id, amount: 15 }]
+    });
+    expect(mismatch.status).toBe(400);
+    expect(mismatch.body).toHaveProperty("error", "'splits' must add up to 'amount'");
+
+    const createResponse = await agent.post("/api/expenses").send({
+      amount: 50,
+      note: "Supermarket",
+      splits: [
+        { categoryId: food._id, amount: 32.5, note: "Groceries" },
+        { categoryId: household._id, amount: 17.5, note: "Cleaning supplies" }
+      ]
+    });
+    expect(createResponse.status).toBe(201);
+    expect(createResponse.body.data.category).toBe(food._id.toString());
+    expect(createResponse.body.data.splits).toHaveLength(2);
+    const expenseId = createResponse.body.data.id;
+
+    // Listed under both categories, with the part filed there
+    const householdExpenses = await agent.get(`/api/categories/${household._id}/expenses`);
+    expect(householdExpenses.status).toBe(200);
+    expect(householdExpenses.body.data).toHaveLength(1);
+    expect(householdExpenses.body.data[0]).toMatchObject({ amount: 50, categoryAmount: 17.5 });
+
+    const byCategory = await agent.get(`/api/expenses?categoryId=${household._id}`);
+    expect(byCategory.body.data).toHaveLength(1);
+
+    const stats = await request(app).get("/api/public/stats");
+    expect(stats.body.data.popularCategories.map(c => c.name).sort()).toEqual(["Food", "Household"]);
+
+    // Categories with splits filed under them can't be deleted
+    const deleteCategory = await agent.delete(`/api/categories/${household._id}`);
+    expect(deleteCategory.status).toBe(400);
+
+    // Updating without splits turns it back into a single-category expense
+    const updateResponse = await agent.put(`/api/expenses/${expenseId}`).send({ categoryId: food._id, amount: 50 });
+    expect(updateResponse.status).toBe(200);
+    expect(updateResponse.body.data.splits).toHaveLength(0);
+    expect((await agent.get(`/api/categories/${household._id}/expenses`)).body.data).toHaveLength(0);
+  });
+});
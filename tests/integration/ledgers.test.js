@@ -0,0 +1,266 @@
+import createApp from "../../app.js";
+import request from "supertest";
+import User from "../../models/user.js";
+import Category from "../../models/category.js";
+import Expense from "../../models/expense.js";
+import Ledger from "../../models/ledger.js";
+import mongoose from "mongoose";
+
+// Helper function to create a user and return credentials
+const createUser = async (email, password = "Password123!", role = "user", name = "Test User") => {
+  const passwordHash = await User.hashPassword(password);
+  const user = await User.create({ email, name, passwordHash, role });
+  return { user, email, password };
+};
+
+// Helper function to create an authenticated agent (with session)
+const createAuthenticatedAgent = async (app, email, password) => {
+  const agent = request.agent(app);
+  await agent.post("/api/auth/login").send({ email, password });
+  return agent;
+};
+
+// Helper function to invite a user into a ledger and have them accept
+const joinLedger = async (ownerAgent, memberAgent, ledgerId, email, role) => {
+  await ownerAgent.post(`/api/ledgers/${ledgerId}/invitations`).send({ email, role });
+  return await memberAgent.post(`/api/ledgers/${ledgerId}/accept`);
+};
+
+describe("Ledger API - Essential Tests", () => {
+  let app;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  afterEach(async () => {
+    delete process.env.UNVERIFIED_ACCESS;
+    await Expense.deleteMany({});
+    await Category.deleteMany({});
+    await Ledger.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.db.collection("sessions").deleteMany({});
+  });
+
+  test("should require authentication", async () => {
+    const response = await request(app).get("/api/ledgers");
+    expect(response.status).toBe(401);
+  });
+
+  test("should invite a member by email and let them accept", async () => {
+    const owner = await createUser("owner@example.com");
+    const member = await createUser("Member@Example.com");
+    const ownerAgent = await createAuthenticatedAgent(app, owner.email, owner.password);
+    const memberAgent = await createAuthenticatedAgent(app, member.email, member.password);
+
+    const created = await ownerAgent.post("/api/ledgers").send({ name: "Household" });
+    expect(created.status).toBe(201);
+    expect(created.body.data.members).toEqual([expect.objectContaining({ role: "owner" })]);
+    const ledgerId = created.body.data.id;
+
+    const invited = await ownerAgent.post(`/api/ledgers/${ledgerId}/invitations`).send({ email: "member@example.com", role: "viewer" });
+    expect(invited.status).toBe(201);
+    expect(invited.body.data.email).toBe("member@example.com");
+
+    const pending = await memberAgent.get("/api/ledgers/invitations");
+    expect(pending.body.data).toEqual([expect.objectContaining({ ledger: { id: ledgerId, name: "Household" }, role: "viewer" })]);
+
+    const accepted = await memberAgent.post(`/api/ledgers/${ledgerId}/accept`);
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.data.members).toHaveLength(2);
+    expect(accepted.body.data.invitations).toHaveLength(0);
+
+    const list = await memberAgent.get("/api/ledgers");
+    expect(list.body.data.map((ledger) => ledger.id)).toEqual([ledgerId]);
+
+    // The invitation is used up
+    const again = await memberAgent.post(`/api/ledgers/${ledgerId}/accept`);
+    expect(again.status).toBe(404);
+  });
+
+  test("should only let invitees with a verified email accept", async () => {
+    const owner = await createUser("owner@example.com");
+    const member = await createUser("member@example.com");
+    const ownerAgent = await createAuthenticatedAgent(app, owner.email, owner.password);
+    const memberAgent = await createAuthenticatedAgent(app, member.email, member.password);
+    const ledgerId = (await ownerAgent.post("/api/ledgers").send({ name: "Household" })).body.data.id;
+    await ownerAgent.post(`/api/ledgers/${ledgerId}/invitations`).send({ email: member.email });
+    await User.updateOne({ _id: member.user._id }, { emailVerified: false });
+
+    process.env.UNVERIFIED_ACCESS = "full";
+    const refused = await memberAgent.post(`/api/ledgers/${ledgerId}/accept`);
+    expect(refused.status).toBe(403);
+    expect(refused.body).toHaveProperty("error", "Verify your email address to accept invitations");
+    expect((await Ledger.findById(ledgerId)).members).toHaveLength(1);
+
+    await User.updateOne({ _id: member.user._id }, { emailVerified: true });
+    expect((await memberAgent.post(`/api/ledgers/${ledgerId}/accept`)).status).toBe(200);
+  });
+
+  test("should share ledger expenses according to member roles", async () => {
+    const owner = await createUser("owner@example.com");
+    const editor = await createUser("editor@example.com");
+    const viewer = await createUser("viewer@example.com");
+    const outsider = await createUser("outsider@example.com");
+    const ownerAgent = await createAuthenticatedAgent(app, owner.email, owner.password);
+    const editorAgent = await createAuthenticatedAgent(app, editor.email, editor.password);
+    const viewerAgent = await createAuthenticatedAgent(app, viewer.email, viewer.password);
+    const outsiderAgent = await createAuthenticatedAgent(app, outsider.email, outsider.password);
+
+    const ledgerId = (await ownerAgent.post("/api/ledgers").send({ name: "Trip" })).body.data.id;
+    await joinLedger(ownerAgent, editorAgent, ledgerId, editor.email, "editor");
+    await joinLedger(ownerAgent, viewerAgent, ledgerId, viewer.email, "viewer");
+
+    const category = await ownerAgent.post("/api/categories").send({ name: "Fuel", ledgerId });
+    expect(category.status).toBe(201);
+    const categoryId = category.body.data.id;
+
+    // Editors can record expenses in the ledger's categories, viewers can't
+    const created = await editorAgent.post("/api/expenses").send({ categoryId, amount: 60, ledgerId });
+    expect(created.status).toBe(201);
+    expect(created.body.data.ledger).toBe(ledgerId);
+    const expenseId = created.body.data.id;
+
+    const denied = await viewerAgent.post("/api/expenses").send({ categoryId, amount: 5, ledgerId });
+    expect(denied.status).toBe(403);
+
+    // Every member sees the ledger's expenses; they stay out of personal lists
+    const ledgerList = await viewerAgent.get(`/api/expenses?ledgerId=${ledgerId}`);
+    expect(ledgerList.body.data.map((expense) => expense.id)).toEqual([expenseId]);
+    const personalList = await editorAgent.get("/api/expenses");
+    expect(personalList.body.data).toHaveLength(0);
+
+    expect((await viewerAgent.get(`/api/expenses/${expenseId}`)).status).toBe(200);
+    expect((await viewerAgent.delete(`/api/expenses/${expenseId}`)).status).toBe(403);
+    expect((await outsiderAgent.get(`/api/expenses/${expenseId}`)).status).toBe(403);
+    expect((await outsiderAgent.get(`/api/expenses?ledgerId=${ledgerId}`)).status).toBe(403);
+
+    // The owner can change an expense someone else recorded
+    const updated = await ownerAgent.put(`/api/expenses/${expenseId}`).send({ categoryId, amount: 65 });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data.amount).toBe(65);
+  });
+
+  test("should keep ledger categories inside their ledger", async () => {
+    const owner = await createUser("owner@example.com");
+    const ownerAgent = await createAuthenticatedAgent(app, owner.email, owner.password);
+
+    const ledgerId = (await ownerAgent.post("/api/ledgers").send({ name: "Household" })).body.data.id;
+    const shared = (await ownerAgent.post("/api/categories").send({ name: "Groceries", ledgerId })).body.data;
+    const personal = (await ownerAgent.post("/api/categories").send({ name: "Groceries" })).body.data;
+    expect(personal.id).toBeDefined();
+
+    // Personal expenses can't use the ledger's category, ledger expenses can't use personal ones
+    const personalExpense = await ownerAgent.post("/api/expenses").send({ categoryId: shared.id, amount: 10 });
+    expect(personalExpense.status).toBe(403);
+    const ledgerExpense = await ownerAgent.post("/api/expenses").send({ categoryId: personal.id, amount: 10, ledgerId });
+    expect(ledgerExpense.status).toBe(403);
+
+    const personalCategories = await ownerAgent.get("/api/categories");
+    expect(personalCategories.body.data.map((category) => category.id)).toEqual([personal.id]);
+    const ledgerCategories = await ownerAgent.get(`/api/categories?ledgerId=${ledgerId}`);
+    expect(ledgerCategories.body.data.map((category) => category.id)).toEqual([shared.id]);
+  });
+
+  test("should only let owners manage members and always keep an owner", async () => {
+    const owner = await createUser("owner@example.com");
+    const editor = await createUser("editor@example.com");
+    const ownerAgent = await createAuthenticatedAgent(app, owner.email, owner.password);
+    const editorAgent = await createAuthenticatedAgent(app, editor.email, editor.password);
+
+    const ledgerId = (await ownerAgent.post("/api/ledgers").send({ name: "Household" })).body.data.id;
+    await joinLedger(ownerAgent, editorAgent, ledgerId, editor.email, "editor");
+
+    const invite = await editorAgent.post(`/api/ledgers/${ledgerId}/invitations`).send({ email: "someone@example.com" });
+    expect(invite.status).toBe(403);
+
+    const leaveAsLastOwner = await ownerAgent.delete(`/api/ledgers/${ledgerId}/members/${owner.user._id}`);
+    expect(leaveAsLastOwner.status).toBe(400);
+    expect(leaveAsLastOwner.body.error).toBe("A ledger must keep at least one owner");
+
+    const promoted = await ownerAgent.put(`/api/ledgers/${ledgerId}/members/${editor.user._id}`).send({ role: "owner" });
+    expect(promoted.status).toBe(200);
+
+    const left = await ownerAgent.delete(`/api/ledgers/${ledgerId}/members/${owner.user._id}`);
+    expect(left.status).toBe(200);
+    expect((await ownerAgent.get(`/api/ledgers/${ledgerId}`)).status).toBe(403);
+  });
+
+  test("should refuse to delete a ledger that still has expenses", async () => {
+    const owner = await createUser("owner@example.com");
+    const ownerAgent = await createAuthenticatedAgent(app, owner.email, owner.password);
+
+    const ledgerId = (await ownerAgent.post("/api/ledgers").send({ name: "Trip" })).body.data.id;
+    const categoryId = (await ownerAgent.post("/api/categories").send({ name: "Fuel", ledgerId })).body.data.id;
+    const expenseId = (await ownerAgent.post("/api/expenses").send({ categoryId, amount: 20, ledgerId })).body.data.id;
+
+    const refused = await ownerAgent.delete(`/api/ledgers/${ledgerId}`);
+    expect(refused.status).toBe(400);
+
+    await ownerAgent.delete(`/api/expenses/${expenseId}`);
+    const deleted = await ownerAgent.delete(`/api/ledgers/${ledgerId}`);
+    expect(deleted.status).toBe(200);
+    expect(await Category.countDocuments({ ledger: ledgerId })).toBe(0);
+  });
+
+  test("should compute balances and settle-up transfers from shared expenses", async () => {
+    const ann = await createUser("ann@example.com", "Password123!", "user", "Ann");
+    const bob = await createUser("bob@example.com", "Password123!", "user", "Bob");
+    const cat = await createUser("cat@example.com", "Password123!", "user", "Cat");
+    const annAgent = await createAuthenticatedAgent(app, ann.email, ann.password);
+    const bobAgent = await createAuthenticatedAgent(app, bob.email, bob.password);
+    const catAgent = await createAuthenticatedAgent(app, cat.email, cat.password);
+
+    const ledgerId = (await annAgent.post("/api/ledgers").send({ name: "Dinner club" })).body.data.id;
+    await joinLedger(annAgent, bobAgent, ledgerId, bob.email, "editor");
+    await joinLedger(annAgent, catAgent, ledgerId, cat.email, "editor");
+    const categoryId = (await annAgent.post("/api/categories").send({ name: "Dining", ledgerId })).body.data.id;
+    const everyone = [ann, bob, cat].map(({ user }) => ({ userId: user._id.toString() }));
+
+    // Ann pays 90 for dinner, split equally
+    const dinner = await annAgent.post("/api/expenses").send({
+      categoryId, amount: 90, ledgerId,
+      sharing: { method: "equal", participants: everyone },
+    });
+    expect(dinner.status).toBe(201);
+    expect(dinner.body.data.sharing.paidBy).toBe(ann.user._id.toString());
+    expect(dinner.body.data.sharing.participants.map((p) => p.share)).toEqual([30, 30, 30]);
+
+    // Bob pays 30 for drinks that Cat had two thirds of
+    const drinks = await bobAgent.post("/api/expenses").send({
+      categoryId, amount: 30, ledgerId,
+      sharing: { method: "shares", participants: [{ ...everyone[1], value: 1 }, { ...everyone[2], value: 2 }] },
+    });
+    expect(drinks.status).toBe(201);
+
+    const response = await catAgent.get(`/api/ledgers/${ledgerId}/balances`);
+    expect(response.status).toBe(200);
+    const [eur] = response.body.data;
+    expect(eur.currency).toBe("EUR");
+    expect(eur.balances.map(({ user, net }) => [user.name, net])).toEqual([["Ann", 60], ["Bob", -10], ["Cat", -50]]);
+    expect(eur.transfers.map(({ from, to, amount }) => [from.name, to.name, amount])).toEqual([["Cat", "Ann", 50], ["Bob", "Ann", 10]]);
+  });
+
+  test("should reject sharing with people outside the ledger", async () => {
+    const owner = await createUser("owner@example.com");
+    const outsider = await createUser("outsider@example.com");
+    const ownerAgent = await createAuthenticatedAgent(app, owner.email, owner.password);
+
+    const ledgerId = (await ownerAgent.post("/api/ledgers").send({ name: "Trip" })).body.data.id;
+    const categoryId = (await ownerAgent.post("/api/categories").send({ name: "Fuel", ledgerId })).body.data.id;
+    const sharing = { method: "equal", participants: [{ userId: owner.user._id.toString() }, { userId: outsider.user._id.toString() }] };
+
+    const outside = await ownerAgent.post("/api/expenses").send({ categoryId, amount: 20, ledgerId, sharing });
+    expect(outside.status).toBe(400);
+    expect(outside.body.error).toBe("The payer and participants must be members of the ledger");
+
+    const personal = await ownerAgent.post("/api/expenses").send({ categoryId, amount: 20, sharing });
+    expect(personal.status).toBe(403); // a personal expense can't use the ledger's category either
+  });
+});
@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+import User from "../../models/user.js";
+import Category from "../../models/category.js";
+import Expense from "../../models/expense.js";
+import { runMigrations } from "../../utils/migrations.js";
+
+describe("Data migrations", () => {
+  let user;
+  let category;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    user = await User.create({ email: "ann@example.com", name: "Ann", passwordHash: "x" });
+    category = await Category.create({ name: "Food", user: user._id });
+  });
+
+  afterEach(async () => {
+    await Expense.collection.deleteMany({});
+    await Category.collection.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.db.collection("sessions").deleteMany({});
+  });
+
+  test("should rewrite the legacy 'EURO' currency, once", async () => {
+    // Written straight to the collection, as the old default left it
+    const { insertedId } = await Expense.collection.insertOne({ user: user._id, category: category._id, amount: 5, currency: "EURO", date: new Date() });
+
+    expect((await runMigrations())["expense-currency-iso-code"]).toBe(1);
+    expect((await Expense.findById(insertedId)).currency).toBe("EUR");
+    expect((await runMigrations())["expense-currency-iso-code"]).toBe(0);
+  });
+
+  test("should drop the old per-user unique index on category names", async () => {
+    await Category.collection.createIndex({ name: 1, user: 1 }, { unique: true });
+
+    expect((await runMigrations())["category-name-index"]).toBe(1);
+    // A ledger category may now share the name of the user's own one
+    await Category.create({ name: "Food", user: user._id, ledger: new mongoose.Types.ObjectId() });
+    expect((await runMigrations())["category-name-index"]).toBe(0);
+  });
+
+  test("should drop the per-ledger index that predates the trash", async () => {
+    await Category.collection.createIndex({ name: 1, user: 1 }, { unique: true });
+    await Category.collection.createIndex({ name: 1, user: 1, ledger: 1 }, { unique: true });
+
+    expect((await runMigrations())["category-name-index"]).toBe(2);
+    // A trashed category no longer blocks its name
+    await category.moveToTrash(user);
+    await Category.create({ name: "Food", user: user._id });
+    expect(await Category.countDocuments({ name: "Food" }).setOptions({ withDeleted: true })).toBe(2);
+  });
+
+  test("should give categories from before visibility one", async () => {
+    const admin = await User.create({ email: "admin@example.com", name: "Admin", passwordHash: "x", role: "admin" });
+    // Written straight to the collection, without the field
+    const { insertedIds } = await Category.collection.insertMany([
+      { name: "Groceries", user: admin._id },
+      { name: "Hobbies", user: user._id },
+    ]);
+
+    expect((await runMigrations())["category-visibility"]).toBe(2);
+    expect((await Category.findById(insertedIds[0])).visibility).toBe("global");
+    expect((await Category.findById(insertedIds[1])).visibility).toBe("private");
+    expect((await runMigrations())["category-visibility"]).toBe(0);
+  });
+
+  test("should delete sessions stored as JSON strings", async () => {
+    const sessions = mongoose.connection.db.collection("sessions");
+    const expires = new Date(Date.now() + 60 * 60 * 1000);
+    await sessions.insertMany([
+      { _id: "legacy", expires, session: JSON.stringify({ cookie: {}, userId: user._id.toString() }) },
+      { _id: "current", expires, session: { cookie: {}, userId: user._id.toString() } },
+    ]);
+
+    expect((await runMigrations())["legacy-string-sessions"]).toBe(1);
+    expect(await sessions.find({}).map((session) => session._id).toArray()).toEqual(["current"]);
+  });
+});
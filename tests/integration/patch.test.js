@@ -0,0 +1,214 @@
+import createApp from "../../app.js";
+import request from "supertest";
+import User from "../../models/user.js";
+import Category from "../../models/category.js";
+import Expense from "../../models/expense.js";
+import ExpenseRevision from "../../models/expenseRevision.js";
+import AuditEvent from "../../models/auditEvent.js";
+import mongoose from "mongoose";
+
+const createUser = async (email, password = "Password123!", role = "user") => {
+  const passwordHash = await User.hashPassword(password);
+  const user = await User.create({ email, name: "Test User", passwordHash, role });
+  return { user, email, password };
+};
+
+const createAuthenticatedAgent = async (app, email, password) => {
+  const agent = request.agent(app);
+  await agent.post("/api/auth/login").send({ email, password });
+  return agent;
+};
+
+const MERGE_PATCH = "application/merge-patch+json";
+
+describe("PATCH and If-Match", () => {
+  let app;
+  let user;
+  let agent;
+  let food;
+  let travel;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    const created = await createUser("ann@example.com");
+    user = created.user;
+    agent = await createAuthenticatedAgent(app, created.email, created.password);
+    food = await Category.create({ name: "Food", user: user._id });
+    travel = await Category.create({ name: "Travel", user: user._id });
+  });
+
+  afterEach(async () => {
+    await AuditEvent.collection.deleteMany({});
+    await ExpenseRevision.deleteMany({});
+    await Expense.deleteMany({});
+    await Category.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.db.collection("sessions").deleteMany({});
+  });
+
+  const createExpense = async () => (await agent.post("/api/expenses").send({
+    categoryId: food._id,
+    amount: 10,
+    currency: "USD",
+    date: "2025-01-01",
+    description: "Lunch",
+  })).body.data;
+
+  const patch = (client, url, body) => client.patch(url).set("Content-Type", MERGE_PATCH).send(JSON.stringify(body));
+
+  describe("Expenses", () => {
+    test("should change only the patched fields", async () => {
+      const expense = await createExpense();
+
+      const response = await patch(agent, `/api/expenses/${expense.id}`, { amount: 12, categoryId: travel._id });
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ amount: 12, currency: "USD", description: "Lunch", date: "2025-01-01T00:00:00.000Z" });
+      expect(response.body.data.category).toHaveProperty("name", "Travel");
+
+      const [revision] = (await agent.get(`/api/expenses/${expense.id}/history`)).body.data;
+      expect(Object.keys(revision.changes).sort()).toEqual(["amount", "category"]);
+    });
+
+    test("should remove fields patched with null", async () => {
+      const expense = await createExpense();
+
+      const response = await patch(agent, `/api/expenses/${expense.id}`, { description: null, currency: null });
+      expect(response.status).toBe(200);
+      expect(response.body.data.description).toBeNull();
+      expect(response.body.data.note).toBeNull();
+      expect(response.body.data.currency).toBe("EUR");
+
+      const refused = await patch(agent, `/api/expenses/${expense.id}`, { date: null });
+      expect(refused.status).toBe(400);
+      expect(refused.body).toHaveProperty("error", "'date' can't be removed");
+    });
+
+    test("should check the patched expense as a whole", async () => {
+      const expense = await createExpense();
+      const splits = [{ categoryId: food._id, amount: 6 }, { categoryId: travel._id, amount: 4 }];
+      expect((await patch(agent, `/api/expenses/${expense.id}`, { splits })).status).toBe(200);
+
+      // Splits have to keep adding up to the amount
+      const response = await patch(agent, `/api/expenses/${expense.id}`, { amount: 20 });
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty("error", "'splits' must add up to 'amount'");
+
+      const unsplit = await patch(agent, `/api/expenses/${expense.id}`, { amount: 20, splits: null });
+      expect(unsplit.status).toBe(200);
+      expect(unsplit.body.data.splits).toEqual([]);
+      expect(unsplit.body.data.category).toHaveProperty("name", "Food");
+    });
+
+    test("should refuse patches that would be ignored", async () => {
+      const expense = await createExpense();
+      const splits = [{ categoryId: food._id, amount: 6 }, { categoryId: travel._id, amount: 4 }];
+      await patch(agent, `/api/expenses/${expense.id}`, { splits });
+
+      const recategorized = await patch(agent, `/api/expenses/${expense.id}`, { categoryId: travel._id });
+      expect(recategorized.status).toBe(400);
+      expect(recategorized.body).toHaveProperty("error", "Split expenses have to be recategorized split by split");
+
+      const moved = await patch(agent, `/api/expenses/${expense.id}`, { ledgerId: new mongoose.Types.ObjectId() });
+      expect(moved.status).toBe(400);
+      expect(moved.body).toHaveProperty("error", "'ledgerId' can't be changed");
+
+      // Unsplitting and recategorizing together is fine
+      const unsplit = await patch(agent, `/api/expenses/${expense.id}`, { categoryId: travel._id, splits: null });
+      expect(unsplit.status).toBe(200);
+      expect(unsplit.body.data.category).toHaveProperty("name", "Travel");
+    });
+
+    test("should only accept merge patch objects", async () => {
+      const expense = await createExpense();
+
+      const text = await agent.patch(`/api/expenses/${expense.id}`).set("Content-Type", "text/plain").send("amount=1");
+      expect(text.status).toBe(415);
+
+      const array = await patch(agent, `/api/expenses/${expense.id}`, [{ amount: 1 }]);
+      expect(array.status).toBe(400);
+      expect(array.body).toHaveProperty("error", "The merge patch must be a JSON object");
+
+      // Plain JSON works too
+      expect((await agent.patch(`/api/expenses/${expense.id}`).send({ amount: 11 })).status).toBe(200);
+    });
+
+    test("should need edit permission", async () => {
+      const expense = await createExpense();
+      const { email, password } = await createUser("bob@example.com");
+      const other = await createAuthenticatedAgent(app, email, password);
+
+      expect((await patch(other, `/api/expenses/${expense.id}`, { amount: 1 })).status).toBe(403);
+    });
+  });
+
+  describe("If-Match", () => {
+    test("should reject updates based on a stale copy", async () => {
+      const expense = await createExpense();
+      const fetched = await agent.get(`/api/expenses/${expense.id}`);
+      const etag = fetched.headers.etag;
+      expect(etag).toMatch(/^"/);
+
+      const first = await patch(agent, `/api/expenses/${expense.id}`, { amount: 11 }).set("If-Match", etag);
+      expect(first.status).toBe(200);
+      expect(first.headers.etag).not.toBe(etag);
+
+      const second = await patch(agent, `/api/expenses/${expense.id}`, { amount: 12 }).set("If-Match", etag);
+      expect(second.status).toBe(412);
+      expect(second.body).toHaveProperty("error", "The resource has changed since it was fetched");
+
+      const put = await agent.put(`/api/expenses/${expense.id}`).set("If-Match", etag)
+        .send({ categoryId: food._id, amount: 13 });
+      expect(put.status).toBe(412);
+      expect((await Expense.findById(expense.id)).amount).toBe(11);
+
+      const current = await patch(agent, `/api/expenses/${expense.id}`, { amount: 12 }).set("If-Match", first.headers.etag);
+      expect(current.status).toBe(200);
+    });
+
+    test("should guard categories the same way", async () => {
+      const etag = (await agent.get(`/api/categories/${food._id}`)).headers.etag;
+
+      const renamed = await patch(agent, `/api/categories/${food._id}`, { name: "Groceries" }).set("If-Match", etag);
+      expect(renamed.status).toBe(200);
+      expect(renamed.body.data).toHaveProperty("name", "Groceries");
+
+      const stale = await agent.put(`/api/categories/${food._id}`).set("If-Match", etag).send({ name: "Meals" });
+      expect(stale.status).toBe(412);
+
+      expect((await patch(agent, `/api/categories/${food._id}`, { name: null })).status).toBe(400);
+      const clash = await patch(agent, `/api/categories/${food._id}`, { name: "Travel" });
+      expect(clash.status).toBe(400);
+      expect(clash.body).toHaveProperty("error", "Category already exists for this user");
+    });
+  });
+
+  describe("Admin", () => {
+    test("should patch any expense or category", async () => {
+      const expense = await createExpense();
+      const { user: bob } = await createUser("bob@example.com");
+      const { email, password } = await createUser("admin@example.com", "Password123!", "admin");
+      const admin = await createAuthenticatedAgent(app, email, password);
+
+      const moved = await patch(admin, `/api/admin/expenses/${expense.id}`, { userId: bob._id, note: "Moved" });
+      expect(moved.status).toBe(200);
+      expect(moved.body.expense).toMatchObject({ amount: 10, note: "Moved", description: "Moved" });
+      expect(moved.body.expense.user).toHaveProperty("email", "bob@example.com");
+
+      const category = await patch(admin, `/api/admin/categories/${travel._id}`, { visibility: "global" });
+      expect(category.status).toBe(200);
+      expect(category.body.category).toMatchObject({ name: "Travel", visibility: "global" });
+
+      const stale = await patch(admin, `/api/admin/categories/${travel._id}`, { name: "Trips" }).set("If-Match", '"stale"');
+      expect(stale.status).toBe(412);
+    });
+  });
+});
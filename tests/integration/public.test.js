@@ -1,6 +1,8 @@
 import createApp from "../../app.js";
 import request from "supertest";
 import User from "../../models/user.js";
+import Category from "../../models/category.js";
+import Expense from "../../models/expense.js";
 import mongoose from "mongoose";
 
 // Helper function to create a user
@@ -24,6 +26,8 @@ describe("Public API - Essential Tests", () => {
   });
 
   afterEach(async () => {
+    await Expense.deleteMany({});
+    await Category.deleteMany({});
     await User.deleteMany({});
     await mongoose.connection.db.collection("sessions").deleteMany({});
   });
@@ -133,4 +137,19 @@ describe("Public API - Essential Tests", () => {
     expect(response.body.data.applicationInfo).toHaveProperty("name", "Expense Tracker");
     expect(response.body.data.totalUsers).toBeGreaterThanOrEqual(2);
   });
-});
\ No newline at end of file
+
+  test("should not reveal private category names in public stats", async () => {
+    const { user } = await createUser("test1@example.com");
+    const secret = await Category.create({ name: "Secret Hobby", user: user._id });
+    const shared = await Category.create({ name: "Groceries", user: user._id, visibility: "global" });
+    await Expense.create([
+      { user: user._id, category: secret._id, amount: 10, description: "Private" },
+      { user: user._id, category: shared._id, amount: 5, description: "Shared" },
+    ]);
+
+    const response = await request(app).get("/api/public/stats");
+    expect(response.status).toBe(200);
+    expect(response.body.data.popularCategories.map((category) => category.name)).toEqual(["Groceries"]);
+    expect(response.body.data.totalCategories).toBe(1);
+  });
+});
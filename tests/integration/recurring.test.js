@@ -0,0 +1,196 @@
+import createApp from "../../app.js";
+import request from "supertest";
+import User from "../../models/user.js";
+import Category from "../../models/category.js";
+import Expense from "../../models/expense.js";
+import RecurringExpense from "../../models/recurringExpense.js";
+import { MAX_CATCH_UP_OCCURRENCES, materializeDueExpenses } from "../../utils/recurring.js";
+import mongoose from "mongoose";
+
+// Helper function to create a user and return credentials
+const createUser = async (email, password = "Password123!", role = "user", name = "Test User") => {
+  const passwordHash = await User.hashPassword(password);
+  const user = await User.create({ email, name, passwordHash, role });
+  return { user, email, password };
+};
+
+// Helper function to create an authenticated agent (with session)
+const createAuthenticatedAgent = async (app, email, password) => {
+  const agent = request.agent(app);
+  await agent.post("/api/auth/login").send({ email, password });
+  return agent;
+};
+
+// N whole days before now, at midnight UTC
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setUTCHours(0, 0, 0, 0);
+  date.setUTCDate(date.getUTCDate() - days);
+  return date;
+};
+
+describe("Recurring Expense API - Essential Tests", () => {
+  let app;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    await Expense.syncIndexes();
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  afterEach(async () => {
+    await RecurringExpense.deleteMany({});
+    await Expense.deleteMany({});
+    await Category.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.db.collection("sessions").deleteMany({});
+  });
+
+  test("should require authentication", async () => {
+    const response = await request(app).get("/api/recurring-expenses");
+    expect(response.status).toBe(401);
+  });
+
+  test("should create a series and materialize due occurrences idempotently", async () => {
+    const { user, email, password } = await createUser("test@example.com");
+    const agent = await createAuthenticatedAgent(app, email, password);
+    const category = await Category.create({ name: "Transport", user: user._id });
+
+    // Weekly bus pass that started 14 days ago: 3 occurrences are due (14, 7 and 0 days ago)
+    const createResponse = await agent.post("/api/recurring-expenses").send({
+      categoryId: category._id,
+      amount: 20,
+      note: "Weekly bus pass",
+      frequency: "weekly",
+      startDate: daysAgo(14).toISOString()
+    });
+    expect(createResponse.status).toBe(201);
+    expect(createResponse.body.materialized).toBe(3);
+
+    const expenses = await Expense.find({ user: user._id });
+    expect(expenses).toHaveLength(3);
+    expect(expenses.every(e => e.note === "Weekly bus pass")).toBe(true);
+
+    // Catch-up runs don't create duplicates
+    const catchUp = await agent.post("/api/recurring-expenses/materialize");
+    expect(catchUp.status).toBe(200);
+    expect(catchUp.body.data.created).toBe(0);
+
+    // Even if the progress marker is lost
+    await RecurringExpense.updateMany({}, { $unset: { materializedThrough: 1 } });
+    expect(await materializeDueExpenses()).toBe(0);
+    expect(await Expense.countDocuments({ user: user._id })).toBe(3);
+  });
+
+  test("should cap how many occurrences one run catches up on", async () => {
+    const { user, email, password } = await createUser("test@example.com");
+    const agent = await createAuthenticatedAgent(app, email, password);
+    const category = await Category.create({ name: "Coffee", user: user._id });
+
+    // A daily series with 5 more occurrences due than one run records
+    const createResponse = await agent.post("/api/recurring-expenses").send({
+      categoryId: category._id,
+      amount: 3,
+      frequency: "daily",
+      startDate: daysAgo(MAX_CATCH_UP_OCCURRENCES + 4).toISOString()
+    });
+    expect(createResponse.status).toBe(201);
+    expect(createResponse.body.materialized).toBe(MAX_CATCH_UP_OCCURRENCES);
+    expect(new Date(createResponse.body.data.materializedThrough)).toEqual(daysAgo(5));
+
+    // The next run picks up the rest
+    expect(await materializeDueExpenses(new Date(), { user: user._id })).toBe(5);
+    expect(await Expense.countDocuments({ user: user._id })).toBe(MAX_CATCH_UP_OCCURRENCES + 5);
+  });
+
+  test("should list upcoming occurrences and skip one", async () => {
+    const { user, email, password } = await createUser("test@example.com");
+    const agent = await createAuthenticatedAgent(app, email, password);
+    const category = await Category.create({ name: "Bills", user: user._id });
+
+    const start = daysAgo(-1); // tomorrow
+    const createResponse = await agent.post("/api/recurring-expenses").send({
+      categoryId: category._id,
+      amount: 900,
+      note: "Rent",
+      frequency: "daily",
+      startDate: start.toISOString(),
+      count: 4
+    });
+    const seriesId = createResponse.body.data.id;
+
+    const upcoming = await agent.get(`/api/recurring-expenses/${seriesId}/upcoming?limit=10`);
+    expect(upcoming.status).toBe(200);
+    expect(upcoming.body.data.occurrences).toHaveLength(4);
+
+    const skipDate = upcoming.body.data.occurrences[1];
+    const skipResponse = await agent.post(`/api/recurring-expenses/${seriesId}/skip`).send({ date: skipDate.slice(0, 10) });
+    expect(skipResponse.status).toBe(200);
+
+    const afterSkip = await agent.get(`/api/recurring-expenses/${seriesId}/upcoming?limit=10`);
+    expect(afterSkip.body.data.occurrences).toHaveLength(3);
+    expect(afterSkip.body.data.occurrences).not.toContain(skipDate);
+
+    // Skipping a date with no occurrence is rejected
+    const badSkip = await agent.post(`/api/recurring-expenses/${seriesId}/skip`).send({ date: daysAgo(30).toISOString() });
+    expect(badSkip.status).toBe(400);
+  });
+
+  test("should pause and resume a series", async () => {
+    const { user, email, password } = await createUser("test@example.com");
+    const agent = await createAuthenticatedAgent(app, email, password);
+    const category = await Category.create({ name: "Subscriptions", user: user._id });
+
+    const createResponse = await agent.post("/api/recurring-expenses").send({
+      categoryId: category._id,
+      amount: 9.99,
+      frequency: "monthly",
+      startDate: daysAgo(0).toISOString()
+    });
+    const seriesId = createResponse.body.data.id;
+
+    const pauseResponse = await agent.post(`/api/recurring-expenses/${seriesId}/pause`);
+    expect(pauseResponse.status).toBe(200);
+    expect(pauseResponse.body.data.paused).toBe(true);
+
+    // Paused series are not materialized
+    const series = await RecurringExpense.findById(seriesId);
+    series.materializedThrough = undefined;
+    await series.save();
+    expect(await materializeDueExpenses(new Date(Date.now() + 90 * 24 * 60 * 60 * 1000))).toBe(0);
+
+    const resumeResponse = await agent.post(`/api/recurring-expenses/${seriesId}/resume`);
+    expect(resumeResponse.status).toBe(200);
+    expect(resumeResponse.body.data.paused).toBe(false);
+  });
+
+  test("should validate input and ownership", async () => {
+    const owner = await createUser("owner@example.com");
+    const other = await createUser("other@example.com");
+    const ownerAgent = await createAuthenticatedAgent(app, owner.email, owner.password);
+    const otherAgent = await createAuthenticatedAgent(app, other.email, other.password);
+    const category = await Category.create({ name: "Bills", user: owner.user._id });
+
+    const badFrequency = await ownerAgent.post("/api/recurring-expenses").send({
+      categoryId: category._id,
+      amount: 10,
+      frequency: "hourly",
+      startDate: new Date().toISOString()
+    });
+    expect(badFrequency.status).toBe(400);
+
+    const created = await ownerAgent.post("/api/recurring-expenses").send({
+      categoryId: category._id,
+      amount: 10,
+      frequency: "yearly",
+      startDate: daysAgo(-10).toISOString()
+    });
+    const forbidden = await otherAgent.get(`/api/recurring-expenses/${created.body.data.id}`);
+    expect(forbidden.status).toBe(403);
+  });
+});
@@ -0,0 +1,165 @@
+import createApp from "../../app.js";
+import request from "supertest";
+import User from "../../models/user.js";
+import Category from "../../models/category.js";
+import Expense from "../../models/expense.js";
+import ExpenseRevision from "../../models/expenseRevision.js";
+import AuditEvent from "../../models/auditEvent.js";
+import mongoose from "mongoose";
+
+const createUser = async (email, password = "Password123!", role = "user", name = "Test User") => {
+  const passwordHash = await User.hashPassword(password);
+  const user = await User.create({ email, name, passwordHash, role });
+  return { user, email, password };
+};
+
+const createAuthenticatedAgent = async (app, email, password) => {
+  const agent = request.agent(app);
+  await agent.post("/api/auth/login").send({ email, password });
+  return agent;
+};
+
+describe("Expense history", () => {
+  let app;
+  let user;
+  let agent;
+  let food;
+  let travel;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    const created = await createUser("ann@example.com", "Password123!", "user", "Ann");
+    user = created.user;
+    agent = await createAuthenticatedAgent(app, created.email, created.password);
+    food = await Category.create({ name: "Food", user: user._id });
+    travel = await Category.create({ name: "Travel", user: user._id });
+  });
+
+  afterEach(async () => {
+    await AuditEvent.collection.deleteMany({});
+    await ExpenseRevision.deleteMany({});
+    await Expense.deleteMany({});
+    await Category.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.db.collection("sessions").deleteMany({});
+  });
+
+  const createExpense = async () => (await agent.post("/api/expenses").send({
+    categoryId: food._id,
+    amount: 10,
+    date: "2025-01-01",
+    description: "Lunch",
+  })).body.data;
+
+  test("should record a revision for each change", async () => {
+    const expense = await createExpense();
+    expect((await agent.get(`/api/expenses/${expense.id}/history`)).body.data).toEqual([]);
+
+    await agent.put(`/api/expenses/${expense.id}`).send({ categoryId: food._id, amount: 12, date: "2025-01-01", description: "Lunch" });
+    await agent.put(`/api/expenses/${expense.id}`).send({ categoryId: travel._id, amount: 12, date: "2025-01-02", description: "Train" });
+    // Saving without changes adds nothing
+    await agent.put(`/api/expenses/${expense.id}`).send({ categoryId: travel._id, amount: 12, date: "2025-01-02", description: "Train" });
+
+    const history = await agent.get(`/api/expenses/${expense.id}/history`);
+    expect(history.status).toBe(200);
+    expect(history.body.data.map((revision) => [revision.version, revision.action])).toEqual([
+      [3, "update"],
+      [2, "update"],
+      [1, "create"],
+    ]);
+
+    const [latest, first] = history.body.data;
+    expect(latest.editor).toMatchObject({ name: "Ann", email: "ann@example.com" });
+    expect(latest.byAdmin).toBe(false);
+    expect(latest.changes).toEqual({
+      category: { before: food._id.toString(), after: travel._id.toString() },
+      date: { before: "2025-01-01T00:00:00.000Z", after: "2025-01-02T00:00:00.000Z" },
+      description: { before: "Lunch", after: "Train" },
+      note: { before: "Lunch", after: "Train" },
+    });
+    expect(history.body.data[2].snapshot).toMatchObject({ amount: 10, description: "Lunch" });
+    expect(first.changes).toEqual({ amount: { before: 10, after: 12 } });
+  });
+
+  test("should attribute admin edits", async () => {
+    const expense = await createExpense();
+    const { email, password } = await createUser("admin@example.com", "Password123!", "admin", "Root");
+    const admin = await createAuthenticatedAgent(app, email, password);
+
+    const response = await admin.put(`/api/admin/expenses/${expense.id}`).send({ categoryId: food._id, amount: 99, date: "2025-01-01" });
+    expect(response.status).toBe(200);
+
+    const [revision] = (await agent.get(`/api/expenses/${expense.id}/history`)).body.data;
+    expect(revision.byAdmin).toBe(true);
+    expect(revision.editor).toMatchObject({ name: "Root", email: "admin@example.com", role: "admin" });
+    expect(revision.changes.amount).toEqual({ before: 10, after: 99 });
+  });
+
+  test("should revert to an earlier revision", async () => {
+    const expense = await createExpense();
+    await agent.put(`/api/expenses/${expense.id}`).send({ categoryId: travel._id, amount: 40, date: "2025-01-05", description: "Taxi" });
+
+    const reverted = await agent.post(`/api/expenses/${expense.id}/revert`).send({ version: 1 });
+    expect(reverted.status).toBe(200);
+    expect(reverted.body.data).toMatchObject({ amount: 10, description: "Lunch", date: "2025-01-01T00:00:00.000Z" });
+    expect(reverted.body.data.category).toHaveProperty("name", "Food");
+
+    const [latest] = (await agent.get(`/api/expenses/${expense.id}/history`)).body.data;
+    expect(latest).toMatchObject({ version: 3, action: "revert", revertedTo: 1 });
+    expect(latest.changes.amount).toEqual({ before: 40, after: 10 });
+  });
+
+  test("should refuse reverts it can't make", async () => {
+    const expense = await createExpense();
+    await agent.put(`/api/expenses/${expense.id}`).send({ categoryId: travel._id, amount: 40, date: "2025-01-05" });
+
+    expect((await agent.post(`/api/expenses/${expense.id}/revert`).send({ version: 7 })).status).toBe(404);
+    expect((await agent.post(`/api/expenses/${expense.id}/revert`).send({ version: 0 })).status).toBe(400);
+
+    await Category.updateOne({ _id: food._id }, { deletedAt: new Date() });
+    const gone = await agent.post(`/api/expenses/${expense.id}/revert`).send({ version: 1 });
+    expect(gone.status).toBe(400);
+    expect(gone.body).toHaveProperty("error", "A category used in this revision no longer exists");
+  });
+
+  test("should check the snapshot like a PUT body and keep the owner", async () => {
+    const { user: admin, email, password } = await createUser("admin@example.com", "Password123!", "admin", "Root");
+    const adminAgent = await createAuthenticatedAgent(app, email, password);
+    const bob = await createUser("bob@example.com");
+    const bobAgent = await createAuthenticatedAgent(app, bob.email, bob.password);
+    const shared = await Category.create({ name: "Shared", user: admin._id, visibility: "global" });
+
+    // Moved to Bob by an admin: reverting gives him the old amount, not Ann's ownership
+    const moved = (await agent.post("/api/expenses").send({ categoryId: shared._id, amount: 10, date: "2025-01-01" })).body.data;
+    await adminAgent.put(`/api/admin/expenses/${moved.id}`).send({ userId: bob.user._id, categoryId: shared._id, amount: 99, date: "2025-01-01" });
+    const reverted = await bobAgent.post(`/api/expenses/${moved.id}/revert`).send({ version: 1 });
+    expect(reverted.status).toBe(200);
+    expect(reverted.body.data).toHaveProperty("amount", 10);
+    expect((await Expense.findById(moved.id)).user.toString()).toBe(bob.user._id.toString());
+
+    // Ann's private category isn't Bob's to use
+    const expense = await createExpense();
+    await adminAgent.put(`/api/admin/expenses/${expense.id}`).send({ userId: bob.user._id, categoryId: shared._id, amount: 10, date: "2025-01-01" });
+    const refused = await bobAgent.post(`/api/expenses/${expense.id}/revert`).send({ version: 1 });
+    expect(refused.status).toBe(403);
+    expect((await Expense.findById(expense.id)).category.toString()).toBe(shared._id.toString());
+  });
+
+    test("should only show history to people who can see the expense", async () => {
+    const expense = await createExpense();
+    const { email, password } = await createUser("bob@example.com");
+    const other = await createAuthenticatedAgent(app, email, password);
+
+    expect((await other.get(`/api/expenses/${expense.id}/history`)).status).toBe(403);
+    expect((await other.post(`/api/expenses/${expense.id}/revert`).send({ version: 1 })).status).toBe(403);
+  });
+});
@@ -0,0 +1,127 @@
+import createApp from "../../app.js";
+import request from "supertest";
+import User from "../../models/user.js";
+import mongoose from "mongoose";
+
+const createUser = async (email, password = "Password123!", role = "user") => {
+  const passwordHash = await User.hashPassword(password);
+  const user = await User.create({ email, name: "Test User", passwordHash, role });
+  return { user, email, password };
+};
+
+describe("Sessions API", () => {
+  let app;
+  let credentials;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    credentials = await createUser("traveller@example.com");
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await mongoose.connection.db.collection("sessions").deleteMany({});
+  });
+
+  const loginFrom = async (device, { email, password } = credentials) => {
+    const agent = request.agent(app);
+    await agent.post("/api/auth/login").set("User-Agent", device).send({ email, password });
+    return agent;
+  };
+
+  test("should list the user's sessions with their details", async () => {
+    const laptop = await loginFrom("Laptop browser");
+    await loginFrom("Phone app");
+
+    const response = await laptop.get("/api/auth/sessions");
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(2);
+
+    const current = response.body.data.find((s) => s.current);
+    expect(current).toHaveProperty("device", "Laptop browser");
+    expect(current).toHaveProperty("ip");
+    expect(current).toHaveProperty("createdAt");
+    expect(current).toHaveProperty("lastSeenAt");
+    expect(current.id).toMatch(/^[0-9a-f]{32}$/);
+  });
+
+  test("should revoke a single session", async () => {
+    const laptop = await loginFrom("Laptop browser");
+    const phone = await loginFrom("Phone app");
+
+    const list = await laptop.get("/api/auth/sessions");
+    const phoneSession = list.body.data.find((s) => s.device === "Phone app");
+
+    const response = await laptop.delete(`/api/auth/sessions/${phoneSession.id}`);
+    expect(response.status).toBe(200);
+    expect((await phone.get("/api/expenses")).status).toBe(401);
+    expect((await laptop.get("/api/expenses")).status).toBe(200);
+
+    const again = await laptop.delete(`/api/auth/sessions/${phoneSession.id}`);
+    expect(again.status).toBe(404);
+  });
+
+  test("should not revoke other users' sessions", async () => {
+    const laptop = await loginFrom("Laptop browser");
+    const other = await createUser("other@example.com");
+    const otherAgent = await loginFrom("Other browser", other);
+
+    const list = await otherAgent.get("/api/auth/sessions");
+    const response = await laptop.delete(`/api/auth/sessions/${list.body.data[0].id}`);
+    expect(response.status).toBe(404);
+    expect((await otherAgent.get("/api/expenses")).status).toBe(200);
+  });
+
+  test("should log out everywhere else", async () => {
+    const laptop = await loginFrom("Laptop browser");
+    const phone = await loginFrom("Phone app");
+    const tablet = await loginFrom("Tablet");
+
+    const response = await laptop.delete("/api/auth/sessions");
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({ revoked: 2 });
+
+    expect((await laptop.get("/api/expenses")).status).toBe(200);
+    expect((await phone.get("/api/expenses")).status).toBe(401);
+    expect((await tablet.get("/api/expenses")).status).toBe(401);
+  });
+
+  test("should revoke other sessions when the password changes", async () => {
+    const laptop = await loginFrom("Laptop browser");
+    const phone = await loginFrom("Phone app");
+
+    const response = await laptop.put("/api/auth/profile").send({
+      currentPassword: credentials.password,
+      newPassword: "NewPassword123",
+    });
+    expect(response.status).toBe(200);
+
+    expect((await laptop.get("/api/expenses")).status).toBe(200);
+    expect((await phone.get("/api/expenses")).status).toBe(401);
+  });
+
+  test("should let admins list and revoke any user's sessions", async () => {
+    const phone = await loginFrom("Phone app");
+    const admin = await createUser("admin@example.com", "Password123!", "admin");
+    const adminAgent = await loginFrom("Admin browser", admin);
+
+    const list = await adminAgent.get(`/api/admin/users/${credentials.user._id}/sessions`);
+    expect(list.status).toBe(200);
+    expect(list.body.sessions).toHaveLength(1);
+    expect(list.body.sessions[0]).toHaveProperty("device", "Phone app");
+
+    const response = await adminAgent.delete(`/api/admin/users/${credentials.user._id}/sessions`);
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty("revoked", 1);
+    expect((await phone.get("/api/expenses")).status).toBe(401);
+  });
+});
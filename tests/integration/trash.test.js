@@ -0,0 +1,195 @@
+import createApp from "../../app.js";
+import request from "supertest";
+import User from "../../models/user.js";
+import Category from "../../models/category.js";
+import Expense from "../../models/expense.js";
+import AuditEvent from "../../models/auditEvent.js";
+import { purgeTrash } from "../../utils/trash.js";
+import mongoose from "mongoose";
+
+const createUser = async (email, password = "Password123!", role = "user") => {
+  const passwordHash = await User.hashPassword(password);
+  const user = await User.create({ email, name: "Test User", passwordHash, role });
+  return { user, email, password };
+};
+
+const createAuthenticatedAgent = async (app, email, password) => {
+  const agent = request.agent(app);
+  await agent.post("/api/auth/login").send({ email, password });
+  return agent;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("Trash", () => {
+  let app;
+  let user;
+  let agent;
+  let category;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    const created = await createUser("ann@example.com");
+    user = created.user;
+    agent = await createAuthenticatedAgent(app, created.email, created.password);
+    category = await Category.create({ name: "Food", user: user._id });
+  });
+
+  afterEach(async () => {
+    await AuditEvent.collection.deleteMany({});
+    await Expense.deleteMany({});
+    await Category.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.db.collection("sessions").deleteMany({});
+    delete process.env.TRASH_RETENTION_DAYS;
+  });
+
+  const createExpense = async (amount = 10) =>
+    (await agent.post("/api/expenses").send({ categoryId: category._id, amount, description: "Lunch" })).body.data;
+
+  test("should move deleted expenses to the trash and restore them", async () => {
+    const expense = await createExpense();
+
+    const deleted = await agent.delete(`/api/expenses/${expense.id}`);
+    expect(deleted.status).toBe(200);
+    expect((await agent.get(`/api/expenses/${expense.id}`)).status).toBe(404);
+    expect((await agent.get("/api/expenses")).body.data).toEqual([]);
+
+    const trash = await agent.get("/api/expenses/trash");
+    expect(trash.status).toBe(200);
+    expect(trash.body.data).toHaveLength(1);
+    expect(trash.body.data[0]).toHaveProperty("id", expense.id);
+    expect(trash.body.data[0].deletedBy).toBe(user._id.toString());
+    expect(new Date(trash.body.data[0].purgeAt) - new Date(trash.body.data[0].deletedAt)).toBe(30 * DAY_MS);
+
+    const restored = await agent.post(`/api/expenses/${expense.id}/restore`);
+    expect(restored.status).toBe(200);
+    expect(restored.body.data.deletedAt).toBeNull();
+    expect((await agent.get(`/api/expenses/${expense.id}`)).status).toBe(200);
+    expect((await agent.get("/api/expenses/trash")).body.data).toEqual([]);
+  });
+
+  test("should only restore expenses the user may edit", async () => {
+    const expense = await createExpense();
+    await agent.delete(`/api/expenses/${expense.id}`);
+
+    const { email, password } = await createUser("bob@example.com");
+    const other = await createAuthenticatedAgent(app, email, password);
+    expect((await other.get("/api/expenses/trash")).body.data).toEqual([]);
+    expect((await other.post(`/api/expenses/${expense.id}/restore`)).status).toBe(403);
+
+    // Only trashed expenses can be restored
+    await agent.post(`/api/expenses/${expense.id}/restore`);
+    expect((await agent.post(`/api/expenses/${expense.id}/restore`)).status).toBe(404);
+  });
+
+  test("should leave trashed expenses out of budgets and reports", async () => {
+    await createExpense(10);
+    const trashed = await createExpense(90);
+    await agent.delete(`/api/expenses/${trashed.id}`);
+
+    const expenses = await agent.get(`/api/categories/${category._id}/expenses`);
+    expect(expenses.body.data).toHaveLength(1);
+
+    expect(await Expense.countDocuments()).toBe(1);
+    const [total] = await Expense.aggregate([{ $group: { _id: null, amount: { $sum: "$amount" } } }]);
+    expect(total.amount).toBe(10);
+  });
+
+  test("should leave trashed expenses out of the admin dashboard's user stats", async () => {
+    await createExpense(10);
+    const trashed = await createExpense(90);
+    await agent.delete(`/api/expenses/${trashed.id}`);
+    const { email, password } = await createUser("admin@example.com", "Password123!", "admin");
+    const admin = await createAuthenticatedAgent(app, email, password);
+
+    const { dashboard } = (await admin.get("/api/admin/dashboard")).body;
+    expect(dashboard.summary.overallStats.totalExpenses).toBe(1);
+    const [top] = dashboard.topUsersByExpenseCount;
+    expect(top).toMatchObject({ email: "ann@example.com", expenseCount: 1, totalSpent: 10 });
+  });
+
+  test("should trash and restore categories, keeping names free", async () => {
+    const deleted = await agent.delete(`/api/categories/${category._id}`);
+    expect(deleted.status).toBe(200);
+    expect((await agent.get(`/api/categories/${category._id}`)).status).toBe(404);
+    expect((await agent.get("/api/categories/trash")).body.data).toHaveLength(1);
+
+    // The name can be used again while the old category is in the trash...
+    const replacement = await agent.post("/api/categories").send({ name: "Food" });
+    expect(replacement.status).toBe(201);
+
+    // ...and then the old one can't come back under it
+    const clash = await agent.post(`/api/categories/${category._id}/restore`);
+    expect(clash.status).toBe(400);
+    expect(clash.body).toHaveProperty("error", "Another category with this name exists");
+
+    await agent.delete(`/api/categories/${replacement.body.data.id}`);
+    const restored = await agent.post(`/api/categories/${category._id}/restore`);
+    expect(restored.status).toBe(200);
+    expect(restored.body.data.deletedAt).toBeNull();
+  });
+
+  test("should restore an expense only once its category is back", async () => {
+    const expense = await createExpense();
+    await agent.delete(`/api/expenses/${expense.id}`);
+    await agent.delete(`/api/categories/${category._id}`);
+
+    const refused = await agent.post(`/api/expenses/${expense.id}/restore`);
+    expect(refused.status).toBe(400);
+    expect(refused.body).toHaveProperty("error", "Restore the expense's category first");
+
+    await agent.post(`/api/categories/${category._id}/restore`);
+    expect((await agent.post(`/api/expenses/${expense.id}/restore`)).status).toBe(200);
+  });
+
+  test("should let admins trash and restore anything", async () => {
+    const expense = await createExpense();
+    const { email, password } = await createUser("admin@example.com", "Password123!", "admin");
+    const admin = await createAuthenticatedAgent(app, email, password);
+
+    expect((await admin.delete(`/api/admin/expenses/${expense.id}`)).status).toBe(200);
+    expect((await agent.get("/api/expenses/trash")).body.data).toHaveLength(1);
+
+    const restored = await admin.post(`/api/admin/expenses/${expense.id}/restore`);
+    expect(restored.status).toBe(200);
+    expect(restored.body.expense).toHaveProperty("id", expense.id);
+  });
+
+  describe("Purge", () => {
+    test("should delete items once the retention window has passed", async () => {
+      process.env.TRASH_RETENTION_DAYS = "7";
+      const kept = await createExpense();
+      const old = await createExpense();
+      await agent.delete(`/api/expenses/${kept.id}`);
+      await agent.delete(`/api/expenses/${old.id}`);
+      await Expense.updateOne({ _id: old.id }, { deletedAt: new Date(Date.now() - 8 * DAY_MS) });
+
+      expect(await purgeTrash()).toEqual({ expenses: 1, categories: 0 });
+      const left = await Expense.find({}).setOptions({ withDeleted: true });
+      expect(left.map((expense) => expense.id)).toEqual([kept.id]);
+      expect(await AuditEvent.countDocuments({ action: "expense.purge", "target.id": old.id })).toBe(1);
+    });
+
+    test("should keep a category while a trashed expense still uses it", async () => {
+      process.env.TRASH_RETENTION_DAYS = "0";
+      const expense = await createExpense();
+      await agent.delete(`/api/expenses/${expense.id}`);
+      await agent.delete(`/api/categories/${category._id}`);
+      await Category.updateOne({ _id: category._id }, { deletedAt: new Date(Date.now() - DAY_MS) });
+      await Expense.updateOne({ _id: expense.id }, { deletedAt: new Date() });
+
+      expect(await purgeTrash(new Date(Date.now() - 1000))).toEqual({ expenses: 0, categories: 0 });
+      expect(await purgeTrash()).toEqual({ expenses: 1, categories: 1 });
+    });
+  });
+});
@@ -0,0 +1,235 @@
+import createApp from "../../app.js";
+import request from "supertest";
+import User from "../../models/user.js";
+import LoginAttempt from "../../models/loginAttempt.js";
+import { totp } from "../../utils/totp.js";
+import mongoose from "mongoose";
+
+const createUser = async (email, password = "Password123!", role = "user") => {
+  const passwordHash = await User.hashPassword(password);
+  const user = await User.create({ email, name: "Test User", passwordHash, role });
+  return { user, email, password };
+};
+
+// A code that hasn't been used yet: each accepted code blocks itself and earlier ones,
+// and the next step's code is still within the allowed clock drift
+const nextCode = (secret, steps = 1) => totp(secret, Date.now() + steps * 30 * 1000);
+
+describe("Two-factor authentication API", () => {
+  let app;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await LoginAttempt.deleteMany({});
+    await mongoose.connection.db.collection("sessions").deleteMany({});
+    delete process.env.ADMIN_REQUIRE_2FA;
+  });
+
+  // Log in, enroll an authenticator app and return what the user would have saved
+  const enroll = async (email, password) => {
+    const agent = request.agent(app);
+    await agent.post("/api/auth/login").send({ email, password });
+    const setup = await agent.post("/api/auth/2fa/setup").send({ password });
+    const enabled = await agent.post("/api/auth/2fa/enable").send({ code: totp(setup.body.secret) });
+    return { agent, secret: setup.body.secret, recoveryCodes: enabled.body.recoveryCodes };
+  };
+
+  describe("Enrollment", () => {
+    test("should hand out a secret and enable 2FA with a code from it", async () => {
+      const { email, password } = await createUser("ann@example.com");
+      const agent = request.agent(app);
+      await agent.post("/api/auth/login").send({ email, password });
+
+      const wrongPassword = await agent.post("/api/auth/2fa/setup").send({ password: "Wrong123!" });
+      expect(wrongPassword.status).toBe(401);
+
+      const setup = await agent.post("/api/auth/2fa/setup").send({ password });
+      expect(setup.status).toBe(200);
+      expect(setup.body.secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(setup.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+
+      const wrongCode = await agent.post("/api/auth/2fa/enable").send({ code: "000000" });
+      expect(wrongCode.status).toBe(401);
+
+      const enabled = await agent.post("/api/auth/2fa/enable").send({ code: totp(setup.body.secret) });
+      expect(enabled.status).toBe(200);
+      expect(enabled.body.recoveryCodes).toHaveLength(10);
+      expect(enabled.body.user.twoFactorEnabled).toBe(true);
+      expect(enabled.body.user).not.toHaveProperty("twoFactorSecret");
+
+      const status = await agent.get("/api/auth/2fa");
+      expect(status.body).toEqual({ enabled: true, recoveryCodesRemaining: 10 });
+    });
+
+    test("should require setup before enabling", async () => {
+      const { email, password } = await createUser("ann@example.com");
+      const agent = request.agent(app);
+      await agent.post("/api/auth/login").send({ email, password });
+
+      const response = await agent.post("/api/auth/2fa/enable").send({ code: "123456" });
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty("error", "Start two-factor setup first");
+    });
+  });
+
+  describe("Login", () => {
+    test("should ask for a code after the password", async () => {
+      const { email, password } = await createUser("ann@example.com");
+      const { secret } = await enroll(email, password);
+
+      const agent = request.agent(app);
+      const login = await agent.post("/api/auth/login").send({ email, password });
+      expect(login.status).toBe(200);
+      expect(login.body).toEqual({ message: "Two-factor code required", twoFactorRequired: true });
+      expect((await agent.get("/api/expenses")).status).toBe(401);
+
+      const second = await agent.post("/api/auth/login/2fa").send({ code: nextCode(secret) });
+      expect(second.status).toBe(200);
+      expect(second.body.user.email).toBe(email);
+      expect((await agent.get("/api/expenses")).status).toBe(200);
+    });
+
+    test("should not accept the same code twice", async () => {
+      const { email, password } = await createUser("ann@example.com");
+      const { secret } = await enroll(email, password);
+      const code = nextCode(secret);
+
+      const first = request.agent(app);
+      await first.post("/api/auth/login").send({ email, password });
+      expect((await first.post("/api/auth/login/2fa").send({ code })).status).toBe(200);
+
+      const second = request.agent(app);
+      await second.post("/api/auth/login").send({ email, password });
+      const replay = await second.post("/api/auth/login/2fa").send({ code });
+      expect(replay.status).toBe(401);
+      expect(replay.body).toHaveProperty("error", "Invalid two-factor code");
+    });
+
+    test("should accept each recovery code once", async () => {
+      const { email, password } = await createUser("ann@example.com");
+      const { recoveryCodes } = await enroll(email, password);
+
+      const agent = request.agent(app);
+      await agent.post("/api/auth/login").send({ email, password });
+      expect((await agent.post("/api/auth/login/2fa").send({ code: recoveryCodes[0].toUpperCase() })).status).toBe(200);
+      expect((await agent.get("/api/auth/2fa")).body.recoveryCodesRemaining).toBe(9);
+
+      const again = request.agent(app);
+      await again.post("/api/auth/login").send({ email, password });
+      expect((await again.post("/api/auth/login/2fa").send({ code: recoveryCodes[0] })).status).toBe(401);
+    });
+
+    test("should start over after too many wrong codes", async () => {
+      const { email, password } = await createUser("ann@example.com");
+      const { secret } = await enroll(email, password);
+
+      const agent = request.agent(app);
+      await agent.post("/api/auth/login").send({ email, password });
+      for (let attempt = 0; attempt < 5; attempt += 1) {
+        expect((await agent.post("/api/auth/login/2fa").send({ code: "000000" })).status).toBe(401);
+        // Keep the login throttle out of the way to reach the per-login limit
+        await LoginAttempt.deleteMany({});
+      }
+
+      const response = await agent.post("/api/auth/login/2fa").send({ code: nextCode(secret) });
+      expect(response.status).toBe(401);
+      expect(response.body).toHaveProperty("error", "Log in with your password first");
+    });
+
+    test("should count wrong codes as failed logins for the account", async () => {
+      const { email, password } = await createUser("ann@example.com");
+      const { secret } = await enroll(email, password);
+
+      const agent = request.agent(app);
+      await agent.post("/api/auth/login").send({ email, password });
+      for (let attempt = 0; attempt < 4; attempt += 1) {
+        expect((await agent.post("/api/auth/login/2fa").send({ code: "000000" })).status).toBe(401);
+      }
+
+      // Neither the right code nor a fresh password login gets past the lock
+      expect((await agent.post("/api/auth/login/2fa").send({ code: nextCode(secret) })).status).toBe(429);
+      expect((await request(app).post("/api/auth/login").send({ email, password })).status).toBe(429);
+    });
+
+    test("should not reset the count on the password step", async () => {
+      const { email, password } = await createUser("ann@example.com");
+      await enroll(email, password);
+
+      for (let login = 0; login < 2; login += 1) {
+        const agent = request.agent(app);
+        expect((await agent.post("/api/auth/login").send({ email, password })).status).toBe(200);
+        expect((await agent.post("/api/auth/login/2fa").send({ code: "000000" })).status).toBe(401);
+        expect((await agent.post("/api/auth/login/2fa").send({ code: "000000" })).status).toBe(401);
+      }
+      expect((await request(app).post("/api/auth/login").send({ email, password })).status).toBe(429);
+    });
+  });
+
+  describe("Management", () => {
+    test("should regenerate recovery codes with a valid code", async () => {
+      const { email, password } = await createUser("ann@example.com");
+      const { agent, secret, recoveryCodes } = await enroll(email, password);
+
+      const response = await agent.post("/api/auth/2fa/recovery-codes").send({ code: nextCode(secret) });
+      expect(response.status).toBe(200);
+      expect(response.body.recoveryCodes).toHaveLength(10);
+      expect(response.body.recoveryCodes).not.toContain(recoveryCodes[0]);
+    });
+
+    test("should disable 2FA with the password and a code", async () => {
+      const { email, password } = await createUser("ann@example.com");
+      const { agent, recoveryCodes } = await enroll(email, password);
+
+      const noPassword = await agent.post("/api/auth/2fa/disable").send({ password: "Wrong123!", code: recoveryCodes[0] });
+      expect(noPassword.status).toBe(401);
+
+      const disabled = await agent.post("/api/auth/2fa/disable").send({ password, code: recoveryCodes[0] });
+      expect(disabled.status).toBe(200);
+      expect(disabled.body.user.twoFactorEnabled).toBe(false);
+
+      const login = await request(app).post("/api/auth/login").send({ email, password });
+      expect(login.body).toHaveProperty("message", "Login successful");
+    });
+  });
+
+  describe("Admin policy", () => {
+    beforeEach(() => {
+      process.env.ADMIN_REQUIRE_2FA = "true";
+    });
+
+    test("should keep admins without 2FA out of admin routes", async () => {
+      const { email, password } = await createUser("admin@example.com", "Password123!", "admin");
+      const agent = request.agent(app);
+      await agent.post("/api/auth/login").send({ email, password });
+
+      const response = await agent.get("/api/admin/users");
+      expect(response.status).toBe(403);
+      expect(response.body).toHaveProperty("error", "Two-factor authentication is required for admin accounts");
+
+      // They can still enroll, which lets them in straight away
+      const setup = await agent.post("/api/auth/2fa/setup").send({ password });
+      await agent.post("/api/auth/2fa/enable").send({ code: totp(setup.body.secret) });
+      expect((await agent.get("/api/admin/users")).status).toBe(200);
+    });
+
+    test("should let admins in after a two-step login", async () => {
+      const { email, password } = await createUser("admin@example.com", "Password123!", "admin");
+      const { secret } = await enroll(email, password);
+
+      const agent = request.agent(app);
+      await agent.post("/api/auth/login").send({ email, password });
+      await agent.post("/api/auth/login/2fa").send({ code: nextCode(secret) });
+      expect((await agent.get("/api/admin/users")).status).toBe(200);
+    });
+  });
+});
@@ -1,8 +1,10 @@
-// Mock the User model so tests can replace its static methods with jest mocks
+// Mock the User and ApiToken models so tests can replace their static methods with jest mocks
 jest.mock("../../../models/user.js");
+jest.mock("../../../models/apiToken.js");
 
-import { requireAuth, requireRole, requireAdmin } from "../../../middleware/auth.js";
+import { requireAuth, requireAccount, optionalAuth, requireRole, requireAdmin } from "../../../middleware/auth.js";
 import User from "../../../models/user.js";
+import ApiToken from "../../../models/apiToken.js";
 import mongoose from "mongoose";
 
 describe("Auth Middleware", () => {
@@ -91,6 +93,126 @@ describe("Auth Middleware", () => {
       expect(User.findById).toHaveBeenCalledWith(userId.toString());
       expect(next).not.toHaveBeenCalled();
     });
+
+    test("should reject suspended users", async () => {
+      const userId = new mongoose.Types.ObjectId();
+      User.findById.mockResolvedValue({ _id: userId, role: "user", suspended: true });
+
+      const req = { method: "GET", session: { userId: userId.toString() } };
+      const next = jest.fn();
+
+      await expect(requireAuth(req, {}, next)).rejects.toThrow("Account suspended");
+      expect(next).not.toHaveBeenCalled();
+      expect(req.user).toBeUndefined();
+    });
+
+    test("should only let unverified users read under the default policy", async () => {
+      const userId = new mongoose.Types.ObjectId();
+      const user = { _id: userId, role: "user", emailVerified: false };
+      User.findById.mockResolvedValue(user);
+
+      const next = jest.fn();
+      await requireAuth({ method: "GET", session: { userId: userId.toString() } }, {}, next);
+      expect(next).toHaveBeenCalledWith();
+
+      const writeReq = { method: "POST", session: { userId: userId.toString() } };
+      await expect(requireAuth(writeReq, {}, next)).rejects.toThrow("Verify your email address to continue");
+      expect(writeReq.user).toBeUndefined();
+    });
+  });
+
+  describe("requireAuth with an API token", () => {
+    const userId = new mongoose.Types.ObjectId();
+    const user = { _id: userId, role: "user" };
+    const apiToken = { user: userId, scopes: ["expenses:read"] };
+
+    const tokenRequest = (method, apiScope) => ({
+      method,
+      apiScope,
+      headers: { authorization: "Bearer et_secret" },
+      session: {},
+    });
+
+    beforeEach(() => {
+      ApiToken.findOneAndUpdate.mockReturnValue({ exec: jest.fn().mockResolvedValue(apiToken) });
+      User.findById.mockResolvedValue(user);
+    });
+
+    test("should attach the user and token when the scope allows the request", async () => {
+      const req = tokenRequest("GET", "expenses");
+      const next = jest.fn();
+
+      await requireAuth(req, {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.user).toBe(user);
+      expect(req.apiToken).toBe(apiToken);
+      expect(User.findById).toHaveBeenCalledWith(userId);
+    });
+
+    test("should reject requests outside the token's scopes", async () => {
+      await expect(requireAuth(tokenRequest("POST", "expenses"), {}, jest.fn())).rejects.toThrow(
+        "API token is missing the 'expenses:write' scope"
+      );
+      await expect(requireAuth(tokenRequest("GET", undefined), {}, jest.fn())).rejects.toThrow(
+        "API tokens can't be used for this route"
+      );
+    });
+
+    test("should reject unknown tokens", async () => {
+      ApiToken.findOneAndUpdate.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+
+      await expect(requireAuth(tokenRequest("GET", "expenses"), {}, jest.fn())).rejects.toThrow("Invalid API token");
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("requireAccount", () => {
+    test("should let unverified users through for any request", async () => {
+      const userId = new mongoose.Types.ObjectId();
+      const user = { _id: userId, role: "user", emailVerified: false };
+      User.findById.mockResolvedValue(user);
+
+      const req = { method: "PUT", session: { userId: userId.toString() } };
+      const next = jest.fn();
+      await requireAccount(req, {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.user).toBe(user);
+    });
+
+    test("should throw UNAUTHORIZED if no session", async () => {
+      await expect(requireAccount({ session: null }, {}, jest.fn())).rejects.toThrow("Authentication required");
+    });
+  });
+
+  describe("optionalAuth", () => {
+    test("should attach user if authenticated", async () => {
+      const userId = new mongoose.Types.ObjectId();
+      const user = { _id: userId, role: "user" };
+      User.findById.mockResolvedValue(user);
+
+      const req = { session: { userId: userId.toString() } };
+      const res = {};
+      const next = jest.fn();
+
+      await optionalAuth(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.user).toBe(user);
+    });
+
+    test("should call next() without a user if no session", async () => {
+      const req = { session: {} };
+      const res = {};
+      const next = jest.fn();
+
+      await optionalAuth(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.user).toBeUndefined();
+      expect(User.findById).not.toHaveBeenCalled();
+    });
   });
 
   describe("requireRole", () => {
@@ -254,5 +376,51 @@ describe("Auth Middleware", () => {
       expect(next).not.toHaveBeenCalled();
       expect(User.findById).not.toHaveBeenCalled();
     });
+
+    describe("with ADMIN_REQUIRE_2FA", () => {
+      const userId = new mongoose.Types.ObjectId();
+
+      beforeEach(() => {
+        process.env.ADMIN_REQUIRE_2FA = "true";
+      });
+
+      afterEach(() => {
+        delete process.env.ADMIN_REQUIRE_2FA;
+      });
+
+      test("should reject admins without two-factor authentication", async () => {
+        User.findById.mockResolvedValue({ _id: userId, role: "admin", twoFactorEnabled: false });
+
+        const req = { session: { userId: userId.toString(), twoFactorVerified: true } };
+        const next = jest.fn();
+
+        await expect(requireAdmin(req, {}, next)).rejects.toThrow(
+          "Two-factor authentication is required for admin accounts"
+        );
+        expect(next).not.toHaveBeenCalled();
+      });
+
+      test("should reject sessions that didn't use the second factor", async () => {
+        User.findById.mockResolvedValue({ _id: userId, role: "admin", twoFactorEnabled: true });
+
+        const req = { session: { userId: userId.toString() } };
+        const next = jest.fn();
+
+        await expect(requireAdmin(req, {}, next)).rejects.toThrow(
+          "Two-factor authentication is required for admin accounts"
+        );
+        expect(next).not.toHaveBeenCalled();
+      });
+
+      test("should allow admins who logged in with a code", async () => {
+        User.findById.mockResolvedValue({ _id: userId, role: "admin", twoFactorEnabled: true });
+
+        const req = { session: { userId: userId.toString(), twoFactorVerified: true } };
+        const next = jest.fn();
+
+        await requireAdmin(req, {}, next);
+        expect(next).toHaveBeenCalledWith();
+      });
+    });
   });
 });
@@ -0,0 +1,79 @@
+import Category from "../../../models/category.js";
+import mongoose from "mongoose";
+
+describe("Category Model", () => {
+  describe("Schema validation", () => {
+    test("should default visibility to 'private'", () => {
+      const category = new Category({ name: "Food", user: new mongoose.Types.ObjectId() });
+      const error = category.validateSync();
+
+      expect(error).toBeUndefined();
+      expect(category.visibility).toBe("private");
+    });
+
+    test("should reject invalid visibility values", () => {
+      const category = new Category({
+        name: "Food",
+        user: new mongoose.Types.ObjectId(),
+        visibility: "shared",
+      });
+      const error = category.validateSync();
+
+      expect(error).toBeDefined();
+      expect(error.errors.visibility).toBeDefined();
+    });
+  });
+
+  describe("visibleTo static method", () => {
+    test("should only match global categories for anonymous callers", () => {
+      expect(Category.visibleTo(undefined)).toEqual({ visibility: "global" });
+    });
+
+    test("should match global categories and the user's own outside ledgers", () => {
+      const user = { _id: new mongoose.Types.ObjectId(), role: "user" };
+
+      expect(Category.visibleTo(user)).toEqual({
+        $or: [{ visibility: "global" }, { user: user._id, ledger: null }],
+      });
+    });
+  });
+
+  describe("sameName static method", () => {
+    test("should match names per owner outside ledgers and per ledger inside them", () => {
+      const user = new mongoose.Types.ObjectId();
+      const ledger = new mongoose.Types.ObjectId();
+
+      expect(Category.sameName("Food", { user, ledger: null })).toEqual({ name: "Food", user, ledger: null });
+      expect(Category.sameName("Food", { user, ledger })).toEqual({ name: "Food", ledger });
+    });
+  });
+
+  describe("isVisibleTo instance method", () => {
+    const owner = { _id: new mongoose.Types.ObjectId(), role: "user" };
+    const other = { _id: new mongoose.Types.ObjectId(), role: "user" };
+    const admin = { _id: new mongoose.Types.ObjectId(), role: "admin" };
+
+    test("should show global categories to everyone", () => {
+      const category = new Category({ name: "Food", user: admin._id, visibility: "global" });
+
+      expect(category.isVisibleTo(undefined)).toBe(true);
+      expect(category.isVisibleTo(other)).toBe(true);
+    });
+
+    test("should only show private categories to their owner and admins", () => {
+      const category = new Category({ name: "Hobby", user: owner._id });
+
+      expect(category.isVisibleTo(owner)).toBe(true);
+      expect(category.isVisibleTo(admin)).toBe(true);
+      expect(category.isVisibleTo(other)).toBe(false);
+      expect(category.isVisibleTo(undefined)).toBe(false);
+    });
+
+    test("should leave ledger categories to the permission layer", () => {
+      const category = new Category({ name: "Groceries", user: owner._id, ledger: new mongoose.Types.ObjectId() });
+
+      expect(category.isVisibleTo(owner)).toBe(false);
+      expect(category.isVisibleTo(admin)).toBe(true);
+    });
+  });
+});
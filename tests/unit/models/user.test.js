@@ -104,6 +104,32 @@ describe("User Model", () => {
     });
   });
 
+  describe("Base currency", () => {
+    test("should default baseCurrency to EUR", () => {
+      const user = new User({
+        email: "test@example.com",
+        name: "Test User",
+        passwordHash: "hashedpassword123",
+      });
+
+      expect(user.validateSync()).toBeUndefined();
+      expect(user.baseCurrency).toBe("EUR");
+    });
+
+    test("should reject non-ISO 4217 base currencies", () => {
+      const user = new User({
+        email: "test@example.com",
+        name: "Test User",
+        passwordHash: "hashedpassword123",
+        baseCurrency: "DOLLARS",
+      });
+      const error = user.validateSync();
+
+      expect(error).toBeDefined();
+      expect(error.errors.baseCurrency).toBeDefined();
+    });
+  });
+
   describe("JSON transformation", () => {
     test("should remove sensitive fields from JSON output", () => {
       const userData = {
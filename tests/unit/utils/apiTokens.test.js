@@ -0,0 +1,39 @@
+import { apiTokenAllows, bearerToken, generateApiToken, requiredScope } from "../../../utils/apiTokens.js";
+import { hashToken } from "../../../utils/tokens.js";
+
+describe("API token utilities", () => {
+  test("should generate recognisable tokens and store only their hash", () => {
+    const { token, tokenHash, prefix } = generateApiToken();
+
+    expect(token).toMatch(/^et_[A-Za-z0-9_-]{43}$/);
+    expect(tokenHash).toBe(hashToken(token));
+    expect(token.startsWith(prefix)).toBe(true);
+    expect(prefix).toHaveLength(9);
+  });
+
+  test("should read bearer tokens from the Authorization header", () => {
+    expect(bearerToken({ headers: { authorization: "Bearer et_abc" } })).toBe("et_abc");
+    expect(bearerToken({ headers: { authorization: "bearer  et_abc " } })).toBe("et_abc");
+    expect(bearerToken({ headers: { authorization: "Basic dXNlcjpwYXNz" } })).toBeNull();
+    expect(bearerToken({ headers: {} })).toBeNull();
+    expect(bearerToken({})).toBeNull();
+  });
+
+  test("should map requests to read and write scopes", () => {
+    expect(requiredScope("expenses", "GET")).toBe("expenses:read");
+    expect(requiredScope("expenses", "HEAD")).toBe("expenses:read");
+    expect(requiredScope("ledgers", "DELETE")).toBe("ledgers:write");
+    expect(requiredScope("admin", "GET")).toBe("admin");
+  });
+
+  test("should only allow routes covered by the token's scopes, with write including read", () => {
+    const apiToken = { scopes: ["expenses:read", "budgets:write"] };
+
+    expect(apiTokenAllows(apiToken, "expenses", "GET")).toBe(true);
+    expect(apiTokenAllows(apiToken, "expenses", "POST")).toBe(false);
+    expect(apiTokenAllows(apiToken, "budgets", "PUT")).toBe(true);
+    expect(apiTokenAllows(apiToken, "budgets", "GET")).toBe(true);
+    expect(apiTokenAllows(apiToken, "ledgers", "GET")).toBe(false);
+    expect(apiTokenAllows(apiToken, undefined, "GET")).toBe(false);
+  });
+});
@@ -0,0 +1,30 @@
+import { cleanFilename, detectAttachmentType } from "../../../utils/attachments.js";
+
+describe("Attachment utilities", () => {
+  describe("detectAttachmentType", () => {
+    test("should recognise accepted file signatures", () => {
+      expect(detectAttachmentType(Buffer.from("%PDF-1.7\n..."))).toBe("application/pdf");
+      expect(detectAttachmentType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]))).toBe("image/png");
+      expect(detectAttachmentType(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00]))).toBe("image/jpeg");
+      expect(detectAttachmentType(Buffer.from("RIFF\x00\x00\x00\x00WEBPVP8 ", "latin1"))).toBe("image/webp");
+    });
+
+    test("should return null for anything else", () => {
+      expect(detectAttachmentType(Buffer.from("<html><script>alert(1)</script>"))).toBeNull();
+      expect(detectAttachmentType(Buffer.alloc(0))).toBeNull();
+    });
+  });
+
+  describe("cleanFilename", () => {
+    test("should drop directories, quotes and control characters", () => {
+      expect(cleanFilename("../../etc/receipt.pdf")).toBe("receipt.pdf");
+      expect(cleanFilename("C:\\scans\\taxi.png")).toBe("taxi.png");
+      expect(cleanFilename('bad"name\r\n.pdf')).toBe("badname.pdf");
+    });
+
+    test("should fall back to a default name", () => {
+      expect(cleanFilename("")).toBe("attachment");
+      expect(cleanFilename(undefined)).toBe("attachment");
+    });
+  });
+});
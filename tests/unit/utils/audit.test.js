@@ -0,0 +1,97 @@
+// Mock the AuditEvent model so tests can see what would be written
+jest.mock("../../../models/auditEvent.js");
+
+import { auditSnapshot, diffSnapshots, recordAudit } from "../../../utils/audit.js";
+import AuditEvent from "../../../models/auditEvent.js";
+import User from "../../../models/user.js";
+import mongoose from "mongoose";
+
+describe("Audit log utilities", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("auditSnapshot", () => {
+    test("should keep secrets out of snapshots of documents", () => {
+      const user = new User({ email: "ann@example.com", name: "Ann", passwordHash: "hash" });
+      const snapshot = auditSnapshot(user);
+
+      expect(snapshot).toHaveProperty("email", "ann@example.com");
+      expect(snapshot).toHaveProperty("id", user._id.toString());
+      expect(snapshot).not.toHaveProperty("passwordHash");
+    });
+
+    test("should pass plain objects through as JSON", () => {
+      const date = new Date("2025-01-01T00:00:00Z");
+      expect(auditSnapshot({ date })).toEqual({ date: "2025-01-01T00:00:00.000Z" });
+      expect(auditSnapshot(null)).toBeNull();
+    });
+  });
+
+  describe("diffSnapshots", () => {
+    test("should list only the fields that changed", () => {
+      const changes = diffSnapshots(
+        { id: "1", amount: 10, note: "Lunch", tags: ["a"] },
+        { id: "1", amount: 12, note: "Lunch", tags: ["a", "b"] }
+      );
+
+      expect(changes).toEqual({
+        amount: { before: 10, after: 12 },
+        tags: { before: ["a"], after: ["a", "b"] },
+      });
+    });
+
+    test("should treat a missing side as null", () => {
+      expect(diffSnapshots(null, { id: "1", amount: 10 })).toEqual({ amount: { before: null, after: 10 } });
+      expect(diffSnapshots({ id: "1", amount: 10 }, null)).toEqual({ amount: { before: 10, after: null } });
+    });
+  });
+
+  describe("recordAudit", () => {
+    const actor = { _id: new mongoose.Types.ObjectId(), email: "admin@example.com" };
+
+    test("should record who changed what, from where", async () => {
+      AuditEvent.insertMany.mockResolvedValue([]);
+      const req = { user: actor, ip: "203.0.113.7", id: "req-1" };
+
+      await recordAudit(req, {
+        action: "expense.update",
+        target: { type: "expense", id: new mongoose.Types.ObjectId("64b000000000000000000001") },
+        before: { amount: 10 },
+        after: { amount: 12 },
+      });
+
+      expect(AuditEvent.insertMany).toHaveBeenCalledWith([{
+        actor: actor._id,
+        actorEmail: "admin@example.com",
+        via: "session",
+        action: "expense.update",
+        target: { type: "expense", id: "64b000000000000000000001" },
+        changes: { amount: { before: 10, after: 12 } },
+        details: {},
+        ip: "203.0.113.7",
+        requestId: "req-1",
+      }]);
+    });
+
+    test("should note API tokens and anonymous requests", async () => {
+      AuditEvent.insertMany.mockResolvedValue([]);
+
+      await recordAudit({ user: actor, apiToken: {} }, { action: "expense.delete", target: { type: "expense", id: "1" } });
+      await recordAudit({}, { action: "auth.password_reset", target: { type: "user", id: "2" } });
+
+      expect(AuditEvent.insertMany.mock.calls[0][0][0]).toMatchObject({ via: "api-token" });
+      expect(AuditEvent.insertMany.mock.calls[1][0][0]).toMatchObject({ actor: null, actorEmail: null, via: null });
+    });
+
+    test("should log instead of failing the request when writing fails", async () => {
+      AuditEvent.insertMany.mockRejectedValue(new Error("down"));
+      const spy = jest.spyOn(console, "error").mockImplementation(() => {});
+
+      await expect(recordAudit({ user: actor }, { action: "category.create", target: { type: "category", id: "1" } }))
+        .resolves.toBeUndefined();
+      expect(spy).toHaveBeenCalledWith("Audit log error:", expect.any(Error));
+      spy.mockRestore();
+    });
+  });
+});
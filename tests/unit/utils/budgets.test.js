@@ -0,0 +1,38 @@
+import { getPeriodRange } from "../../../utils/budgets.js";
+
+describe("Budget utilities", () => {
+  describe("getPeriodRange", () => {
+    test("should cover the calendar month for monthly budgets", () => {
+      const range = getPeriodRange({ period: "monthly" }, new Date("2025-02-14T09:30:00Z"));
+
+      expect(range.start).toEqual(new Date("2025-02-01T00:00:00Z"));
+      expect(range.end).toEqual(new Date("2025-03-01T00:00:00Z"));
+    });
+
+    test("should roll over into the next year for December", () => {
+      const range = getPeriodRange({ period: "monthly" }, new Date("2025-12-31T23:00:00Z"));
+
+      expect(range.start).toEqual(new Date("2025-12-01T00:00:00Z"));
+      expect(range.end).toEqual(new Date("2026-01-01T00:00:00Z"));
+    });
+
+    test("should run weekly budgets from Monday to Sunday", () => {
+      // 2025-03-09 is a Sunday
+      const range = getPeriodRange({ period: "weekly" }, new Date("2025-03-09T18:00:00Z"));
+
+      expect(range.start).toEqual(new Date("2025-03-03T00:00:00Z"));
+      expect(range.end).toEqual(new Date("2025-03-10T00:00:00Z"));
+    });
+
+    test("should include the whole end day for custom budgets", () => {
+      const range = getPeriodRange({
+        period: "custom",
+        startDate: new Date("2025-06-01T00:00:00Z"),
+        endDate: new Date("2025-06-15T00:00:00Z"),
+      });
+
+      expect(range.start).toEqual(new Date("2025-06-01T00:00:00Z"));
+      expect(range.end).toEqual(new Date("2025-06-16T00:00:00Z"));
+    });
+  });
+});
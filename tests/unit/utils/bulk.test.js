@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+import { MAX_BULK_ITEMS, runBulk, runBulkAtomically } from "../../../utils/bulk.js";
+import { HttpError } from "../../../utils/HttpError.js";
+import { validateBody } from "../../../middleware/validateRequest.js";
+import { bulkExpenseSchema } from "../../../utils/validators.js";
+
+describe("Bulk operations", () => {
+  const operation = async ({ id }) => {
+    if (id === "missing") throw new HttpError(404, "Could not find expense");
+    return { status: 200, data: { id } };
+  };
+
+  describe("runBulk", () => {
+    test("should give each item its own result", async () => {
+      const results = await runBulk([{ id: "a" }, { id: "missing" }, { body: {} }], async (item) => (
+        item.body ? { status: 201, data: "created" } : operation(item)));
+
+      expect(results).toEqual([
+        { index: 0, id: "a", status: 200, data: { id: "a" } },
+        { index: 1, id: "missing", status: 404, error: "Could not find expense" },
+        { index: 2, status: 201, data: "created" },
+      ]);
+    });
+
+    test("should fail only the item on validation and cast errors", async () => {
+      const invalid = new mongoose.Error.ValidationError();
+      invalid.addError("amount", new mongoose.Error.ValidatorError({ message: "Amount must be positive", path: "amount" }));
+      const results = await runBulk([{ id: "a" }, { id: "b" }, { id: "c" }], async ({ id }) => {
+        if (id === "a") throw invalid;
+        if (id === "b") throw new mongoose.Error.CastError("ObjectId", "nope", "category");
+        return { status: 200, data: { id } };
+      });
+
+      expect(results[0]).toMatchObject({ status: 400, error: expect.stringContaining("Amount must be positive") });
+      expect(results[1]).toMatchObject({ status: 400, error: expect.stringContaining("Cast to ObjectId failed") });
+      expect(results[2]).toEqual({ index: 2, id: "c", status: 200, data: { id: "c" } });
+    });
+
+    test("should fail as a whole on unexpected errors", async () => {
+      await expect(runBulk([{ id: "a" }], async () => {
+        throw new Error("connection lost");
+      })).rejects.toThrow("connection lost");
+    });
+  });
+
+  describe("runBulkAtomically", () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("should commit when every item succeeds", async () => {
+      jest.spyOn(mongoose.connection, "transaction").mockImplementation((fn) => fn());
+      const { committed, results } = await runBulkAtomically([{ id: "a" }, { id: "b" }], operation);
+      expect(committed).toBe(true);
+      expect(results).toHaveLength(2);
+    });
+
+    test("should roll back when any item fails", async () => {
+      const transaction = jest.spyOn(mongoose.connection, "transaction").mockImplementation((fn) => fn());
+      const { committed, results } = await runBulkAtomically([{ id: "a" }, { id: "missing" }], operation);
+      expect(committed).toBe(false);
+      expect(results[1]).toMatchObject({ status: 404 });
+      // The callback threw, which is what makes Mongoose abort the transaction
+      await expect(transaction.mock.results[0].value).rejects.toThrow();
+    });
+
+    test("should explain that transactions need a replica set", async () => {
+      const error = Object.assign(new Error("Transaction numbers are only allowed on a replica set member or mongos"), { code: 20 });
+      jest.spyOn(mongoose.connection, "transaction").mockRejectedValue(error);
+      await expect(runBulkAtomically([{ id: "a" }], operation)).rejects.toMatchObject({ status: 501 });
+    });
+  });
+
+  describe("bulkExpenseSchema", () => {
+    const id = new mongoose.Types.ObjectId().toString();
+
+    test.each([
+      [{ action: "delete", ids: [id] }],
+      [{ action: "delete", filter: { from: "2025-01-01" }, atomic: true }],
+      [{ action: "create", expenses: [{ amount: 1 }] }],
+      [{ action: "update", ids: [id], patch: { amount: 1 } }],
+      [{ action: "recategorize", filter: {}, categoryId: id }],
+    ])("should accept %j", async (body) => {
+      expect(await validateBody(bulkExpenseSchema, body)).toEqual([]);
+    });
+
+    test.each([
+      [{ action: "archive", ids: [id] }, "'action' must be one of: create, update, delete, recategorize"],
+      [{ action: "delete" }, "Give either 'ids' or 'filter'"],
+      [{ action: "delete", ids: [id], filter: {} }, "Give either 'ids' or 'filter'"],
+      [{ action: "delete", ids: ["nope"] }, "Each of 'ids' must be a valid ObjectId"],
+      [{ action: "delete", ids: Array(MAX_BULK_ITEMS + 1).fill(id) }, `'ids' must have 1-${MAX_BULK_ITEMS} items`],
+      [{ action: "create", expenses: [] }, `'expenses' must have 1-${MAX_BULK_ITEMS} items`],
+      [{ action: "create", expenses: [{}], ids: [id] }, "'ids' can't be used with 'create'"],
+      [{ action: "update", ids: [id] }, "'patch' must be a merge patch object, used with 'update'"],
+      [{ action: "recategorize", ids: [id] }, "'categoryId' must be a valid ObjectId, used with 'recategorize'"],
+      [{ action: "delete", ids: [id], atomic: "yes" }, "'atomic' must be a boolean"],
+    ])("should reject %j", async (body, message) => {
+      expect(await validateBody(bulkExpenseSchema, body)).toEqual([message]);
+    });
+  });
+});
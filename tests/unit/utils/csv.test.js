@@ -0,0 +1,41 @@
+import { detectDelimiter, parseCsv } from "../../../utils/csv.js";
+
+describe("CSV utilities", () => {
+  describe("detectDelimiter", () => {
+    test("should pick the most frequent delimiter in the header", () => {
+      expect(detectDelimiter("date,amount,category\n")).toBe(",");
+      expect(detectDelimiter("Datum;Betrag;Kategorie\n1,50;2,50;x")).toBe(";");
+      expect(detectDelimiter("date\tamount")).toBe("\t");
+    });
+
+    test("should ignore delimiters inside quoted headers", () => {
+      expect(detectDelimiter('"a;b";c,d,e')).toBe(",");
+    });
+
+    test("should default to a comma for a single column", () => {
+      expect(detectDelimiter("amount")).toBe(",");
+    });
+  });
+
+  describe("parseCsv", () => {
+    test("should parse simple records", () => {
+      expect(parseCsv("a,b\n1,2\n3,4")).toEqual([["a", "b"], ["1", "2"], ["3", "4"]]);
+    });
+
+    test("should handle quotes, escaped quotes and line breaks inside quotes", () => {
+      const text = 'name,note\r\n"Smith, J","said ""hi""\nthen left"\r\n';
+      expect(parseCsv(text)).toEqual([
+        ["name", "note"],
+        ["Smith, J", 'said "hi"\nthen left'],
+      ]);
+    });
+
+    test("should keep empty fields and drop blank lines", () => {
+      expect(parseCsv("a,b,c\n\n1,,3\n\n")).toEqual([["a", "b", "c"], ["1", "", "3"]]);
+    });
+
+    test("should strip a byte order mark and use the given delimiter", () => {
+      expect(parseCsv("﻿a;b\n1,5;2", { delimiter: ";" })).toEqual([["a", "b"], ["1,5", "2"]]);
+    });
+  });
+});
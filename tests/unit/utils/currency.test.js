@@ -0,0 +1,44 @@
+import { isCurrencyCode } from "../../../utils/currency.js";
+import Expense from "../../../models/expense.js";
+import mongoose from "mongoose";
+
+describe("Currency utilities", () => {
+  describe("isCurrencyCode", () => {
+    test("should accept ISO 4217 codes in any case", () => {
+      expect(isCurrencyCode("EUR")).toBe(true);
+      expect(isCurrencyCode("usd")).toBe(true);
+      expect(isCurrencyCode("JPY")).toBe(true);
+    });
+
+    test("should reject anything else", () => {
+      expect(isCurrencyCode("EURO")).toBe(false);
+      expect(isCurrencyCode("XYZ")).toBe(false);
+      expect(isCurrencyCode("")).toBe(false);
+      expect(isCurrencyCode(undefined)).toBe(false);
+      expect(isCurrencyCode(978)).toBe(false);
+    });
+  });
+
+  describe("Expense currency", () => {
+    const expenseData = {
+      user: new mongoose.Types.ObjectId(),
+      category: new mongoose.Types.ObjectId(),
+      amount: 10,
+    };
+
+    test("should default to EUR", () => {
+      const expense = new Expense(expenseData);
+      expect(expense.validateSync()).toBeUndefined();
+      expect(expense.currency).toBe("EUR");
+    });
+
+    test("should upper-case valid codes and reject invalid ones", () => {
+      const valid = new Expense({ ...expenseData, currency: "gbp" });
+      expect(valid.validateSync()).toBeUndefined();
+      expect(valid.currency).toBe("GBP");
+
+      const invalid = new Expense({ ...expenseData, currency: "EURO" });
+      expect(invalid.validateSync().errors.currency).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+import Category from "../../../models/category.js";
+import { assertUpdated, etagOf, ifMatchFilter } from "../../../utils/etag.js";
+
+describe("ETags", () => {
+  const user = new mongoose.Types.ObjectId();
+  const updatedAt = new Date("2025-03-01T00:00:00Z");
+  const category = new Category({ name: "Food", user, updatedAt });
+  const request = (ifMatch) => ({ get: (name) => (name === "If-Match" ? ifMatch : undefined) });
+
+  test("should be a strong tag that follows the document's state", () => {
+    const tag = etagOf(category);
+    expect(tag).toMatch(/^"[\w-]{27}"$/);
+    expect(etagOf(category)).toBe(tag);
+
+    const renamed = new Category({ ...category.toObject(), name: "Drinks" });
+    expect(etagOf(renamed)).not.toBe(tag);
+  });
+
+  test("should update by ID alone without If-Match", () => {
+    expect(ifMatchFilter(request(undefined), category)).toEqual({ _id: category._id });
+  });
+
+  test("should require the document to be unchanged when If-Match matches", () => {
+    const expected = { _id: category._id, updatedAt };
+    expect(ifMatchFilter(request(etagOf(category)), category)).toEqual(expected);
+    expect(ifMatchFilter(request(`"other", ${etagOf(category)}`), category)).toEqual(expected);
+    expect(ifMatchFilter(request("*"), category)).toEqual(expected);
+  });
+
+  test("should fail with 412 when If-Match doesn't match", () => {
+    expect(() => ifMatchFilter(request('"stale"'), category)).toThrow(expect.objectContaining({ status: 412 }));
+    // If-Match compares strongly, so weak tags never match
+    expect(() => ifMatchFilter(request(`W/${etagOf(category)}`), category)).toThrow(expect.objectContaining({ status: 412 }));
+  });
+
+  test("should treat an update that found nothing as a failed precondition", () => {
+    expect(() => assertUpdated(null)).toThrow(expect.objectContaining({ status: 412 }));
+    expect(assertUpdated(category)).toBe(category);
+  });
+});
@@ -0,0 +1,94 @@
+import { createExportFormatter, csvField } from "../../../utils/expenseExport.js";
+
+const expense = {
+  id: "65a000000000000000000001",
+  date: new Date("2025-01-31T12:30:00Z"),
+  amount: 12.5,
+  currency: "EUR",
+  category: { name: "Food & Drink" },
+  description: "Lunch, with \"team\"",
+  note: "Lunch, with \"team\"",
+  user: { name: "Jane", email: "jane@example.com" },
+  toJSON() {
+    return { id: this.id, amount: this.amount };
+  },
+};
+
+describe("Expense export utilities", () => {
+  describe("csvField", () => {
+    test("should quote fields containing delimiters, quotes or line breaks", () => {
+      expect(csvField("plain")).toBe("plain");
+      expect(csvField("a,b")).toBe('"a,b"');
+      expect(csvField('say "hi"')).toBe('"say ""hi"""');
+      expect(csvField("two\nlines")).toBe('"two\nlines"');
+    });
+
+    test("should write missing values as empty fields", () => {
+      expect(csvField(undefined)).toBe("");
+      expect(csvField(null)).toBe("");
+      expect(csvField(0)).toBe("0");
+    });
+
+    test("should neutralize text that a spreadsheet would run as a formula", () => {
+      expect(csvField("=SUM(A1:A2)")).toBe("'=SUM(A1:A2)");
+      expect(csvField("@cmd")).toBe("'@cmd");
+    });
+  });
+
+  describe("csv", () => {
+    test("should write a header and one line per expense", () => {
+      const formatter = createExportFormatter("csv");
+      expect(formatter.header()).toBe("id,date,amount,currency,category,description,note\r\n");
+      expect(formatter.row(expense)).toBe(
+        '65a000000000000000000001,2025-01-31T12:30:00.000Z,12.5,EUR,Food & Drink,"Lunch, with ""team""","Lunch, with ""team"""\r\n'
+      );
+    });
+
+    test("should add user columns for admin exports", () => {
+      const formatter = createExportFormatter("csv", { withUser: true });
+      expect(formatter.header()).toMatch(/,userName,userEmail\r\n$/);
+      expect(formatter.row(expense)).toMatch(/,Jane,jane@example\.com\r\n$/);
+    });
+  });
+
+  describe("jsonl", () => {
+    test("should write each expense as one line of JSON", () => {
+      const formatter = createExportFormatter("jsonl");
+      expect(formatter.header()).toBe("");
+      expect(formatter.row(expense)).toBe('{"id":"65a000000000000000000001","amount":12.5}\n');
+    });
+  });
+
+  describe("ofx", () => {
+    const statement = {
+      accountId: "user-1",
+      currency: "EUR",
+      from: new Date("2025-01-01T00:00:00Z"),
+      to: new Date("2025-01-31T12:30:00Z"),
+      total: 112.5,
+    };
+
+    test("should wrap expenses in a bank statement", () => {
+      const formatter = createExportFormatter("ofx", { statement });
+      const header = formatter.header();
+      expect(header).toContain('<?OFX OFXHEADER="200" VERSION="220"');
+      expect(header).toContain("<CURDEF>EUR</CURDEF>");
+      expect(header).toContain("<ACCTID>user-1</ACCTID>");
+      expect(header).toContain("<DTSTART>20250101000000[0:GMT]</DTSTART><DTEND>20250131123000[0:GMT]</DTEND>");
+
+      const footer = formatter.footer();
+      expect(footer).toContain("<BALAMT>-112.50</BALAMT>");
+      expect(footer.trim().endsWith("</OFX>")).toBe(true);
+    });
+
+    test("should write each expense as an escaped debit transaction", () => {
+      const row = createExportFormatter("ofx", { statement }).row(expense);
+      expect(row).toContain("<TRNTYPE>DEBIT</TRNTYPE>");
+      expect(row).toContain("<DTPOSTED>20250131123000[0:GMT]</DTPOSTED>");
+      expect(row).toContain("<TRNAMT>-12.50</TRNAMT>");
+      expect(row).toContain("<FITID>65a000000000000000000001</FITID>");
+      expect(row).toContain("<NAME>Food &amp; Drink</NAME>");
+      expect(row).toContain('<MEMO>Lunch, with "team"</MEMO>');
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+import { appliedExpenseFilters, buildExpenseFilter, toList } from "../../../utils/expenseFilters.js";
+
+describe("Expense filter utilities", () => {
+  describe("toList", () => {
+    test("should split comma separated and repeated values", () => {
+      expect(toList("a,b")).toEqual(["a", "b"]);
+      expect(toList(["a", "b,c"])).toEqual(["a", "b", "c"]);
+      expect(toList(" a , ,b ")).toEqual(["a", "b"]);
+    });
+  });
+
+  describe("buildExpenseFilter", () => {
+    test("should keep the base filter when no params are given", () => {
+      const userId = new mongoose.Types.ObjectId();
+      expect(buildExpenseFilter({}, { user: userId })).toEqual({ user: userId });
+    });
+
+    test("should build date and amount ranges", () => {
+      const filter = buildExpenseFilter({
+        from: "2025-01-01",
+        to: "2025-01-31",
+        minAmount: "10",
+        maxAmount: "99.5",
+      });
+
+      expect(filter.date).toEqual({
+        $gte: new Date("2025-01-01"),
+        $lt: new Date("2025-02-01"),
+      });
+      expect(filter.amount).toEqual({ $gte: 10, $lte: 99.5 });
+    });
+
+    test("should use an inclusive upper bound for full timestamps", () => {
+      const filter = buildExpenseFilter({ to: "2025-01-31T18:00:00Z" });
+      expect(filter.date).toEqual({ $lte: new Date("2025-01-31T18:00:00Z") });
+    });
+
+    test("should cast category and user ids", () => {
+      const a = new mongoose.Types.ObjectId();
+      const b = new mongoose.Types.ObjectId();
+
+      const single = buildExpenseFilter({ categoryId: a.toString(), userId: b.toString() });
+      expect(single.$or).toEqual([{ category: a }, { "splits.category": a }]);
+      expect(single.user).toEqual(b);
+
+      const multiple = buildExpenseFilter({ categoryId: `${a},${b}` });
+      expect(multiple.$or).toEqual([{ category: { $in: [a, b] } }, { "splits.category": { $in: [a, b] } }]);
+    });
+
+    test("should upper-case currencies and add text search", () => {
+      const filter = buildExpenseFilter({ currency: "eur,usd", q: "lunch" });
+      expect(filter.currency).toEqual({ $in: ["EUR", "USD"] });
+      expect(filter.$text).toEqual({ $search: "lunch" });
+    });
+  });
+
+  describe("appliedExpenseFilters", () => {
+    test("should only echo filter params", () => {
+      expect(appliedExpenseFilters({ q: "taxi", limit: "10", userId: "abc" })).toEqual({ q: "taxi", userId: "abc" });
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import {
+  isDateFormat,
+  mapImportColumns,
+  parseLocaleAmount,
+  parseLocaleDate,
+  readImportRows,
+} from "../../../utils/expenseImport.js";
+import { validateBody } from "../../../middleware/validateRequest.js";
+import { expenseImportRowSchema } from "../../../utils/validators.js";
+
+describe("Expense import utilities", () => {
+  describe("isDateFormat", () => {
+    test("should accept day, month and year with one separator", () => {
+      expect(isDateFormat("DD.MM.YYYY")).toBe(true);
+      expect(isDateFormat("MM/DD/YY")).toBe(true);
+      expect(isDateFormat("YYYY-M-D")).toBe(true);
+    });
+
+    test("should reject incomplete or mixed formats", () => {
+      expect(isDateFormat("DD.MM")).toBe(false);
+      expect(isDateFormat("DD.MM/YYYY")).toBe(false);
+      expect(isDateFormat("DD.DD.YYYY")).toBe(false);
+      expect(isDateFormat("dd.mm.yyyy")).toBe(false);
+      expect(isDateFormat(undefined)).toBe(false);
+    });
+  });
+
+  describe("parseLocaleDate", () => {
+    test("should convert dates in the given format to ISO dates", () => {
+      expect(parseLocaleDate("31.01.2025", "DD.MM.YYYY")).toBe("2025-01-31");
+      expect(parseLocaleDate("1/31/25", "MM/DD/YY")).toBe("2025-01-31");
+      expect(parseLocaleDate("2025-1-5", "YYYY-M-D")).toBe("2025-01-05");
+    });
+
+    test("should leave values unchanged without a format", () => {
+      expect(parseLocaleDate("2025-01-31", undefined)).toBe("2025-01-31");
+    });
+
+    test("should leave values that do not match the format unchanged", () => {
+      expect(parseLocaleDate("31.02.2025", "DD.MM.YYYY")).toBe("31.02.2025");
+      expect(parseLocaleDate("2025-01-31", "DD.MM.YYYY")).toBe("2025-01-31");
+      expect(parseLocaleDate("yesterday", "DD.MM.YYYY")).toBe("yesterday");
+    });
+  });
+
+  describe("parseLocaleAmount", () => {
+    test("should handle decimal points with comma thousands separators", () => {
+      expect(parseLocaleAmount("1,234.50")).toBe("1234.50");
+      expect(parseLocaleAmount("12")).toBe("12");
+    });
+
+    test("should handle decimal commas with dot or space thousands separators", () => {
+      expect(parseLocaleAmount("1.234,50", ",")).toBe("1234.50");
+      expect(parseLocaleAmount("1 234,5", ",")).toBe("1234.5");
+      expect(parseLocaleAmount("7,95", ",")).toBe("7.95");
+    });
+
+    test("should refuse thousands separators that don't group digits in threes", () => {
+      expect(parseLocaleAmount("12,50")).toBeNull();
+      expect(parseLocaleAmount("1,23,456.00")).toBeNull();
+      expect(parseLocaleAmount("12.50", ",")).toBeNull();
+      expect(parseLocaleAmount("1,234,567")).toBe("1234567");
+    });
+  });
+
+  describe("mapImportColumns", () => {
+    test("should match headers case-insensitively", () => {
+      const { columns } = mapImportColumns(["Date", "AMOUNT", "Category"]);
+      expect(columns).toEqual({ date: 0, amount: 1, category: 2 });
+    });
+
+    test("should apply the column mapping", () => {
+      const { columns } = mapImportColumns(["Buchungstag", "Betrag", "Kategorie", "Verwendungszweck"], {
+        date: "Buchungstag",
+        amount: "Betrag",
+        category: "Kategorie",
+        description: "Verwendungszweck",
+      });
+      expect(columns).toEqual({ date: 0, amount: 1, category: 2, description: 3 });
+    });
+
+    test("should report missing required or mapped columns", () => {
+      expect(mapImportColumns(["date", "category"]).error).toBe("CSV is missing a 'amount' column");
+      expect(mapImportColumns(["amount", "category"], { date: "Booked" }).error).toBe(
+        "Column 'Booked' mapped to 'date' was not found in the CSV header"
+      );
+    });
+  });
+
+  describe("readImportRows", () => {
+    test("should map and normalize every row", () => {
+      const text = "Datum;Betrag;Kategorie;Text\n31.01.2025;1.234,50;Rent;January\n01.02.2025;7,95;Food;\n";
+      const { rows } = readImportRows(text, {
+        mapping: { date: "Datum", amount: "Betrag", category: "Kategorie", description: "Text" },
+        decimal: ",",
+        dateFormat: "DD.MM.YYYY",
+        currency: "CHF",
+      });
+
+      expect(rows).toEqual([
+        { row: 2, values: { date: "2025-01-31", amount: "1234.50", category: "Rent", description: "January", currency: "CHF" } },
+        { row: 3, values: { date: "2025-02-01", amount: "7.95", category: "Food", description: undefined, currency: "CHF" } },
+      ]);
+    });
+
+    test("should prefer a currency column over the default currency", () => {
+      const { rows } = readImportRows("amount,category,currency\n5,Food,usd\n6,Food,", { currency: "EUR" });
+      expect(rows.map((row) => row.values.currency)).toEqual(["usd", "EUR"]);
+    });
+
+    test("should reject a CSV without expenses", () => {
+      expect(readImportRows("amount,category\n").error).toBe("CSV must contain a header row and at least one expense");
+    });
+  });
+
+  describe("row validation", () => {
+    test("should accept a valid row", async () => {
+      const errors = await validateBody(expenseImportRowSchema, { amount: "7.95", category: "Food", date: "2025-02-01" });
+      expect(errors).toEqual([]);
+    });
+
+    test("should report each invalid field once", async () => {
+      const errors = await validateBody(expenseImportRowSchema, { amount: "-5", currency: "EURO", date: "31.02.2025" });
+      expect(errors).toHaveLength(4);
+      expect(errors).toEqual(expect.arrayContaining([
+        "'category' is required",
+        "'amount' must be a non-negative number",
+        "'currency' must be an ISO 4217 currency code",
+        "'date' must be an ISO8601 date",
+      ]));
+    });
+
+    test("should report amounts with misplaced thousands separators", async () => {
+      const { rows } = readImportRows("amount,category\n\"12,50\",Food\n", {});
+      const errors = await validateBody(expenseImportRowSchema, rows[0].values);
+      expect(errors).toEqual(["'amount' has misplaced thousands separators"]);
+    });
+  });
+});
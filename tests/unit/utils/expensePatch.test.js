@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+import Expense from "../../../models/expense.js";
+import { validateBody } from "../../../middleware/validateRequest.js";
+import { schemaForPatch } from "../../../utils/mergePatch.js";
+import { aliasExpensePatch, expenseBody, patchExpenseBody } from "../../../utils/expensePatch.js";
+import { expenseFieldDependencies, expenseSchema } from "../../../utils/validators.js";
+
+describe("Expense merge patches", () => {
+  const user = new mongoose.Types.ObjectId();
+  const food = new mongoose.Types.ObjectId();
+  const drinks = new mongoose.Types.ObjectId();
+  const date = new Date("2025-03-01T00:00:00Z");
+
+  const split = () => new Expense({
+    user,
+    category: food,
+    amount: 12,
+    date,
+    note: "Lunch",
+    description: "Lunch",
+    splits: [{ category: food, amount: 8 }, { category: drinks, amount: 4, note: "Coffee" }],
+  });
+
+  test("should describe an expense as a PUT body", () => {
+    expect(expenseBody(split())).toEqual({
+      categoryId: food.toString(),
+      amount: 12,
+      currency: "EUR",
+      date: "2025-03-01T00:00:00.000Z",
+      note: "Lunch",
+      description: "Lunch",
+      splits: [
+        { categoryId: food.toString(), amount: 8 },
+        { categoryId: drinks.toString(), amount: 4, note: "Coffee" },
+      ],
+    });
+  });
+
+  test("should patch note and description together", () => {
+    expect(aliasExpensePatch({ note: null })).toEqual({ note: null, description: null });
+    expect(aliasExpensePatch({ description: "Dinner" })).toEqual({ description: "Dinner", note: "Dinner" });
+    expect(aliasExpensePatch({ note: "a", description: "b" })).toEqual({ note: "a", description: "b" });
+
+    const body = patchExpenseBody(split(), { note: null, amount: 20 });
+    expect(body).not.toHaveProperty("note");
+    expect(body).not.toHaveProperty("description");
+    expect(body.amount).toBe(20);
+  });
+
+  test("should check fields that depend on the patched ones", async () => {
+    const expense = split();
+    const patch = { amount: 20 };
+    const schema = schemaForPatch(expenseSchema, patch, expenseFieldDependencies);
+    expect(await validateBody(schema, patchExpenseBody(expense, patch))).toEqual(["'splits' must add up to 'amount'"]);
+
+    // Removing the splits leaves the expense in its first split's category
+    const unsplit = { amount: 20, splits: null };
+    const body = patchExpenseBody(expense, unsplit);
+    expect(body.categoryId).toBe(food.toString());
+    expect(await validateBody(schemaForPatch(expenseSchema, unsplit, expenseFieldDependencies), body)).toEqual([]);
+  });
+});
@@ -0,0 +1,92 @@
+import {
+  FAILURE_WINDOW,
+  LOGIN_THROTTLE_POLICIES,
+  clearLoginFailures,
+  createMemoryStore,
+  getLoginThrottleStore,
+  lockDuration,
+  loginWait,
+  recordLoginFailure,
+  setLoginThrottleStore,
+} from "../../../utils/loginThrottle.js";
+
+describe("Login throttle", () => {
+  const policy = { freeAttempts: 3, lockoutAfter: 10, lockoutDuration: 15 * 60 * 1000 };
+
+  test("should back off exponentially, then lock out", () => {
+    expect(lockDuration(3, policy)).toBe(0);
+    expect(lockDuration(4, policy)).toBe(1000);
+    expect(lockDuration(5, policy)).toBe(2000);
+    expect(lockDuration(9, policy)).toBe(32000);
+    expect(lockDuration(10, policy)).toBe(15 * 60 * 1000);
+    expect(lockDuration(40, { ...policy, lockoutAfter: 50 })).toBe(15 * 60 * 1000);
+  });
+
+  describe("memory store", () => {
+    test("should count failures and forget them after the window", async () => {
+      const store = createMemoryStore();
+      const now = Date.now();
+
+      expect(await store.recordFailure("k", now)).toBe(1);
+      expect(await store.recordFailure("k", now)).toBe(2);
+      expect(await store.get("k")).toEqual({ failures: 2, lockedUntil: null });
+
+      expect(await store.recordFailure("k", now + FAILURE_WINDOW + 1)).toBe(1);
+      await store.reset("k");
+      expect(await store.get("k")).toBeNull();
+    });
+  });
+
+  describe("login attempts", () => {
+    let originalStore;
+    const attempt = { email: "Victim@example.com", ip: "203.0.113.7" };
+
+    beforeAll(() => {
+      originalStore = getLoginThrottleStore();
+    });
+
+    beforeEach(() => {
+      setLoginThrottleStore(createMemoryStore());
+    });
+
+    afterAll(() => {
+      setLoginThrottleStore(originalStore);
+    });
+
+    test("should lock the account after the free attempts", async () => {
+      const now = Date.now();
+      for (let i = 0; i < LOGIN_THROTTLE_POLICIES.account.freeAttempts; i += 1) {
+        await recordLoginFailure(attempt, now);
+      }
+      expect(await loginWait(attempt, now)).toBe(0);
+
+      await recordLoginFailure(attempt, now);
+      expect(await loginWait(attempt, now)).toBe(1000);
+      // The email is matched case-insensitively, from any address
+      expect(await loginWait({ email: "victim@example.com", ip: "198.51.100.1" }, now)).toBe(1000);
+      expect(await loginWait({ email: "other@example.com", ip: "198.51.100.1" }, now)).toBe(0);
+      expect(await loginWait(attempt, now + 1000)).toBe(0);
+    });
+
+    test("should lock an IP address across accounts", async () => {
+      const now = Date.now();
+      for (let i = 0; i <= LOGIN_THROTTLE_POLICIES.ip.freeAttempts; i += 1) {
+        await recordLoginFailure({ email: `user${i}@example.com`, ip: attempt.ip }, now);
+      }
+
+      expect(await loginWait({ email: "fresh@example.com", ip: attempt.ip }, now)).toBe(1000);
+      expect(await loginWait({ email: "fresh@example.com", ip: "198.51.100.1" }, now)).toBe(0);
+    });
+
+    test("should unlock the account when its failures are cleared", async () => {
+      const now = Date.now();
+      for (let i = 0; i < LOGIN_THROTTLE_POLICIES.account.lockoutAfter; i += 1) {
+        await recordLoginFailure(attempt, now);
+      }
+      expect(await loginWait({ ...attempt, ip: "198.51.100.1" }, now)).toBe(LOGIN_THROTTLE_POLICIES.account.lockoutDuration);
+
+      await clearLoginFailures("victim@example.com");
+      expect(await loginWait({ ...attempt, ip: "198.51.100.1" }, now)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,39 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { appUrl, createConsoleTransport, createFileTransport } from "../../../utils/mailer.js";
+
+describe("Mailer transports", () => {
+  const message = { to: "user@example.com", subject: "Reset your password", text: "Hello" };
+
+  test("console transport should log the message", async () => {
+    const log = jest.fn();
+    await createConsoleTransport(log).send(message);
+
+    expect(log).toHaveBeenCalledTimes(1);
+    expect(log.mock.calls[0][0]).toContain("To: user@example.com");
+    expect(log.mock.calls[0][0]).toContain("Hello");
+  });
+
+  test("file transport should write each message as an .eml file", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "mail-test-"));
+    try {
+      const transport = createFileTransport(dir);
+      await transport.send(message);
+      await transport.send({ ...message, subject: "Second" });
+
+      const files = await fs.readdir(dir);
+      expect(files).toHaveLength(2);
+      expect(files.every((file) => file.endsWith(".eml"))).toBe(true);
+      const contents = await fs.readFile(path.join(dir, files[0]), "utf8");
+      expect(contents).toContain("To: user@example.com\r\n");
+      expect(contents).toMatch(/\r\n\r\nHello/);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("appUrl should build links with encoded query params", () => {
+    expect(appUrl("/reset-password", { token: "a+b/c" })).toBe("http://localhost:3001/reset-password?token=a%2Bb%2Fc");
+  });
+});
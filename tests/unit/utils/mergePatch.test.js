@@ -0,0 +1,51 @@
+import { applyMergePatch, schemaForPatch } from "../../../utils/mergePatch.js";
+
+describe("JSON Merge Patch", () => {
+  // The examples from RFC 7396, appendix A
+  test.each([
+    [{ a: "b" }, { a: "c" }, { a: "c" }],
+    [{ a: "b" }, { b: "c" }, { a: "b", b: "c" }],
+    [{ a: "b" }, { a: null }, {}],
+    [{ a: "b", b: "c" }, { a: null }, { b: "c" }],
+    [{ a: ["b"] }, { a: "c" }, { a: "c" }],
+    [{ a: "c" }, { a: ["b"] }, { a: ["b"] }],
+    [{ a: { b: "c" } }, { a: { b: "d", c: null } }, { a: { b: "d" } }],
+    [{ a: [{ b: "c" }] }, { a: [1] }, { a: [1] }],
+    [["a", "b"], ["c", "d"], ["c", "d"]],
+    [{ a: "b" }, ["c"], ["c"]],
+    [{ a: "foo" }, null, null],
+    [{ a: "foo" }, "bar", "bar"],
+    [{ e: null }, { a: 1 }, { e: null, a: 1 }],
+    [[1, 2], { a: "b", c: null }, { a: "b" }],
+    [{}, { a: { bb: { ccc: null } } }, { a: { bb: {} } }],
+  ])("should patch %j with %j", (target, patch, expected) => {
+    expect(applyMergePatch(target, patch)).toEqual(expected);
+  });
+
+  test("should leave the target and patch unchanged", () => {
+    const target = { a: { b: 1 }, c: 2 };
+    const patch = { a: { b: null }, c: null };
+    applyMergePatch(target, patch);
+    expect(target).toEqual({ a: { b: 1 }, c: 2 });
+    expect(patch).toEqual({ a: { b: null }, c: null });
+  });
+
+  describe("schemaForPatch", () => {
+    const schema = {
+      amount: { in: ["body"] },
+      note: { in: ["body"] },
+      splits: { in: ["body"] },
+      "splits.*.amount": { in: ["body"] },
+      categoryId: { in: ["body"] },
+    };
+
+    test("should keep the rules of the patched fields, nested ones included", () => {
+      expect(Object.keys(schemaForPatch(schema, { splits: [], note: null }))).toEqual(["note", "splits", "splits.*.amount"]);
+    });
+
+    test("should add the fields that depend on a patched one", () => {
+      const dependencies = { amount: ["splits"], splits: ["categoryId"] };
+      expect(Object.keys(schemaForPatch(schema, { amount: 5 }, dependencies))).toEqual(["amount", "splits", "splits.*.amount"]);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+import mongoose from "mongoose";
+import {
+  DEFAULT_PAGE_LIMIT,
+  EXPENSE_PAGINATION,
+  decodeCursor,
+  encodeCursor,
+  paginate,
+  parsePageParams,
+  parseSort,
+} from "../../../utils/pagination.js";
+import { paginationQuery } from "../../../utils/validators.js";
+import { validateQuery } from "../../../middleware/validateRequest.js";
+
+describe("Pagination utilities", () => {
+  describe("parseSort", () => {
+    test("should parse ascending and descending sorts", () => {
+      expect(parseSort("amount")).toEqual({ field: "amount", direction: 1 });
+      expect(parseSort("-date")).toEqual({ field: "date", direction: -1 });
+    });
+  });
+
+  describe("cursors", () => {
+    test("should round-trip a date cursor", () => {
+      const doc = { _id: new mongoose.Types.ObjectId(), date: new Date("2025-03-01T10:00:00Z") };
+      const cursor = decodeCursor(encodeCursor(doc, "date"));
+
+      expect(cursor.field).toBe("date");
+      expect(cursor.value).toEqual(doc.date);
+      expect(cursor.id.toString()).toBe(doc._id.toString());
+    });
+
+    test("should round-trip a numeric cursor", () => {
+      const doc = { _id: new mongoose.Types.ObjectId(), amount: 12.5 };
+      const cursor = decodeCursor(encodeCursor(doc, "amount"));
+
+      expect(cursor.value).toBe(12.5);
+    });
+
+    test("should reject malformed cursors", () => {
+      expect(decodeCursor("not-a-cursor")).toBeNull();
+      expect(decodeCursor("")).toBeNull();
+      expect(decodeCursor(undefined)).toBeNull();
+      expect(decodeCursor(Buffer.from(JSON.stringify({ f: "date", v: 1, id: "nope" })).toString("base64url"))).toBeNull();
+    });
+
+    test("should reject cursor values that are not a string, number or date", () => {
+      const id = new mongoose.Types.ObjectId().toString();
+      const forge = (payload) => Buffer.from(JSON.stringify({ f: "amount", id, ...payload })).toString("base64url");
+      expect(decodeCursor(forge({ v: { $ne: null } }))).toBeNull();
+      expect(decodeCursor(forge({ v: [1] }))).toBeNull();
+      expect(decodeCursor(forge({ v: null }))).toBeNull();
+      expect(decodeCursor(forge({ v: { $gt: 0 }, d: true }))).toBeNull();
+      expect(decodeCursor(forge({ v: 5 })).value).toBe(5);
+    });
+  });
+
+  describe("parsePageParams", () => {
+    test("should apply defaults", () => {
+      expect(parsePageParams({}, EXPENSE_PAGINATION)).toEqual({
+        limit: DEFAULT_PAGE_LIMIT,
+        field: "date",
+        direction: -1,
+        after: null,
+        before: null,
+      });
+    });
+
+    test("should read limit, sort and cursor", () => {
+      const doc = { _id: new mongoose.Types.ObjectId(), amount: 5 };
+      const page = parsePageParams(
+        { limit: "10", sort: "amount", after: encodeCursor(doc, "amount") },
+        EXPENSE_PAGINATION
+      );
+
+      expect(page.limit).toBe(10);
+      expect(page.field).toBe("amount");
+      expect(page.direction).toBe(1);
+      expect(page.after.value).toBe(5);
+    });
+  });
+
+  describe("paginate", () => {
+    // Stands in for a Mongoose query that returns docs whatever the conditions
+    const fakeQuery = (docs) => {
+      const query = {
+        and: () => query,
+        sort: () => query,
+        limit: (n) => ({ exec: async () => docs.slice(0, n) }),
+      };
+      return query;
+    };
+    const docs = [1, 2, 3].map((amount) => ({ _id: new mongoose.Types.ObjectId(), amount }));
+    const cursor = (doc) => decodeCursor(encodeCursor(doc, "amount"));
+
+    test("should look ahead one document to tell if there is a next page", async () => {
+      const { data, pageInfo } = await paginate(fakeQuery(docs), { limit: 2, field: "amount", direction: 1, after: null, before: null });
+      expect(data).toHaveLength(2);
+      expect(pageInfo).toMatchObject({ hasNextPage: true, hasPreviousPage: false });
+    });
+
+    test("should page backwards from a before cursor", async () => {
+      const { data, pageInfo } = await paginate(fakeQuery([docs[1], docs[0]]), {
+        limit: 2, field: "amount", direction: 1, after: null, before: cursor(docs[2]),
+      });
+      expect(data.map((doc) => doc.amount)).toEqual([1, 2]);
+      expect(pageInfo).toMatchObject({ hasNextPage: true, hasPreviousPage: false });
+    });
+  });
+
+  describe("paginationQuery", () => {
+    const schema = paginationQuery(EXPENSE_PAGINATION);
+
+    test("should accept parameters given once", async () => {
+      expect(await validateQuery(schema, { limit: "10", sort: "-amount" })).toEqual([]);
+    });
+
+    test("should reject repeated parameters", async () => {
+      const cursor = encodeCursor({ _id: new mongoose.Types.ObjectId(), date: new Date() }, "date");
+
+      expect(await validateQuery(schema, { sort: ["date", "amount"] })).toEqual(["'sort' must be given once"]);
+      expect(await validateQuery(schema, { limit: ["1", "2"] })).toEqual(["'limit' must be given once"]);
+      expect(await validateQuery(schema, { after: [cursor, cursor] })).toEqual(["'after' must be given once"]);
+      expect(await validateQuery(schema, { sort: ["date", "date"], after: cursor })).toEqual(["'sort' must be given once"]);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import mongoose from "mongoose";
+import Ledger from "../../../models/ledger.js";
+import Expense from "../../../models/expense.js";
+import Category from "../../../models/category.js";
+import { allows, ledgerAllows } from "../../../utils/permissions.js";
+
+describe("Permission layer", () => {
+  const user = () => ({ _id: new mongoose.Types.ObjectId(), role: "user" });
+  const owner = user();
+  const editor = user();
+  const viewer = user();
+  const stranger = user();
+  const admin = { _id: new mongoose.Types.ObjectId(), role: "admin" };
+
+  const ledger = new Ledger({
+    name: "Household",
+    members: [
+      { user: owner._id, role: "owner" },
+      { user: editor._id, role: "editor" },
+      { user: viewer._id, role: "viewer" },
+    ],
+  });
+
+  describe("ledgerAllows", () => {
+    test("should let owners manage the ledger and editors only edit its contents", () => {
+      expect(ledgerAllows(owner, "manage", ledger)).toBe(true);
+      expect(ledgerAllows(editor, "edit", ledger)).toBe(true);
+      expect(ledgerAllows(editor, "manage", ledger)).toBe(false);
+    });
+
+    test("should only let viewers view", () => {
+      expect(ledgerAllows(viewer, "view", ledger)).toBe(true);
+      expect(ledgerAllows(viewer, "edit", ledger)).toBe(false);
+    });
+
+    test("should deny non-members and anonymous callers but not admins", () => {
+      expect(ledgerAllows(stranger, "view", ledger)).toBe(false);
+      expect(ledgerAllows(undefined, "view", ledger)).toBe(false);
+      expect(ledgerAllows(admin, "manage", ledger)).toBe(true);
+    });
+  });
+
+  describe("allows", () => {
+    test("should leave personal expenses to their owner and admins", () => {
+      const expense = new Expense({ user: owner._id, category: new mongoose.Types.ObjectId(), amount: 10 });
+
+      expect(allows(owner, "edit", expense)).toBe(true);
+      expect(allows(admin, "edit", expense)).toBe(true);
+      expect(allows(editor, "view", expense)).toBe(false);
+    });
+
+    test("should follow ledger roles for ledger expenses, whoever recorded them", () => {
+      const expense = new Expense({ user: editor._id, ledger: ledger._id, category: new mongoose.Types.ObjectId(), amount: 10 });
+
+      expect(allows(owner, "edit", expense, ledger)).toBe(true);
+      expect(allows(viewer, "view", expense, ledger)).toBe(true);
+      expect(allows(viewer, "edit", expense, ledger)).toBe(false);
+      expect(allows(stranger, "view", expense, ledger)).toBe(false);
+    });
+
+    test("should deny access to a ledger expense once its recorder has left the ledger", () => {
+      const expense = new Expense({ user: stranger._id, ledger: ledger._id, category: new mongoose.Types.ObjectId(), amount: 10 });
+
+      expect(allows(stranger, "view", expense, ledger)).toBe(false);
+    });
+
+    test("should deny ledger resources whose ledger no longer exists", () => {
+      const category = new Category({ name: "Groceries", user: owner._id, ledger: new mongoose.Types.ObjectId() });
+
+      expect(allows(owner, "view", category, null)).toBe(false);
+    });
+
+    test("should let anyone view global categories but only their owner edit them", () => {
+      const category = new Category({ name: "Food", user: admin._id, visibility: "global" });
+
+      expect(allows(undefined, "view", category)).toBe(true);
+      expect(allows(stranger, "view", category)).toBe(true);
+      expect(allows(stranger, "edit", category)).toBe(false);
+    });
+
+    test("should accept a populated owner", () => {
+      const expense = { user: { _id: owner._id, name: "Owner" } };
+
+      expect(allows(owner, "view", expense)).toBe(true);
+    });
+  });
+});
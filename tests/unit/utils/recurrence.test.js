@@ -0,0 +1,65 @@
+import { listOccurrences, nthOccurrence, occurrenceOnDay } from "../../../utils/recurrence.js";
+
+const iso = (dates) => dates.map((date) => date.toISOString().slice(0, 10));
+
+describe("Recurrence utilities", () => {
+  describe("nthOccurrence", () => {
+    test("should step daily and weekly schedules by the interval", () => {
+      const start = new Date("2025-01-01T00:00:00Z");
+
+      expect(nthOccurrence({ frequency: "daily", interval: 3, startDate: start }, 2)).toEqual(new Date("2025-01-07T00:00:00Z"));
+      expect(nthOccurrence({ frequency: "weekly", interval: 2, startDate: start }, 1)).toEqual(new Date("2025-01-15T00:00:00Z"));
+    });
+
+    test("should clamp monthly schedules to the end of short months without drifting", () => {
+      const schedule = { frequency: "monthly", startDate: new Date("2025-01-31T00:00:00Z") };
+
+      expect(iso([0, 1, 2, 3].map((n) => nthOccurrence(schedule, n)))).toEqual([
+        "2025-01-31",
+        "2025-02-28",
+        "2025-03-31",
+        "2025-04-30",
+      ]);
+    });
+
+    test("should handle yearly schedules on leap days", () => {
+      const schedule = { frequency: "yearly", startDate: new Date("2024-02-29T00:00:00Z") };
+
+      expect(nthOccurrence(schedule, 1)).toEqual(new Date("2025-02-28T00:00:00Z"));
+      expect(nthOccurrence(schedule, 4)).toEqual(new Date("2028-02-29T00:00:00Z"));
+    });
+  });
+
+  describe("listOccurrences", () => {
+    const monthly = { frequency: "monthly", startDate: new Date("2025-01-01T00:00:00Z") };
+
+    test("should list occurrences in a window", () => {
+      const dates = listOccurrences(monthly, {
+        after: new Date("2025-01-01T00:00:00Z"),
+        until: new Date("2025-04-01T00:00:00Z"),
+      });
+
+      expect(iso(dates)).toEqual(["2025-02-01", "2025-03-01", "2025-04-01"]);
+    });
+
+    test("should stop at the end date or count", () => {
+      expect(iso(listOccurrences({ ...monthly, endDate: new Date("2025-03-15T00:00:00Z") }, { limit: 10 })))
+        .toEqual(["2025-01-01", "2025-02-01", "2025-03-01"]);
+      expect(iso(listOccurrences({ ...monthly, count: 2 }, { limit: 10 })))
+        .toEqual(["2025-01-01", "2025-02-01"]);
+    });
+
+    test("should respect the limit", () => {
+      expect(listOccurrences(monthly, { limit: 4 })).toHaveLength(4);
+    });
+  });
+
+  describe("occurrenceOnDay", () => {
+    test("should find the occurrence on a calendar day", () => {
+      const schedule = { frequency: "weekly", startDate: new Date("2025-01-06T09:00:00Z") };
+
+      expect(occurrenceOnDay(schedule, new Date("2025-01-13"))).toEqual(new Date("2025-01-13T09:00:00Z"));
+      expect(occurrenceOnDay(schedule, new Date("2025-01-14"))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+import Expense from "../../../models/expense.js";
+import { REVISION_FIELDS, revisionSnapshot } from "../../../utils/revisions.js";
+
+describe("Revision utilities", () => {
+  const user = new mongoose.Types.ObjectId();
+  const food = new mongoose.Types.ObjectId();
+  const drinks = new mongoose.Types.ObjectId();
+
+  test("should keep only the tracked fields, with references as IDs", () => {
+    const expense = new Expense({ user, category: food, amount: 12.5, date: new Date("2025-03-01T00:00:00Z"), note: "Lunch" });
+    const snapshot = revisionSnapshot(expense);
+
+    expect(Object.keys(snapshot).sort()).toEqual([...REVISION_FIELDS].sort());
+    expect(snapshot).toMatchObject({
+      user: user.toString(),
+      category: food.toString(),
+      amount: 12.5,
+      currency: "EUR",
+      date: "2025-03-01T00:00:00.000Z",
+      note: "Lunch",
+      description: null,
+      sharing: null,
+      splits: [],
+    });
+  });
+
+  test("should leave split IDs out, so replacing identical splits is no change", () => {
+    const splits = [{ category: food, amount: 8 }, { category: drinks, amount: 4, note: "Coffee" }];
+    const date = new Date("2025-03-01T00:00:00Z");
+    const first = new Expense({ user, category: food, amount: 12, date, splits });
+    const second = new Expense({ user, category: food, amount: 12, date, splits });
+
+    expect(revisionSnapshot(first).splits).toEqual([
+      { category: food.toString(), amount: 8 },
+      { category: drinks.toString(), amount: 4, note: "Coffee" },
+    ]);
+    expect(revisionSnapshot(first)).toEqual(revisionSnapshot(second));
+  });
+});
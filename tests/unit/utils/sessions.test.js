@@ -0,0 +1,61 @@
+import { describeSession, publicSessionId, startSession, touchSession } from "../../../utils/sessions.js";
+
+describe("Session utilities", () => {
+  test("should refer to sessions by a stable hash of their ID", () => {
+    expect(publicSessionId("abc")).toMatch(/^[0-9a-f]{32}$/);
+    expect(publicSessionId("abc")).toBe(publicSessionId("abc"));
+    expect(publicSessionId("abc")).not.toBe(publicSessionId("abd"));
+  });
+
+  test("should record where a session was started", () => {
+    const req = {
+      session: {},
+      ip: "203.0.113.7",
+      get: (header) => (header === "User-Agent" ? "curl/8.0" : undefined),
+    };
+    startSession(req, { _id: "64b000000000000000000001" }, 1000);
+
+    expect(req.session).toEqual({
+      userId: "64b000000000000000000001",
+      meta: { device: "curl/8.0", ip: "203.0.113.7", createdAt: 1000, lastSeenAt: 1000 },
+    });
+  });
+
+  test("should update lastSeenAt at most once a minute", () => {
+    const session = { meta: { lastSeenAt: 0 } };
+
+    touchSession(session, 30 * 1000);
+    expect(session.meta.lastSeenAt).toBe(0);
+    touchSession(session, 60 * 1000);
+    expect(session.meta.lastSeenAt).toBe(60 * 1000);
+
+    // Sessions without details are left alone
+    const old = { userId: "x" };
+    touchSession(old, 60 * 1000);
+    expect(old).toEqual({ userId: "x" });
+  });
+
+  test("should describe stored sessions without exposing their ID", () => {
+    const expires = new Date("2025-01-02T00:00:00Z");
+    const stored = {
+      _id: "sid-1",
+      expires,
+      session: { userId: "u", meta: { device: "Firefox", ip: "198.51.100.1", createdAt: 0, lastSeenAt: 60000 } },
+    };
+
+    expect(describeSession(stored, "sid-1")).toEqual({
+      id: publicSessionId("sid-1"),
+      current: true,
+      device: "Firefox",
+      ip: "198.51.100.1",
+      createdAt: new Date(0),
+      lastSeenAt: new Date(60000),
+      expiresAt: expires,
+    });
+    expect(describeSession({ _id: "sid-2", expires, session: { userId: "u" } }, "sid-1")).toMatchObject({
+      current: false,
+      device: null,
+      createdAt: null,
+    });
+  });
+});
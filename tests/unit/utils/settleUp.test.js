@@ -0,0 +1,84 @@
+import { computeShares, settleUpTransfers, sharingError, summarizeBalances } from "../../../utils/settleUp.js";
+
+describe("Settle-up utilities", () => {
+  const people = (...values) => values.map((value, index) => ({ userId: `user${index}`, value }));
+
+  describe("computeShares", () => {
+    test("should divide equally, giving leftover cents to the first listed", () => {
+      expect(computeShares(100, "equal", people(undefined, undefined, undefined))).toEqual([33.34, 33.33, 33.33]);
+    });
+
+    test("should use exact amounts as given", () => {
+      expect(computeShares(50, "exact", people(30.5, "19.50"))).toEqual([30.5, 19.5]);
+    });
+
+    test("should divide by percentages and by shares", () => {
+      expect(computeShares(80, "percent", people(25, 75))).toEqual([20, 60]);
+      expect(computeShares(90, "shares", people(2, 1))).toEqual([60, 30]);
+    });
+
+    test("should always add up to the amount", () => {
+      const shares = computeShares(10, "shares", people(1, 1, 1, 1, 1, 1, 1));
+      expect(shares.reduce((sum, share) => sum + Math.round(share * 100), 0)).toBe(1000);
+    });
+  });
+
+  describe("sharingError", () => {
+    test("should accept a valid sharing object", () => {
+      expect(sharingError({ method: "equal", participants: people(undefined, undefined) }, 10)).toBeNull();
+      expect(sharingError({ method: "percent", participants: people(33.33, 66.67) }, 10)).toBeNull();
+    });
+
+    test("should reject unknown methods and empty or duplicate participants", () => {
+      expect(sharingError({ method: "half", participants: people(1) }, 10)).toMatch(/'sharing.method'/);
+      expect(sharingError({ method: "equal", participants: [] }, 10)).toMatch(/'sharing.participants'/);
+      expect(sharingError({ method: "equal", participants: [{ userId: "a" }, { userId: "a" }] }, 10))
+        .toBe("Each participant may only be listed once");
+    });
+
+    test("should require values that add up for exact and percent", () => {
+      expect(sharingError({ method: "shares", participants: people(1, undefined) }, 10)).toMatch(/positive 'value'/);
+      expect(sharingError({ method: "exact", participants: people(4, 5) }, 10))
+        .toBe("Exact participant amounts must add up to 'amount'");
+      expect(sharingError({ method: "percent", participants: people(50, 40) }, 10))
+        .toBe("Participant percentages must add up to 100");
+    });
+  });
+
+  describe("settleUpTransfers", () => {
+    test("should settle everyone with the largest debts paid first", () => {
+      const transfers = settleUpTransfers([
+        { user: "ann", net: 60 },
+        { user: "bob", net: -20 },
+        { user: "cat", net: -40 },
+      ]);
+
+      expect(transfers).toEqual([
+        { from: "cat", to: "ann", amount: 40 },
+        { from: "bob", to: "ann", amount: 20 },
+      ]);
+    });
+
+    test("should need no transfers when everyone is even", () => {
+      expect(settleUpTransfers([{ user: "ann", net: 0 }, { user: "bob", net: 0 }])).toEqual([]);
+    });
+  });
+
+  describe("summarizeBalances", () => {
+    test("should net each currency separately", () => {
+      const summaries = summarizeBalances([
+        { _id: { currency: "EUR", user: "ann" }, paid: 90, owed: 30 },
+        { _id: { currency: "EUR", user: "bob" }, paid: 0, owed: 60 },
+        { _id: { currency: "CHF", user: "bob" }, paid: 10.1, owed: 5.05 },
+        { _id: { currency: "CHF", user: "ann" }, paid: 0, owed: 5.05 },
+      ]);
+
+      expect(summaries.map((summary) => summary.currency)).toEqual(["CHF", "EUR"]);
+      expect(summaries[1].balances).toEqual([
+        { user: "ann", paid: 90, owed: 30, net: 60 },
+        { user: "bob", paid: 0, owed: 60, net: -60 },
+      ]);
+      expect(summaries[0].transfers).toEqual([{ from: "ann", to: "bob", amount: 5.05 }]);
+    });
+  });
+});
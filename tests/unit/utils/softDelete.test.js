@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+import { inTrash, softDelete } from "../../../utils/softDelete.js";
+
+// Without a connection (and with buffering off) queries fail right after their pre hooks have
+// run, which leaves the filter and pipeline the plugin produced to look at
+const schema = new mongoose.Schema({ name: String }, { bufferCommands: false });
+schema.plugin(softDelete);
+const Thing = mongoose.model("SoftDeleteTestThing", schema);
+
+// Queries are thenables, so they are handed back wrapped
+const run = async (query) => {
+  await query.exec().catch(() => {});
+  return { query };
+};
+
+describe("Soft delete plugin", () => {
+  test("should leave trashed documents out of reads", async () => {
+    expect((await run(Thing.find({ name: "a" }))).query.getFilter()).toEqual({ name: "a", deletedAt: null });
+    expect((await run(Thing.countDocuments({}))).query.getFilter()).toEqual({ deletedAt: null });
+  });
+
+  test("should let queries ask for trashed documents", async () => {
+    expect((await run(Thing.find(inTrash({ name: "a" })))).query.getFilter()).toEqual({ name: "a", deletedAt: { $ne: null } });
+
+    const { query } = await run(Thing.find({ name: "a" }).setOptions({ withDeleted: true }));
+    expect(query.getFilter()).toEqual({ name: "a" });
+    expect(query.getOptions()).not.toHaveProperty("withDeleted");
+  });
+
+  test("should not narrow deletes", async () => {
+    expect((await run(Thing.deleteMany({ name: "a" }))).query.getFilter()).toEqual({ name: "a" });
+  });
+
+  test("should filter aggregations in their first stage", async () => {
+    const { query: textSearch } = await run(Thing.aggregate([{ $match: { $text: { $search: "taxi" } } }, { $count: "n" }]));
+    expect(textSearch.pipeline()).toEqual([{ $match: { $text: { $search: "taxi" }, deletedAt: null } }, { $count: "n" }]);
+
+    const { query: grouped } = await run(Thing.aggregate([{ $group: { _id: null } }]));
+    expect(grouped.pipeline()).toEqual([{ $match: { deletedAt: null } }, { $group: { _id: null } }]);
+
+    const { query: everything } = await run(Thing.aggregate([{ $group: { _id: null } }]).option({ withDeleted: true }));
+    expect(everything.pipeline()).toEqual([{ $group: { _id: null } }]);
+  });
+});
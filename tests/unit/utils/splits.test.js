@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+import Expense from "../../../models/expense.js";
+import { categoryFilter, categoryLineStages, splitAmountFor, splitsMatchAmount } from "../../../utils/splits.js";
+
+describe("Split expense utilities", () => {
+  const food = new mongoose.Types.ObjectId();
+  const household = new mongoose.Types.ObjectId();
+
+  describe("splitsMatchAmount", () => {
+    test("should accept splits that add up to the amount to the cent", () => {
+      expect(splitsMatchAmount([{ amount: 0.1 }, { amount: 0.2 }], 0.3)).toBe(true);
+      expect(splitsMatchAmount([{ amount: "12.50" }, { amount: "7.49" }], "19.99")).toBe(true);
+    });
+
+    test("should reject splits that don't", () => {
+      expect(splitsMatchAmount([{ amount: 10 }, { amount: 5 }], 16)).toBe(false);
+      expect(splitsMatchAmount([{ amount: 10 }, { amount: 5.01 }], 15)).toBe(false);
+    });
+
+    test("should accept an expense without splits", () => {
+      expect(splitsMatchAmount([], 10)).toBe(true);
+      expect(splitsMatchAmount(undefined, 10)).toBe(true);
+    });
+  });
+
+  describe("splitAmountFor", () => {
+    test("should use the whole amount of an unsplit expense in its category", () => {
+      const expense = { category: food, amount: 20 };
+      expect(splitAmountFor(expense, food)).toBe(20);
+      expect(splitAmountFor(expense, household)).toBe(0);
+    });
+
+    test("should add up the splits filed under the category", () => {
+      const expense = {
+        category: food,
+        amount: 30,
+        splits: [
+          { category: food, amount: 10.1 },
+          { category: { _id: household, name: "Household" }, amount: 9.7 },
+          { category: food, amount: 10.2 },
+        ],
+      };
+      expect(splitAmountFor(expense, food)).toBe(20.3);
+      expect(splitAmountFor(expense, household.toString())).toBe(9.7);
+    });
+  });
+
+  describe("categoryFilter", () => {
+    test("should match the expense category or any split category", () => {
+      expect(categoryFilter([food])).toEqual({ $or: [{ category: food }, { "splits.category": food }] });
+      expect(categoryFilter([food, household])).toEqual({
+        $or: [{ category: { $in: [food, household] } }, { "splits.category": { $in: [food, household] } }],
+      });
+    });
+  });
+
+  describe("categoryLineStages", () => {
+    test("should unwind splits into category lines", () => {
+      const stages = categoryLineStages();
+      expect(stages.map((stage) => Object.keys(stage)[0])).toEqual(["$addFields", "$unwind", "$addFields", "$project"]);
+      expect(stages[2].$addFields).toEqual({ category: "$categoryLines.category", amount: "$categoryLines.amount" });
+    });
+  });
+
+  describe("Expense splits", () => {
+    const expenseData = {
+      user: new mongoose.Types.ObjectId(),
+      category: food,
+      amount: 30,
+    };
+
+    test("should accept splits that add up to the amount", async () => {
+      const expense = new Expense({
+        ...expenseData,
+        splits: [{ category: food, amount: 18 }, { category: household, amount: 12, note: "Detergent" }],
+      });
+      await expect(expense.validate()).resolves.toBeUndefined();
+      expect(expense.toJSON().splits[1]).toMatchObject({ amount: 12, note: "Detergent" });
+      expect(expense.toJSON().splits[1]).toHaveProperty("id");
+    });
+
+    test("should reject splits that don't add up", async () => {
+      const expense = new Expense({
+        ...expenseData,
+        splits: [{ category: food, amount: 18 }, { category: household, amount: 10 }],
+      });
+      await expect(expense.validate()).rejects.toThrow("Split amounts must add up to the expense amount");
+    });
+  });
+});
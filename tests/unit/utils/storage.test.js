@@ -0,0 +1,38 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { text } from "node:stream/consumers";
+import { createLocalStorage } from "../../../utils/storage.js";
+
+describe("Local file storage", () => {
+  let root;
+  let storage;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), "storage-test-"));
+    storage = createLocalStorage(root);
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test("should store, read back and delete a file", async () => {
+    await storage.put("user/expense/receipt", Buffer.from("receipt contents"));
+    expect(await fs.readFile(path.join(root, "user", "expense", "receipt"), "utf8")).toBe("receipt contents");
+
+    expect(await text(await storage.get("user/expense/receipt"))).toBe("receipt contents");
+
+    await storage.delete("user/expense/receipt");
+    expect(await storage.get("user/expense/receipt")).toBeNull();
+  });
+
+  test("should ignore deleting a missing file", async () => {
+    await expect(storage.delete("missing/file")).resolves.toBeUndefined();
+  });
+
+  test("should refuse keys outside the storage directory", async () => {
+    await expect(storage.put("../escape", Buffer.from("x"))).rejects.toThrow("Invalid storage key");
+    await expect(storage.get("/etc/passwd")).rejects.toThrow("Invalid storage key");
+  });
+});
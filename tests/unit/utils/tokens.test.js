@@ -0,0 +1,19 @@
+import { createToken, hashToken } from "../../../utils/tokens.js";
+
+describe("Token utilities", () => {
+  test("should create distinct URL-safe tokens", () => {
+    const first = createToken();
+    const second = createToken();
+
+    expect(first).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(second).not.toBe(first);
+  });
+
+  test("should hash a token the same way every time", () => {
+    const token = createToken();
+
+    expect(hashToken(token)).toBe(hashToken(token));
+    expect(hashToken(token)).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashToken(token)).not.toBe(hashToken(createToken()));
+  });
+});
@@ -0,0 +1,50 @@
+import {
+  base32Decode,
+  base32Encode,
+  generateTotpSecret,
+  provisioningUri,
+  totp,
+  verifyTotp,
+} from "../../../utils/totp.js";
+
+// The SHA-1 secret from the RFC 6238 test vectors
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("TOTP", () => {
+  test("should round-trip base32", () => {
+    expect(base32Encode(Buffer.from("foobar"))).toBe("MZXW6YTBOI");
+    expect(base32Decode("mzxw6ytboi").toString()).toBe("foobar");
+    expect(base32Decode("MZXW 6YQ=").toString()).toBe("foob");
+    expect(() => base32Decode("MZ1")).toThrow("Invalid base32 character '1'");
+  });
+
+  test("should match the RFC 6238 test vectors", () => {
+    expect(totp(RFC_SECRET, 59 * 1000, 8)).toBe("94287082");
+    expect(totp(RFC_SECRET, 1111111109 * 1000, 8)).toBe("07081804");
+    expect(totp(RFC_SECRET, 1234567890 * 1000, 8)).toBe("89005924");
+    expect(totp(RFC_SECRET, 20000000000 * 1000, 8)).toBe("65353130");
+    expect(totp(RFC_SECRET, 59 * 1000)).toBe("287082");
+  });
+
+  test("should accept codes from neighbouring steps only", () => {
+    const secret = generateTotpSecret();
+    const time = 1700000000000;
+
+    expect(verifyTotp(secret, totp(secret, time), { time })).toBe(Math.floor(time / 30000));
+    expect(verifyTotp(secret, totp(secret, time - 30000), { time })).toBe(Math.floor(time / 30000) - 1);
+    expect(verifyTotp(secret, totp(secret, time - 90000), { time })).toBeNull();
+    expect(verifyTotp(secret, "12345", { time })).toBeNull();
+    expect(verifyTotp(secret, "abcdef", { time })).toBeNull();
+  });
+
+  test("should build an otpauth provisioning URI", () => {
+    const uri = provisioningUri({ secret: "JBSWY3DPEHPK3PXP", account: "ann@example.com", issuer: "Expense Tracker" });
+    const [label, query] = uri.split("?");
+    const params = new URLSearchParams(query);
+
+    expect(label).toBe("otpauth://totp/Expense%20Tracker:ann%40example.com");
+    expect(params.get("secret")).toBe("JBSWY3DPEHPK3PXP");
+    expect(params.get("issuer")).toBe("Expense Tracker");
+    expect(params.get("digits")).toBe("6");
+  });
+});
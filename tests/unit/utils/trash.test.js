@@ -0,0 +1,23 @@
+import { purgeDate, trashRetentionDays } from "../../../utils/trash.js";
+
+describe("Trash utilities", () => {
+  afterEach(() => {
+    delete process.env.TRASH_RETENTION_DAYS;
+  });
+
+  test("should keep deleted items for 30 days by default", () => {
+    expect(trashRetentionDays()).toBe(30);
+    expect(purgeDate(new Date("2025-01-01T00:00:00Z"))).toEqual(new Date("2025-01-31T00:00:00Z"));
+  });
+
+  test("should read the retention window from the environment", () => {
+    process.env.TRASH_RETENTION_DAYS = "7";
+    expect(trashRetentionDays()).toBe(7);
+
+    process.env.TRASH_RETENTION_DAYS = "0";
+    expect(trashRetentionDays()).toBe(0);
+
+    process.env.TRASH_RETENTION_DAYS = "soon";
+    expect(trashRetentionDays()).toBe(30);
+  });
+});
@@ -0,0 +1,30 @@
+import { generateRecoveryCodes, hashRecoveryCode, twoFactorPolicyAllows } from "../../../utils/twoFactor.js";
+
+describe("Two-factor helpers", () => {
+  test("should generate distinct recovery codes", () => {
+    const codes = generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach((code) => expect(code).toMatch(/^[0-9a-f]{4}(-[0-9a-f]{4}){3}$/));
+  });
+
+  test("should hash recovery codes however they are typed", () => {
+    const hash = hashRecoveryCode("a1b2-c3d4-e5f6-a7b8");
+
+    expect(hashRecoveryCode("A1B2 C3D4 E5F6 A7B8")).toBe(hash);
+    expect(hashRecoveryCode("a1b2c3d4e5f6a7b8")).toBe(hash);
+    expect(hashRecoveryCode("a1b2-c3d4-e5f6-a7b9")).not.toBe(hash);
+  });
+
+  test("should only hold back admins when 2FA is required", () => {
+    const admin = { role: "admin", twoFactorEnabled: false };
+    const enrolled = { role: "admin", twoFactorEnabled: true };
+
+    expect(twoFactorPolicyAllows(admin, false, false)).toBe(true);
+    expect(twoFactorPolicyAllows({ role: "user" }, false, true)).toBe(true);
+    expect(twoFactorPolicyAllows(admin, true, true)).toBe(false);
+    expect(twoFactorPolicyAllows(enrolled, false, true)).toBe(false);
+    expect(twoFactorPolicyAllows(enrolled, true, true)).toBe(true);
+  });
+});
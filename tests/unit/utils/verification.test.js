@@ -0,0 +1,30 @@
+import { unverifiedPolicy, verificationAllows } from "../../../utils/verification.js";
+
+describe("Unverified email policy", () => {
+  const verified = { emailVerified: true };
+  const unverified = { emailVerified: false };
+
+  afterEach(() => {
+    delete process.env.UNVERIFIED_ACCESS;
+  });
+
+  test("should default to read-only and ignore unknown values", () => {
+    expect(unverifiedPolicy()).toBe("read-only");
+    process.env.UNVERIFIED_ACCESS = "sometimes";
+    expect(unverifiedPolicy()).toBe("read-only");
+    process.env.UNVERIFIED_ACCESS = "none";
+    expect(unverifiedPolicy()).toBe("none");
+  });
+
+  test("should never restrict verified users", () => {
+    expect(verificationAllows(verified, "DELETE", "none")).toBe(true);
+    expect(verificationAllows({}, "POST", "none")).toBe(true);
+  });
+
+  test("should apply each policy to unverified users", () => {
+    expect(verificationAllows(unverified, "POST", "full")).toBe(true);
+    expect(verificationAllows(unverified, "GET", "read-only")).toBe(true);
+    expect(verificationAllows(unverified, "PUT", "read-only")).toBe(false);
+    expect(verificationAllows(unverified, "GET", "none")).toBe(false);
+  });
+});
@@ -11,3 +11,8 @@ export const BAD_REQUEST = 400;
 export const UNAUTHORIZED = 401;
 export const FORBIDDEN = 403;
 export const NOT_FOUND = 404;
+export const PRECONDITION_FAILED = 412;
+export const PAYLOAD_TOO_LARGE = 413;
+export const UNSUPPORTED_MEDIA_TYPE = 415;
+export const TOO_MANY_REQUESTS = 429;
+export const NOT_IMPLEMENTED = 501;
@@ -0,0 +1,63 @@
+import User from '../models/user.js';
+import Expense from '../models/expense.js';
+import Category from '../models/category.js';
+import Budget from '../models/budget.js';
+import RecurringExpense from '../models/recurringExpense.js';
+import AuthToken from '../models/authToken.js';
+import ApiToken from '../models/apiToken.js';
+import { HttpError, BAD_REQUEST } from './HttpError.js';
+import { removeExpenseAttachments } from './attachments.js';
+import { removeExpenseRevisions } from './revisions.js';
+import { leaveAllLedgers } from './ledgers.js';
+import { destroyUserSessions } from './sessions.js';
+
+// The app must always keep an admin who can log in. Throws 400 if user is the last active one,
+// before they are demoted, suspended or deleted.
+export const assertKeepsAdmin = async (user) => {
+  if (user.role !== 'admin' || user.suspended) return;
+  const others = await User.countDocuments({ _id: { $ne: user._id }, role: 'admin', suspended: { $ne: true } });
+  if (others === 0) {
+    throw new HttpError(BAD_REQUEST, 'There must be at least one active admin');
+  }
+};
+
+const DUPLICATE_KEY = 11000;
+
+// Global categories are used by everyone, so they outlive the admin who published them and
+// pass to the longest-standing active admin. Throws 400 if that admin already has a category
+// with the same name.
+const handOverGlobalCategories = async (userId) => {
+  const heir = await User.findOne({ _id: { $ne: userId }, role: 'admin', suspended: { $ne: true } })
+    .sort({ createdAt: 1, _id: 1 })
+    .exec();
+  if (!heir) return;
+  try {
+    await Category.updateMany({ user: userId, ledger: null, visibility: 'global' }, { user: heir._id }).exec();
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
+    throw new HttpError(BAD_REQUEST, `A global category can't be handed over to ${heir.name}, who already has one with the same name`);
+  }
+};
+
+// Delete a user and everything that is only theirs. What they added to shared ledgers and the
+// global categories they published stay.
+export const deleteUserAccount = async (userId) => {
+  await handOverGlobalCategories(userId);
+  await leaveAllLedgers(userId);
+
+  // Receipt files and edit history go first, while the expenses that point at them still exist
+  await removeExpenseAttachments({ user: userId, ledger: null });
+  await removeExpenseRevisions({ user: userId, ledger: null });
+
+  // Delete user's expenses, categories, budgets, recurring expenses and credentials (cascade delete)
+  await Promise.all([
+    User.findByIdAndDelete(userId),
+    Expense.deleteMany({ user: userId, ledger: null }),
+    Category.deleteMany({ user: userId, ledger: null, visibility: { $ne: 'global' } }),
+    Budget.deleteMany({ user: userId }),
+    RecurringExpense.deleteMany({ user: userId }),
+    AuthToken.deleteMany({ user: userId }),
+    ApiToken.deleteMany({ user: userId }),
+  ]);
+  await destroyUserSessions(userId);
+};
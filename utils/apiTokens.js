@@ -0,0 +1,44 @@
+import ApiToken from '../models/apiToken.js';
+import { createToken, hashToken } from './tokens.js';
+
+export const MAX_API_TOKENS = 50;
+
+// Tokens start with this so they are easy to recognise, e.g. in leaked-secret scans
+const TOKEN_PREFIX = 'et_';
+const DISPLAY_PREFIX_LENGTH = TOKEN_PREFIX.length + 6;
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// A new token and what gets stored about it
+export const generateApiToken = () => {
+  const token = `${TOKEN_PREFIX}${createToken()}`;
+  return { token, tokenHash: hashToken(token), prefix: token.slice(0, DISPLAY_PREFIX_LENGTH) };
+};
+
+// The token in an `Authorization: Bearer` header, or null if there isn't one
+export const bearerToken = (req) => {
+  const header = req.headers && req.headers.authorization;
+  const match = typeof header === 'string' && header.match(/^Bearer\s+(\S+)\s*$/i);
+  return match ? match[1] : null;
+};
+
+// Scope a request to resource needs, e.g. ('expenses', 'POST') -> 'expenses:write'
+export const requiredScope = (resource, method) => (resource === 'admin'
+  ? 'admin'
+  : `${resource}:${READ_METHODS.includes(method) ? 'read' : 'write'}`);
+
+// Whether apiToken may make a request with this method to routes declared as resource. A
+// write scope includes reading. Routes that declare no resource are for sessions only.
+export const apiTokenAllows = (apiToken, resource, method) => {
+  if (!resource) return false;
+  const scope = requiredScope(resource, method);
+  return apiToken.scopes.includes(scope)
+    || (scope.endsWith(':read') && apiToken.scopes.includes(`${resource}:write`));
+};
+
+// Look up the stored token for a bearer token and record that it was used, or resolve to null
+export const useApiToken = async (token) => ApiToken.findOneAndUpdate(
+  { tokenHash: hashToken(token) },
+  { lastUsedAt: new Date() },
+  { new: true }
+).exec();
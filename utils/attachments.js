@@ -0,0 +1,45 @@
+import Expense from '../models/expense.js';
+import { getStorage } from './storage.js';
+
+export const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
+export const MAX_ATTACHMENTS_PER_EXPENSE = 10;
+
+// Accepted receipt formats and the bytes each file starts with
+const SIGNATURES = {
+  'application/pdf': (data) => data.subarray(0, 5).toString('latin1') === '%PDF-',
+  'image/png': (data) => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/jpeg': (data) => data.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  'image/webp': (data) => data.subarray(0, 4).toString('latin1') === 'RIFF' && data.subarray(8, 12).toString('latin1') === 'WEBP',
+};
+
+export const ATTACHMENT_TYPES = Object.keys(SIGNATURES);
+
+// The accepted type a file's contents actually match, whatever the client declared
+export const detectAttachmentType = (data) => ATTACHMENT_TYPES.find((type) => SIGNATURES[type](data)) || null;
+
+// Keep a client-supplied filename safe to store and echo back in headers
+export const cleanFilename = (name) => {
+  const base = [...String(name || '').split(/[/\\]/).pop()]
+    .filter((char) => char.charCodeAt(0) >= 0x20 && char !== '\u007f' && char !== '"')
+    .join('')
+    .trim();
+  return base.slice(0, 200) || 'attachment';
+};
+
+export const attachmentKey = (expense, attachmentId) => `${expense.user}/${expense._id}/${attachmentId}`;
+
+// Delete the stored files of every expense matching filter, trashed ones included. Call this
+// before deleting the expenses themselves; a file that can't be removed is logged rather than
+// failing the delete.
+export const removeExpenseAttachments = async (filter) => {
+  const expenses = await Expense.find({ ...filter, 'attachments.0': { $exists: true } })
+    .select('attachments')
+    .setOptions({ withDeleted: true })
+    .exec();
+  const keys = expenses.flatMap((expense) => expense.attachments.map((attachment) => attachment.key));
+
+  const results = await Promise.allSettled(keys.map((key) => getStorage().delete(key)));
+  for (const result of results) {
+    if (result.status === 'rejected') console.error('Attachment cleanup error:', result.reason);
+  }
+};
@@ -0,0 +1,45 @@
+import AuditEvent from '../models/auditEvent.js';
+
+// A document as the audit log keeps it: its JSON form (which leaves out secrets such as
+// password hashes) with references as plain IDs
+export const auditSnapshot = (doc) => {
+  if (!doc) return null;
+  const json = typeof doc.toJSON === 'function' ? doc.toJSON({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(json));
+};
+
+// Fields that differ between two snapshots, as { field: { before, after } }
+export const diffSnapshots = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    if (field === 'id') continue;
+    const from = before && field in before ? before[field] : null;
+    const to = after && field in after ? after[field] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { before: from, after: to };
+  }
+  return changes;
+};
+
+// Append events for what this request changed. Each event is
+//   { action, target: { type, id }, before, after, details, actor }
+// where before/after are documents or snapshots (diffed into changes), details holds
+// anything else, and actor defaults to req.user (pass it where nobody is logged in yet).
+// The change has already happened, so a failure to record it is logged, not thrown.
+export const recordAudit = async (req, ...events) => {
+  try {
+    await AuditEvent.insertMany(events.map(({ action, target, before = null, after = null, details = {}, actor = req.user }) => ({
+      actor: actor ? actor._id : null,
+      actorEmail: actor ? actor.email : null,
+      via: actor ? (req.apiToken ? 'api-token' : 'session') : null,
+      action,
+      target: { type: target.type, id: target.id == null ? null : String(target.id) },
+      changes: diffSnapshots(auditSnapshot(before), auditSnapshot(after)),
+      details,
+      ip: req.ip || null,
+      requestId: req.id || null,
+    })));
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
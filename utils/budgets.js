@@ -0,0 +1,121 @@
+import Budget from '../models/budget.js';
+import Expense from '../models/expense.js';
+import User from '../models/user.js';
+import { categoryFilter, categoryLineStages, hasSplits, splitAmountFor } from './splits.js';
+import { baseAmountStages, withBaseAmounts } from './exchange.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The [start, end) window of the budget period containing `at` (UTC).
+// Weekly budgets run Monday to Sunday; custom budgets include their whole end day.
+export const getPeriodRange = (budget, at = new Date()) => {
+  if (budget.period === 'custom') {
+    const end = new Date(budget.endDate);
+    end.setUTCHours(0, 0, 0, 0);
+    return { start: new Date(budget.startDate), end: new Date(end.getTime() + DAY_MS) };
+  }
+
+  if (budget.period === 'weekly') {
+    const start = new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), at.getUTCDate()));
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+    return { start, end: new Date(start.getTime() + 7 * DAY_MS) };
+  }
+
+  // monthly
+  return {
+    start: new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), 1)),
+    end: new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth() + 1, 1)),
+  };
+};
+
+// Total spent against a budget in the given period, in baseCurrency (the owner's, which budgets
+// are set in), and how many expenses had no exchange rate to convert them with. Budgets are
+// personal, so expenses the user recorded in a ledger don't count. Category budgets only count
+// the part of a split expense filed under their category.
+const sumSpent = async (budget, { start, end }, baseCurrency) => {
+  const match = { user: budget.user, ledger: null, date: { $gte: start, $lt: end } };
+  const pipeline = [{ $match: match }];
+  if (budget.category) {
+    const category = budget.category._id || budget.category;
+    Object.assign(match, categoryFilter([category]));
+    pipeline.push(...categoryLineStages(), { $match: { category } });
+  }
+
+  const [result] = await Expense.aggregate([
+    ...pipeline,
+    ...baseAmountStages(baseCurrency),
+    {
+      $group: {
+        _id: null,
+        total: { $sum: '$baseAmount' },
+        unconverted: { $sum: { $cond: [{ $eq: ['$baseAmount', null] }, 1, 0] } },
+      },
+    },
+  ]).exec();
+
+  return { spent: result?.total || 0, unconverted: result?.unconverted || 0 };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Spent, remaining and percent used for the budget period containing `at`. Amounts are in
+// baseCurrency, the budget owner's base currency.
+export const computeBudgetStatus = async (budget, at, baseCurrency) => {
+  const range = getPeriodRange(budget, at);
+  const { spent, unconverted } = await sumSpent(budget, range, baseCurrency);
+  const percentUsed = budget.amount > 0 ? round((spent / budget.amount) * 100) : 0;
+
+  return {
+    budget,
+    periodStart: range.start,
+    periodEnd: range.end,
+    currency: baseCurrency,
+    limit: budget.amount,
+    spent: round(spent),
+    unconvertedExpenses: unconverted,
+    remaining: round(budget.amount - spent),
+    percentUsed,
+    overThreshold: percentUsed >= budget.threshold,
+    overBudget: spent > budget.amount,
+  };
+};
+
+// Warnings for budgets that a newly created expense has just pushed over their threshold
+export const budgetWarningsForExpense = async (expense) => {
+  if (expense.ledger) return [];
+  const categories = hasSplits(expense) ? expense.splits.map((split) => split.category) : [expense.category];
+  const budgets = await Budget.find({
+    user: expense.user,
+    $or: [{ category: null }, { category: { $in: categories } }],
+  }).populate('category', 'name').exec();
+  if (budgets.length === 0) return [];
+
+  // The expense counts towards budgets in the owner's base currency
+  const { baseCurrency } = await User.findById(expense.user).select('baseCurrency').exec();
+  const [{ baseAmount }] = await withBaseAmounts([expense], baseCurrency);
+  const rate = baseAmount === null || expense.amount === 0 ? 0 : baseAmount / expense.amount;
+
+  const warnings = [];
+  for (const budget of budgets) {
+    const range = getPeriodRange(budget, expense.date);
+    if (expense.date < range.start || expense.date >= range.end) continue;
+
+    const status = await computeBudgetStatus(budget, expense.date, baseCurrency);
+    const added = (budget.category ? splitAmountFor(expense, budget.category._id) : expense.amount) * rate;
+    const percentBefore = budget.amount > 0 ? ((status.spent - added) / budget.amount) * 100 : 0;
+    if (status.overThreshold && percentBefore < budget.threshold) {
+      const scope = budget.category ? `'${budget.category.name}' budget` : 'overall budget';
+      warnings.push({
+        budgetId: budget._id.toString(),
+        category: budget.category ? budget.category.name : null,
+        limit: status.limit,
+        spent: status.spent,
+        percentUsed: status.percentUsed,
+        message: `This expense brings your ${budget.period} ${scope} to ${status.percentUsed}% of its limit`,
+      });
+    }
+  }
+
+  return warnings;
+};
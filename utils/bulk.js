@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import { BAD_REQUEST, HttpError, NOT_IMPLEMENTED } from './HttpError.js';
+
+// Bulk operations (POST /api/expenses/bulk)
+export const BULK_ACTIONS = ['create', 'update', 'delete', 'recategorize'];
+export const MAX_BULK_ITEMS = 500;
+
+// Error code MongoDB answers transactions with on a standalone server
+const ILLEGAL_OPERATION = 20;
+
+// Thrown to roll back a transaction in which some item failed
+class BulkAborted extends Error {}
+
+// Run operation on each item in turn and collect a result per item:
+//   { index, id?, status, data } or { index, id?, status, error }
+// An HttpError, or a document Mongoose refuses to save or cast, fails only its own item;
+// any other error fails the whole request.
+const itemError = (error) => {
+  if (error instanceof HttpError) return error;
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    return new HttpError(BAD_REQUEST, error.message);
+  }
+  return null;
+};
+
+export const runBulk = async (items, operation) => {
+  const results = [];
+  for (const [index, item] of items.entries()) {
+    const id = item.id;
+    try {
+      const { status, data } = await operation(item);
+      results.push({ index, ...(id && { id }), status, data });
+    } catch (error) {
+      const failure = itemError(error);
+      if (!failure) throw error;
+      results.push({ index, ...(id && { id }), status: failure.status, error: failure.message });
+    }
+  }
+  return results;
+};
+
+// Like runBulk, but in a MongoDB transaction that is rolled back unless every item succeeds.
+// Resolves to { committed, results }. Transactions need a replica set (or mongos).
+// The single-item code paths join the transaction through Mongoose's
+// transactionAsyncLocalStorage option, which index.js turns on.
+export const runBulkAtomically = async (items, operation) => {
+  let results = [];
+  try {
+    await mongoose.connection.transaction(async () => {
+      results = await runBulk(items, operation);
+      if (results.some((result) => result.error)) throw new BulkAborted();
+    });
+  } catch (error) {
+    if (error instanceof BulkAborted) return { committed: false, results };
+    if (error.code === ILLEGAL_OPERATION) {
+      throw new HttpError(NOT_IMPLEMENTED, 'All-or-nothing mode needs MongoDB to run as a replica set');
+    }
+    throw error;
+  }
+  return { committed: true, results };
+};
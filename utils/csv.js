@@ -0,0 +1,62 @@
+// Minimal RFC 4180 CSV handling: quoted fields, escaped quotes ("") and line breaks inside quotes
+
+export const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+// Guess the delimiter from the header line: whichever candidate appears most often outside quotes
+export const detectDelimiter = (text) => {
+  const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  let best = ',';
+  let bestCount = 0;
+  for (const delimiter of CSV_DELIMITERS) {
+    const count = header.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+};
+
+// Parse CSV text into an array of records (arrays of strings). Blank lines are dropped.
+export const parseCsv = (text, { delimiter = detectDelimiter(text) } = {}) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0].trim() !== '') records.push(record);
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) endRecord();
+  return records;
+};
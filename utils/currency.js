@@ -0,0 +1,8 @@
+// Exchange rates are stored against this currency
+export const REFERENCE_CURRENCY = 'EUR';
+export const DEFAULT_CURRENCY = 'EUR';
+
+// ISO 4217 codes known to the runtime's ICU data
+const ISO_4217 = new Set(Intl.supportedValuesOf('currency'));
+
+export const isCurrencyCode = (value) => typeof value === 'string' && ISO_4217.has(value.toUpperCase());
@@ -0,0 +1,31 @@
+import crypto from 'node:crypto';
+import { auditSnapshot } from './audit.js';
+import { HttpError, PRECONDITION_FAILED } from './HttpError.js';
+
+// Strong ETag of a document's current state, the same whether or not references are populated
+export const etagOf = (doc) => {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(auditSnapshot(doc))).digest('base64url');
+  return `"${hash.slice(0, 27)}"`;
+};
+
+// Optimistic concurrency for updates. Throws 412 when the request's If-Match header doesn't
+// name doc's current ETag, and returns the filter to update doc with: with If-Match it also
+// requires doc to be unchanged since it was read, so an update returning nothing means another
+// write got in between. Without the header, updates go through as before.
+export const ifMatchFilter = (req, doc) => {
+  const header = req.get('If-Match');
+  if (!header) return { _id: doc._id };
+
+  // Weak tags never match: If-Match uses strong comparison
+  const tags = header.split(',').map((tag) => tag.trim());
+  if (!tags.includes('*') && !tags.includes(etagOf(doc))) {
+    throw new HttpError(PRECONDITION_FAILED, 'The resource has changed since it was fetched');
+  }
+  return { _id: doc._id, updatedAt: doc.updatedAt };
+};
+
+// For an update made with ifMatchFilter's filter: null means the precondition failed after all
+export const assertUpdated = (doc) => {
+  if (!doc) throw new HttpError(PRECONDITION_FAILED, 'The resource has changed since it was fetched');
+  return doc;
+};
@@ -0,0 +1,68 @@
+import ExchangeRate from '../models/exchangeRate.js';
+import Expense from '../models/expense.js';
+import { REFERENCE_CURRENCY } from './currency.js';
+
+// Aggregation stage that looks up the latest rate for a currency on or before the document's date
+const rateLookup = (currency, as) => ({
+  $lookup: {
+    from: ExchangeRate.collection.name,
+    let: { currency, date: '$date' },
+    pipeline: [
+      { $match: { $expr: { $and: [{ $eq: ['$currency', '$$currency'] }, { $lte: ['$date', '$$date'] }] } } },
+      { $sort: { date: -1 } },
+      { $limit: 1 },
+    ],
+    as,
+  },
+});
+
+// Rate of a currency against the reference currency, from a rateLookup result
+const rateFrom = (currency, field) => ({
+  $cond: [{ $eq: [currency, REFERENCE_CURRENCY] }, 1, { $arrayElemAt: [`$${field}.rate`, 0] }],
+});
+
+// Aggregation stages that add `baseAmount`: the document's amount converted into
+// baseCurrency at the rate of its date. baseAmount is null when a rate is missing,
+// so $sum and $avg skip it.
+export const baseAmountStages = (baseCurrency) => [
+  rateLookup('$currency', '_fromRate'),
+  rateLookup(baseCurrency, '_toRate'),
+  {
+    $addFields: {
+      baseAmount: {
+        $cond: [
+          { $eq: ['$currency', baseCurrency] },
+          '$amount',
+          {
+            $multiply: [
+              { $divide: ['$amount', rateFrom('$currency', '_fromRate')] },
+              rateFrom(baseCurrency, '_toRate'),
+            ],
+          },
+        ],
+      },
+    },
+  },
+  { $project: { _fromRate: 0, _toRate: 0 } },
+];
+
+const round = (value) => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+
+// Serialize expenses with their original amount and currency alongside the
+// amount converted into baseCurrency
+export const withBaseAmounts = async (expenses, baseCurrency) => {
+  if (expenses.length === 0) return [];
+
+  const converted = await Expense.aggregate([
+    { $match: { _id: { $in: expenses.map((expense) => expense._id) } } },
+    ...baseAmountStages(baseCurrency),
+    { $project: { baseAmount: 1 } },
+  ]).exec();
+  const byId = new Map(converted.map((row) => [row._id.toString(), row.baseAmount]));
+
+  return expenses.map((expense) => ({
+    ...expense.toJSON(),
+    baseAmount: round(byId.get(expense._id.toString())),
+    baseCurrency,
+  }));
+};
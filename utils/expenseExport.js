@@ -0,0 +1,183 @@
+import Expense from '../models/expense.js';
+import { HttpError, BAD_REQUEST } from './HttpError.js';
+
+export const EXPORT_FORMATS = ['csv', 'jsonl', 'ofx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8',
+  ofx: 'application/x-ofx; charset=utf-8',
+};
+
+// Documents fetched from Mongo per round trip while streaming
+const EXPORT_BATCH_SIZE = 500;
+
+// CSV
+
+// The first columns match what POST /expenses/import reads, so an export can be re-imported
+const CSV_COLUMNS = [
+  ['id', (expense) => expense.id],
+  ['date', (expense) => expense.date?.toISOString()],
+  ['amount', (expense) => expense.amount],
+  ['currency', (expense) => expense.currency],
+  ['category', (expense) => expense.category?.name],
+  ['description', (expense) => expense.description],
+  ['note', (expense) => expense.note],
+];
+const CSV_USER_COLUMNS = [
+  ['userName', (expense) => expense.user?.name],
+  ['userEmail', (expense) => expense.user?.email],
+];
+
+export const csvField = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  // Stop spreadsheets from evaluating user-entered text as a formula
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvFormatter = ({ withUser }) => {
+  const columns = withUser ? [...CSV_COLUMNS, ...CSV_USER_COLUMNS] : CSV_COLUMNS;
+  const line = (values) => `${values.map(csvField).join(',')}\r\n`;
+  return {
+    header: () => line(columns.map(([name]) => name)),
+    row: (expense) => line(columns.map(([, value]) => value(expense))),
+    footer: () => '',
+  };
+};
+
+// JSON Lines: one expense per line, in the same shape as the JSON API
+
+const jsonlFormatter = () => ({
+  header: () => '',
+  row: (expense) => `${JSON.stringify(expense)}\n`,
+  footer: () => '',
+});
+
+// OFX 2.2 bank statement, with each expense as a debit
+
+const ofxDate = (date) => `${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}[0:GMT]`;
+
+const ofxText = (value, maxLength) => String(value ?? '')
+  .slice(0, maxLength)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const ofxFormatter = ({ statement }) => ({
+  header: () => [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS>',
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    `<DTSERVER>${ofxDate(new Date())}</DTSERVER><LANGUAGE>ENG</LANGUAGE>`,
+    '</SONRS></SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1><STMTTRNRS>',
+    '<TRNUID>0</TRNUID><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    '<STMTRS>',
+    `<CURDEF>${statement.currency}</CURDEF>`,
+    `<BANKACCTFROM><BANKID>EXPENSETRACKER</BANKID><ACCTID>${statement.accountId}</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>`,
+    '<BANKTRANLIST>',
+    `<DTSTART>${ofxDate(statement.from)}</DTSTART><DTEND>${ofxDate(statement.to)}</DTEND>`,
+    '',
+  ].join('\n'),
+  row: (expense) => [
+    '<STMTTRN>',
+    '<TRNTYPE>DEBIT</TRNTYPE>',
+    `<DTPOSTED>${ofxDate(expense.date)}</DTPOSTED>`,
+    `<TRNAMT>${(-expense.amount).toFixed(2)}</TRNAMT>`,
+    `<FITID>${expense.id}</FITID>`,
+    `<NAME>${ofxText(expense.category?.name || 'Expense', 32)}</NAME>`,
+    ...(expense.description || expense.note ? [`<MEMO>${ofxText(expense.description || expense.note, 255)}</MEMO>`] : []),
+    '</STMTTRN>',
+    '',
+  ].join('\n'),
+  footer: () => [
+    '</BANKTRANLIST>',
+    `<LEDGERBAL><BALAMT>${(-statement.total).toFixed(2)}</BALAMT><DTASOF>${ofxDate(statement.to)}</DTASOF></LEDGERBAL>`,
+    '</STMTRS>',
+    '</STMTTRNRS></BANKMSGSRSV1>',
+    '</OFX>',
+    '',
+  ].join('\n'),
+});
+
+const FORMATTERS = { csv: csvFormatter, jsonl: jsonlFormatter, ofx: ofxFormatter };
+
+// Formatter for one export format: header(), row(expense) and footer() each return a chunk of text
+export const createExportFormatter = (format, options = {}) => FORMATTERS[format](options);
+
+// An OFX statement declares its currency and date range before the transactions,
+// so work those out up front. A statement has a single currency.
+const ofxStatement = async (filter, { accountId, defaultCurrency }) => {
+  const [range] = await Expense.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: null,
+        from: { $min: '$date' },
+        to: { $max: '$date' },
+        total: { $sum: '$amount' },
+        currencies: { $addToSet: '$currency' },
+      },
+    },
+  ]).exec();
+
+  if (range && range.currencies.length > 1) {
+    throw new HttpError(BAD_REQUEST, 'OFX export needs expenses in a single currency; filter them with ?currency=');
+  }
+
+  const now = new Date();
+  return {
+    accountId,
+    currency: range ? range.currencies[0] : defaultCurrency,
+    from: range ? range.from : now,
+    to: range ? range.to : now,
+    total: range ? range.total : 0,
+  };
+};
+
+// Resolve once the response can take more data (or the client has gone away)
+const drained = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// Send every expense matching filter as a file download, oldest first. Expenses are read
+// with a Mongoose cursor and written as they arrive, waiting whenever the socket is
+// backed up, so memory use stays flat however many expenses match.
+export const sendExpenseExport = async (res, { filter, format, filename, withUser = false, accountId, defaultCurrency }) => {
+  const options = { withUser };
+  if (format === 'ofx') options.statement = await ofxStatement(filter, { accountId, defaultCurrency });
+  const formatter = createExportFormatter(format, options);
+
+  let query = Expense.find(filter).sort({ date: 1, _id: 1 }).populate('category', 'name');
+  if (withUser) query = query.populate('user', 'name email');
+  const cursor = query.cursor({ batchSize: EXPORT_BATCH_SIZE });
+
+  res.attachment(`${filename}.${format}`);
+  res.set('Content-Type', CONTENT_TYPES[format]);
+
+  try {
+    res.write(formatter.header());
+    for await (const expense of cursor) {
+      if (res.destroyed) break;
+      if (!res.write(formatter.row(expense))) await drained(res);
+    }
+    res.end(formatter.footer());
+  } catch (error) {
+    // Once the download has started the status can't change, so cut the response short
+    if (!res.headersSent) throw error;
+    console.error('Export error:', error);
+    res.destroy(error);
+  } finally {
+    await cursor.close();
+  }
+};
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import { categoryFilter } from './splits.js';
+
+// Query params that narrow an expense list. Shared by the user, category and admin routes.
+export const EXPENSE_FILTER_PARAMS = ['from', 'to', 'minAmount', 'maxAmount', 'currency', 'categoryId', 'q'];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Multi-value params may be repeated (?categoryId=a&categoryId=b) or comma separated (?categoryId=a,b)
+export const toList = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap((item) => String(item).split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
+// Build a Mongo filter from (validated) query params. Values are cast here rather
+// than left to Mongoose, so the same filter also works as an aggregation $match.
+export const buildExpenseFilter = (query, base = {}) => {
+  const filter = { ...base };
+
+  if (query.from || query.to) {
+    filter.date = {};
+    if (query.from) filter.date.$gte = new Date(query.from);
+    if (query.to) {
+      // A plain calendar date includes the whole of that day
+      if (DATE_ONLY.test(query.to)) {
+        const end = new Date(query.to);
+        end.setUTCDate(end.getUTCDate() + 1);
+        filter.date.$lt = end;
+      } else {
+        filter.date.$lte = new Date(query.to);
+      }
+    }
+  }
+
+  if (query.minAmount !== undefined || query.maxAmount !== undefined) {
+    filter.amount = {};
+    if (query.minAmount !== undefined) filter.amount.$gte = Number(query.minAmount);
+    if (query.maxAmount !== undefined) filter.amount.$lte = Number(query.maxAmount);
+  }
+
+  if (query.currency) {
+    const currencies = toList(query.currency).map((code) => code.toUpperCase());
+    filter.currency = currencies.length === 1 ? currencies[0] : { $in: currencies };
+  }
+
+  if (query.categoryId) {
+    const categoryIds = toList(query.categoryId).map((id) => new mongoose.Types.ObjectId(id));
+    // Split expenses match any of their split categories
+    Object.assign(filter, categoryFilter(categoryIds));
+  }
+
+  if (query.userId) {
+    filter.user = new mongoose.Types.ObjectId(query.userId);
+  }
+
+  // Full-text search over note and description (uses the Expense text index)
+  if (query.q) {
+    filter.$text = { $search: query.q };
+  }
+
+  return filter;
+};
+
+// Echo the filters that were applied, for report responses
+export const appliedExpenseFilters = (query) => {
+  const applied = {};
+  for (const param of [...EXPENSE_FILTER_PARAMS, 'userId']) {
+    if (query[param] !== undefined) applied[param] = query[param];
+  }
+  return applied;
+};
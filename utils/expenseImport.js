@@ -0,0 +1,137 @@
+import Category from '../models/category.js';
+import { parseCsv } from './csv.js';
+
+// Expense fields that can be read from a CSV column. By default each is read from
+// the column with the same header; ?<field>Column=<header> maps it to another one.
+export const IMPORT_FIELDS = ['date', 'amount', 'description', 'category', 'currency'];
+const REQUIRED_IMPORT_FIELDS = ['amount', 'category'];
+
+export const MAX_IMPORT_ROWS = 5000;
+
+const DATE_TOKENS = ['D', 'DD', 'M', 'MM', 'YY', 'YYYY'];
+
+// A date format such as DD.MM.YYYY or MM/DD/YY: day, month and year once each, one separator
+export const isDateFormat = (format) => {
+  if (typeof format !== 'string') return false;
+  const separators = format.match(/[./-]/g);
+  if (!separators || separators.length !== 2 || separators[0] !== separators[1]) return false;
+
+  const tokens = format.split(separators[0]);
+  return tokens.every((token) => DATE_TOKENS.includes(token))
+    && ['D', 'M', 'Y'].every((letter) => tokens.filter((token) => token[0] === letter).length === 1);
+};
+
+// Turn a date written in the given format into an ISO date (YYYY-MM-DD).
+// Values that do not match the format are returned unchanged, so validation reports them.
+export const parseLocaleDate = (value, format) => {
+  if (!format) return value;
+
+  const tokens = format.split(/[./-]/);
+  const parts = value.split(/[./-]/);
+  if (parts.length !== tokens.length || !parts.every((part) => /^\d{1,4}$/.test(part))) return value;
+
+  const date = {};
+  tokens.forEach((token, i) => {
+    date[token[0]] = Number(parts[i]);
+  });
+  if (tokens.includes('YY')) date.Y += 2000;
+
+  // Date.UTC rolls 31.02 over into March, so compare the result with what was written
+  const parsed = new Date(Date.UTC(date.Y, date.M - 1, date.D));
+  if (parsed.getUTCFullYear() !== date.Y || parsed.getUTCMonth() !== date.M - 1 || parsed.getUTCDate() !== date.D) {
+    return value;
+  }
+  return parsed.toISOString().slice(0, 10);
+};
+
+// Amounts whose other separator isn't a valid thousands separator, by decimal separator
+const GROUPED_AMOUNTS = {
+  '.': /^\d{1,3}(,\d{3})*(\.\d+)?$/,
+  ',': /^\d{1,3}(\.\d{3})*(,\d+)?$/,
+};
+
+// Normalize an amount written with the given decimal separator ('.' or ',') to a plain
+// number string. Spaces and the other separator are treated as thousands separators. The
+// other separator has to group digits in threes, or '12,50' would become 1250: such
+// amounts give null.
+export const parseLocaleAmount = (value, decimal = '.') => {
+  const compact = value.replace(/[\s']/g, '');
+  const group = decimal === ',' ? '.' : ',';
+  if (compact.includes(group) && !GROUPED_AMOUNTS[decimal].test(compact)) return null;
+  if (decimal === ',') return compact.replace(/\./g, '').replace(',', '.');
+  return compact.replace(/,/g, '');
+};
+
+// Find the column index of every import field in the header row.
+// Returns { columns } or { error } when a mapped or required column is missing.
+export const mapImportColumns = (header, mapping = {}) => {
+  const headings = header.map((heading) => heading.trim().toLowerCase());
+  const columns = {};
+
+  for (const field of IMPORT_FIELDS) {
+    const name = mapping[field] || field;
+    const index = headings.indexOf(name.trim().toLowerCase());
+
+    if (index === -1) {
+      if (mapping[field]) return { error: `Column '${mapping[field]}' mapped to '${field}' was not found in the CSV header` };
+      if (REQUIRED_IMPORT_FIELDS.includes(field)) return { error: `CSV is missing a '${field}' column` };
+      continue;
+    }
+    columns[field] = index;
+  }
+  return { columns };
+};
+
+// Parse a CSV body into rows of expense fields, ready to be validated.
+// Row numbers count the header as row 1, matching what a spreadsheet shows.
+export const readImportRows = (text, { mapping, delimiter, decimal, dateFormat, currency } = {}) => {
+  const [header, ...records] = parseCsv(text, delimiter ? { delimiter } : undefined);
+  if (!header || records.length === 0) {
+    return { error: 'CSV must contain a header row and at least one expense' };
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `CSV may contain at most ${MAX_IMPORT_ROWS} expenses` };
+  }
+
+  const { columns, error } = mapImportColumns(header, mapping);
+  if (error) return { error };
+
+  const rows = records.map((record, i) => {
+    const cell = (field) => {
+      const value = columns[field] === undefined ? undefined : record[columns[field]]?.trim();
+      return value === '' ? undefined : value;
+    };
+
+    const values = {
+      category: cell('category'),
+      amount: cell('amount') && parseLocaleAmount(cell('amount'), decimal),
+      currency: cell('currency') || currency,
+      date: cell('date') && parseLocaleDate(cell('date'), dateFormat),
+      description: cell('description'),
+    };
+    return { row: i + 2, values };
+  });
+  return { rows };
+};
+
+// Match category names (case-insensitively) against the categories the user can use,
+// preferring the user's own over a global one with the same name.
+// Returns the matches and the names that would have to be created.
+export const matchImportCategories = async (names, user) => {
+  const categories = await Category.find(Category.visibleTo(user)).exec();
+
+  const byName = new Map();
+  for (const category of categories) {
+    const key = category.name.toLowerCase();
+    if (!byName.has(key) || category.user.toString() === user._id.toString()) {
+      byName.set(key, category);
+    }
+  }
+
+  const missing = new Map();
+  for (const name of names) {
+    const key = name.toLowerCase();
+    if (!byName.has(key) && !missing.has(key)) missing.set(key, name);
+  }
+  return { byName, missing: [...missing.values()] };
+};
@@ -0,0 +1,45 @@
+import { applyMergePatch } from './mergePatch.js';
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+// An expense as the body of a PUT that would leave it unchanged. PATCH applies merge patches
+// to this, so patches use the same field names as PUT (categoryId, splits[].categoryId, ...).
+export const expenseBody = (expense) => {
+  const body = {
+    categoryId: idOf(expense.category),
+    amount: expense.amount,
+    currency: expense.currency,
+    date: expense.date.toISOString(),
+  };
+  if (expense.note != null) body.note = expense.note;
+  if (expense.description != null) body.description = expense.description;
+  if (expense.splits.length > 0) {
+    body.splits = expense.splits.map((split) => ({
+      categoryId: idOf(split.category),
+      amount: split.amount,
+      ...(split.note != null && { note: split.note }),
+    }));
+  }
+  if (expense.sharing) {
+    body.sharing = {
+      paidBy: idOf(expense.sharing.paidBy),
+      method: expense.sharing.method,
+      participants: expense.sharing.participants.map((participant) => ({
+        userId: idOf(participant.user),
+        ...(participant.value != null && { value: participant.value }),
+      })),
+    };
+  }
+  return body;
+};
+
+// note and description are aliases: like PUT, setting one sets both
+export const aliasExpensePatch = (patch) => {
+  const aliased = { ...patch };
+  if ('note' in patch && !('description' in patch)) aliased.description = patch.note;
+  if ('description' in patch && !('note' in patch)) aliased.note = patch.description;
+  return aliased;
+};
+
+// Apply a merge patch to an expense and return the result as a PUT body (see expenseBody)
+export const patchExpenseBody = (expense, patch) => applyMergePatch(expenseBody(expense), aliasExpensePatch(patch));
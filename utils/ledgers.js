@@ -0,0 +1,33 @@
+import Ledger from '../models/ledger.js';
+import Expense from '../models/expense.js';
+import Category from '../models/category.js';
+import { removeExpenseAttachments } from './attachments.js';
+import { removeExpenseRevisions } from './revisions.js';
+
+// Take a user who is deleting their account out of every ledger. Expenses and categories they
+// added to a shared ledger stay there. A ledger left without members is deleted along with
+// its expenses and categories; one left without an owner passes to its longest-standing member.
+export const leaveAllLedgers = async (userId) => {
+  const ledgers = await Ledger.find({ 'members.user': userId }).exec();
+
+  for (const ledger of ledgers) {
+    ledger.members = ledger.members.filter((m) => m.user.toString() !== userId.toString());
+
+    if (ledger.members.length === 0) {
+      await removeExpenseAttachments({ ledger: ledger._id });
+      await removeExpenseRevisions({ ledger: ledger._id });
+      await Promise.all([
+        Expense.deleteMany({ ledger: ledger._id }),
+        Category.deleteMany({ ledger: ledger._id }),
+        Ledger.findByIdAndDelete(ledger._id),
+      ]);
+      continue;
+    }
+
+    if (ledger.ownerCount() === 0) {
+      const [successor] = [...ledger.members].sort((a, b) => a.joinedAt - b.joinedAt);
+      successor.role = 'owner';
+    }
+    await ledger.save();
+  }
+};
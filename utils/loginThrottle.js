@@ -0,0 +1,125 @@
+import LoginAttempt from '../models/loginAttempt.js';
+
+// Failed logins are counted per account (by email) and per IP address. After a few free
+// attempts each failure locks the key for twice as long as the last one, and past
+// lockoutAfter failures it is locked for the full lockout. A successful login clears the
+// account's count; an admin can clear it too. Failures are forgotten after FAILURE_WINDOW.
+export const LOGIN_THROTTLE_POLICIES = {
+  account: { freeAttempts: 3, lockoutAfter: 10, lockoutDuration: 15 * 60 * 1000 },
+  // Higher, since many people can share an address
+  ip: { freeAttempts: 10, lockoutAfter: 50, lockoutDuration: 15 * 60 * 1000 },
+};
+
+export const FAILURE_WINDOW = 60 * 60 * 1000;
+
+// Where the counters live. Any object with these methods can be plugged in with
+// setLoginThrottleStore():
+//   get(key)                  resolve to { failures, lockedUntil } or null
+//   recordFailure(key, now)   add a failure, (re)starting FAILURE_WINDOW; resolve to the new count
+//   lock(key, until)          set lockedUntil
+//   reset(key)                forget the key
+// LOGIN_THROTTLE_STORE chooses a built-in one: 'mongo' (default, shared by all instances)
+// or 'memory' (one process only, e.g. tests).
+
+export const createMemoryStore = () => {
+  const records = new Map();
+  const current = (key, now = Date.now()) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= now) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  return {
+    async get(key) {
+      const record = current(key);
+      return record && { failures: record.failures, lockedUntil: record.lockedUntil };
+    },
+    async recordFailure(key, now = Date.now()) {
+      const record = current(key, now) || { failures: 0, lockedUntil: null };
+      record.failures += 1;
+      record.expiresAt = now + FAILURE_WINDOW;
+      records.set(key, record);
+      return record.failures;
+    },
+    async lock(key, until) {
+      const record = current(key);
+      if (record) record.lockedUntil = until;
+    },
+    async reset(key) {
+      records.delete(key);
+    },
+  };
+};
+
+export const createMongoStore = () => ({
+  async get(key) {
+    return LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean().exec();
+  },
+  async recordFailure(key, now = Date.now()) {
+    // One atomic update, starting over if the record has expired but the TTL monitor
+    // hasn't removed it yet
+    const record = await LoginAttempt.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          failures: { $cond: [{ $gt: ['$expiresAt', new Date(now)] }, { $add: ['$failures', 1] }, 1] },
+          lockedUntil: { $cond: [{ $gt: ['$expiresAt', new Date(now)] }, '$lockedUntil', null] },
+          expiresAt: new Date(now + FAILURE_WINDOW),
+        },
+      }],
+      { upsert: true, new: true }
+    ).exec();
+    return record.failures;
+  },
+  async lock(key, until) {
+    await LoginAttempt.updateOne({ key }, { lockedUntil: until }).exec();
+  },
+  async reset(key) {
+    await LoginAttempt.deleteOne({ key }).exec();
+  },
+});
+
+let store = process.env.LOGIN_THROTTLE_STORE === 'memory' ? createMemoryStore() : createMongoStore();
+
+export const getLoginThrottleStore = () => store;
+
+export const setLoginThrottleStore = (newStore) => {
+  store = newStore;
+};
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const loginKeys = ({ email, ip }) => [
+  [accountKey(email), LOGIN_THROTTLE_POLICIES.account],
+  [ipKey(ip), LOGIN_THROTTLE_POLICIES.ip],
+];
+
+// How long a key is locked after its nth failure
+export const lockDuration = (failures, policy) => {
+  if (failures >= policy.lockoutAfter) return policy.lockoutDuration;
+  if (failures <= policy.freeAttempts) return 0;
+  return Math.min(1000 * 2 ** (failures - policy.freeAttempts - 1), policy.lockoutDuration);
+};
+
+// Milliseconds until a login for this email from this IP may be tried (0 if it may now)
+export const loginWait = async (attempt, now = Date.now()) => {
+  const records = await Promise.all(loginKeys(attempt).map(([key]) => store.get(key)));
+  return Math.max(0, ...records.map((record) =>
+    (record && record.lockedUntil ? new Date(record.lockedUntil).getTime() - now : 0)));
+};
+
+export const recordLoginFailure = async (attempt, now = Date.now()) => {
+  await Promise.all(loginKeys(attempt).map(async ([key, policy]) => {
+    const duration = lockDuration(await store.recordFailure(key, now), policy);
+    if (duration > 0) await store.lock(key, new Date(now + duration));
+  }));
+};
+
+// Forget the failed logins for an account, after a successful login or when an admin unlocks it
+export const clearLoginFailures = async (email) => {
+  await store.reset(accountKey(email));
+};
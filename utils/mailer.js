@@ -0,0 +1,49 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+// Outgoing email. Any object with this method can be plugged in with setMailer()
+// (e.g. an SMTP or API client):
+//   send({ to, subject, text })  deliver one plain-text message
+// The built-in transports don't deliver anything, so the app works offline and in tests.
+// MAIL_TRANSPORT chooses one: 'console' (default) or 'file'.
+
+const DEFAULT_MAIL_DIR = 'mail';
+
+export const mailFrom = () => process.env.MAIL_FROM || 'Expense Tracker <no-reply@localhost>';
+
+// Prints each message to the server log
+export const createConsoleTransport = (log = console.log) => ({
+  async send({ to, subject, text }) {
+    log(`[mail] To: ${to}\n[mail] Subject: ${subject}\n${text}`);
+  },
+});
+
+// Writes each message as a .eml file below dir, for inspection in development
+export const createFileTransport = (dir) => ({
+  async send({ to, subject, text }) {
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomUUID()}.eml`;
+    const message = [`From: ${mailFrom()}`, `To: ${to}`, `Subject: ${subject}`, '', text, ''].join('\r\n');
+    await fs.writeFile(path.join(dir, name), message);
+  },
+});
+
+const createDefaultMailer = () => (process.env.MAIL_TRANSPORT === 'file'
+  ? createFileTransport(process.env.MAIL_DIR || DEFAULT_MAIL_DIR)
+  : createConsoleTransport());
+
+let mailer = createDefaultMailer();
+
+export const getMailer = () => mailer;
+
+export const setMailer = (transport) => {
+  mailer = transport;
+};
+
+// Link to a page of the client app, e.g. appUrl('/reset-password', { token })
+export const appUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.APP_URL || 'http://localhost:3001');
+  for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+  return url.toString();
+};
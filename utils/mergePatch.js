@@ -0,0 +1,28 @@
+// JSON Merge Patch (RFC 7396), the body format of the PATCH routes
+export const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Apply patch to target without changing either: objects are merged recursively, null removes
+// a field, and anything else (arrays included) replaces the field as a whole
+export const applyMergePatch = (target, patch) => {
+  if (!isObject(patch)) return patch;
+
+  const result = isObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+};
+
+// The part of a body schema that checks the fields in patch, nested rules (e.g. 'splits.*.amount')
+// included, plus the fields whose rules depend on a patched one (e.g. splits have to add up to
+// the amount). Fields the patch leaves alone aren't checked again.
+export const schemaForPatch = (schema, patch, dependencies = {}) => {
+  const fields = new Set(Object.keys(patch).flatMap((field) => [field, ...(dependencies[field] || [])]));
+  return Object.fromEntries(Object.entries(schema).filter(([key]) => fields.has(key.split('.')[0])));
+};
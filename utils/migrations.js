@@ -0,0 +1,77 @@
+import Expense from '../models/expense.js';
+import Category from '../models/category.js';
+import User from '../models/user.js';
+import mongoose from 'mongoose';
+import { SESSIONS_COLLECTION } from './sessions.js';
+
+const NAMESPACE_NOT_FOUND = 26;
+const INDEX_NOT_FOUND = 27;
+
+// Drop an index an older schema declared; resolves to 1 if it existed, 0 if not
+const dropLegacyIndex = async (model, name) => {
+  try {
+    await model.collection.dropIndex(name);
+    return 1;
+  } catch (error) {
+    if (error.code === NAMESPACE_NOT_FOUND || error.code === INDEX_NOT_FOUND) return 0;
+    throw error;
+  }
+};
+
+// Changes to data stored by earlier versions. Each migration is idempotent and resolves to
+// the number of documents it changed, so all of them run at every startup (see index.js).
+export const MIGRATIONS = [
+  {
+    // Expenses used to default to 'EURO', which isn't an ISO 4217 code
+    name: 'expense-currency-iso-code',
+    up: async () => {
+      const { modifiedCount } = await Expense.updateMany({ currency: 'EURO' }, { $set: { currency: 'EUR' } }).exec();
+      return modifiedCount;
+    },
+  },
+  {
+    // Category names used to be unique per user, then per user and ledger. Ledger categories
+    // can share a name with the user's own ones, and trashed ones don't block their name, so
+    // the old indexes have to go before the current one is built.
+    name: 'category-name-index',
+    up: async () => {
+      let dropped = 0;
+      for (const name of ['name_1_user_1', 'name_1_user_1_ledger_1']) {
+        dropped += await dropLegacyIndex(Category, name);
+      }
+      await Category.createIndexes();
+      return dropped;
+    },
+  },
+  {
+    // Categories from before visibility was stored were visible to everyone. Admin-owned ones
+    // (such as the seeded categories) stay shared as global; the rest become private.
+    name: 'category-visibility',
+    up: async () => {
+      const admins = await User.distinct('_id', { role: 'admin' }).exec();
+      const missing = { visibility: { $exists: false } };
+      const global = await Category.updateMany({ ...missing, user: { $in: admins } }, { $set: { visibility: 'global' } }).exec();
+      const owned = await Category.updateMany(missing, { $set: { visibility: 'private' } }).exec();
+      return global.modifiedCount + owned.modifiedCount;
+    },
+  },
+  {
+    // Sessions used to be stored as JSON strings, which can't be looked up by user to list or
+    // revoke them. Their users have to log in again.
+    name: 'legacy-string-sessions',
+    up: async () => {
+      const { deletedCount } = await mongoose.connection.db.collection(SESSIONS_COLLECTION).deleteMany({ session: { $type: 'string' } });
+      return deletedCount;
+    },
+  },
+];
+
+// Run every migration in order, logging the ones that changed something
+export const runMigrations = async () => {
+  const changed = {};
+  for (const { name, up } of MIGRATIONS) {
+    changed[name] = await up();
+    if (changed[name] > 0) console.log(`Migration ${name}: updated ${changed[name]} document(s)`);
+  }
+  return changed;
+};
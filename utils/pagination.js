@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+
+export const DEFAULT_PAGE_LIMIT = 50;
+export const MAX_PAGE_LIMIT = 100;
+
+// Sort fields each list endpoint allows. A leading '-' sorts descending.
+export const EXPENSE_PAGINATION = {
+  sortFields: ['date', 'amount', 'createdAt'],
+  defaultSort: '-date',
+};
+
+export const USER_PAGINATION = {
+  sortFields: ['createdAt', 'name', 'email'],
+  defaultSort: 'createdAt',
+};
+
+export const TRASH_PAGINATION = {
+  sortFields: ['deletedAt', 'date', 'amount'],
+  defaultSort: '-deletedAt',
+};
+
+export const AUDIT_PAGINATION = {
+  sortFields: ['createdAt'],
+  defaultSort: '-createdAt',
+};
+
+// Split a sort parameter such as '-date' into its field and direction
+export const parseSort = (sort) => {
+  if (sort.startsWith('-')) {
+    return { field: sort.slice(1), direction: -1 };
+  }
+  return { field: sort, direction: 1 };
+};
+
+// Cursors are opaque base64url strings holding the sort field, its value and
+// the document _id, so pages stay stable when several documents share a value.
+export const encodeCursor = (doc, field) => {
+  const value = doc.get ? doc.get(field) : doc[field];
+  const payload = {
+    f: field,
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: doc._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Returns { field, value, id } or null when the cursor is malformed
+export const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string' || cursor === '') return null;
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!payload || typeof payload.f !== 'string' || !mongoose.Types.ObjectId.isValid(payload.id)) {
+      return null;
+    }
+    // The value goes into the query as is, so only a string, number or date is accepted;
+    // an object could smuggle in query operators
+    const valueType = payload.d ? 'string' : typeof payload.v;
+    if (typeof payload.v !== valueType || !['string', 'number'].includes(valueType)) return null;
+    const value = payload.d ? new Date(payload.v) : payload.v;
+    if (payload.d && Number.isNaN(value.getTime())) return null;
+    return {
+      field: payload.f,
+      value,
+      id: new mongoose.Types.ObjectId(payload.id),
+    };
+  } catch {
+    return null;
+  }
+};
+
+// Read limit, sort and cursor params from a (validated) query string
+export const parsePageParams = (query, { defaultSort }) => {
+  const { field, direction } = parseSort(query.sort || defaultSort);
+  return {
+    limit: query.limit ? Number(query.limit) : DEFAULT_PAGE_LIMIT,
+    field,
+    direction,
+    after: query.after ? decodeCursor(query.after) : null,
+    before: query.before ? decodeCursor(query.before) : null,
+  };
+};
+
+// Condition selecting documents strictly after (direction 1) or before
+// (direction -1) the cursor position in ascending (field, _id) order
+const cursorCondition = (cursor, direction) => {
+  const op = direction > 0 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [cursor.field]: { [op]: cursor.value } },
+      { [cursor.field]: cursor.value, _id: { [op]: cursor.id } },
+    ],
+  };
+};
+
+// Apply keyset pagination to a Mongoose find query and run it.
+// Resolves to { data, pageInfo }.
+export const paginate = async (query, page) => {
+  const { limit, field, direction, after, before } = page;
+  const backwards = Boolean(before);
+
+  // Walking backwards from a cursor means reading the opposite order and
+  // flipping the results afterwards
+  const readDirection = backwards ? -direction : direction;
+  if (after) query.and([cursorCondition(after, direction)]);
+  if (before) query.and([cursorCondition(before, -direction)]);
+
+  const docs = await query
+    .sort({ [field]: readDirection, _id: readDirection })
+    .limit(limit + 1)
+    .exec();
+
+  const hasMore = docs.length > limit;
+  const data = hasMore ? docs.slice(0, limit) : docs;
+  if (backwards) data.reverse();
+
+  const pageInfo = {
+    limit,
+    sort: `${direction < 0 ? '-' : ''}${field}`,
+    hasNextPage: backwards ? true : hasMore,
+    hasPreviousPage: backwards ? hasMore : Boolean(after),
+    startCursor: data.length ? encodeCursor(data[0], field) : null,
+    endCursor: data.length ? encodeCursor(data[data.length - 1], field) : null,
+  };
+
+  return { data, pageInfo };
+};
@@ -0,0 +1,31 @@
+import { PASSWORD_RESET_TTL, authTokenWait, issueAuthToken } from './tokens.js';
+import { appUrl, getMailer } from './mailer.js';
+
+// Minimum wait between reset emails a user can ask for. Each one replaces the last link, so
+// without it anyone could flood an inbox and keep cancelling a link while it is being used.
+export const PASSWORD_RESET_COOLDOWN = 60 * 1000;
+
+// Milliseconds until another reset email may be requested for user (0 if it may now)
+export const resetWait = (user, now = Date.now()) => authTokenWait(user, 'password-reset', PASSWORD_RESET_COOLDOWN, now);
+
+// Email user a single-use link to choose a new password. Earlier links stop working. A failure
+// to send is logged rather than thrown, so the response doesn't reveal whether it was sent.
+export const sendPasswordResetEmail = async (user) => {
+  const token = await issueAuthToken(user, 'password-reset', PASSWORD_RESET_TTL);
+  try {
+    await getMailer().send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Use this link to choose a new password. It can be used once and expires in 1 hour:',
+        appUrl('/reset-password', { token }),
+        '',
+        "If you didn't ask for this, you can ignore this email.",
+      ].join('\n'),
+    });
+  } catch (error) {
+    console.error('Password reset email error:', error);
+  }
+};
@@ -0,0 +1,50 @@
+import Ledger from '../models/ledger.js';
+import { HttpError, NOT_FOUND, FORBIDDEN } from './HttpError.js';
+
+// What each ledger role may do. 'view' and 'edit' apply to the ledger's expenses and
+// categories; 'manage' covers the ledger itself (renaming it, members and invitations).
+const ROLE_ACTIONS = {
+  owner: ['view', 'edit', 'manage'],
+  editor: ['view', 'edit'],
+  viewer: ['view'],
+};
+
+const idOf = (ref) => (ref?._id || ref).toString();
+
+// Whether user may take action on a ledger. Admins may do anything.
+export const ledgerAllows = (user, action, ledger) => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  const role = ledger.roleOf(user);
+  return Boolean(role) && ROLE_ACTIONS[role].includes(action);
+};
+
+// Whether user may take action ('view' or 'edit') on an expense or category. Anything in a
+// ledger follows the user's role there, so pass the loaded ledger; everything else belongs
+// to its owner alone. Global categories may be viewed by anyone. Admins may do anything.
+export const allows = (user, action, resource, ledger = null) => {
+  if (action === 'view' && resource.visibility === 'global') return true;
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  if (resource.ledger) return Boolean(ledger) && ledgerAllows(user, action, ledger);
+  return idOf(resource.user) === user._id.toString();
+};
+
+// Same as allows(), loading the resource's ledger when it has one
+export const can = async (user, action, resource) => {
+  const ledger = resource.ledger ? await Ledger.findById(idOf(resource.ledger)).exec() : null;
+  return allows(user, action, resource, ledger);
+};
+
+// Throw 403 unless user may take action on resource
+export const authorize = async (user, action, resource) => {
+  if (!(await can(user, action, resource))) throw new HttpError(FORBIDDEN, 'Forbidden');
+};
+
+// Find a ledger, or throw 404 / 403 unless user may take action on it
+export const loadLedger = async (ledgerId, user, action = 'view') => {
+  const ledger = await Ledger.findById(ledgerId).exec();
+  if (!ledger) throw new HttpError(NOT_FOUND, 'Ledger not found');
+  if (!ledgerAllows(user, action, ledger)) throw new HttpError(FORBIDDEN, 'Forbidden');
+  return ledger;
+};
@@ -0,0 +1,78 @@
+// Occurrence calculation for RRULE-like schedules:
+// { frequency: 'daily' | 'weekly' | 'monthly' | 'yearly', interval, startDate, endDate?, count? }
+// All arithmetic is done in UTC.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Safety net so a malformed schedule can never spin forever
+const MAX_ITERATIONS = 100000;
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Add whole months, clamping to the last day of shorter months (Jan 31 + 1 month = Feb 28)
+const addMonths = (date, months) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(
+    year,
+    month,
+    Math.min(date.getUTCDate(), lastDay),
+    date.getUTCHours(),
+    date.getUTCMinutes(),
+    date.getUTCSeconds(),
+    date.getUTCMilliseconds()
+  ));
+};
+
+// The nth occurrence (0-based) of a schedule. Always computed from the start
+// date so monthly clamping doesn't drift (Jan 31, Feb 28, Mar 31, ...)
+export const nthOccurrence = (schedule, n) => {
+  const start = new Date(schedule.startDate);
+  const steps = n * (schedule.interval || 1);
+  switch (schedule.frequency) {
+    case 'daily':
+      return new Date(start.getTime() + steps * DAY_MS);
+    case 'weekly':
+      return new Date(start.getTime() + steps * 7 * DAY_MS);
+    case 'monthly':
+      return addMonths(start, steps);
+    case 'yearly':
+      return addMonths(start, steps * 12);
+    default:
+      throw new Error(`Unknown frequency '${schedule.frequency}'`);
+  }
+};
+
+// List occurrences strictly after `after` and up to and including `until`,
+// honouring the schedule's end date and count. Both bounds are optional but
+// at least one of `until` or `limit` should be given for open-ended schedules.
+export const listOccurrences = (schedule, { after, until, limit } = {}) => {
+  const endDate = schedule.endDate ? new Date(schedule.endDate) : null;
+  const results = [];
+
+  for (let n = 0; n < MAX_ITERATIONS; n++) {
+    if (schedule.count && n >= schedule.count) break;
+    if (limit !== undefined && results.length >= limit) break;
+
+    const occurrence = nthOccurrence(schedule, n);
+    if (endDate && occurrence > endDate) break;
+    if (until && occurrence > until) break;
+    if (after && occurrence <= after) continue;
+
+    results.push(occurrence);
+  }
+
+  return results;
+};
+
+// The occurrence falling on the given UTC calendar day, if any
+export const occurrenceOnDay = (schedule, day) => {
+  const dayStart = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+  const [occurrence] = listOccurrences(schedule, {
+    after: new Date(dayStart.getTime() - 1),
+    until: new Date(dayStart.getTime() + DAY_MS - 1),
+    limit: 1,
+  });
+  return occurrence || null;
+};
@@ -0,0 +1,59 @@
+import Expense from '../models/expense.js';
+import RecurringExpense from '../models/recurringExpense.js';
+import { listOccurrences } from './recurrence.js';
+
+// How often the server runs a catch-up materialization
+export const RECURRING_INTERVAL_MS = 60 * 60 * 1000;
+
+// Most occurrences one series catches up on per run, so a series starting long ago can't make
+// a single request create thousands of expenses. Later runs carry on where it stopped.
+export const MAX_CATCH_UP_OCCURRENCES = 500;
+
+// Create the concrete expenses for every due occurrence of a series.
+// Expenses are upserted on (recurringExpense, date), backed by a unique index,
+// so running this again (or concurrently) never creates duplicates.
+export const materializeSeries = async (series, now = new Date()) => {
+  if (series.paused) return 0;
+
+  const occurrences = listOccurrences(series.schedule, {
+    after: series.materializedThrough,
+    until: now,
+    limit: MAX_CATCH_UP_OCCURRENCES,
+  });
+  const dueDates = occurrences.filter((date) => !series.isSkipped(date));
+
+  let created = 0;
+  for (const date of dueDates) {
+    const result = await Expense.updateOne(
+      { recurringExpense: series._id, date },
+      {
+        $setOnInsert: {
+          user: series.user,
+          category: series.category,
+          amount: series.amount,
+          currency: series.currency,
+          note: series.note,
+          description: series.description,
+        },
+      },
+      { upsert: true }
+    ).exec();
+    created += result.upsertedCount;
+  }
+
+  // Only as far as this run got when it hit the cap
+  series.materializedThrough = occurrences.length === MAX_CATCH_UP_OCCURRENCES ? occurrences.at(-1) : now;
+  await series.save();
+  return created;
+};
+
+// Catch-up run over every active series (optionally narrowed by filter, e.g. { user })
+export const materializeDueExpenses = async (now = new Date(), filter = {}) => {
+  const seriesList = await RecurringExpense.find({ ...filter, paused: false }).exec();
+
+  let created = 0;
+  for (const series of seriesList) {
+    created += await materializeSeries(series, now);
+  }
+  return created;
+};
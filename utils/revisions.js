@@ -0,0 +1,110 @@
+import Expense from '../models/expense.js';
+import ExpenseRevision from '../models/expenseRevision.js';
+import { auditSnapshot, diffSnapshots } from './audit.js';
+import { expenseBody } from './expensePatch.js';
+import { resolveExpenseCategories } from './splits.js';
+import { resolveExpenseSharing } from './settleUp.js';
+import { HttpError, BAD_REQUEST, NOT_FOUND } from './HttpError.js';
+
+// The fields of an expense that revisions keep track of
+export const REVISION_FIELDS = ['user', 'category', 'splits', 'sharing', 'amount', 'currency', 'date', 'note', 'description'];
+
+const DUPLICATE_KEY = 11000;
+const MAX_VERSION_ATTEMPTS = 3;
+
+// An expense's tracked fields as plain JSON with references as IDs. Splits get new IDs
+// whenever they are replaced, so those are left out.
+export const revisionSnapshot = (expense) => {
+  const json = auditSnapshot(expense);
+  const snapshot = Object.fromEntries(REVISION_FIELDS.map((field) => [field, json[field] ?? null]));
+  snapshot.splits = (snapshot.splits || []).map((split) => Object.fromEntries(
+    Object.entries(split).filter(([key]) => key !== 'id')));
+  return snapshot;
+};
+
+// Whether editor is an admin changing someone else's expense
+const editedByAdmin = (editor, expense) => editor.role === 'admin' && editor._id.toString() !== expense.user.toString();
+
+// Record a change from before to after, made by editor, as the expense's next revision. The
+// first change also records the expense as it was created, as version 1. Nothing is recorded
+// when none of the tracked fields changed.
+export const recordRevision = async ({ before, after, editor, action = 'update', revertedTo = null }) => {
+  const previous = revisionSnapshot(before);
+  const current = revisionSnapshot(after);
+  const changes = diffSnapshots(previous, current);
+  if (Object.keys(changes).length === 0) return null;
+
+  // Versions are unique per expense, so a concurrent edit that took the same number retries
+  for (let attempt = 1; ; attempt += 1) {
+    const latest = await ExpenseRevision.findOne({ expense: after._id }).sort({ version: -1 }).exec();
+    try {
+      if (!latest) {
+        await ExpenseRevision.create({
+          expense: after._id,
+          version: 1,
+          action: 'create',
+          editor: before.user,
+          snapshot: previous,
+          createdAt: before.createdAt,
+        });
+      }
+      return await ExpenseRevision.create({
+        expense: after._id,
+        version: latest ? latest.version + 1 : 2,
+        action,
+        editor: editor._id,
+        byAdmin: editedByAdmin(editor, before),
+        revertedTo,
+        changes,
+        snapshot: current,
+      });
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// An expense's revisions, newest first, with who made them
+export const listRevisions = (expense) => ExpenseRevision.find({ expense: expense._id })
+  .populate('editor', 'name email role')
+  .sort({ version: -1 })
+  .exec();
+
+// Put an expense back the way it was at version, recorded as a new revision by editor.
+// The snapshot goes through the same checks as a PUT body, so categories deleted since or
+// that editor can't use, and sharing with people who left the ledger, can't come back this
+// way. The expense keeps its current owner.
+export const revertExpense = async (expense, version, editor) => {
+  const revision = await ExpenseRevision.findOne({ expense: expense._id, version }).exec();
+  if (!revision) throw new HttpError(NOT_FOUND, 'Revision not found');
+
+  const { snapshot } = revision;
+  const body = expenseBody({ ...snapshot, date: new Date(snapshot.date) });
+  let categories;
+  try {
+    categories = await resolveExpenseCategories(body, editor, expense.ledger);
+  } catch (error) {
+    if (error.status !== NOT_FOUND) throw error;
+    throw new HttpError(BAD_REQUEST, 'A category used in this revision no longer exists');
+  }
+  const sharing = await resolveExpenseSharing(body, { ledgerId: expense.ledger, payer: expense.user });
+
+  const updated = await Expense.findByIdAndUpdate(expense._id, {
+    ...categories,
+    sharing,
+    amount: snapshot.amount,
+    currency: snapshot.currency,
+    date: snapshot.date,
+    note: snapshot.note,
+    description: snapshot.description,
+  }, { new: true, runValidators: true }).exec();
+  await recordRevision({ before: expense, after: updated, editor, action: 'revert', revertedTo: version });
+  return updated;
+};
+
+// Delete the revisions of every expense matching filter, trashed ones included. Like
+// removeExpenseAttachments, call this before deleting the expenses.
+export const removeExpenseRevisions = async (filter) => {
+  const ids = await Expense.distinct('_id', filter).setOptions({ withDeleted: true }).exec();
+  await ExpenseRevision.deleteMany({ expense: { $in: ids } }).exec();
+};
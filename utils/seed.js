@@ -89,11 +89,12 @@ mongoose.connect(uri).then(async () => {
 
   console.log("Created user:", regularUser.email);
 
-  // Create categories (owned by admin)
+  // Create global categories (owned by admin, visible to everyone)
   const categoryPromises = categories.map((categoryName) => {
     return Category.create({
       name: categoryName,
       user: adminUser._id,
+      visibility: "global",
     });
   });
 
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+import { hashToken } from './tokens.js';
+
+// Sessions are kept by connect-mongo in this collection, unserialized, so they can be
+// queried by the user they belong to
+export const SESSIONS_COLLECTION = 'sessions';
+
+// lastSeenAt is only updated once this much time has passed, so that not every request
+// has to save the session
+const LAST_SEEN_PRECISION = 60 * 1000;
+const MAX_DEVICE_LENGTH = 200;
+
+const sessions = () => mongoose.connection.db.collection(SESSIONS_COLLECTION);
+
+// Session IDs are as good as the cookie, so the API refers to sessions by a hash of theirs
+export const publicSessionId = (sid) => hashToken(sid).slice(0, 32);
+
+// Log user in on this session, noting where from for the session list
+export const startSession = (req, user, now = Date.now()) => {
+  req.session.userId = user._id.toString();
+  req.session.meta = {
+    device: String(req.get('User-Agent') || '').slice(0, MAX_DEVICE_LENGTH),
+    ip: req.ip,
+    createdAt: now,
+    lastSeenAt: now,
+  };
+};
+
+// Record that a logged-in session was just used
+export const touchSession = (session, now = Date.now()) => {
+  if (session && session.meta && now - session.meta.lastSeenAt >= LAST_SEEN_PRECISION) {
+    session.meta.lastSeenAt = now;
+  }
+};
+
+// How a session is shown to its user. Sessions from before sessions were tracked have no details.
+export const describeSession = (stored, currentSid = null) => {
+  const meta = stored.session.meta || {};
+  const date = (time) => (time == null ? null : new Date(time));
+  return {
+    id: publicSessionId(stored._id),
+    current: stored._id === currentSid,
+    device: meta.device || null,
+    ip: meta.ip || null,
+    createdAt: date(meta.createdAt),
+    lastSeenAt: date(meta.lastSeenAt),
+    expiresAt: stored.expires,
+  };
+};
+
+// A user's unexpired sessions, most recently used first
+export const listUserSessions = async (userId) => {
+  const found = await sessions()
+    .find({ 'session.userId': userId.toString(), expires: { $gt: new Date() } })
+    .toArray();
+  return found.sort((a, b) => ((b.session.meta || {}).lastSeenAt || 0) - ((a.session.meta || {}).lastSeenAt || 0));
+};
+
+// Log a user out everywhere by deleting all of their stored sessions, except the session
+// with ID except if given. Resolves to the number of sessions deleted.
+export const destroyUserSessions = async (userId, except = null) => {
+  const filter = { 'session.userId': userId.toString() };
+  if (except) filter._id = { $ne: except };
+  const { deletedCount } = await sessions().deleteMany(filter);
+  return deletedCount;
+};
+
+// Delete one of a user's sessions by its public ID. Resolves to whether it existed.
+export const destroyUserSession = async (userId, id) => {
+  const found = await sessions()
+    .find({ 'session.userId': userId.toString() }, { projection: { _id: 1 } })
+    .toArray();
+  const match = found.find((stored) => publicSessionId(stored._id) === id);
+  if (!match) return false;
+  await sessions().deleteOne({ _id: match._id });
+  return true;
+};
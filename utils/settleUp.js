@@ -0,0 +1,162 @@
+import Ledger from '../models/ledger.js';
+import { HttpError, BAD_REQUEST, NOT_FOUND } from './HttpError.js';
+
+// A shared expense records who paid and how the cost is divided between participants:
+//   equal    everyone pays the same
+//   exact    each participant's value is the amount they owe
+//   percent  each value is a percentage of the amount; they add up to 100
+//   shares   each value is a number of shares, e.g. 2 for someone who had twice as much
+// The resulting amounts are stored on each participant as `share`.
+export const SHARE_METHODS = ['equal', 'exact', 'percent', 'shares'];
+export const MAX_PARTICIPANTS = 50;
+
+const cents = (value) => Math.round(Number(value) * 100);
+
+// Why a (validated) sharing object doesn't work for the amount, or null if it does
+export const sharingError = (sharing, amount) => {
+  if (!SHARE_METHODS.includes(sharing.method)) {
+    return `'sharing.method' must be one of: ${SHARE_METHODS.join(', ')}`;
+  }
+  const participants = sharing.participants;
+  if (!Array.isArray(participants) || participants.length === 0 || participants.length > MAX_PARTICIPANTS) {
+    return `'sharing.participants' must list 1-${MAX_PARTICIPANTS} people`;
+  }
+  const ids = participants.map((participant) => String(participant.userId));
+  if (new Set(ids).size !== ids.length) return 'Each participant may only be listed once';
+
+  if (sharing.method === 'equal') return null;
+  if (participants.some((participant) => !(Number(participant.value) > 0))) {
+    return `Each participant needs a positive 'value' for the '${sharing.method}' method`;
+  }
+  const total = participants.reduce((sum, participant) => sum + cents(participant.value), 0);
+  if (sharing.method === 'exact' && total !== cents(amount)) {
+    return "Exact participant amounts must add up to 'amount'";
+  }
+  if (sharing.method === 'percent' && total !== 100 * 100) {
+    return 'Participant percentages must add up to 100';
+  }
+  return null;
+};
+
+// What each participant owes, in the same order. The amounts always add up to the expense
+// amount to the cent: leftover cents go to the largest remainders, then to the first listed.
+export const computeShares = (amount, method, participants) => {
+  if (method === 'exact') return participants.map((participant) => cents(participant.value) / 100);
+
+  const total = cents(amount);
+  const weights = participants.map((participant) => (method === 'equal' ? 1 : Number(participant.value)));
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+
+  const exact = weights.map((weight) => (total * weight) / weightSum);
+  const allocated = exact.map(Math.floor);
+  let leftover = total - allocated.reduce((sum, value) => sum + value, 0);
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+  for (const { index } of byRemainder) {
+    if (leftover <= 0) break;
+    allocated[index] += 1;
+    leftover -= 1;
+  }
+
+  return allocated.map((value) => value / 100);
+};
+
+// Turn the sharing object of an expense request body into the stored field. Shared expenses
+// must be in a ledger, and the payer (by default `payer`) and participants must be its members.
+export const resolveExpenseSharing = async ({ sharing, amount }, { ledgerId, payer }) => {
+  if (!sharing) return null;
+  if (!ledgerId) throw new HttpError(BAD_REQUEST, 'Only expenses in a ledger can be shared');
+
+  const ledger = await Ledger.findById(ledgerId).exec();
+  if (!ledger) throw new HttpError(NOT_FOUND, 'Ledger not found');
+
+  const paidBy = sharing.paidBy || payer;
+  const userIds = [paidBy, ...sharing.participants.map((participant) => participant.userId)];
+  if (userIds.some((id) => !ledger.roleOf(id))) {
+    throw new HttpError(BAD_REQUEST, 'The payer and participants must be members of the ledger');
+  }
+
+  const shares = computeShares(amount, sharing.method, sharing.participants);
+  return {
+    paidBy,
+    method: sharing.method,
+    participants: sharing.participants.map((participant, index) => ({
+      user: participant.userId,
+      ...(sharing.method !== 'equal' && { value: Number(participant.value) }),
+      share: shares[index],
+    })),
+  };
+};
+
+// Aggregation stages that turn a ledger's shared expenses into per-currency, per-user totals:
+// { _id: { currency, user }, paid, owed }
+export const balanceStages = (ledgerId) => [
+  { $match: { ledger: ledgerId, sharing: { $ne: null } } },
+  {
+    $project: {
+      currency: 1,
+      entries: {
+        $concatArrays: [
+          [{ user: '$sharing.paidBy', paid: '$amount', owed: 0 }],
+          { $map: { input: '$sharing.participants', as: 'p', in: { user: '$$p.user', paid: 0, owed: '$$p.share' } } },
+        ],
+      },
+    },
+  },
+  { $unwind: '$entries' },
+  {
+    $group: {
+      _id: { currency: '$currency', user: '$entries.user' },
+      paid: { $sum: '$entries.paid' },
+      owed: { $sum: '$entries.owed' },
+    },
+  },
+];
+
+// Settle-up transfers for one currency's net balances ({ user, net } with net > 0 meaning the
+// user is owed money). The largest debt is always paid to the largest creditor, which settles
+// everyone in at most one fewer transfer than there are people with a balance.
+export const settleUpTransfers = (balances) => {
+  const creditors = balances.filter((b) => cents(b.net) > 0).map((b) => ({ user: b.user, left: cents(b.net) }));
+  const debtors = balances.filter((b) => cents(b.net) < 0).map((b) => ({ user: b.user, left: -cents(b.net) }));
+
+  const transfers = [];
+  while (creditors.length > 0 && debtors.length > 0) {
+    creditors.sort((a, b) => b.left - a.left);
+    debtors.sort((a, b) => b.left - a.left);
+    const [creditor] = creditors;
+    const [debtor] = debtors;
+
+    const amount = Math.min(creditor.left, debtor.left);
+    transfers.push({ from: debtor.user, to: creditor.user, amount: amount / 100 });
+    creditor.left -= amount;
+    debtor.left -= amount;
+    if (creditor.left === 0) creditors.shift();
+    if (debtor.left === 0) debtors.shift();
+  }
+  return transfers;
+};
+
+// Net positions and settle-up transfers per currency, from the totals of balanceStages().
+// Amounts in different currencies are never netted against each other.
+export const summarizeBalances = (totals) => {
+  const byCurrency = new Map();
+  for (const { _id, paid, owed } of totals) {
+    if (!byCurrency.has(_id.currency)) byCurrency.set(_id.currency, []);
+    byCurrency.get(_id.currency).push({
+      user: _id.user,
+      paid: cents(paid) / 100,
+      owed: cents(owed) / 100,
+      net: (cents(paid) - cents(owed)) / 100,
+    });
+  }
+
+  return [...byCurrency.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([currency, balances]) => ({
+      currency,
+      balances: balances.sort((a, b) => b.net - a.net),
+      transfers: settleUpTransfers(balances),
+    }));
+};
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// Queries that leave out trashed documents. Deletes and plain updates by filter are not
+// included: cascades (deleting an account or ledger) and upserts have to see everything.
+const READ_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'];
+
+// Mongoose plugin for soft deletion. Documents are moved to the trash by setting deletedAt
+// rather than being removed, and reads skip them unless the query filters on deletedAt
+// itself or sets the withDeleted option. Aggregations skip them the same way.
+export const softDelete = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  });
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(READ_QUERIES, function () {
+    const { withDeleted } = this.getOptions();
+    delete this.options.withDeleted;
+    if (withDeleted || 'deletedAt' in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+
+  // The condition goes into a leading $match, since some stages (e.g. $text) must come first
+  schema.pre('aggregate', function () {
+    const withDeleted = this.options.withDeleted;
+    delete this.options.withDeleted;
+    if (withDeleted) return;
+
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    if (first && first.$match) {
+      if (!('deletedAt' in first.$match)) pipeline[0] = { ...first, $match: { ...first.$match, deletedAt: null } };
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  // Move to the trash (by user) or take back out of it. Only the marker is written, so
+  // documents that predate newer validation rules can still be trashed and restored.
+  const mark = async (doc, deletedAt, deletedBy) => {
+    await doc.constructor.updateOne({ _id: doc._id }, { deletedAt, deletedBy }).exec();
+    doc.set({ deletedAt, deletedBy });
+    return doc;
+  };
+
+  schema.methods.moveToTrash = function (user) {
+    return mark(this, new Date(), user ? user._id : null);
+  };
+
+  schema.methods.restoreFromTrash = function () {
+    return mark(this, null, null);
+  };
+};
+
+// Filter for trashed documents only
+export const inTrash = (filter = {}) => ({ ...filter, deletedAt: { $ne: null } });
@@ -0,0 +1,86 @@
+import Category from '../models/category.js';
+import { HttpError, NOT_FOUND, FORBIDDEN } from './HttpError.js';
+
+// An expense can be split into lines, each with its own category, amount and note.
+// The expense's own category is then the category of its first split.
+export const MAX_SPLITS = 20;
+
+const cents = (value) => Math.round(Number(value) * 100);
+
+export const hasSplits = (expense) => Array.isArray(expense.splits) && expense.splits.length > 0;
+
+// Split amounts must add up to the expense amount (to the cent). No splits is always fine.
+export const splitsMatchAmount = (splits, amount) => {
+  if (!splits || splits.length === 0) return true;
+  const total = splits.reduce((sum, split) => sum + cents(split.amount), 0);
+  return total === cents(amount);
+};
+
+// How much of an expense is filed under a category
+export const splitAmountFor = (expense, categoryId) => {
+  const id = categoryId.toString();
+  if (!hasSplits(expense)) {
+    const category = expense.category?._id || expense.category;
+    return category.toString() === id ? expense.amount : 0;
+  }
+  const total = expense.splits
+    .filter((split) => (split.category?._id || split.category).toString() === id)
+    .reduce((sum, split) => sum + cents(split.amount), 0);
+  return total / 100;
+};
+
+// Filter for expenses with any amount filed under one of the given categories
+export const categoryFilter = (categoryIds) => {
+  const match = categoryIds.length === 1 ? categoryIds[0] : { $in: categoryIds };
+  return { $or: [{ category: match }, { 'splits.category': match }] };
+};
+
+// Aggregation stages that turn each expense into one document per category line: split
+// expenses become one per split, others stay as they are. `category` and `amount` then
+// hold the line's values, so later $group stages attribute each split to its own category.
+export const categoryLineStages = () => [
+  {
+    $addFields: {
+      categoryLines: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+          '$splits',
+          [{ category: '$category', amount: '$amount' }],
+        ],
+      },
+    },
+  },
+  { $unwind: '$categoryLines' },
+  { $addFields: { category: '$categoryLines.category', amount: '$categoryLines.amount' } },
+  { $project: { categoryLines: 0 } },
+];
+
+// Look up the category, or the split categories, of an expense request body and return
+// the fields to store: { category, splits }. Personal expenses may use the categories visible
+// to the user; expenses in a ledger (ledgerId) may use global categories or the ledger's own.
+export const resolveExpenseCategories = async ({ categoryId, splits }, user, ledgerId = null) => {
+  const isUsable = (category) => {
+    if (!ledgerId) return category.isVisibleTo(user);
+    return category.visibility === 'global' || user.role === 'admin'
+      || category.ledger?.toString() === ledgerId.toString();
+  };
+
+  const findCategory = async (id) => {
+    const category = await Category.findById(id).exec();
+    if (!category) throw new HttpError(NOT_FOUND, 'Category not found');
+    if (!isUsable(category)) throw new HttpError(FORBIDDEN, 'You cannot use this category');
+    return category;
+  };
+
+  if (!hasSplits({ splits })) {
+    const category = await findCategory(categoryId);
+    return { category: category._id, splits: [] };
+  }
+
+  const lines = [];
+  for (const split of splits) {
+    const category = await findCategory(split.categoryId);
+    lines.push({ category: category._id, amount: Number(split.amount), note: split.note });
+  }
+  return { category: lines[0].category, splits: lines };
+};
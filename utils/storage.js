@@ -0,0 +1,53 @@
+import fs from 'node:fs/promises';
+import { createReadStream } from 'node:fs';
+import path from 'node:path';
+
+// Blob storage for uploaded files. Any object with these methods can be plugged in
+// with setStorage() (e.g. an S3 bucket):
+//   put(key, data)  store a Buffer under key, replacing anything already there
+//   get(key)        resolve to a readable stream of the contents, or null if there is none
+//   delete(key)     remove the contents; resolves even if nothing was stored
+// Keys are '/'-separated paths built from ObjectIds.
+
+const DEFAULT_UPLOAD_DIR = 'uploads';
+
+// Stores each key as a file below root
+export const createLocalStorage = (root) => {
+  const base = path.resolve(root);
+
+  const pathFor = (key) => {
+    const file = path.resolve(base, key);
+    if (!file.startsWith(base + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+
+  return {
+    async put(key, data) {
+      const file = pathFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, data);
+    },
+
+    async get(key) {
+      const file = pathFor(key);
+      try {
+        await fs.access(file);
+      } catch {
+        return null;
+      }
+      return createReadStream(file);
+    },
+
+    async delete(key) {
+      await fs.rm(pathFor(key), { force: true });
+    },
+  };
+};
+
+let storage = createLocalStorage(process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR);
+
+export const getStorage = () => storage;
+
+export const setStorage = (adapter) => {
+  storage = adapter;
+};
@@ -0,0 +1,42 @@
+import crypto from 'node:crypto';
+import AuthToken from '../models/authToken.js';
+
+export const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+export const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 1 day
+
+// A random URL-safe token to send to the user
+export const createToken = () => crypto.randomBytes(32).toString('base64url');
+
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Make every outstanding token of a user for purpose stop working
+export const revokeAuthTokens = (userId, purpose) => AuthToken.deleteMany({ user: userId, purpose }).exec();
+
+// Issue a new token for user and return it. Any earlier token for the same purpose stops working.
+export const issueAuthToken = async (user, purpose, ttl) => {
+  const token = createToken();
+  await revokeAuthTokens(user._id, purpose);
+  await AuthToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttl),
+  });
+  return token;
+};
+
+// Milliseconds until user may be sent another token for purpose, given the minimum wait
+// between two of them (0 if they may now)
+export const authTokenWait = async (user, purpose, cooldown, now = Date.now()) => {
+  const last = await AuthToken.findOne({ user: user._id, purpose }).sort({ createdAt: -1 }).exec();
+  if (!last) return 0;
+  return Math.max(0, last.createdAt.getTime() + cooldown - now);
+};
+
+// Use up a token: resolve to its record if it is valid and unexpired, or null. The record is
+// deleted in the same operation, so a token can't be used twice even by concurrent requests.
+export const consumeAuthToken = async (token, purpose) => AuthToken.findOneAndDelete({
+  tokenHash: hashToken(token),
+  purpose,
+  expiresAt: { $gt: new Date() },
+}).exec();
@@ -0,0 +1,91 @@
+import crypto from 'node:crypto';
+
+// RFC 6238 time-based one-time passwords, the codes shown by authenticator apps. Uses the
+// parameters every app supports: HMAC-SHA1, 6 digits and 30 second steps.
+export const TOTP_DIGITS = 6;
+export const TOTP_PERIOD = 30; // seconds
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Secrets are shared with apps as unpadded base32 (RFC 4648)
+export const base32Encode = (buffer) => {
+  let output = '';
+  let value = 0;
+  let bits = 0;
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      output += BASE32_ALPHABET[(value >>> bits) & 31];
+    }
+    value &= (1 << bits) - 1;
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+export const base32Decode = (text) => {
+  const bytes = [];
+  let value = 0;
+  let bits = 0;
+  for (const char of text.toUpperCase().replace(/[\s=]/g, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character '${char}'`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((value >>> bits) & 255);
+    }
+    value &= (1 << bits) - 1;
+  }
+  return Buffer.from(bytes);
+};
+
+// A new random secret (160 bits, as RFC 4226 recommends), base32 encoded
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 4226 HOTP value for a counter
+export const hotp = (key, counter, digits = TOTP_DIGITS) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+// Number of the 30 second step a time (in ms) falls in
+export const timeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_PERIOD);
+
+export const totp = (secret, time = Date.now(), digits = TOTP_DIGITS) =>
+  hotp(base32Decode(secret), timeStep(time), digits);
+
+// Check a code against the secret, allowing `window` steps of clock drift either way.
+// Returns the step the code belongs to, so callers can refuse to accept it twice, or null.
+export const verifyTotp = (secret, code, { time = Date.now(), window = 1 } = {}) => {
+  const candidate = String(code).replace(/\s/g, '');
+  if (!/^\d+$/.test(candidate) || candidate.length !== TOTP_DIGITS) return null;
+
+  const key = base32Decode(secret);
+  const current = timeStep(time);
+  for (let step = current - window; step <= current + window; step += 1) {
+    if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(candidate))) return step;
+  }
+  return null;
+};
+
+// otpauth:// URI for enrolling the secret in an authenticator app, usually shown as a QR code
+// (https://github.com/google/google-authenticator/wiki/Key-Uri-Format)
+export const provisioningUri = ({ secret, account, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
@@ -0,0 +1,68 @@
+import Expense from '../models/expense.js';
+import Category from '../models/category.js';
+import { removeExpenseAttachments } from './attachments.js';
+import { removeExpenseRevisions } from './revisions.js';
+import { categoryFilter } from './splits.js';
+import { recordAudit } from './audit.js';
+import { HttpError, BAD_REQUEST } from './HttpError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// How often the server purges expired trash
+export const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Days a deleted expense or category can be restored for (TRASH_RETENTION_DAYS, default 30)
+export const trashRetentionDays = () => {
+  const days = Number.parseFloat(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+};
+
+// When something trashed at deletedAt is purged
+export const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + trashRetentionDays() * DAY_MS);
+
+// Take an expense out of the trash. Its categories have to be restored first.
+export const restoreExpense = async (expense) => {
+  const ids = [...new Set([expense.category, ...expense.splits.map((split) => split.category)].map(String))];
+  const restoredCount = await Category.countDocuments({ _id: { $in: ids } }).exec();
+  if (restoredCount < ids.length) {
+    throw new HttpError(BAD_REQUEST, "Restore the expense's category first");
+  }
+  return expense.restoreFromTrash();
+};
+
+// Take a category out of the trash, unless another one has taken its name in the meantime
+export const restoreCategory = async (category) => {
+  const { name, user, ledger } = category;
+  const clash = await Category.exists(ledger ? { name, ledger } : { name, user, ledger: null });
+  if (clash) {
+    throw new HttpError(BAD_REQUEST, 'Another category with this name exists');
+  }
+  return category.restoreFromTrash();
+};
+
+// Delete for good whatever has been in the trash longer than the retention window, receipt
+// files and edit history included. A category is kept while some expense, even a trashed one,
+// still uses it; it goes in a later run. Resolves to the number of expenses and categories purged.
+export const purgeTrash = async (now = new Date()) => {
+  const expired = { deletedAt: { $ne: null, $lte: new Date(now.getTime() - trashRetentionDays() * DAY_MS) } };
+
+  const expenses = await Expense.find(expired).select('_id').exec();
+  await removeExpenseAttachments({ _id: { $in: expenses.map((expense) => expense._id) } });
+  await removeExpenseRevisions({ _id: { $in: expenses.map((expense) => expense._id) } });
+  await Expense.deleteMany({ ...expired, _id: { $in: expenses.map((expense) => expense._id) } }).exec();
+
+  const categories = [];
+  for (const category of await Category.find(expired).exec()) {
+    if (await Expense.exists(categoryFilter([category._id])).setOptions({ withDeleted: true })) continue;
+    await Category.deleteOne({ _id: category._id }).exec();
+    categories.push(category);
+  }
+
+  // The purge runs on its own, so the events have no actor
+  await recordAudit({},
+    ...expenses.map((expense) => ({ action: 'expense.purge', target: { type: 'expense', id: expense._id } })),
+    ...categories.map((category) => ({ action: 'category.purge', target: { type: 'category', id: category._id } })));
+
+  return { expenses: expenses.length, categories: categories.length };
+};
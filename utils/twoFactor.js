@@ -0,0 +1,54 @@
+import crypto from 'node:crypto';
+import User from '../models/user.js';
+import { hashToken } from './tokens.js';
+import { verifyTotp } from './totp.js';
+
+export const RECOVERY_CODE_COUNT = 10;
+
+// How long the second step of a login may take, and how many wrong codes it allows,
+// before the password has to be entered again
+export const TWO_FACTOR_LOGIN_TTL = 5 * 60 * 1000;
+export const MAX_TWO_FACTOR_ATTEMPTS = 5;
+
+// Name authenticator apps show next to the code
+export const twoFactorIssuer = () => process.env.TWO_FACTOR_ISSUER || 'Expense Tracker';
+
+// With ADMIN_REQUIRE_2FA=true, admin routes are only open to admins who use two-factor authentication
+export const adminTwoFactorRequired = () => process.env.ADMIN_REQUIRE_2FA === 'true';
+
+// Whether the admin policy lets user through. secondFactorUsed says whether the request was
+// authenticated with a code, at login or when turning 2FA on in the same session.
+export const twoFactorPolicyAllows = (user, secondFactorUsed, required = adminTwoFactorRequired()) => {
+  if (!required || user.role !== 'admin') return true;
+  return Boolean(user.twoFactorEnabled && secondFactorUsed);
+};
+
+// Recovery codes are shown once, like 'a1b2-c3d4-e5f6-a7b8', and stored hashed
+export const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => Array.from({ length: count }, () =>
+  crypto.randomBytes(8).toString('hex').match(/.{4}/g).join('-'));
+
+// Case, spaces and dashes don't matter when a recovery code is typed in
+export const hashRecoveryCode = (code) => hashToken(String(code).toLowerCase().replace(/[\s-]/g, ''));
+
+// Check a code from user's authenticator app, or one of their recovery codes, and use it up:
+// an app code is refused once it or a later one has been accepted, and a recovery code is
+// removed. Both happen in a single update so concurrent requests can't use a code twice.
+export const useTwoFactorCode = async (user, code) => {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret) return false;
+
+  const step = verifyTotp(user.twoFactorSecret, code);
+  if (step !== null) {
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, twoFactorLastStep: { $not: { $gte: step } } },
+      { twoFactorLastStep: step }
+    ).exec();
+    return Boolean(updated);
+  }
+
+  const hash = hashRecoveryCode(code);
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } }
+  ).exec();
+  return Boolean(updated);
+};
@@ -1,4 +1,17 @@
 import mongoose from 'mongoose';
+import { MAX_PAGE_LIMIT, decodeCursor, parseSort } from './pagination.js';
+import { toList } from './expenseFilters.js';
+import { FREQUENCIES } from './recurrence.js';
+import { REFERENCE_CURRENCY, isCurrencyCode } from './currency.js';
+import { CSV_DELIMITERS } from './csv.js';
+import { IMPORT_FIELDS, isDateFormat } from './expenseImport.js';
+import { EXPORT_FORMATS } from './expenseExport.js';
+import { MAX_SPLITS, hasSplits, splitsMatchAmount } from './splits.js';
+import { LEDGER_ROLES } from '../models/ledger.js';
+import { API_TOKEN_SCOPES } from '../models/apiToken.js';
+import { USER_ROLES } from '../models/user.js';
+import { SHARE_METHODS, sharingError } from './settleUp.js';
+import { BULK_ACTIONS, MAX_BULK_ITEMS } from './bulk.js';
 
 // User validators
 export const registerSchema = {
@@ -49,6 +62,14 @@ export const updateProfileSchema = {
       errorMessage: "'newPassword' must be at least 8 characters, include a number and an uppercase letter",
     },
   },
+  baseCurrency: {
+    in: ['body'],
+    optional: true,
+    custom: {
+      options: isCurrencyCode,
+      errorMessage: "'baseCurrency' must be an ISO 4217 currency code",
+    },
+  },
 };
 
 export const deleteAccountSchema = {
@@ -72,6 +93,82 @@ export const loginSchema = {
   },
 };
 
+export const forgotPasswordSchema = {
+  email: loginSchema.email,
+};
+
+export const resetPasswordSchema = {
+  token: {
+    in: ['body'],
+    notEmpty: { errorMessage: "'token' field is required" },
+    isString: { errorMessage: "'token' must be a string" },
+  },
+  password: registerSchema.password,
+};
+
+export const verifyEmailSchema = {
+  token: resetPasswordSchema.token,
+};
+
+// A code from an authenticator app, or a recovery code
+export const twoFactorCodeSchema = {
+  code: {
+    in: ['body'],
+    notEmpty: { errorMessage: "'code' field is required" },
+    isString: { errorMessage: "'code' must be a string" },
+    isLength: { options: { max: 64 }, errorMessage: "'code' must be at most 64 chars" },
+  },
+};
+
+export const twoFactorSetupSchema = {
+  password: deleteAccountSchema.password,
+};
+
+export const twoFactorDisableSchema = {
+  password: deleteAccountSchema.password,
+  code: twoFactorCodeSchema.code,
+};
+
+// Session validators
+export const sessionIdParam = (paramName = 'id') => ({
+  [paramName]: {
+    in: ['params'],
+    matches: { options: [/^[0-9a-f]{32}$/], errorMessage: `Session ID '${paramName}' parameter must be 32 hex characters` },
+  },
+});
+
+// API token validators
+export const apiTokenSchema = {
+  name: {
+    in: ['body'],
+    notEmpty: { errorMessage: "'name' field is required" },
+    isString: { errorMessage: "'name' must be a string" },
+    isLength: { options: { min: 1, max: 100 }, errorMessage: "'name' must be 1-100 chars" },
+    trim: true,
+  },
+  scopes: {
+    in: ['body'],
+    isArray: {
+      options: { min: 1, max: API_TOKEN_SCOPES.length },
+      errorMessage: "'scopes' must be a non-empty array",
+    },
+  },
+  'scopes.*': {
+    in: ['body'],
+    isIn: { options: [API_TOKEN_SCOPES], errorMessage: `Each scope must be one of: ${API_TOKEN_SCOPES.join(', ')}` },
+  },
+};
+
+export const apiTokenIdParam = {
+  id: {
+    in: ['params'],
+    custom: {
+      options: (value) => mongoose.Types.ObjectId.isValid(value),
+      errorMessage: "API token ID 'id' parameter must be a valid ObjectId",
+    },
+  },
+};
+
 // Category validators
 export const categorySchema = {
   name: {
@@ -81,6 +178,15 @@ export const categorySchema = {
     isLength: { options: { min: 1, max: 100 }, errorMessage: "'name' must be 1-100 chars" },
     trim: true,
   },
+  // Create it in a shared ledger instead of privately
+  ledgerId: {
+    in: ['body'],
+    optional: true,
+    custom: {
+      options: (value) => mongoose.Types.ObjectId.isValid(value),
+      errorMessage: "'ledgerId' must be a valid ObjectId",
+    },
+  },
 };
 
 export const categoryIdParam = {
@@ -95,12 +201,20 @@ export const categoryIdParam = {
 
 // Expense validators
 export const expenseSchema = {
+  // Not needed when the expense is split: each split names its own category
   categoryId: {
     in: ['body'],
-    notEmpty: { errorMessage: "'categoryId' is required" },
     custom: {
-      options: (value) => mongoose.Types.ObjectId.isValid(value),
-      errorMessage: "'categoryId' must be a valid ObjectId",
+      options: (value, { req }) => {
+        if (value === undefined || value === null || value === '') {
+          if (hasSplits(req.body)) return true;
+          throw new Error("'categoryId' is required");
+        }
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error("'categoryId' must be a valid ObjectId");
+        }
+        return true;
+      },
     },
   },
   amount: {
@@ -111,8 +225,10 @@ export const expenseSchema = {
   currency: {
     in: ['body'],
     optional: true,
-    isString: { errorMessage: "'currency' must be a string" },
-    isLength: { options: { min: 3, max: 6 }, errorMessage: "'currency' must be 3-6 chars" },
+    custom: {
+      options: isCurrencyCode,
+      errorMessage: "'currency' must be an ISO 4217 currency code",
+    },
   },
   date: {
     in: ['body'],
@@ -131,6 +247,79 @@ export const expenseSchema = {
     isString: { errorMessage: "'description' must be a string" },
     isLength: { options: { max: 1000 }, errorMessage: "'description' max length is 1000 chars" },
   },
+  splits: {
+    in: ['body'],
+    optional: true,
+    isArray: { options: { min: 2, max: MAX_SPLITS }, errorMessage: `'splits' must have 2-${MAX_SPLITS} lines` },
+    custom: {
+      options: (value, { req }) => splitsMatchAmount(value, req.body.amount),
+      errorMessage: "'splits' must add up to 'amount'",
+    },
+  },
+  'splits.*.categoryId': {
+    in: ['body'],
+    custom: {
+      options: (value) => mongoose.Types.ObjectId.isValid(value),
+      errorMessage: "Each split needs a valid 'categoryId'",
+    },
+  },
+  'splits.*.amount': {
+    in: ['body'],
+    isFloat: { options: { gt: 0 }, errorMessage: "Each split 'amount' must be a positive number" },
+  },
+  'splits.*.note': {
+    in: ['body'],
+    optional: true,
+    isString: { errorMessage: "Each split 'note' must be a string" },
+    isLength: { options: { max: 1000 }, errorMessage: "Each split 'note' max length is 1000 chars" },
+  },
+  // Share the cost between ledger members (see utils/settleUp.js)
+  sharing: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isObject: { errorMessage: "'sharing' must be an object" },
+    custom: {
+      options: (value, { req }) => {
+        const error = sharingError(value, req.body.amount);
+        if (error) throw new Error(error);
+        return true;
+      },
+    },
+  },
+  'sharing.paidBy': {
+    in: ['body'],
+    optional: true,
+    custom: {
+      options: (value) => mongoose.Types.ObjectId.isValid(value),
+      errorMessage: "'sharing.paidBy' must be a valid ObjectId",
+    },
+  },
+  'sharing.method': {
+    in: ['body'],
+    optional: true,
+    isIn: { options: [SHARE_METHODS], errorMessage: `'sharing.method' must be one of: ${SHARE_METHODS.join(', ')}` },
+  },
+  'sharing.participants.*.userId': {
+    in: ['body'],
+    custom: {
+      options: (value) => mongoose.Types.ObjectId.isValid(value),
+      errorMessage: "Each participant needs a valid 'userId'",
+    },
+  },
+  'sharing.participants.*.value': {
+    in: ['body'],
+    optional: true,
+    isFloat: { options: { gt: 0 }, errorMessage: "Each participant 'value' must be a positive number" },
+  },
+  // Record it in a shared ledger instead of privately; only used on create
+  ledgerId: {
+    in: ['body'],
+    optional: true,
+    custom: {
+      options: (value) => mongoose.Types.ObjectId.isValid(value),
+      errorMessage: "'ledgerId' must be a valid ObjectId",
+    },
+  },
 };
 
 export const expenseIdParam = {
@@ -143,6 +332,528 @@ export const expenseIdParam = {
   },
 };
 
+// Reverting an expense to one of its revisions
+export const expenseRevertSchema = {
+  version: {
+    in: ['body'],
+    isInt: { options: { min: 1 }, errorMessage: "'version' must be a positive integer" },
+    toInt: true,
+  },
+};
+
+// PATCH /api/expenses/:id takes a merge patch (see utils/mergePatch.js). The patched expense is
+// checked against expenseSchema, for the patched fields and the ones listed here that depend on them.
+export const expenseFieldDependencies = {
+  amount: ['splits', 'sharing'],
+  splits: ['categoryId'],
+};
+
+// What a patch itself may not do: every expense has a date, and stays in the ledger it was created in
+export const expensePatchSchema = {
+  date: {
+    in: ['body'],
+    custom: {
+      options: (value) => value !== null,
+      errorMessage: "'date' can't be removed",
+    },
+  },
+  ledgerId: {
+    in: ['body'],
+    custom: {
+      options: (value) => value === undefined,
+      errorMessage: "'ledgerId' can't be changed",
+    },
+  },
+};
+
+// POST /api/expenses/bulk. create takes 'expenses' (POST bodies); the other actions work on
+// either 'ids' or a 'filter' (the list filters, with ledgerId). Each item is validated on its own.
+const isBulkCreate = (req) => req.body.action === 'create';
+
+export const bulkExpenseSchema = {
+  action: {
+    in: ['body'],
+    isIn: { options: [BULK_ACTIONS], errorMessage: `'action' must be one of: ${BULK_ACTIONS.join(', ')}` },
+  },
+  expenses: {
+    in: ['body'],
+    custom: {
+      options: (value, { req }) => {
+        if (!isBulkCreate(req)) {
+          if (value !== undefined) throw new Error("'expenses' is only used with 'create'");
+          return true;
+        }
+        if (!Array.isArray(value) || value.length === 0 || value.length > MAX_BULK_ITEMS) {
+          throw new Error(`'expenses' must have 1-${MAX_BULK_ITEMS} items`);
+        }
+        return true;
+      },
+    },
+  },
+  ids: {
+    in: ['body'],
+    custom: {
+      options: (value, { req }) => {
+        if (isBulkCreate(req)) {
+          if (value !== undefined) throw new Error("'ids' can't be used with 'create'");
+          return true;
+        }
+        if ((value === undefined) === (req.body.filter === undefined)) {
+          throw new Error("Give either 'ids' or 'filter'");
+        }
+        if (value !== undefined && (!Array.isArray(value) || value.length === 0 || value.length > MAX_BULK_ITEMS)) {
+          throw new Error(`'ids' must have 1-${MAX_BULK_ITEMS} items`);
+        }
+        return true;
+      },
+    },
+  },
+  'ids.*': {
+    in: ['body'],
+    custom: {
+      options: (value) => mongoose.Types.ObjectId.isValid(value),
+      errorMessage: "Each of 'ids' must be a valid ObjectId",
+    },
+  },
+  filter: {
+    in: ['body'],
+    optional: true,
+    isObject: { options: { strict: true }, errorMessage: "'filter' must be an object" },
+    custom: {
+      options: (value, { req }) => !isBulkCreate(req),
+      errorMessage: "'filter' can't be used with 'create'",
+    },
+  },
+  // Merge patch applied to each expense (see PATCH /api/expenses/:id)
+  patch: {
+    in: ['body'],
+    custom: {
+      options: (value, { req }) => {
+        if (req.body.action !== 'update') return value === undefined;
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      },
+      errorMessage: "'patch' must be a merge patch object, used with 'update'",
+    },
+  },
+  categoryId: {
+    in: ['body'],
+    custom: {
+      options: (value, { req }) => {
+        if (req.body.action !== 'recategorize') return value === undefined;
+        return mongoose.Types.ObjectId.isValid(value);
+      },
+      errorMessage: "'categoryId' must be a valid ObjectId, used with 'recategorize'",
+    },
+  },
+  // All or nothing: roll everything back if any item fails
+  atomic: {
+    in: ['body'],
+    optional: true,
+    isBoolean: { options: { strict: true }, errorMessage: "'atomic' must be a boolean" },
+  },
+};
+
+// Receipt attachment validators
+export const attachmentIdParam = {
+  ...expenseIdParam,
+  attachmentId: {
+    in: ['params'],
+    custom: {
+      options: (value) => mongoose.Types.ObjectId.isValid(value),
+      errorMessage: "Attachment ID 'attachmentId' parameter must be a valid ObjectId",
+    },
+  },
+};
+
+// Lists scoped to one ledger (?ledgerId=) instead of the user's personal data
+export const ledgerScopeQuery = {
+  ledgerId: {
+    in: ['query'],
+    optional: true,
+    custom: {
+      options: (value) => mongoose.Types.ObjectId.isValid(value),
+      errorMessage: "'ledgerId' must be a valid ObjectId",
+    },
+  },
+};
+
+// Expense list filters (see utils/expenseFilters.js)
+export const expenseFilterQuery = {
+  from: {
+    in: ['query'],
+    optional: true,
+    isISO8601: { errorMessage: "'from' must be an ISO8601 date" },
+  },
+  to: {
+    in: ['query'],
+    optional: true,
+    isISO8601: { errorMessage: "'to' must be an ISO8601 date" },
+    custom: {
+      options: (value, { req }) => !req.query.from || new Date(value) >= new Date(req.query.from),
+      errorMessage: "'to' must not be before 'from'",
+    },
+  },
+  minAmount: {
+    in: ['query'],
+    optional: true,
+    isFloat: { options: { min: 0 }, errorMessage: "'minAmount' must be a non-negative number" },
+  },
+  maxAmount: {
+    in: ['query'],
+    optional: true,
+    isFloat: { options: { min: 0 }, errorMessage: "'maxAmount' must be a non-negative number" },
+    custom: {
+      options: (value, { req }) => req.query.minAmount === undefined || Number(value) >= Number(req.query.minAmount),
+      errorMessage: "'maxAmount' must not be less than 'minAmount'",
+    },
+  },
+  currency: {
+    in: ['query'],
+    optional: true,
+    custom: {
+      options: (value) => toList(value).every(isCurrencyCode),
+      errorMessage: "'currency' must be one or more ISO 4217 currency codes",
+    },
+  },
+  categoryId: {
+    in: ['query'],
+    optional: true,
+    custom: {
+      options: (value) => toList(value).every((id) => mongoose.Types.ObjectId.isValid(id)),
+      errorMessage: "'categoryId' must be one or more valid ObjectIds",
+    },
+  },
+  q: {
+    in: ['query'],
+    optional: true,
+    isString: { errorMessage: "'q' must be a string" },
+    isLength: { options: { min: 1, max: 200 }, errorMessage: "'q' must be 1-200 chars" },
+  },
+};
+
+export const adminExpenseFilterQuery = {
+  ...expenseFilterQuery,
+  userId: {
+    in: ['query'],
+    optional: true,
+    custom: {
+      options: (value) => mongoose.Types.ObjectId.isValid(value),
+      errorMessage: "'userId' must be a valid ObjectId",
+    },
+  },
+};
+
+// Expense export (the filters above apply as well)
+export const expenseExportQuery = {
+  format: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [EXPORT_FORMATS], errorMessage: `'format' must be one of: ${EXPORT_FORMATS.join(', ')}` },
+  },
+};
+
+// Expense import validators (see utils/expenseImport.js)
+const importColumnParam = (field) => ({
+  in: ['query'],
+  optional: true,
+  isString: { errorMessage: `'${field}Column' must be a string` },
+  isLength: { options: { min: 1, max: 100 }, errorMessage: `'${field}Column' must be 1-100 chars` },
+});
+
+export const expenseImportQuery = {
+  dryRun: {
+    in: ['query'],
+    optional: true,
+    isBoolean: { errorMessage: "'dryRun' must be true or false" },
+  },
+  delimiter: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [CSV_DELIMITERS], errorMessage: "'delimiter' must be one of: , ; | or a tab" },
+  },
+  decimal: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [['.', ',']], errorMessage: "'decimal' must be '.' or ','" },
+  },
+  dateFormat: {
+    in: ['query'],
+    optional: true,
+    custom: {
+      options: isDateFormat,
+      errorMessage: "'dateFormat' must be a format such as DD.MM.YYYY, MM/DD/YYYY or DD-MM-YY",
+    },
+  },
+  currency: {
+    in: ['query'],
+    optional: true,
+    custom: {
+      options: isCurrencyCode,
+      errorMessage: "'currency' must be an ISO 4217 currency code",
+    },
+  },
+  ...Object.fromEntries(IMPORT_FIELDS.map((field) => [`${field}Column`, importColumnParam(field)])),
+};
+
+// A single CSV row, after column mapping. Reuses the expense rules; the category is given by name.
+export const expenseImportRowSchema = {
+  category: {
+    in: ['body'],
+    notEmpty: { errorMessage: "'category' is required" },
+    isLength: { options: { max: 100 }, errorMessage: "'category' must be at most 100 chars" },
+  },
+  amount: {
+    in: ['body'],
+    // null when the thousands separators don't fit (see parseLocaleAmount)
+    custom: {
+      options: (value) => value !== null,
+      errorMessage: "'amount' has misplaced thousands separators",
+    },
+    ...expenseSchema.amount,
+  },
+  currency: expenseSchema.currency,
+  date: expenseSchema.date,
+  description: expenseSchema.description,
+};
+
+// Budget validators
+// startDate/endDate are required for custom budgets and optional otherwise
+const customPeriodDate = (field) => (value, { req }) => {
+  if (value === undefined || value === null || value === '') {
+    if (req.body.period === 'custom') {
+      throw new Error(`'${field}' is required for custom budgets`);
+    }
+    return true;
+  }
+  if (Number.isNaN(Date.parse(value))) {
+    throw new Error(`'${field}' must be an ISO8601 date`);
+  }
+  return true;
+};
+
+export const budgetSchema = {
+  categoryId: {
+    in: ['body'],
+    optional: { options: { values: 'null' } }, // omit or null for an overall budget
+    custom: {
+      options: (value) => mongoose.Types.ObjectId.isValid(value),
+      errorMessage: "'categoryId' must be a valid ObjectId",
+    },
+  },
+  amount: {
+    in: ['body'],
+    notEmpty: { errorMessage: "'amount' is required" },
+    isFloat: { options: { gt: 0 }, errorMessage: "'amount' must be a positive number" },
+  },
+  period: {
+    in: ['body'],
+    optional: true,
+    isIn: { options: [['monthly', 'weekly', 'custom']], errorMessage: "'period' must be 'monthly', 'weekly' or 'custom'" },
+  },
+  startDate: {
+    in: ['body'],
+    custom: { options: customPeriodDate('startDate') },
+  },
+  endDate: {
+    in: ['body'],
+    custom: {
+      options: (value, meta) => {
+        customPeriodDate('endDate')(value, meta);
+        if (value && meta.req.body.startDate && new Date(value) < new Date(meta.req.body.startDate)) {
+          throw new Error("'endDate' must not be before 'startDate'");
+        }
+        return true;
+      },
+    },
+  },
+  threshold: {
+    in: ['body'],
+    optional: true,
+    isInt: { options: { min: 1, max: 100 }, errorMessage: "'threshold' must be a percentage between 1 and 100" },
+  },
+};
+
+export const budgetIdParam = {
+  id: {
+    in: ['params'],
+    custom: {
+      options: (value) => mongoose.Types.ObjectId.isValid(value),
+      errorMessage: "Budget ID 'id' parameter must be a valid ObjectId",
+    },
+  },
+};
+
+export const budgetStatusQuery = {
+  date: {
+    in: ['query'],
+    optional: true,
+    isISO8601: { errorMessage: "'date' must be an ISO8601 date" },
+  },
+};
+
+// Recurring expense validators
+export const recurringExpenseSchema = {
+  categoryId: {
+    in: ['body'],
+    notEmpty: { errorMessage: "'categoryId' is required" },
+    custom: {
+      options: (value) => mongoose.Types.ObjectId.isValid(value),
+      errorMessage: "'categoryId' must be a valid ObjectId",
+    },
+  },
+  amount: expenseSchema.amount,
+  currency: expenseSchema.currency,
+  note: expenseSchema.note,
+  description: expenseSchema.description,
+  frequency: {
+    in: ['body'],
+    notEmpty: { errorMessage: "'frequency' is required" },
+    isIn: { options: [FREQUENCIES], errorMessage: `'frequency' must be one of: ${FREQUENCIES.join(', ')}` },
+  },
+  interval: {
+    in: ['body'],
+    optional: true,
+    isInt: { options: { min: 1, max: 366 }, errorMessage: "'interval' must be an integer between 1 and 366" },
+  },
+  startDate: {
+    in: ['body'],
+    notEmpty: { errorMessage: "'startDate' is required" },
+    isISO8601: { errorMessage: "'startDate' must be an ISO8601 date" },
+  },
+  endDate: {
+    in: ['body'],
+    optional: true,
+    isISO8601: { errorMessage: "'endDate' must be an ISO8601 date" },
+    custom: {
+      options: (value, { req }) => new Date(value) >= new Date(req.body.startDate),
+      errorMessage: "'endDate' must not be before 'startDate'",
+    },
+  },
+  count: {
+    in: ['body'],
+    optional: true,
+    isInt: { options: { min: 1 }, errorMessage: "'count' must be a positive integer" },
+  },
+};
+
+export const recurringExpenseIdParam = {
+  id: {
+    in: ['params'],
+    custom: {
+      options: (value) => mongoose.Types.ObjectId.isValid(value),
+      errorMessage: "Recurring expense ID 'id' parameter must be a valid ObjectId",
+    },
+  },
+};
+
+export const upcomingOccurrencesQuery = {
+  limit: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1, max: 100 }, errorMessage: "'limit' must be an integer between 1 and 100" },
+  },
+};
+
+export const skipOccurrenceSchema = {
+  date: {
+    in: ['body'],
+    notEmpty: { errorMessage: "'date' is required" },
+    isISO8601: { errorMessage: "'date' must be an ISO8601 date" },
+  },
+};
+
+// Ledger validators
+export const ledgerSchema = {
+  name: categorySchema.name,
+};
+
+export const ledgerIdParam = {
+  id: {
+    in: ['params'],
+    custom: {
+      options: (value) => mongoose.Types.ObjectId.isValid(value),
+      errorMessage: "Ledger ID 'id' parameter must be a valid ObjectId",
+    },
+  },
+};
+
+const ledgerRole = (required) => ({
+  in: ['body'],
+  ...(required ? { notEmpty: { errorMessage: "'role' is required" } } : { optional: true }),
+  isIn: { options: [LEDGER_ROLES], errorMessage: `'role' must be one of: ${LEDGER_ROLES.join(', ')}` },
+});
+
+export const ledgerInvitationSchema = {
+  email: {
+    in: ['body'],
+    notEmpty: { errorMessage: "'email' field is required" },
+    isEmail: { errorMessage: "'email' must be a valid email address" },
+  },
+  role: ledgerRole(false), // defaults to 'editor'
+};
+
+export const ledgerInvitationIdParam = {
+  ...ledgerIdParam,
+  invitationId: {
+    in: ['params'],
+    custom: {
+      options: (value) => mongoose.Types.ObjectId.isValid(value),
+      errorMessage: "Invitation ID 'invitationId' parameter must be a valid ObjectId",
+    },
+  },
+};
+
+export const ledgerMemberParam = {
+  ...ledgerIdParam,
+  userId: {
+    in: ['params'],
+    custom: {
+      options: (value) => mongoose.Types.ObjectId.isValid(value),
+      errorMessage: "User ID 'userId' parameter must be a valid ObjectId",
+    },
+  },
+};
+
+export const ledgerMemberSchema = {
+  role: ledgerRole(true),
+};
+
+// Exchange rate validators
+export const exchangeRateImportSchema = {
+  rates: {
+    in: ['body'],
+    isArray: { options: { min: 1, max: 10000 }, errorMessage: "'rates' must be a non-empty array" },
+  },
+  'rates.*.currency': {
+    in: ['body'],
+    custom: {
+      options: (value) => isCurrencyCode(value) && value.toUpperCase() !== REFERENCE_CURRENCY,
+      errorMessage: `Each rate needs an ISO 4217 'currency' other than ${REFERENCE_CURRENCY}`,
+    },
+  },
+  'rates.*.date': {
+    in: ['body'],
+    isISO8601: { errorMessage: "Each rate needs an ISO8601 'date'" },
+  },
+  'rates.*.rate': {
+    in: ['body'],
+    isFloat: { options: { gt: 0 }, errorMessage: "Each rate needs a positive 'rate'" },
+  },
+};
+
+export const exchangeRateQuery = {
+  currency: {
+    in: ['query'],
+    optional: true,
+    custom: {
+      options: isCurrencyCode,
+      errorMessage: "'currency' must be an ISO 4217 currency code",
+    },
+  },
+  from: expenseFilterQuery.from,
+  to: expenseFilterQuery.to,
+};
+
 // Reusable ObjectId validator for any param name
 export const objectIdParam = (paramName = 'id') => ({
   [paramName]: {
@@ -167,7 +878,56 @@ export const adminExpenseSchema = {
   },
 };
 
-// Admin-specific category schema (allows userId to assign category to any user)
+// Admin user management
+export const adminUserSchema = {
+  ...registerSchema,
+  role: {
+    in: ['body'],
+    optional: true, // defaults to 'user'
+    isIn: { options: [USER_ROLES], errorMessage: `'role' must be one of: ${USER_ROLES.join(', ')}` },
+  },
+};
+
+export const adminUserUpdateSchema = {
+  name: updateProfileSchema.name,
+  email: updateProfileSchema.email,
+  role: adminUserSchema.role,
+};
+
+// Audit log filters: who acted, on what, and when
+export const auditEventQuery = {
+  actor: {
+    in: ['query'],
+    optional: true,
+    custom: {
+      options: (value) => mongoose.Types.ObjectId.isValid(value),
+      errorMessage: "'actor' must be a valid ObjectId",
+    },
+  },
+  action: {
+    in: ['query'],
+    optional: true,
+    isString: { errorMessage: "'action' must be a string" },
+  },
+  targetType: {
+    in: ['query'],
+    optional: true,
+    isString: { errorMessage: "'targetType' must be a string" },
+  },
+  targetId: {
+    in: ['query'],
+    optional: true,
+    isString: { errorMessage: "'targetId' must be a string" },
+    custom: {
+      options: (value, { req }) => Boolean(req.query.targetType),
+      errorMessage: "'targetId' requires 'targetType'",
+    },
+  },
+  from: expenseFilterQuery.from,
+  to: expenseFilterQuery.to,
+};
+
+// Admin-specific category schema (allows userId to assign category to any user, and publishing global categories)
 export const adminCategorySchema = {
   ...categorySchema,
   userId: {
@@ -178,4 +938,73 @@ export const adminCategorySchema = {
       errorMessage: "'userId' must be a valid ObjectId",
     },
   },
+  visibility: {
+    in: ['body'],
+    optional: true, // defaults to 'private'
+    isIn: { options: [['global', 'private']], errorMessage: "'visibility' must be 'global' or 'private'" },
+  },
 };
+
+// Pagination query validators, built from an endpoint's sort allow-list
+// (see EXPENSE_PAGINATION and USER_PAGINATION in utils/pagination.js)
+
+// A repeated query parameter (?sort=a&sort=b) arrives as an array, which the per-item
+// validators below would wave through
+const givenOnce = (paramName) => ({
+  custom: (value) => typeof value === 'string',
+  errorMessage: `'${paramName}' must be given once`,
+  bail: true,
+});
+
+const cursorValidator = (paramName, { defaultSort }) => (value, { req }) => {
+  const cursor = decodeCursor(value);
+  if (!cursor) {
+    throw new Error(`'${paramName}' must be a valid cursor`);
+  }
+  // A cursor only makes sense for the sort order it was issued for
+  const sort = typeof req.query.sort === 'string' ? req.query.sort : defaultSort;
+  if (cursor.field !== parseSort(sort).field) {
+    throw new Error(`'${paramName}' cursor does not match the requested sort`);
+  }
+  return true;
+};
+
+export const paginationQuery = (pagination) => ({
+  limit: {
+    in: ['query'],
+    optional: true,
+    givenOnce: givenOnce('limit'),
+    isInt: {
+      options: { min: 1, max: MAX_PAGE_LIMIT },
+      errorMessage: `'limit' must be an integer between 1 and ${MAX_PAGE_LIMIT}`,
+    },
+  },
+  sort: {
+    in: ['query'],
+    optional: true,
+    givenOnce: givenOnce('sort'),
+    isIn: {
+      options: [pagination.sortFields.flatMap((field) => [field, `-${field}`])],
+      errorMessage: `'sort' must be one of: ${pagination.sortFields.join(', ')} (prefix with '-' for descending)`,
+    },
+  },
+  after: {
+    in: ['query'],
+    optional: true,
+    givenOnce: givenOnce('after'),
+    custom: { options: cursorValidator('after', pagination) },
+  },
+  before: {
+    in: ['query'],
+    optional: true,
+    givenOnce: givenOnce('before'),
+    custom: {
+      options: (value, meta) => {
+        if (meta.req.query.after) {
+          throw new Error("Only one of 'after' or 'before' may be given");
+        }
+        return cursorValidator('before', pagination)(value, meta);
+      },
+    },
+  },
+});
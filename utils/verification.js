@@ -0,0 +1,55 @@
+import { EMAIL_VERIFICATION_TTL, authTokenWait, issueAuthToken, revokeAuthTokens } from './tokens.js';
+import { appUrl, getMailer } from './mailer.js';
+
+// What users who haven't verified their email address may do, set with UNVERIFIED_ACCESS:
+//   full       everything
+//   read-only  only read (GET) requests (default)
+//   none       nothing but the account routes needed to verify, fix the address or log out
+export const UNVERIFIED_POLICIES = ['full', 'read-only', 'none'];
+const DEFAULT_POLICY = 'read-only';
+
+// Minimum wait between verification emails for the same user
+export const VERIFICATION_RESEND_COOLDOWN = 60 * 1000;
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+export const unverifiedPolicy = () => (UNVERIFIED_POLICIES.includes(process.env.UNVERIFIED_ACCESS)
+  ? process.env.UNVERIFIED_ACCESS
+  : DEFAULT_POLICY);
+
+// Whether the policy lets user make a request with this HTTP method
+export const verificationAllows = (user, method, policy = unverifiedPolicy()) => {
+  if (user.emailVerified !== false || policy === 'full') return true;
+  return policy === 'read-only' && READ_METHODS.includes(method);
+};
+
+// Milliseconds until user may be sent another verification email (0 if they may now)
+export const resendWait = (user, now = Date.now()) => authTokenWait(user, 'email-verification', VERIFICATION_RESEND_COOLDOWN, now);
+
+// Email user a link to confirm their current address. Earlier links stop working. A failure
+// to send is logged rather than thrown, so it never undoes the change that triggered it.
+export const sendVerificationEmail = async (user) => {
+  const token = await issueAuthToken(user, 'email-verification', EMAIL_VERIFICATION_TTL);
+  try {
+    await getMailer().send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Please confirm your email address by opening this link. It expires in 24 hours:',
+        appUrl('/verify-email', { token }),
+      ].join('\n'),
+    });
+  } catch (error) {
+    console.error('Verification email error:', error);
+  }
+};
+
+// After user's email address was changed, and marked unverified with it: reset links sent to
+// the old address stop working, since using one would verify the new address, and the new
+// address gets a verification link
+export const reverifyEmail = async (user) => {
+  await revokeAuthTokens(user._id, 'password-reset');
+  await sendVerificationEmail(user);
+};